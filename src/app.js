@@ -8,6 +8,11 @@ const config = require('./config');
 const logger = require('./utils/logger');
 const ErrorHandler = require('./middleware/errorHandler');
 const routes = require('./routes');
+const requestContext = require('./utils/requestContext');
+const { getIdempotencyStore } = require('./repositories');
+const SeatReconciliationJob = require('./jobs/seatReconciliationJob');
+const TenantPurgeJob = require('./jobs/tenantPurgeJob');
+const InvitationExpiryJob = require('./jobs/invitationExpiryJob');
 
 // Initialize global error handlers
 ErrorHandler.initialize();
@@ -37,7 +42,7 @@ app.use(cors({
   origin: config.cors.origin,
   credentials: config.cors.credentials,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
 }));
 
 // Compression middleware
@@ -62,6 +67,9 @@ app.use((req, res, next) => {
   next();
 });
 
+// Carry the request ID to services (audit entries) across async calls
+app.use(requestContext.middleware());
+
 // Request logging middleware
 app.use(logger.logRequest);
 
@@ -129,11 +137,26 @@ if (config.docs.enabled) {
             routes: {
               'GET /api/tenants': 'List all tenants',
               'POST /api/tenants': 'Create a new tenant',
+              'GET /api/tenants/security/drift': 'Tenants whose Auth0 configuration drifted from their security settings',
               'GET /api/tenants/:tenantId': 'Get tenant details',
               'PUT /api/tenants/:tenantId': 'Update tenant',
-              'DELETE /api/tenants/:tenantId': 'Delete tenant',
+              'DELETE /api/tenants/:tenantId': 'Schedule tenant deletion (force=true purges now)',
+              'POST /api/tenants/:tenantId/restore': 'Restore a tenant pending deletion',
+              'GET /api/tenants/:tenantId/branding': 'Get tenant logo, colors and login text',
+              'GET /api/tenants/:tenantId/connections': 'List tenant connections',
+              'POST /api/tenants/:tenantId/connections': 'Create a database, passwordless, SAML or OIDC connection',
+              'POST /api/tenants/:tenantId/connections/:connectionName/enable': 'Enable a connection for the tenant',
+              'POST /api/tenants/:tenantId/connections/:connectionName/disable': 'Disable a connection for the tenant',
+              'GET /api/tenants/:tenantId/invitations': 'List user invitations',
+              'POST /api/tenants/:tenantId/invitations': 'Invite a user and get their invitation URL',
+              'POST /api/tenants/:tenantId/invitations/:invitationId/resend': 'Issue a new invitation URL',
+              'DELETE /api/tenants/:tenantId/invitations/:invitationId': 'Revoke an invitation',
               'GET /api/tenants/:tenantId/users': 'List users in tenant',
               'POST /api/tenants/:tenantId/users': 'Create user in tenant',
+              'POST /api/tenants/:tenantId/users/import': 'Bulk import users from CSV or JSON',
+              'GET /api/tenants/:tenantId/users/import/:jobId': 'Background import status',
+              'GET /api/tenants/:tenantId/users/export': 'Export all users as CSV, JSON or NDJSON',
+              'GET /api/tenants/:tenantId/seat-usage/history': 'Peak, average and end-of-period seat usage',
             },
           },
           users: {
@@ -146,6 +169,8 @@ if (config.docs.enabled) {
               'DELETE /api/users/:userId': 'Delete user',
               'GET /api/users/:userId/roles': 'Get user roles',
               'PUT /api/users/:userId/roles': 'Update user roles',
+              'POST /api/users/:userId/verification-email': 'Resend the verification email (rate limited per user)',
+              'POST /api/users/:userId/password-reset': 'Create a password reset ticket (rate limited per user)',
               'GET /api/users/me': 'Get your profile',
               'PUT /api/users/me': 'Update your profile',
             },
@@ -159,6 +184,39 @@ if (config.docs.enabled) {
               'GET /api/version': 'Version information',
             },
           },
+          audit: {
+            description: 'Audit log endpoints (Master Admin only)',
+            routes: {
+              'GET /api/audit': 'Search audit entries',
+              'GET /api/audit/verify': 'Verify the audit log hash chain',
+            },
+          },
+          webhooks: {
+            description: 'Outbound webhook subscriptions (Master Admin only)',
+            routes: {
+              'GET /api/webhooks': 'List subscriptions',
+              'POST /api/webhooks': 'Create subscription',
+              'GET /api/webhooks/:subscriptionId': 'Get subscription',
+              'PUT /api/webhooks/:subscriptionId': 'Update subscription',
+              'DELETE /api/webhooks/:subscriptionId': 'Delete subscription',
+              'GET /api/webhooks/dead-letters': 'List failed deliveries',
+              'POST /api/webhooks/dead-letters/:deadLetterId/replay': 'Replay a failed delivery',
+            },
+          },
+          plans: {
+            description: 'Plan catalog',
+            routes: {
+              'GET /api/plans': 'List plans with their seat limits and entitlements',
+            },
+          },
+          alerts: {
+            description: 'Seat threshold alerts (Master Admin only)',
+            routes: {
+              'GET /api/alerts': 'List alerts',
+              'GET /api/alerts/:alertId': 'Get alert',
+              'POST /api/alerts/:alertId/acknowledge': 'Acknowledge alert',
+            },
+          },
         },
         authentication: {
           type: 'Bearer Token (JWT)',
@@ -206,9 +264,17 @@ app.use(ErrorHandler.notFound());
 // Global error handling middleware
 app.use(ErrorHandler.handle());
 
+// Background jobs
+const seatReconciliationJob = new SeatReconciliationJob();
+const tenantPurgeJob = new TenantPurgeJob();
+const invitationExpiryJob = new InvitationExpiryJob();
+
 // Graceful shutdown handling
 const gracefulShutdown = (signal) => {
   logger.info(`Received ${signal}. Starting graceful shutdown...`);
+  seatReconciliationJob.stop();
+  tenantPurgeJob.stop();
+  invitationExpiryJob.stop();
   
   const server = app.get('server');
   if (server) {
@@ -236,6 +302,10 @@ const gracefulShutdown = (signal) => {
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
+// Pick the Idempotency-Key store now, so a redis: store without the redis
+// package stops startup instead of failing requests
+getIdempotencyStore();
+
 // Start server
 const PORT = config.server.port;
 const server = app.listen(PORT, () => {
@@ -257,4 +327,8 @@ const server = app.listen(PORT, () => {
 // Store server reference for graceful shutdown
 app.set('server', server);
 
+seatReconciliationJob.start();
+tenantPurgeJob.start();
+invitationExpiryJob.start();
+
 module.exports = app;
\ No newline at end of file
@@ -18,8 +18,15 @@ const config = {
       clientSecret: process.env.MASTER_AUTH0_CLIENT_SECRET,
       audience: process.env.MASTER_AUTH0_AUDIENCE,
       managementApiAudience: process.env.AUTH0_MANAGEMENT_API_AUDIENCE,
-      managementApiScope: process.env.AUTH0_MANAGEMENT_API_SCOPE || 'read:users create:users update:users delete:users read:clients create:clients update:clients delete:clients read:tenant_settings update:tenant_settings',
+      managementApiScope: process.env.AUTH0_MANAGEMENT_API_SCOPE || 'read:users create:users update:users delete:users read:clients create:clients update:clients delete:clients read:roles create:roles read:role_members create:role_members delete:role_members read:connections read:organizations create:organizations delete:organizations read:organization_members create:organization_members delete:organization_members read:organization_connections create:organization_connections delete:organization_connections read:tenant_settings update:tenant_settings',
     },
+    // Custom access token claim binding an M2M client to one tenant. When
+    // unset, clients are bound only through a tenant's apiClientIds.
+    tenantIdClaim: process.env.TENANT_ID_CLAIM || null,
+    // Auth0 domains besides the master domain whose tokens are accepted
+    trustedIssuers: process.env.TRUSTED_TOKEN_ISSUERS
+      ? process.env.TRUSTED_TOKEN_ISSUERS.split(',').map((domain) => domain.trim()).filter(Boolean)
+      : [],
   },
 
   // JWT Configuration
@@ -32,6 +39,11 @@ const config = {
   rateLimit: {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10) || 900000, // 15 minutes
     maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 100,
+    // Verification emails and password resets, counted per user and action
+    userEmails: {
+      windowMs: parseInt(process.env.USER_EMAIL_RATE_LIMIT_WINDOW_MS, 10) || 3600000, // 1 hour
+      maxRequests: parseInt(process.env.USER_EMAIL_RATE_LIMIT_MAX_REQUESTS, 10) || 3,
+    },
   },
 
   // Logging Configuration
@@ -52,18 +64,30 @@ const config = {
     compressionEnabled: process.env.COMPRESSION_ENABLED !== 'false',
   },
 
-  // Database Configuration
+  // Database Configuration (tenant storage: file:, sqlite: or memory:)
   database: {
     url: process.env.DATABASE_URL,
     ssl: process.env.DATABASE_SSL === 'true',
   },
 
+  // Audit Log Configuration (memory: or file:<path>.jsonl)
+  audit: {
+    url: process.env.AUDIT_LOG_URL,
+  },
+
   // Redis Configuration
   redis: {
     url: process.env.REDIS_URL,
     ttl: parseInt(process.env.REDIS_TTL, 10) || 3600,
   },
 
+  // Idempotency-Key replay for POST/PUT/DELETE
+  idempotency: {
+    // memory:, file:<path> or redis:; Redis is used by default when REDIS_URL is set
+    url: process.env.IDEMPOTENCY_STORE_URL,
+    ttlSeconds: parseInt(process.env.IDEMPOTENCY_TTL_SECONDS, 10) || 86400,
+  },
+
   // Health Check Configuration
   healthCheck: {
     enabled: process.env.HEALTH_CHECK_ENABLED !== 'false',
@@ -74,6 +98,150 @@ const config = {
   seats: {
     defaultLimit: parseInt(process.env.DEFAULT_SEAT_LIMIT, 10) || 10,
     maxLimit: parseInt(process.env.MAX_SEAT_LIMIT, 10) || 1000,
+    reconcile: {
+      intervalMs: parseInt(process.env.SEAT_RECONCILE_INTERVAL_MS, 10) || 0,
+      autoCorrect: process.env.SEAT_RECONCILE_AUTO_CORRECT === 'true',
+    },
+    // Utilization percentages that raise seat.threshold_crossed when passed upwards
+    thresholds: (process.env.SEAT_ALERT_THRESHOLDS || '80,90,100')
+      .split(',')
+      .map((value) => parseInt(value, 10))
+      .filter((value) => value > 0)
+      .sort((a, b) => a - b),
+    // What happens at the seat limit, unless the tenant's settings.seatOverage says otherwise:
+    // hard (reject), soft (allow overage for a grace period) or waitlist (queue blocked users)
+    overage: {
+      policy: process.env.SEAT_OVERAGE_POLICY || 'hard',
+      softCapPercentage: parseInt(process.env.SEAT_SOFT_CAP_PERCENTAGE, 10) || 10,
+      gracePeriodDays: parseInt(process.env.SEAT_OVERAGE_GRACE_DAYS, 10) || 14,
+    },
+    // Which users take a seat; plans and the tenant's settings.seatRules override these
+    rules: {
+      excludeBlocked: process.env.SEAT_EXCLUDE_BLOCKED === 'true',
+      // Users with app_metadata.billable set to false
+      excludeNonBillable: process.env.SEAT_EXCLUDE_NON_BILLABLE !== 'false',
+      // Email domains of internal staff and service accounts
+      internalDomains: (process.env.SEAT_INTERNAL_DOMAINS || '')
+        .split(',')
+        .map((domain) => domain.trim().toLowerCase())
+        .filter(Boolean),
+    },
+  },
+
+  // Seat Alerts (thresholds come from the tenant's settings.seatAlertThresholds or seats.thresholds)
+  alerts: {
+    // Notifiers every alert is sent through: log, email, webhook
+    channels: (process.env.ALERT_CHANNELS || 'log')
+      .split(',')
+      .map((name) => name.trim())
+      .filter(Boolean),
+    // A threshold crossed again in the same direction within this window raises no new alert
+    debounceMs: parseInt(process.env.ALERT_DEBOUNCE_MS ?? '900000', 10) || 0,
+    email: {
+      // SMTP server; defaults to a local stand-in such as MailHog
+      smtpUrl: process.env.ALERT_SMTP_URL || 'smtp://localhost:1025',
+      from: process.env.ALERT_EMAIL_FROM || 'alerts@localhost',
+      to: (process.env.ALERT_EMAIL_TO || '')
+        .split(',')
+        .map((address) => address.trim())
+        .filter(Boolean),
+    },
+    webhook: {
+      url: process.env.ALERT_WEBHOOK_URL,
+      timeoutMs: parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS, 10) || 5000,
+    },
+  },
+
+  // Bulk User Import
+  userImport: {
+    maxRows: parseInt(process.env.USER_IMPORT_MAX_ROWS, 10) || 5000,
+    concurrency: parseInt(process.env.USER_IMPORT_CONCURRENCY, 10) || 5,
+    // Larger imports run as a background job
+    backgroundThreshold: parseInt(process.env.USER_IMPORT_BACKGROUND_THRESHOLD, 10) || 100,
+  },
+
+  // User Invitations
+  invitations: {
+    ttlHours: parseInt(process.env.INVITATION_TTL_HOURS, 10) || 72,
+    // Where users land after setting their password; the tenant's client
+    // login is used when unset
+    resultUrl: process.env.INVITATION_RESULT_URL,
+    // How often unaccepted invitations are expired; 0 disables the job
+    expiryIntervalMs: parseInt(process.env.INVITATION_EXPIRY_INTERVAL_MS ?? '900000', 10) || 0,
+  },
+
+  // Tenant Deletion
+  tenantDeletion: {
+    // Days a deleted tenant can still be restored before it is purged
+    retentionDays: parseInt(process.env.TENANT_DELETION_RETENTION_DAYS, 10) || 30,
+    // How often expired tenants are purged; 0 disables the purge job
+    purgeIntervalMs: parseInt(process.env.TENANT_PURGE_INTERVAL_MS ?? '3600000', 10) || 0,
+  },
+
+  // Tenancy Model
+  tenancy: {
+    // 'metadata': users are tied to a tenant through app_metadata.tenant_id
+    // 'organizations': each tenant is an Auth0 Organization and users are its members
+    mode: process.env.TENANCY_MODE === 'organizations' ? 'organizations' : 'metadata',
+    defaultConnections: (process.env.TENANT_DEFAULT_CONNECTIONS || 'Username-Password-Authentication')
+      .split(',')
+      .map((name) => name.trim())
+      .filter(Boolean),
+  },
+
+    // Role Catalog (Auth0 RBAC roles created on first use)
+  roles: {
+    cacheTtlMs: parseInt(process.env.ROLE_CACHE_TTL_MS, 10) || 300000, // 5 minutes
+    catalog: {
+      user: { description: 'Standard tenant user' },
+      admin: { description: 'Tenant administrator with full access' },
+      tenant_admin: { description: 'Manages tenant settings and users' },
+      user_manager: { description: 'Manages tenant users' },
+    },
+  },
+
+  // Plan Catalog (entitlements applied to tenants by their metadata.plan)
+  plans: {
+    default: process.env.DEFAULT_TENANT_PLAN || 'standard',
+    catalog: {
+      basic: {
+        description: 'Small teams getting started',
+        defaultSeatLimit: 5,
+        maxSeatLimit: 25,
+        allowMFA: false,
+        allowUserRegistration: false,
+        allowedRoles: ['user', 'admin'],
+        rateLimit: { tier: 'basic', requestsPerMinute: 60 },
+      },
+      standard: {
+        description: 'Growing teams with delegated user management',
+        defaultSeatLimit: 10,
+        maxSeatLimit: 100,
+        allowMFA: true,
+        allowUserRegistration: true,
+        allowedRoles: ['user', 'admin', 'user_manager'],
+        rateLimit: { tier: 'standard', requestsPerMinute: 300 },
+      },
+      premium: {
+        description: 'Larger organizations with tenant administrators',
+        defaultSeatLimit: 50,
+        maxSeatLimit: 500,
+        allowMFA: true,
+        allowUserRegistration: true,
+        allowedRoles: ['user', 'admin', 'tenant_admin', 'user_manager'],
+        rateLimit: { tier: 'premium', requestsPerMinute: 1000 },
+      },
+      enterprise: {
+        description: 'Custom limits for enterprise deployments',
+        defaultSeatLimit: 100,
+        maxSeatLimit: 10000,
+        allowMFA: true,
+        allowUserRegistration: true,
+        allowedRoles: ['user', 'admin', 'tenant_admin', 'user_manager'],
+        rateLimit: { tier: 'enterprise', requestsPerMinute: 5000 },
+        seatRules: { excludeBlocked: true },
+      },
+    },
   },
 
   // Auth0 Tenant Creation Settings
@@ -104,6 +272,9 @@ const config = {
   webhook: {
     secret: process.env.WEBHOOK_SECRET,
     enabled: process.env.WEBHOOK_ENABLED === 'true',
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5,
+    retryBaseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS, 10) || 1000,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 5000,
   },
 
   // Feature Flags
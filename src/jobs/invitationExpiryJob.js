@@ -0,0 +1,63 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const InvitationService = require('../services/invitationService');
+
+/**
+ * Periodically expires invitations that were not accepted in time, giving
+ * their seats back.
+ *
+ * Runs every INVITATION_EXPIRY_INTERVAL_MS (15 minutes by default); 0 disables it.
+ */
+class InvitationExpiryJob {
+  constructor(options = {}) {
+    this.intervalMs = options.intervalMs ?? config.invitations.expiryIntervalMs;
+    this.service = options.service || new InvitationService();
+    this.timer = null;
+    this.running = null;
+  }
+
+  start() {
+    if (this.timer || !this.intervalMs) {
+      return false;
+    }
+
+    this.timer = setInterval(() => {
+      this.runOnce().catch(() => {});
+    }, this.intervalMs);
+    // Never keep the process alive just for this job
+    this.timer.unref();
+
+    logger.info('Invitation expiry job started', {
+      intervalMs: this.intervalMs,
+    });
+    return true;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Invitation expiry job stopped');
+    }
+  }
+
+  /**
+   * Run one expiry pass. Overlapping runs share the pass in flight.
+   */
+  async runOnce() {
+    if (!this.running) {
+      this.running = this.service
+        .expireInvitations()
+        .catch((error) => {
+          logger.error('Invitation expiry job failed:', error);
+          throw error;
+        })
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    return this.running;
+  }
+}
+
+module.exports = InvitationExpiryJob;
@@ -0,0 +1,65 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const SeatReconciliationService = require('../services/seatReconciliationService');
+
+/**
+ * Periodically compares the seat ledger with the users held in Auth0.
+ *
+ * Disabled unless SEAT_RECONCILE_INTERVAL_MS is set. Drift is only corrected
+ * automatically when SEAT_RECONCILE_AUTO_CORRECT=true; otherwise it is logged.
+ */
+class SeatReconciliationJob {
+  constructor(options = {}) {
+    this.intervalMs = options.intervalMs ?? config.seats.reconcile.intervalMs;
+    this.autoCorrect = options.autoCorrect ?? config.seats.reconcile.autoCorrect;
+    this.service = options.service || new SeatReconciliationService();
+    this.timer = null;
+    this.running = null;
+  }
+
+  start() {
+    if (this.timer || !this.intervalMs) {
+      return false;
+    }
+
+    this.timer = setInterval(() => {
+      this.runOnce().catch(() => {});
+    }, this.intervalMs);
+    // Never keep the process alive just for this job
+    this.timer.unref();
+
+    logger.info('Seat reconciliation job started', {
+      intervalMs: this.intervalMs,
+      autoCorrect: this.autoCorrect,
+    });
+    return true;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Seat reconciliation job stopped');
+    }
+  }
+
+  /**
+   * Run one reconciliation pass. Overlapping runs share the pass in flight.
+   */
+  async runOnce() {
+    if (!this.running) {
+      this.running = this.service
+        .reconcileAll({ correct: this.autoCorrect })
+        .catch((error) => {
+          logger.error('Seat reconciliation job failed:', error);
+          throw error;
+        })
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    return this.running;
+  }
+}
+
+module.exports = SeatReconciliationJob;
@@ -0,0 +1,63 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const TenantDeletionService = require('../services/tenantDeletionService');
+
+/**
+ * Periodically purges tenants whose deletion retention window has passed.
+ *
+ * Runs every TENANT_PURGE_INTERVAL_MS (hourly by default); 0 disables it.
+ */
+class TenantPurgeJob {
+  constructor(options = {}) {
+    this.intervalMs = options.intervalMs ?? config.tenantDeletion.purgeIntervalMs;
+    this.service = options.service || new TenantDeletionService();
+    this.timer = null;
+    this.running = null;
+  }
+
+  start() {
+    if (this.timer || !this.intervalMs) {
+      return false;
+    }
+
+    this.timer = setInterval(() => {
+      this.runOnce().catch(() => {});
+    }, this.intervalMs);
+    // Never keep the process alive just for this job
+    this.timer.unref();
+
+    logger.info('Tenant purge job started', {
+      intervalMs: this.intervalMs,
+      retentionDays: config.tenantDeletion.retentionDays,
+    });
+    return true;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('Tenant purge job stopped');
+    }
+  }
+
+  /**
+   * Run one purge pass. Overlapping runs share the pass in flight.
+   */
+  async runOnce() {
+    if (!this.running) {
+      this.running = this.service
+        .purgeExpired()
+        .catch((error) => {
+          logger.error('Tenant purge job failed:', error);
+          throw error;
+        })
+        .finally(() => {
+          this.running = null;
+        });
+    }
+    return this.running;
+  }
+}
+
+module.exports = TenantPurgeJob;
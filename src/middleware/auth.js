@@ -2,10 +2,13 @@ const jwt = require('jsonwebtoken');
 const jwksClient = require('jwks-rsa');
 const config = require('../config');
 const logger = require('../utils/logger');
+const AuthorizationMiddleware = require('./authorization');
+const { getTenantRepository } = require('../repositories');
 const {
   InvalidTokenError,
   MissingTokenError,
   AuthenticationError,
+  UnauthorizedTenantAccessError,
 } = require('../utils/errors');
 
 class AuthMiddleware {
@@ -208,6 +211,7 @@ class AuthMiddleware {
       client_id: decodedToken.azp || decodedToken.sub,
       tenant_domain: tenantDomain,
       scope: decodedToken.scope,
+      scopes: AuthorizationMiddleware.parseScopes(decodedToken.scope),
       iat: decodedToken.iat,
       exp: decodedToken.exp,
       aud: decodedToken.aud,
@@ -219,6 +223,35 @@ class AuthMiddleware {
     };
   }
 
+  /**
+   * Read the tenant binding claim from a token, if any
+   */
+  getTenantClaim(decodedToken) {
+    const claim = config.auth0.tenantIdClaim;
+    return claim ? decodedToken[claim] || null : null;
+  }
+
+  /**
+   * Bind the client to a tenant, either through the token's tenant claim or
+   * through a client ID registered on a tenant. Bound clients lose master access.
+   * Client IDs are only looked up for master-issued tokens, where they are unique.
+   */
+  async resolveTenantBinding(user, decodedToken) {
+    let tenantId = this.getTenantClaim(decodedToken);
+
+    if (!tenantId && this.isMasterTenant(user.tenant_domain)) {
+      const tenant = await getTenantRepository().findByApiClientId(user.client_id);
+      tenantId = tenant ? tenant.id : null;
+    }
+
+    if (tenantId) {
+      user.tenant_id = tenantId;
+      user.isMasterClient = false;
+    }
+
+    return user;
+  }
+
   /**
    * Check if tenant is the master tenant
    */
@@ -226,6 +259,13 @@ class AuthMiddleware {
     return tenantDomain === config.auth0.master.domain;
   }
 
+  /**
+   * Check if tokens issued by this domain are accepted
+   */
+  isTrustedIssuer(tenantDomain) {
+    return this.isMasterTenant(tenantDomain) || config.auth0.trustedIssuers.includes(tenantDomain);
+  }
+
   /**
    * Main authentication middleware
    */
@@ -244,11 +284,19 @@ class AuthMiddleware {
         // Determine tenant domain
         const tenantDomain = await this.determineTenantDomain(token);
 
+        // Never fetch signing keys from an issuer the token names for itself
+        if (!this.isTrustedIssuer(tenantDomain)) {
+          throw new InvalidTokenError('Untrusted token issuer');
+        }
+
         // Verify token
         const decodedToken = await this.verifyToken(token, tenantDomain);
 
         // Enhance user object
-        const user = this.enhanceUserObject(decodedToken, tenantDomain);
+        const user = await this.resolveTenantBinding(
+          this.enhanceUserObject(decodedToken, tenantDomain),
+          decodedToken
+        );
 
         // Attach user to request
         req.user = user;
@@ -258,6 +306,7 @@ class AuthMiddleware {
         logger.info('M2M Authentication successful:', {
           clientId: user.client_id,
           tenantDomain,
+          tenantId: user.tenant_id,
           scope: user.scope,
           grantType: user.gty,
         });
@@ -333,15 +382,13 @@ class AuthMiddleware {
           return next();
         }
 
-        // For M2M-only API, we primarily use master client
-        // Additional tenant-specific validation can be added here if needed
-        throw new AuthenticationError(
-          `M2M access validation failed for tenant: ${requestedTenantId}`,
-          {
+        // Tenant-bound clients can only access their own tenant
+        if (!req.user.tenant_id || req.user.tenant_id !== requestedTenantId) {
+          throw new UnauthorizedTenantAccessError(requestedTenantId, {
             clientId: req.user.client_id,
-            requestedTenantId,
-          }
-        );
+            clientTenantId: req.user.tenant_id,
+          });
+        }
 
         next();
       } catch (error) {
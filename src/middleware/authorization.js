@@ -1,16 +1,30 @@
 const logger = require('../utils/logger');
+const AuditService = require('../services/auditService');
 const {
   AuthorizationError,
   InsufficientPermissionsError,
   UnauthorizedTenantAccessError,
 } = require('../utils/errors');
 
+const auditService = new AuditService();
+
 class AuthorizationMiddleware {
   /**
-   * Check if user has required roles (Not applicable for M2M API)
-   * This method is kept for compatibility but always passes for M2M clients
+   * Split a token's `scope` claim (space-delimited string or array) into a list
    */
-  static requireRoles(requiredRoles) {
+  static parseScopes(scope) {
+    if (Array.isArray(scope)) {
+      return scope;
+    }
+    return typeof scope === 'string' ? scope.split(' ').filter(Boolean) : [];
+  }
+
+  /**
+   * Require every listed scope in the client's access token
+   */
+  static requireScopes(...requiredScopes) {
+    const scopes = requiredScopes.flat();
+
     return (req, res, next) => {
       try {
         if (!req.user) {
@@ -18,26 +32,54 @@ class AuthorizationMiddleware {
           throw new AuthenticationError('Authentication required');
         }
 
-        // For M2M API, role-based authorization is not applicable
-        // All authorization is based on master client status
-        logger.info('Role authorization skipped for M2M client:', {
-          clientId: req.user.sub,
-          isMasterClient: req.user.isMasterClient,
-        });
+        const granted = req.user.scopes || AuthorizationMiddleware.parseScopes(req.user.scope);
+        const missingScopes = scopes.filter((scope) => !granted.includes(scope));
+
+        if (missingScopes.length > 0) {
+          logger.warn('Scope authorization denied:', {
+            clientId: req.user.client_id || req.user.sub,
+            requiredScopes: scopes,
+            missingScopes,
+          });
+
+          throw new InsufficientPermissionsError(missingScopes, {
+            clientId: req.user.client_id || req.user.sub,
+            requiredScopes: scopes,
+            missingScopes,
+          });
+        }
 
         next();
       } catch (error) {
-        logger.error('Role authorization failed:', error);
+        logger.error('Scope authorization failed:', error);
         next(error);
       }
     };
   }
 
   /**
-   * Check if user has required permissions (Not applicable for M2M API)
-   * This method is kept for compatibility but always passes for M2M clients
+   * Require the listed scopes only when the request body carries one of the
+   * given fields, for routes where some fields need more than the route scope
    */
-  static requirePermissions(requiredPermissions) {
+  static requireScopesForFields(fields, ...requiredScopes) {
+    const checkScopes = AuthorizationMiddleware.requireScopes(...requiredScopes);
+
+    return (req, res, next) => {
+      const body = req.body || {};
+      if (!fields.some((field) => body[field] !== undefined)) {
+        return next();
+      }
+      return checkScopes(req, res, next);
+    };
+  }
+
+  /**
+   * Check if user has required roles.
+   * M2M tokens carry no roles, so routes should use requireScopes instead.
+   */
+  static requireRoles(requiredRoles) {
+    const roles = Array.isArray(requiredRoles) ? requiredRoles : [requiredRoles];
+
     return (req, res, next) => {
       try {
         if (!req.user) {
@@ -45,21 +87,33 @@ class AuthorizationMiddleware {
           throw new AuthenticationError('Authentication required');
         }
 
-        // For M2M API, permission-based authorization is not applicable
-        // All authorization is based on master client status
-        logger.info('Permission authorization skipped for M2M client:', {
-          clientId: req.user.sub,
-          isMasterClient: req.user.isMasterClient,
-        });
+        const userRoles = req.user.roles || [];
+        if (!roles.some((role) => userRoles.includes(role))) {
+          logger.warn('Role authorization denied:', {
+            clientId: req.user.client_id || req.user.sub,
+            requiredRoles: roles,
+          });
+
+          throw new AuthorizationError(`Required role: ${roles.join(' or ')}`, {
+            requiredRoles: roles,
+          });
+        }
 
         next();
       } catch (error) {
-        logger.error('Permission authorization failed:', error);
+        logger.error('Role authorization failed:', error);
         next(error);
       }
     };
   }
 
+  /**
+   * Check if the client has required permissions, granted as token scopes
+   */
+  static requirePermissions(requiredPermissions) {
+    return AuthorizationMiddleware.requireScopes(requiredPermissions);
+  }
+
   /**
    * Require master client access (M2M)
    */
@@ -71,10 +125,8 @@ class AuthorizationMiddleware {
           throw new AuthenticationError('Authentication required');
         }
 
-        // For M2M API, check if client is master client
-        const isMasterClient = req.user.isMasterClient || req.user.isM2M;
-
-        if (!isMasterClient) {
+        // Only clients of the master Auth0 tenant qualify
+        if (!req.user.isMasterClient) {
           logger.warn('Master client access denied:', {
             clientId: req.user.client_id || req.user.sub,
             tenantDomain: req.user.tenant_domain,
@@ -150,9 +202,9 @@ class AuthorizationMiddleware {
         const requestedTenantId = req.params[tenantIdParam];
         
         // Master admins can access any tenant
-        const isMasterAdmin = req.user.isMasterClient || req.user.isM2M || 
+        const isMasterAdmin = req.user.isMasterClient ||
                              (req.user.roles && req.user.roles.includes('master_admin'));
-        
+
         if (isMasterAdmin) {
           logger.info('Master admin tenant access granted:', {
             userId: req.user.sub,
@@ -189,8 +241,8 @@ class AuthorizationMiddleware {
   }
 
   /**
-   * Check if user can manage users (Simplified for M2M API)
-   * For M2M API, only master clients can manage users
+   * Check if user can manage users.
+   * Master clients manage any tenant; tenant-bound clients only their own.
    */
   static requireUserManagement() {
     return (req, res, next) => {
@@ -200,8 +252,7 @@ class AuthorizationMiddleware {
           throw new AuthenticationError('Authentication required');
         }
 
-        // For M2M API, only master clients can manage users
-        if (!req.user.isMasterClient) {
+        if (!req.user.isMasterClient && !req.user.tenant_id) {
           logger.warn('User management access denied for non-master client:', {
             clientId: req.user.sub,
             isMasterClient: req.user.isMasterClient,
@@ -224,8 +275,8 @@ class AuthorizationMiddleware {
   }
 
   /**
-   * Check if user can access their own profile or manage others (Simplified for M2M API)
-   * For M2M API, only master clients can access user profiles
+   * Check if user can access their own profile or manage others.
+   * Master clients access any profile; tenant-bound clients only their tenant's.
    */
   static requireSelfOrManagement(userIdParam = 'userId') {
     return (req, res, next) => {
@@ -235,8 +286,7 @@ class AuthorizationMiddleware {
           throw new AuthenticationError('Authentication required');
         }
 
-        // For M2M API, only master clients can access user profiles
-        if (!req.user.isMasterClient) {
+        if (!req.user.isMasterClient && !req.user.tenant_id) {
           logger.warn('User access denied for non-master client:', {
             clientId: req.user.sub,
             requestedUserId: req.params[userIdParam],
@@ -246,7 +296,7 @@ class AuthorizationMiddleware {
           throw new AuthorizationError('Master client access required for user profile access');
         }
 
-        logger.info('User access authorized for master client:', {
+        logger.info('User access authorized:', {
           clientId: req.user.sub,
           requestedUserId: req.params[userIdParam],
         });
@@ -259,6 +309,50 @@ class AuthorizationMiddleware {
     };
   }
 
+  /**
+   * Resolve the tenant a request acts on into `req.tenantId`.
+   * Tenant-bound clients get their tenant from the token; a tenantId in
+   * `source` (query or body) is optional for them but must match. Master
+   * clients pass tenantId explicitly.
+   */
+  static resolveTenant(source = 'query') {
+    return (req, res, next) => {
+      try {
+        if (!req.user) {
+          const { AuthenticationError } = require('../utils/errors');
+          throw new AuthenticationError('Authentication required');
+        }
+
+        const requestedTenantId = (req[source] || {}).tenantId;
+        const boundTenantId = req.user.isMasterClient ? null : req.user.tenant_id;
+
+        if (!boundTenantId) {
+          req.tenantId = requestedTenantId;
+          return next();
+        }
+
+        if (requestedTenantId && requestedTenantId !== boundTenantId) {
+          logger.warn('Cross-tenant request denied:', {
+            clientId: req.user.client_id || req.user.sub,
+            clientTenantId: boundTenantId,
+            requestedTenantId,
+          });
+
+          throw new UnauthorizedTenantAccessError(requestedTenantId, {
+            clientId: req.user.client_id || req.user.sub,
+            clientTenantId: boundTenantId,
+          });
+        }
+
+        req.tenantId = boundTenantId;
+        next();
+      } catch (error) {
+        logger.error('Tenant resolution failed:', error);
+        next(error);
+      }
+    };
+  }
+
   /**
    * Check if user can perform tenant management operations (Simplified for M2M API)
    * For M2M API, only master clients can manage tenants
@@ -359,19 +453,28 @@ class AuthorizationMiddleware {
   }
 
   /**
-   * Audit logging for sensitive operations
+   * Audit logging for sensitive operations. The entry is written once the
+   * response is sent so it can record the outcome.
    */
   static auditSensitiveOperation(operationType) {
     return (req, res, next) => {
       try {
         if (req.user) {
-          logger.audit(operationType, 'api_access', req.user, {
-            method: req.method,
-            url: req.url,
-            params: req.params,
-            query: req.query,
-            ip: req.ip,
-            userAgent: req.get('User-Agent'),
+          // Route params are gone by the time the response finishes
+          const { tenantId, userId } = req.params;
+
+          res.on('finish', () => {
+            auditService.record(operationType, 'api_access', req.user, {
+              tenantId: tenantId || req.tenantId || req.body?.tenantId,
+              userId,
+              requestId: req.id,
+              outcome: res.statusCode < 400 ? 'success' : 'failure',
+              statusCode: res.statusCode,
+              method: req.method,
+              url: req.originalUrl,
+              ip: req.ip,
+              userAgent: req.get('User-Agent'),
+            });
           });
         }
 
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getIdempotencyStore } = require('../repositories');
+const {
+  ValidationError,
+  IdempotencyKeyInProgressError,
+  IdempotencyKeyReuseError,
+} = require('../utils/errors');
+
+const HEADER = 'Idempotency-Key';
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+// Response headers restored on replay
+const REPLAYED_HEADERS = ['content-type', 'location'];
+// Responses that are not stored, so a retry with the same key runs again
+const isRetryable = (statusCode) => statusCode === 429 || statusCode >= 500;
+
+class IdempotencyMiddleware {
+  /**
+   * Identify a request by method, URL and body, so a key reused for a
+   * different request can be told apart from a retry
+   */
+  static fingerprint(req) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([req.method, req.originalUrl, req.body ?? null]))
+      .digest('hex');
+  }
+
+  /**
+   * Honor the Idempotency-Key header on mutating routes. The first response
+   * per client and key is stored for IDEMPOTENCY_TTL_SECONDS and replayed
+   * for retries; 429 and 5xx responses are not stored, so those can be retried.
+   * Goes after authentication and authorization, before validation.
+   */
+  static handle() {
+    return async (req, res, next) => {
+      const key = req.get(HEADER);
+      if (!key || !MUTATING_METHODS.includes(req.method)) {
+        return next();
+      }
+
+      try {
+        if (!KEY_PATTERN.test(key)) {
+          throw new ValidationError('Idempotency-Key must be 1-255 printable ASCII characters');
+        }
+
+        const store = getIdempotencyStore();
+        const { ttlSeconds } = config.idempotency;
+        const scopedKey = `${req.user.client_id || req.user.sub}:${key}`;
+        const fingerprint = IdempotencyMiddleware.fingerprint(req);
+
+        const existing = await store.begin(scopedKey, fingerprint, ttlSeconds);
+        if (existing) {
+          if (existing.fingerprint !== fingerprint) {
+            throw new IdempotencyKeyReuseError({ idempotencyKey: key });
+          }
+          if (existing.state !== 'completed') {
+            throw new IdempotencyKeyInProgressError({ idempotencyKey: key });
+          }
+
+          logger.info('Replaying idempotent response', {
+            idempotencyKey: key,
+            clientId: req.user.client_id,
+            url: req.originalUrl,
+          });
+
+          const { statusCode, headers, body } = existing.response;
+          Object.entries(headers).forEach(([name, value]) => res.setHeader(name, value));
+          res.setHeader('Idempotent-Replayed', 'true');
+          return res.status(statusCode).send(body);
+        }
+
+        // Record the response before it goes out, so a retry that races the
+        // reply still finds it
+        let recorded = false;
+        const send = res.send.bind(res);
+        res.send = (payload) => {
+          res.send = send;
+          recorded = true;
+          IdempotencyMiddleware.record(store, scopedKey, fingerprint, res, payload)
+            .finally(() => send(payload));
+          return res;
+        };
+
+        res.on('close', () => {
+          if (!recorded) {
+            store.release(scopedKey).catch((error) => {
+              logger.error('Failed to release idempotency key:', error);
+            });
+          }
+        });
+
+        return next();
+      } catch (error) {
+        return next(error);
+      }
+    };
+  }
+
+  static async record(store, scopedKey, fingerprint, res, payload) {
+    try {
+      if (isRetryable(res.statusCode)) {
+        await store.release(scopedKey);
+        return;
+      }
+
+      const isObject = payload && typeof payload === 'object' && !Buffer.isBuffer(payload);
+      const headers = {};
+      REPLAYED_HEADERS.forEach((name) => {
+        const value = res.getHeader(name);
+        if (value !== undefined) {
+          headers[name] = value;
+        }
+      });
+      if (isObject && !headers['content-type']) {
+        headers['content-type'] = 'application/json; charset=utf-8';
+      }
+
+      let body = payload;
+      if (Buffer.isBuffer(payload)) {
+        body = payload.toString('utf8');
+      } else if (isObject) {
+        body = JSON.stringify(payload);
+      }
+
+      await store.complete(scopedKey, fingerprint, {
+        statusCode: res.statusCode,
+        headers,
+        body: body ?? '',
+      }, config.idempotency.ttlSeconds);
+    } catch (error) {
+      logger.error('Failed to store idempotent response:', error);
+    }
+  }
+}
+
+module.exports = IdempotencyMiddleware;
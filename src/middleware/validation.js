@@ -1,6 +1,8 @@
 const Joi = require('joi');
+const config = require('../config');
 const logger = require('../utils/logger');
 const { ValidationError } = require('../utils/errors');
+const WebhookService = require('../services/webhookService');
 
 class ValidationMiddleware {
   /**
@@ -34,7 +36,7 @@ class ValidationMiddleware {
         }
 
         // Replace req.body with validated and sanitized data
-        Object.assign(req.body, value);
+        req.body = Object.assign(req.body || {}, value);
         next();
       } catch (err) {
         next(err);
@@ -145,7 +147,7 @@ class ValidationMiddleware {
               value: detail.context?.value,
             })));
           } else {
-            Object.assign(req.body, value);
+            req.body = Object.assign(req.body || {}, value);
           }
         }
 
@@ -165,7 +167,8 @@ class ValidationMiddleware {
               value: detail.context?.value,
             })));
           } else {
-            req.query = value;
+            // req.query is read-only in Express 5
+            Object.assign(req.query, value);
           }
         }
 
@@ -210,6 +213,31 @@ class ValidationMiddleware {
 }
 
 // Common validation schemas
+// Tenant branding shown on the Universal Login page. Auth0 keeps client
+// metadata values to 255 characters. A null value removes the field.
+const hexColor = Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).messages({
+  'string.pattern.base': 'Colors must be hex values such as #0059d6',
+});
+const tenantBranding = Joi.object({
+  logoUrl: Joi.string().uri({ scheme: ['https'] }).max(255).allow(null),
+  colors: Joi.object({
+    primary: hexColor.required(),
+    pageBackground: hexColor.required(),
+  }).allow(null),
+  loginText: Joi.object({
+    title: Joi.string().trim().max(100).allow(null),
+    description: Joi.string().trim().max(255).allow(null),
+  }).min(1).allow(null),
+}).min(1);
+
+// User app_metadata from clients. The API writes the tenant, roles and
+// waitlist keys itself; a client setting them could move users between tenants.
+const userAppMetadata = Joi.object({
+  tenant_id: Joi.any().forbidden(),
+  roles: Joi.any().forbidden(),
+  seat_waitlisted: Joi.any().forbidden(),
+}).unknown(true);
+
 const ValidationSchemas = {
   // Pagination schemas
   pagination: Joi.object({
@@ -238,14 +266,17 @@ const ValidationSchemas = {
         'string.pattern.base': 'Domain must contain only lowercase letters, numbers, and hyphens',
         'any.required': 'Domain is required',
       }),
-    seatLimit: Joi.number().integer().min(1).max(10000).default(10),
-    plan: Joi.string().valid('basic', 'standard', 'premium', 'enterprise').default('standard'),
+    // Seat limit and self-registration default from the plan
+    seatLimit: Joi.number().integer().min(1).max(10000).optional(),
+    plan: Joi.string().valid(...Object.keys(config.plans.catalog)).default(config.plans.default),
     industry: Joi.string().trim().max(50).optional(),
     contactEmail: Joi.string().email().optional(),
-    allowUserRegistration: Joi.boolean().default(true),
+    allowUserRegistration: Joi.boolean().optional(),
     requireEmailVerification: Joi.boolean().default(true),
     enableMFA: Joi.boolean().default(false),
     sessionTimeout: Joi.number().integer().min(1).max(168).default(24), // hours
+    connections: Joi.array().items(Joi.string().trim().min(1)).min(1).unique().optional(),
+    apiClientIds: Joi.array().items(Joi.string().trim().min(1)).unique().optional(),
     metadata: Joi.object().optional(),
   }),
 
@@ -253,19 +284,33 @@ const ValidationSchemas = {
     name: Joi.string().trim().min(2).max(100).optional(),
     seatLimit: Joi.number().integer().min(1).max(10000).optional(),
     status: Joi.string().valid('active', 'inactive', 'suspended').optional(),
-    plan: Joi.string().valid('basic', 'standard', 'premium', 'enterprise').optional(),
+    plan: Joi.string().valid(...Object.keys(config.plans.catalog)).optional(),
     industry: Joi.string().trim().max(50).optional(),
     contactEmail: Joi.string().email().optional(),
     allowUserRegistration: Joi.boolean().optional(),
     requireEmailVerification: Joi.boolean().optional(),
     enableMFA: Joi.boolean().optional(),
     sessionTimeout: Joi.number().integer().min(1).max(168).optional(),
+    seatAlertThresholds: Joi.array().items(Joi.number().integer().min(1).max(100)).max(10).unique().optional(),
+    seatOverage: Joi.object({
+      policy: Joi.string().valid('hard', 'soft', 'waitlist').required(),
+      softCapPercentage: Joi.number().integer().min(1).max(100).optional(),
+      gracePeriodDays: Joi.number().integer().min(1).max(365).optional(),
+    }).optional(),
+    seatRules: Joi.object({
+      excludeBlocked: Joi.boolean().optional(),
+      excludeNonBillable: Joi.boolean().optional(),
+      internalDomains: Joi.array().items(Joi.string().domain().lowercase()).unique().optional(),
+    }).min(1).optional(),
+    branding: tenantBranding.optional(),
+    connections: Joi.array().items(Joi.string().trim().min(1)).min(1).unique().optional(),
+    apiClientIds: Joi.array().items(Joi.string().trim().min(1)).unique().optional(),
     metadata: Joi.object().optional(),
   }).min(1),
 
   // User schemas
   createUser: Joi.object({
-    tenantId: Joi.string().required(), // Required for M2M API
+    tenantId: Joi.string().optional(), // Master clients only; tenant-bound clients use their token
     email: Joi.string().email().required()
       .messages({
         'string.email': 'Please provide a valid email address',
@@ -283,17 +328,18 @@ const ValidationSchemas = {
         'string.pattern.base': 'Password must contain at least one lowercase letter, one uppercase letter, and one number',
       }),
     roles: Joi.array().items(Joi.string().valid('user', 'admin', 'tenant_admin', 'user_manager')).default(['user']),
-    email_verified: Joi.boolean().default(false), // Fix field name to match Auth0
-    emailVerified: Joi.boolean().default(false), // Keep both for compatibility
+    // Left unset so a tenant requiring verification sends the verification email
+    email_verified: Joi.boolean().optional(), // Fix field name to match Auth0
+    emailVerified: Joi.boolean().optional(), // Keep both for compatibility
     connection: Joi.string().default('Username-Password-Authentication'),
     user_metadata: Joi.object().optional(), // Fix field name to match Auth0
     metadata: Joi.object().optional(), // Keep both for compatibility
-    app_metadata: Joi.object().optional(), // Fix field name to match Auth0
-    appMetadata: Joi.object().optional(), // Keep both for compatibility
+    app_metadata: userAppMetadata.optional(), // Fix field name to match Auth0
+    appMetadata: userAppMetadata.optional(), // Keep both for compatibility
   }),
 
   updateUser: Joi.object({
-    tenantId: Joi.string().required(), // Required for M2M API
+    tenantId: Joi.string().optional(), // Master clients only; tenant-bound clients use their token
     name: Joi.string().trim().min(2).max(100).optional(),
     email: Joi.string().email().optional(),
     password: Joi.string().min(8).max(128).optional()
@@ -305,7 +351,7 @@ const ValidationSchemas = {
     blocked: Joi.boolean().optional(),
     emailVerified: Joi.boolean().optional(),
     metadata: Joi.object().optional(),
-    appMetadata: Joi.object().optional(),
+    appMetadata: userAppMetadata.optional(),
   }).min(1),
 
   // Parameter schemas
@@ -328,13 +374,13 @@ const ValidationSchemas = {
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(10),
     search: Joi.string().trim().max(100).optional(),
-    status: Joi.string().valid('active', 'inactive', 'suspended').optional(),
+    status: Joi.string().valid('active', 'inactive', 'suspended', 'provisioning', 'pending_deletion').optional(),
     sortBy: Joi.string().valid('name', 'createdAt', 'updatedAt', 'seatUsed').default('createdAt'),
     sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
   }),
 
   userListQuery: Joi.object({
-    tenantId: Joi.string().required(), // Required for M2M API
+    tenantId: Joi.string().optional(), // Master clients only; tenant-bound clients use their token
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(10),
     search: Joi.string().trim().max(100).optional(),
@@ -344,9 +390,19 @@ const ValidationSchemas = {
     sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
   }),
 
+  auditQuery: Joi.object({
+    tenantId: Joi.string().optional(),
+    actor: Joi.string().optional(),
+    action: Joi.string().optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+  }),
+
   // Role management schemas
   updateUserRoles: Joi.object({
-    tenantId: Joi.string().required(), // Required for M2M API
+    tenantId: Joi.string().optional(), // Master clients only; tenant-bound clients use their token
     roles: Joi.array().items(Joi.string().valid('user', 'admin', 'tenant_admin', 'user_manager')).min(1).required()
       .messages({
         'array.min': 'At least one role must be specified',
@@ -354,6 +410,20 @@ const ValidationSchemas = {
       }),
   }),
 
+  // Verification email and password reset schemas
+  sendVerificationEmail: Joi.object({
+    tenantId: Joi.string().optional(), // Master clients only; tenant-bound clients use their token
+  }),
+
+  passwordReset: Joi.object({
+    tenantId: Joi.string().optional(), // Master clients only; tenant-bound clients use their token
+    resultUrl: Joi.string().uri({ scheme: ['https'] }).max(255).optional()
+      .messages({
+        'string.uriCustomScheme': 'Result URL must be an https URL',
+      }),
+    expiresInHours: Joi.number().integer().min(1).max(168).default(24),
+  }),
+
   // Seat management schemas
   updateSeatLimit: Joi.object({
     seatLimit: Joi.number().integer().min(1).max(10000).required()
@@ -363,6 +433,180 @@ const ValidationSchemas = {
         'any.required': 'Seat limit is required',
       }),
   }),
+
+  seatHistoryQuery: Joi.object({
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional(),
+    interval: Joi.string().valid('day', 'week', 'month').default('day'),
+  }),
+
+  reconcileSeats: Joi.object({
+    correct: Joi.boolean().default(false),
+  }),
+
+  deleteTenantQuery: Joi.object({
+    force: Joi.boolean().default(false), // Purge now instead of after the retention window
+    cascade: Joi.boolean().default(false), // Also delete the tenant's users
+  }),
+
+  provisioningAction: Joi.object({
+    action: Joi.string().valid('resume', 'rollback').required()
+      .messages({
+        'any.only': 'Action must be either resume or rollback',
+      }),
+  }),
+
+  // Auth0 connection names: letters, digits and inner hyphens
+  createConnection: Joi.object({
+    name: Joi.string().pattern(/^[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,126}[a-zA-Z0-9])?$/).required()
+      .messages({
+        'string.pattern.base': 'Connection name may only contain letters, digits and hyphens',
+      }),
+    type: Joi.string().valid('database', 'passwordless', 'saml', 'oidc').required(),
+    enabled: Joi.boolean().default(true),
+    options: Joi.when('type', {
+      switch: [
+        {
+          is: 'database',
+          then: Joi.object({
+            passwordPolicy: Joi.string().valid('none', 'low', 'fair', 'good', 'excellent').optional(),
+          }).default({}),
+        },
+        {
+          is: 'passwordless',
+          then: Joi.object({
+            channel: Joi.string().valid('email', 'sms').default('email'),
+            from: Joi.string().when('channel', { is: 'sms', then: Joi.required() }),
+            twilioSid: Joi.string().when('channel', { is: 'sms', then: Joi.required() }),
+            twilioToken: Joi.string().when('channel', { is: 'sms', then: Joi.required() }),
+          }).default({ channel: 'email' }),
+        },
+        {
+          is: 'saml',
+          then: Joi.object({
+            signInEndpoint: Joi.string().uri({ scheme: ['https'] }).required(),
+            signOutEndpoint: Joi.string().uri({ scheme: ['https'] }).optional(),
+            signingCert: Joi.string().required(),
+            domainAliases: Joi.array().items(Joi.string().domain()).unique().optional(),
+          }).required(),
+        },
+        {
+          is: 'oidc',
+          then: Joi.object({
+            issuer: Joi.string().uri({ scheme: ['https'] }).required(),
+            clientId: Joi.string().required(),
+            clientSecret: Joi.string().required(),
+            scopes: Joi.string().optional(),
+            domainAliases: Joi.array().items(Joi.string().domain()).unique().optional(),
+          }).required(),
+        },
+      ],
+    }),
+  }),
+
+  connectionParams: Joi.object({
+    tenantId: Joi.string().required(),
+    connectionName: Joi.string().required(),
+  }),
+
+  // Invitation schemas
+  createInvitation: Joi.object({
+    email: Joi.string().email().required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'any.required': 'Email is required',
+      }),
+    name: Joi.string().trim().min(2).max(100).optional(),
+    roles: Joi.array().items(Joi.string().valid('user', 'admin', 'tenant_admin', 'user_manager')).default(['user']),
+    connection: Joi.string().optional(),
+    expiresInHours: Joi.number().integer().min(1).max(720).optional(),
+    metadata: Joi.object().optional(),
+    appMetadata: userAppMetadata.optional(),
+  }),
+
+  resendInvitation: Joi.object({
+    expiresInHours: Joi.number().integer().min(1).max(720).optional(),
+  }),
+
+  invitationListQuery: Joi.object({
+    status: Joi.string().valid('pending', 'accepted', 'expired', 'revoked').optional(),
+  }),
+
+  invitationParams: Joi.object({
+    tenantId: Joi.string().required(),
+    invitationId: Joi.string().required(),
+  }),
+
+  userImportQuery: Joi.object({
+    atomic: Joi.boolean().default(false),
+    background: Joi.boolean().optional(),
+  }),
+
+  userExportQuery: Joi.object({
+    format: Joi.string().valid('csv', 'json', 'ndjson').default('csv'),
+    columns: Joi.string().max(2000).optional(), // Comma-separated, e.g. email,roles,metadata.department
+  }),
+
+  importJobParams: Joi.object({
+    tenantId: Joi.string().required(),
+    jobId: Joi.string().required(),
+  }),
+
+  // Webhook schemas
+  createWebhook: Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).required()
+      .messages({
+        'string.uri': 'Webhook URL must be an http or https URL',
+        'any.required': 'Webhook URL is required',
+      }),
+    events: Joi.array().items(Joi.string().valid(...WebhookService.EVENTS)).min(1).unique()
+      .required()
+      .messages({
+        'array.min': 'At least one event must be specified',
+        'any.required': 'Events are required',
+      }),
+    tenantId: Joi.string().optional(),
+    description: Joi.string().trim().max(500).optional(),
+    active: Joi.boolean().default(true),
+  }),
+
+  updateWebhook: Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).optional(),
+    events: Joi.array().items(Joi.string().valid(...WebhookService.EVENTS)).min(1).unique()
+      .optional(),
+    tenantId: Joi.string().allow(null).optional(),
+    description: Joi.string().trim().max(500).allow(null).optional(),
+    active: Joi.boolean().optional(),
+  }).min(1),
+
+  webhookListQuery: Joi.object({
+    tenantId: Joi.string().optional(),
+    subscriptionId: Joi.string().optional(),
+  }),
+
+  subscriptionIdParam: Joi.object({
+    subscriptionId: Joi.string().required(),
+  }),
+
+  deadLetterIdParam: Joi.object({
+    deadLetterId: Joi.string().required(),
+  }),
+
+  // Seat alert schemas
+  alertListQuery: Joi.object({
+    tenantId: Joi.string().optional(),
+    status: Joi.string().valid('open', 'acknowledged').optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(200).default(50),
+  }),
+
+  alertIdParam: Joi.object({
+    alertId: Joi.string().required(),
+  }),
+
+  acknowledgeAlert: Joi.object({
+    note: Joi.string().trim().max(500).optional(),
+  }),
 };
 
 module.exports = {
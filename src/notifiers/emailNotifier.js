@@ -0,0 +1,51 @@
+/**
+ * Emails alerts over SMTP (requires the nodemailer package). In development
+ * the SMTP URL points at a local stand-in such as MailHog.
+ */
+class EmailNotifier {
+  constructor({ smtpUrl, from, to }) {
+    this.smtpUrl = smtpUrl;
+    this.from = from;
+    this.to = to;
+    this.transport = null;
+  }
+
+  get channel() {
+    return 'email';
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      let nodemailer;
+      try {
+        nodemailer = require('nodemailer');
+      } catch (error) {
+        throw new Error('Email alerts require the optional "nodemailer" package. Run: npm install nodemailer');
+      }
+      this.transport = nodemailer.createTransport(this.smtpUrl);
+    }
+    return this.transport;
+  }
+
+  async send(alert) {
+    if (this.to.length === 0) {
+      throw new Error('ALERT_EMAIL_TO is not set');
+    }
+
+    await this.getTransport().sendMail({
+      from: this.from,
+      to: this.to.join(', '),
+      subject: `[Seat alert] ${alert.tenantId}: ${alert.utilizationPercentage}% of seats in use`,
+      text: [
+        alert.message,
+        '',
+        `Tenant: ${alert.tenantId}`,
+        `Seats: ${alert.seatUsed} of ${alert.seatLimit}`,
+        `Threshold: ${alert.threshold}% (${alert.direction})`,
+        `Alert: ${alert.id}`,
+      ].join('\n'),
+    });
+  }
+}
+
+module.exports = EmailNotifier;
@@ -0,0 +1,32 @@
+const axios = require('axios');
+
+/**
+ * POSTs alerts as JSON to a generic HTTP endpoint (chat integrations,
+ * incident tools)
+ */
+class HttpNotifier {
+  constructor({ url, timeoutMs }) {
+    this.url = url;
+    this.timeoutMs = timeoutMs;
+  }
+
+  get channel() {
+    return 'webhook';
+  }
+
+  async send(alert) {
+    if (!this.url) {
+      throw new Error('ALERT_WEBHOOK_URL is not set');
+    }
+
+    await axios.post(this.url, alert, {
+      timeout: this.timeoutMs,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'auth0-proxy-api-alerts',
+      },
+    });
+  }
+}
+
+module.exports = HttpNotifier;
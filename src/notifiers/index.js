@@ -0,0 +1,49 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const LogNotifier = require('./logNotifier');
+const EmailNotifier = require('./emailNotifier');
+const HttpNotifier = require('./httpNotifier');
+
+let sharedNotifiers = null;
+
+/**
+ * Create the notifiers for the configured alert channels: log, email
+ * (SMTP) and webhook (HTTP POST)
+ */
+const createNotifiers = (channels = []) => channels.map((channel) => {
+  switch (channel) {
+    case 'log':
+      return new LogNotifier();
+    case 'email':
+      return new EmailNotifier(config.alerts.email);
+    case 'webhook':
+      return new HttpNotifier(config.alerts.webhook);
+    default:
+      throw new Error(`Unsupported alert channel "${channel}". Use log, email or webhook`);
+  }
+});
+
+/**
+ * Process-wide notifiers selected by config.alerts.channels
+ */
+const getNotifiers = () => {
+  if (!sharedNotifiers) {
+    const { channels } = config.alerts || {};
+    sharedNotifiers = createNotifiers(channels || ['log']);
+    logger.info(`Alert notifiers initialized (${sharedNotifiers.map((notifier) => notifier.channel).join(', ')})`);
+  }
+  return sharedNotifiers;
+};
+
+/**
+ * Replace the shared notifiers (tests and tooling)
+ */
+const setNotifiers = (notifiers) => {
+  sharedNotifiers = notifiers;
+};
+
+module.exports = {
+  createNotifiers,
+  getNotifiers,
+  setNotifiers,
+};
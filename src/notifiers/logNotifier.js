@@ -0,0 +1,21 @@
+const logger = require('../utils/logger');
+
+/**
+ * Writes alerts to the application log
+ */
+class LogNotifier {
+  get channel() {
+    return 'log';
+  }
+
+  async send(alert) {
+    logger.warn(`Seat alert for tenant ${alert.tenantId}: ${alert.message}`, {
+      alertId: alert.id,
+      threshold: alert.threshold,
+      direction: alert.direction,
+      utilizationPercentage: alert.utilizationPercentage,
+    });
+  }
+}
+
+module.exports = LogNotifier;
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { appendLineDurable, readJsonLines } = require('../utils/atomicFile');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+const hashEntry = (entry) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ ...entry, hash: undefined }))
+  .digest('hex');
+
+/**
+ * Append-only audit log stored as JSON lines.
+ *
+ * Each entry carries the hash of the previous one (`prevHash`) and its own
+ * hash over its content, so any edit, removal or reordering of past entries
+ * breaks the chain and is reported by verify(). Entries are flushed to disk
+ * before append() resolves. Without a file path the log is kept in memory.
+ */
+class AuditLogRepository {
+  constructor({ filePath = null } = {}) {
+    this.filePath = filePath;
+    this.entries = [];
+    this.lastHash = GENESIS_HASH;
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  get kind() {
+    return this.filePath ? 'jsonl' : 'memory';
+  }
+
+  async init() {
+    if (!this.loading) {
+      this.loading = this.load();
+    }
+    return this.loading;
+  }
+
+  async load() {
+    if (!this.filePath) {
+      return;
+    }
+
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+      const { entries, torn } = await readJsonLines(this.filePath);
+      if (torn) {
+        // Cut from the file so new entries continue the chain on a fresh line
+        logger.warn(`Dropped incomplete audit entry in ${this.filePath}`);
+      }
+      this.entries = entries;
+
+      if (this.entries.length > 0) {
+        this.lastHash = this.entries[this.entries.length - 1].hash;
+      }
+      logger.info(`Loaded ${this.entries.length} audit entries from ${this.filePath}`);
+    } catch (error) {
+      logger.error('Failed to load audit log:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Chain and persist one entry. Appends are serialized so the chain
+   * follows write order.
+   */
+  async append(record) {
+    await this.init();
+
+    const run = this.writeQueue.then(async () => {
+      const entry = {
+        seq: this.entries.length + 1,
+        ...record,
+        prevHash: this.lastHash,
+      };
+      entry.hash = hashEntry(entry);
+
+      if (this.filePath) {
+        await appendLineDurable(this.filePath, JSON.stringify(entry));
+      }
+
+      this.entries.push(entry);
+      this.lastHash = entry.hash;
+      return entry;
+    });
+
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Filter entries, newest first
+   */
+  async query({ tenantId, actor, action, from, to, page = 1, limit = 50 } = {}) {
+    await this.init();
+
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    const matches = this.entries.filter((entry) => {
+      const time = new Date(entry.timestamp).getTime();
+      return (!tenantId || entry.tenantId === tenantId)
+        && (!actor || entry.actor.clientId === actor || entry.actor.id === actor)
+        && (!action || entry.action === action)
+        && (fromTime === null || time >= fromTime)
+        && (toTime === null || time <= toTime);
+    }).reverse();
+
+    const start = (page - 1) * limit;
+    return {
+      entries: matches.slice(start, start + limit),
+      total: matches.length,
+    };
+  }
+
+  /**
+   * Recompute the hash chain. Returns the first broken sequence number, if any.
+   */
+  async verify() {
+    await this.init();
+
+    let prevHash = GENESIS_HASH;
+    for (const entry of this.entries) {
+      if (entry.prevHash !== prevHash || hashEntry(entry) !== entry.hash) {
+        return { valid: false, entries: this.entries.length, brokenAt: entry.seq };
+      }
+      prevHash = entry.hash;
+    }
+
+    return { valid: true, entries: this.entries.length, brokenAt: null };
+  }
+
+  async close() {
+    await this.writeQueue;
+  }
+}
+
+module.exports = AuditLogRepository;
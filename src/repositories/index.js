@@ -0,0 +1,265 @@
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const JsonTenantRepository = require('./jsonTenantRepository');
+const SqliteTenantRepository = require('./sqliteTenantRepository');
+const AuditLogRepository = require('./auditLogRepository');
+const JsonDocumentStore = require('./jsonDocumentStore');
+const SqliteDocumentStore = require('./sqliteDocumentStore');
+const LocalIdempotencyStore = require('./localIdempotencyStore');
+const RedisIdempotencyStore = require('./redisIdempotencyStore');
+
+const DEFAULT_JSON_FILE = 'data/tenants.json';
+const LEGACY_SEAT_FILE = 'data/tenant-seats.json';
+const DEFAULT_AUDIT_FILE = 'data/audit.jsonl';
+const DEFAULT_IDEMPOTENCY_FILE = 'data/idempotency.json';
+
+let sharedRepository = null;
+let sharedAuditLog = null;
+let sharedDocumentStore = null;
+let sharedIdempotencyStore = null;
+
+/**
+ * Resolve the storage location for DATABASE_URL.
+ *
+ * Supported forms:
+ *   memory:                  in-process only (default under NODE_ENV=test)
+ *   file:./data/tenants.json JSON document (default)
+ *   sqlite:./data/tenants.db SQLite database (requires better-sqlite3)
+ */
+const parseDatabaseUrl = (url) => {
+  if (!url) {
+    return process.env.NODE_ENV === 'test'
+      ? { kind: 'memory' }
+      : { kind: 'json', location: DEFAULT_JSON_FILE };
+  }
+
+  const match = url.match(/^([a-z0-9+]+):(?:\/\/)?(.*)$/i);
+  if (!match) {
+    // A bare path is treated as a JSON document
+    return { kind: 'json', location: url };
+  }
+
+  const [, scheme, location] = match;
+  switch (scheme.toLowerCase()) {
+    case 'memory':
+      return { kind: 'memory' };
+    case 'file':
+    case 'json':
+      return { kind: 'json', location: location || DEFAULT_JSON_FILE };
+    case 'sqlite':
+    case 'sqlite3':
+      return { kind: 'sqlite', location };
+    default:
+      throw new Error(`Unsupported DATABASE_URL scheme "${scheme}". Use memory:, file: or sqlite:`);
+  }
+};
+
+/**
+ * Create a tenant repository for the given database URL
+ */
+const createTenantRepository = (url) => {
+  const { kind, location } = parseDatabaseUrl(url);
+
+  switch (kind) {
+    case 'memory':
+      return new JsonTenantRepository();
+    case 'sqlite':
+      return new SqliteTenantRepository({
+        filePath: location === ':memory:' ? location : path.resolve(process.cwd(), location),
+      });
+    default:
+      return new JsonTenantRepository({
+        filePath: path.resolve(process.cwd(), location),
+        legacySeatFile: path.resolve(process.cwd(), LEGACY_SEAT_FILE),
+      });
+  }
+};
+
+/**
+ * Process-wide repository selected by config.database.url. Services are
+ * instantiated per route module, so they must share one store.
+ */
+const getTenantRepository = () => {
+  if (!sharedRepository) {
+    const { url } = config.database || {};
+    sharedRepository = createTenantRepository(url);
+    logger.info(`Tenant repository initialized (${sharedRepository.kind})`);
+  }
+  return sharedRepository;
+};
+
+/**
+ * Replace the shared repository (tests and tooling)
+ */
+const setTenantRepository = (repository) => {
+  sharedRepository = repository;
+};
+
+/**
+ * Create the audit log for AUDIT_LOG_URL: memory: or file:<path>.jsonl.
+ * Defaults to memory under NODE_ENV=test and data/audit.jsonl otherwise.
+ */
+const createAuditLogRepository = (url) => {
+  if (!url) {
+    return process.env.NODE_ENV === 'test'
+      ? new AuditLogRepository()
+      : new AuditLogRepository({ filePath: path.resolve(process.cwd(), DEFAULT_AUDIT_FILE) });
+  }
+
+  const match = url.match(/^([a-z0-9+]+):(?:\/\/)?(.*)$/i);
+  const scheme = match ? match[1].toLowerCase() : 'file';
+  const location = match ? match[2] : url;
+
+  switch (scheme) {
+    case 'memory':
+      return new AuditLogRepository();
+    case 'file':
+      return new AuditLogRepository({
+        filePath: path.resolve(process.cwd(), location || DEFAULT_AUDIT_FILE),
+      });
+    default:
+      throw new Error(`Unsupported AUDIT_LOG_URL scheme "${scheme}". Use memory: or file:`);
+  }
+};
+
+/**
+ * Process-wide audit log selected by config.audit.url
+ */
+const getAuditLogRepository = () => {
+  if (!sharedAuditLog) {
+    const { url } = config.audit || {};
+    sharedAuditLog = createAuditLogRepository(url);
+    logger.info(`Audit log initialized (${sharedAuditLog.kind})`);
+  }
+  return sharedAuditLog;
+};
+
+/**
+ * Replace the shared audit log (tests and tooling)
+ */
+const setAuditLogRepository = (repository) => {
+  sharedAuditLog = repository;
+};
+
+/**
+ * Create the store for other documents (webhook subscriptions and so on)
+ * next to the tenant store: JSON files in a `collections` directory beside
+ * the tenant file, a table in the same SQLite database, or memory.
+ */
+const createDocumentStore = (url) => {
+  const { kind, location } = parseDatabaseUrl(url);
+
+  switch (kind) {
+    case 'memory':
+      return new JsonDocumentStore();
+    case 'sqlite':
+      return new SqliteDocumentStore({
+        filePath: location === ':memory:' ? location : path.resolve(process.cwd(), location),
+      });
+    default:
+      return new JsonDocumentStore({
+        directory: path.join(path.dirname(path.resolve(process.cwd(), location)), 'collections'),
+      });
+  }
+};
+
+/**
+ * Process-wide document store selected by config.database.url
+ */
+const getDocumentStore = () => {
+  if (!sharedDocumentStore) {
+    const { url } = config.database || {};
+    sharedDocumentStore = createDocumentStore(url);
+    logger.info(`Document store initialized (${sharedDocumentStore.kind})`);
+  }
+  return sharedDocumentStore;
+};
+
+/**
+ * Replace the shared document store (tests and tooling)
+ */
+const setDocumentStore = (store) => {
+  sharedDocumentStore = store;
+};
+
+/**
+ * Create the Idempotency-Key store for IDEMPOTENCY_STORE_URL: memory:,
+ * file:<path> or redis: (REDIS_URL; a full redis:// URL also works).
+ * Defaults to Redis when REDIS_URL is set and the redis package is
+ * installed, memory under NODE_ENV=test and data/idempotency.json otherwise.
+ * An explicit redis: URL without the package is a startup error.
+ */
+const createIdempotencyStore = (url) => {
+  const redisUrl = config.redis && config.redis.url;
+
+  if (!url) {
+    if (process.env.NODE_ENV === 'test') {
+      return new LocalIdempotencyStore();
+    }
+    if (redisUrl && RedisIdempotencyStore.isAvailable()) {
+      return new RedisIdempotencyStore({ url: redisUrl });
+    }
+    if (redisUrl) {
+      logger.warn('REDIS_URL is set but the redis package is not installed; keeping idempotency records in a local file');
+    }
+    return new LocalIdempotencyStore({ filePath: path.resolve(process.cwd(), DEFAULT_IDEMPOTENCY_FILE) });
+  }
+
+  const match = url.match(/^([a-z0-9+]+):(?:\/\/)?(.*)$/i);
+  const scheme = match ? match[1].toLowerCase() : 'file';
+  const location = match ? match[2] : url;
+
+  switch (scheme) {
+    case 'memory':
+      return new LocalIdempotencyStore();
+    case 'file':
+      return new LocalIdempotencyStore({
+        filePath: path.resolve(process.cwd(), location || DEFAULT_IDEMPOTENCY_FILE),
+      });
+    case 'redis':
+    case 'rediss':
+      if (!location && !redisUrl) {
+        throw new Error('IDEMPOTENCY_STORE_URL=redis: needs REDIS_URL');
+      }
+      RedisIdempotencyStore.assertAvailable();
+      return new RedisIdempotencyStore({ url: location ? url : redisUrl });
+    default:
+      throw new Error(`Unsupported IDEMPOTENCY_STORE_URL scheme "${scheme}". Use memory:, file: or redis:`);
+  }
+};
+
+/**
+ * Process-wide Idempotency-Key store selected by config.idempotency.url
+ */
+const getIdempotencyStore = () => {
+  if (!sharedIdempotencyStore) {
+    const { url } = config.idempotency || {};
+    sharedIdempotencyStore = createIdempotencyStore(url);
+    logger.info(`Idempotency store initialized (${sharedIdempotencyStore.kind})`);
+  }
+  return sharedIdempotencyStore;
+};
+
+/**
+ * Replace the shared Idempotency-Key store (tests and tooling)
+ */
+const setIdempotencyStore = (store) => {
+  sharedIdempotencyStore = store;
+};
+
+module.exports = {
+  parseDatabaseUrl,
+  createTenantRepository,
+  getTenantRepository,
+  setTenantRepository,
+  createAuditLogRepository,
+  getAuditLogRepository,
+  setAuditLogRepository,
+  createDocumentStore,
+  getDocumentStore,
+  setDocumentStore,
+  createIdempotencyStore,
+  getIdempotencyStore,
+  setIdempotencyStore,
+};
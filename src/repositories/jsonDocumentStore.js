@@ -0,0 +1,135 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { writeFileAtomic } = require('../utils/atomicFile');
+
+const clone = (doc) => JSON.parse(JSON.stringify(doc));
+
+/**
+ * One named collection of JSON documents keyed by ID, stored as a single
+ * file that is rewritten atomically on every change. Suited to small,
+ * rarely written collections (subscriptions, dead letters); without a file
+ * path the collection lives in memory.
+ */
+class JsonCollection {
+  constructor(name, filePath = null) {
+    this.name = name;
+    this.filePath = filePath;
+    this.docs = new Map();
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  async init() {
+    if (!this.loading) {
+      this.loading = this.load();
+    }
+    return this.loading;
+  }
+
+  async load() {
+    if (!this.filePath) {
+      return;
+    }
+
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf8');
+      const data = raw.trim() ? JSON.parse(raw) : {};
+      Object.entries(data).forEach(([id, doc]) => this.docs.set(id, doc));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to load ${this.name} collection:`, error);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Apply a change in memory and persist the collection. The change is
+   * rolled back if the write fails.
+   */
+  async commit(id, doc) {
+    const previous = this.docs.get(id);
+    if (doc) {
+      this.docs.set(id, clone(doc));
+    } else {
+      this.docs.delete(id);
+    }
+
+    if (!this.filePath) {
+      return;
+    }
+
+    const run = this.writeQueue.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await writeFileAtomic(this.filePath, JSON.stringify(Object.fromEntries(this.docs), null, 2));
+    });
+    this.writeQueue = run.catch(() => {});
+
+    try {
+      await run;
+    } catch (error) {
+      if (previous) {
+        this.docs.set(id, previous);
+      } else {
+        this.docs.delete(id);
+      }
+      throw error;
+    }
+  }
+
+  async get(id) {
+    await this.init();
+    const doc = this.docs.get(id);
+    return doc ? clone(doc) : null;
+  }
+
+  async list(predicate = () => true) {
+    await this.init();
+    return Array.from(this.docs.values()).filter(predicate).map(clone);
+  }
+
+  async put(id, doc) {
+    await this.init();
+    await this.commit(id, doc);
+    return this.get(id);
+  }
+
+  async remove(id) {
+    await this.init();
+    const existed = this.docs.has(id);
+    if (existed) {
+      await this.commit(id, null);
+    }
+    return existed;
+  }
+}
+
+/**
+ * Document collections kept as `<directory>/<name>.json`, or in memory when
+ * no directory is given
+ */
+class JsonDocumentStore {
+  constructor({ directory = null } = {}) {
+    this.directory = directory;
+    this.collections = new Map();
+  }
+
+  get kind() {
+    return this.directory ? 'json' : 'memory';
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      const filePath = this.directory ? path.join(this.directory, `${name}.json`) : null;
+      this.collections.set(name, new JsonCollection(name, filePath));
+    }
+    return this.collections.get(name);
+  }
+
+  async close() {
+    await Promise.all(Array.from(this.collections.values()).map((collection) => collection.writeQueue));
+  }
+}
+
+module.exports = JsonDocumentStore;
@@ -0,0 +1,369 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { TenantAlreadyExistsError } = require('../utils/errors');
+const { writeFileAtomic, appendLineDurable, readJsonLines } = require('../utils/atomicFile');
+const {
+  reviveTenant,
+  reviveSeats,
+  cloneTenant,
+  cloneSeats,
+  mergeSeats,
+} = require('./records');
+
+const SNAPSHOT_VERSION = 2;
+const DEFAULT_COMPACT_EVERY = 100;
+
+/**
+ * Tenant repository backed by a single JSON document.
+ *
+ * Tenant records and seat counters live in the same file so that both are
+ * always read from, and written to, one store. When no file path is given
+ * the repository keeps everything in memory (used by the test suite).
+ *
+ * Every change is first appended to a journal (`<file>.journal`) and flushed
+ * before the call resolves. The journal is periodically folded into a new
+ * snapshot written with temp-file-plus-rename, so a crash at any point leaves
+ * either the old or the new snapshot plus a replayable journal.
+ */
+class JsonTenantRepository {
+  constructor({ filePath = null, legacySeatFile = null, compactEvery = DEFAULT_COMPACT_EVERY } = {}) {
+    this.filePath = filePath;
+    this.journalPath = filePath ? `${filePath}.journal` : null;
+    this.legacySeatFile = legacySeatFile;
+    this.compactEvery = compactEvery;
+    this.tenants = new Map();
+    this.seats = new Map();
+    this.seq = 0;
+    this.journalEntries = 0;
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  get kind() {
+    return this.filePath ? 'json' : 'memory';
+  }
+
+  /**
+   * Load the store once; every public method waits for it
+   */
+  async init() {
+    if (!this.loading) {
+      this.loading = this.load();
+    }
+    return this.loading;
+  }
+
+  async load() {
+    if (!this.filePath) {
+      return;
+    }
+
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const hasSnapshot = await this.loadSnapshot();
+      const replayed = await this.replayJournal();
+
+      if (!hasSnapshot && replayed === 0) {
+        await this.importLegacySeats();
+      } else if (replayed > 0) {
+        logger.info(`Replayed ${replayed} journal entries from ${this.journalPath}`);
+        await this.enqueue(() => this.compact());
+      }
+
+      logger.info(`Loaded ${this.tenants.size} tenants from ${this.filePath}`);
+    } catch (error) {
+      logger.error('Failed to load tenant repository:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read the last snapshot. Returns false when none has been written yet.
+   */
+  async loadSnapshot() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+
+    const data = raw.trim() ? JSON.parse(raw) : {};
+    this.seq = data.seq || 0;
+
+    Object.entries(data.tenants || {}).forEach(([id, tenant]) => {
+      this.tenants.set(id, reviveTenant(tenant));
+    });
+    Object.entries(data.seats || {}).forEach(([id, seats]) => {
+      this.seats.set(id, reviveSeats(seats));
+    });
+
+    return true;
+  }
+
+  /**
+   * Apply journal entries newer than the snapshot. A torn final line (crash
+   * mid-append) was never acknowledged, so it is dropped and cut from the file.
+   */
+  async replayJournal() {
+    const { entries, torn } = await readJsonLines(this.journalPath);
+    if (torn) {
+      logger.warn(`Dropped incomplete journal entry in ${this.journalPath}`);
+    }
+
+    let replayed = 0;
+    for (const entry of entries) {
+      if (entry.seq > this.seq) {
+        this.apply(entry);
+        this.seq = entry.seq;
+        replayed += 1;
+      }
+    }
+
+    return replayed;
+  }
+
+  /**
+   * Import seat counters written by older versions to data/tenant-seats.json
+   */
+  async importLegacySeats() {
+    if (!this.legacySeatFile) {
+      return;
+    }
+
+    try {
+      const raw = await fs.readFile(this.legacySeatFile, 'utf8');
+      if (!raw.trim()) {
+        return;
+      }
+
+      Object.entries(JSON.parse(raw)).forEach(([id, seats]) => {
+        this.seats.set(id, cloneSeats({ ...seats, tenantId: id }));
+      });
+      await this.enqueue(() => this.compact());
+
+      logger.info(`Imported legacy seat data for ${this.seats.size} tenants`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Could not import legacy seat data:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Apply one change to the in-memory state
+   */
+  apply(entry) {
+    switch (entry.op) {
+      case 'putTenant':
+        this.tenants.set(entry.id, cloneTenant(entry.record));
+        break;
+      case 'removeTenant':
+        this.tenants.delete(entry.id);
+        this.seats.delete(entry.id);
+        break;
+      case 'putSeats':
+        this.seats.set(entry.id, cloneSeats(entry.record));
+        break;
+      case 'removeSeats':
+        this.seats.delete(entry.id);
+        break;
+      default:
+        throw new Error(`Unknown journal operation: ${entry.op}`);
+    }
+  }
+
+  /**
+   * Apply a change and make it durable. The in-memory state changes
+   * synchronously so concurrent readers see changes in journal order; it is
+   * rolled back if the journal write fails.
+   */
+  async commit(change) {
+    this.seq += 1;
+    const entry = { seq: this.seq, ...change };
+    const previous = {
+      tenant: this.tenants.get(entry.id),
+      seats: this.seats.get(entry.id),
+    };
+    this.apply(entry);
+
+    if (!this.filePath) {
+      return;
+    }
+
+    try {
+      await this.enqueue(async () => {
+        await appendLineDurable(this.journalPath, JSON.stringify(entry));
+        this.journalEntries += 1;
+
+        if (this.journalEntries >= this.compactEvery) {
+          // The entry is already durable; a failed compaction is retried later
+          await this.compact().catch((error) => {
+            logger.warn('Failed to compact tenant journal:', error.message);
+          });
+        }
+      });
+    } catch (error) {
+      this.restore(entry.id, previous);
+      throw error;
+    }
+  }
+
+  restore(id, { tenant, seats }) {
+    if (tenant) {
+      this.tenants.set(id, tenant);
+    } else {
+      this.tenants.delete(id);
+    }
+
+    if (seats) {
+      this.seats.set(id, seats);
+    } else {
+      this.seats.delete(id);
+    }
+  }
+
+  /**
+   * Run file work one task at a time. A failed task does not block later ones.
+   */
+  enqueue(task) {
+    const run = this.writeQueue.then(task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Fold the journal into a new snapshot, then truncate the journal.
+   * Only called from the write queue.
+   */
+  async compact() {
+    const snapshot = JSON.stringify({
+      version: SNAPSHOT_VERSION,
+      seq: this.seq,
+      tenants: Object.fromEntries(this.tenants),
+      seats: Object.fromEntries(this.seats),
+    }, null, 2);
+
+    await writeFileAtomic(this.filePath, snapshot);
+    // Entries left behind by a crash here are at or below the snapshot seq
+    await fs.writeFile(this.journalPath, '');
+    this.journalEntries = 0;
+  }
+
+  findTenantByDomain(domain) {
+    for (const tenant of this.tenants.values()) {
+      if (tenant.domain === domain) {
+        return tenant;
+      }
+    }
+    return null;
+  }
+
+  async findByApiClientId(clientId) {
+    await this.init();
+    for (const tenant of this.tenants.values()) {
+      if ((tenant.apiClientIds || []).includes(clientId)) {
+        return mergeSeats(cloneTenant(tenant), this.seats.get(tenant.id));
+      }
+    }
+    return null;
+  }
+
+  async list() {
+    await this.init();
+    return Array.from(this.tenants.values())
+      .map((tenant) => mergeSeats(cloneTenant(tenant), this.seats.get(tenant.id)));
+  }
+
+  async findById(tenantId) {
+    await this.init();
+    const tenant = this.tenants.get(tenantId);
+    return tenant ? mergeSeats(cloneTenant(tenant), this.seats.get(tenantId)) : null;
+  }
+
+  async findByDomain(domain) {
+    await this.init();
+    const tenant = this.findTenantByDomain(domain);
+    return tenant ? mergeSeats(cloneTenant(tenant), this.seats.get(tenant.id)) : null;
+  }
+
+  async insert(tenant) {
+    await this.init();
+
+    const existing = this.findTenantByDomain(tenant.domain);
+    if (existing) {
+      throw new TenantAlreadyExistsError(tenant.domain, {
+        existingTenantId: existing.id,
+      });
+    }
+
+    await this.commit({ op: 'putTenant', id: tenant.id, record: tenant });
+    return this.findById(tenant.id);
+  }
+
+  async update(tenantId, tenant) {
+    await this.init();
+
+    const existing = this.findTenantByDomain(tenant.domain);
+    if (existing && existing.id !== tenantId) {
+      throw new TenantAlreadyExistsError(tenant.domain, {
+        existingTenantId: existing.id,
+      });
+    }
+
+    await this.commit({ op: 'putTenant', id: tenantId, record: { ...tenant, id: tenantId } });
+    return this.findById(tenantId);
+  }
+
+  async remove(tenantId) {
+    await this.init();
+    const existed = this.tenants.has(tenantId);
+    await this.commit({ op: 'removeTenant', id: tenantId });
+    return existed;
+  }
+
+  async listSeats() {
+    await this.init();
+    return Array.from(this.seats.values()).map((seats) => cloneSeats(seats));
+  }
+
+  async getSeats(tenantId) {
+    await this.init();
+    const seats = this.seats.get(tenantId);
+    return seats ? cloneSeats(seats) : null;
+  }
+
+  async saveSeats(tenantId, seats) {
+    await this.init();
+    await this.commit({ op: 'putSeats', id: tenantId, record: { ...seats, tenantId } });
+  }
+
+  async removeSeats(tenantId) {
+    await this.init();
+    const existed = this.seats.has(tenantId);
+    await this.commit({ op: 'removeSeats', id: tenantId });
+    return existed;
+  }
+
+  /**
+   * Flush pending writes and fold the journal into the snapshot
+   */
+  async close() {
+    if (!this.filePath || !this.loading) {
+      return;
+    }
+
+    await this.loading.catch(() => {});
+    await this.enqueue(async () => {
+      if (this.journalEntries > 0) {
+        await this.compact();
+      }
+    });
+  }
+}
+
+module.exports = JsonTenantRepository;
@@ -0,0 +1,121 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const { writeFileAtomic } = require('../utils/atomicFile');
+
+/**
+ * Idempotency records kept in process, optionally saved to a JSON file so
+ * they survive restarts. Suited to a single API instance; use the Redis
+ * store when several instances share traffic.
+ */
+class LocalIdempotencyStore {
+  constructor({ filePath = null } = {}) {
+    this.filePath = filePath;
+    this.records = new Map();
+    this.loading = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  get kind() {
+    return this.filePath ? 'file' : 'memory';
+  }
+
+  async init() {
+    if (!this.loading) {
+      this.loading = this.load();
+    }
+    return this.loading;
+  }
+
+  async load() {
+    if (!this.filePath) {
+      return;
+    }
+
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf8');
+      const data = raw.trim() ? JSON.parse(raw) : {};
+      Object.entries(data).forEach(([key, record]) => this.records.set(key, record));
+      this.prune();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to load idempotency records:', error);
+        throw error;
+      }
+    }
+  }
+
+  prune() {
+    const now = Date.now();
+    this.records.forEach((record, key) => {
+      if (record.expiresAt <= now) {
+        this.records.delete(key);
+      }
+    });
+  }
+
+  async persist() {
+    if (!this.filePath) {
+      return;
+    }
+
+    const run = this.writeQueue.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await writeFileAtomic(this.filePath, JSON.stringify(Object.fromEntries(this.records)));
+    });
+    this.writeQueue = run.catch(() => {});
+    await run;
+  }
+
+  /**
+   * Claim a key for a new request. Returns null when the caller owns the
+   * key, or the existing record when the key is already in use.
+   */
+  async begin(key, fingerprint, ttlSeconds) {
+    await this.init();
+    this.prune();
+
+    const existing = this.records.get(key);
+    if (existing) {
+      return existing;
+    }
+
+    // Claimed synchronously, so a parallel retry sees the pending record
+    this.records.set(key, {
+      state: 'pending',
+      fingerprint,
+      expiresAt: Date.now() + ttlSeconds * 1000,
+    });
+    return null;
+  }
+
+  /**
+   * Store the response for a claimed key
+   */
+  async complete(key, fingerprint, response, ttlSeconds) {
+    await this.init();
+    this.records.set(key, {
+      state: 'completed',
+      fingerprint,
+      response,
+      expiresAt: Date.now() + ttlSeconds * 1000,
+    });
+    await this.persist();
+  }
+
+  /**
+   * Give up a claimed key so the request can be retried
+   */
+  async release(key) {
+    await this.init();
+    if (this.records.delete(key)) {
+      await this.persist();
+    }
+  }
+
+  async close() {
+    await this.writeQueue;
+  }
+}
+
+module.exports = LocalIdempotencyStore;
@@ -0,0 +1,65 @@
+/**
+ * Helpers shared by the tenant repository adapters.
+ *
+ * Records are persisted as JSON, so Date fields come back as strings and
+ * have to be revived on the way out of the store.
+ */
+
+const TENANT_DATE_FIELDS = ['createdAt', 'updatedAt'];
+const SEAT_DATE_FIELDS = ['lastUpdated'];
+
+const reviveDates = (record, fields) => {
+  if (!record) {
+    return record;
+  }
+
+  const revived = { ...record };
+  fields.forEach((field) => {
+    if (revived[field] && !(revived[field] instanceof Date)) {
+      revived[field] = new Date(revived[field]);
+    }
+  });
+  return revived;
+};
+
+const reviveTenant = (tenant) => reviveDates(tenant, TENANT_DATE_FIELDS);
+
+const reviveSeats = (seats) => reviveDates(seats, SEAT_DATE_FIELDS);
+
+/**
+ * Copy a record the same way it would round-trip through the store
+ */
+const cloneTenant = (tenant) => reviveTenant(JSON.parse(JSON.stringify(tenant)));
+
+const cloneSeats = (seats) => reviveSeats(JSON.parse(JSON.stringify(seats)));
+
+/**
+ * Overlay the seat counters onto a tenant record. The seat entry is the
+ * source of truth for seatLimit, seatUsed and the soft-cap overage flag.
+ */
+const mergeSeats = (tenant, seats) => {
+  if (!tenant) {
+    return null;
+  }
+
+  if (!seats) {
+    return tenant;
+  }
+
+  // A copy of the flag saved with the tenant record is stale
+  const { overage, ...record } = tenant;
+  return {
+    ...record,
+    seatLimit: seats.seatLimit,
+    seatUsed: seats.seatUsed,
+    ...(seats.overage && { overage: seats.overage }),
+  };
+};
+
+module.exports = {
+  reviveTenant,
+  reviveSeats,
+  cloneTenant,
+  cloneSeats,
+  mergeSeats,
+};
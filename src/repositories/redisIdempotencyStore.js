@@ -0,0 +1,112 @@
+const logger = require('../utils/logger');
+
+const KEY_PREFIX = 'idempotency:';
+
+const MISSING_DRIVER_MESSAGE = 'Redis idempotency storage requires the optional "redis" package. Run: npm install redis';
+
+/**
+ * Idempotency records in Redis, shared by every API instance
+ * (requires the optional redis package)
+ */
+class RedisIdempotencyStore {
+  constructor({ url }) {
+    this.url = url;
+    this.client = null;
+    this.connecting = null;
+  }
+
+  get kind() {
+    return 'redis';
+  }
+
+  /**
+   * Whether the redis package is installed
+   */
+  static isAvailable() {
+    try {
+      require.resolve('redis');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Fail at startup rather than on the first request when redis is missing
+   */
+  static assertAvailable() {
+    if (!RedisIdempotencyStore.isAvailable()) {
+      throw new Error(MISSING_DRIVER_MESSAGE);
+    }
+  }
+
+  async init() {
+    if (!this.connecting) {
+      this.connecting = this.connect();
+    }
+    return this.connecting;
+  }
+
+  async connect() {
+    let redis;
+    try {
+      redis = require('redis');
+    } catch (error) {
+      throw new Error(MISSING_DRIVER_MESSAGE);
+    }
+
+    try {
+      this.client = redis.createClient({ url: this.url });
+      this.client.on('error', (error) => logger.error('Redis idempotency store error:', error));
+      await this.client.connect();
+      return this.client;
+    } catch (error) {
+      this.connecting = null;
+      logger.error('Failed to connect to Redis idempotency store:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim a key for a new request. Returns null when the caller owns the
+   * key, or the existing record when the key is already in use.
+   */
+  async begin(key, fingerprint, ttlSeconds) {
+    const client = await this.init();
+    const record = JSON.stringify({ state: 'pending', fingerprint });
+
+    // SET NX makes the claim atomic across instances
+    const claimed = await client.set(KEY_PREFIX + key, record, { NX: true, EX: ttlSeconds });
+    if (claimed) {
+      return null;
+    }
+
+    const existing = await client.get(KEY_PREFIX + key);
+    // The record may have expired between the two calls
+    return existing ? JSON.parse(existing) : this.begin(key, fingerprint, ttlSeconds);
+  }
+
+  async complete(key, fingerprint, response, ttlSeconds) {
+    const client = await this.init();
+    await client.set(
+      KEY_PREFIX + key,
+      JSON.stringify({ state: 'completed', fingerprint, response }),
+      { EX: ttlSeconds }
+    );
+  }
+
+  async release(key) {
+    const client = await this.init();
+    await client.del(KEY_PREFIX + key);
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.quit();
+      this.client = null;
+      this.connecting = null;
+    }
+  }
+}
+
+module.exports = RedisIdempotencyStore;
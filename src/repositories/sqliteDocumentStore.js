@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS documents (
+    collection TEXT NOT NULL,
+    id TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (collection, id)
+  );
+`;
+
+/**
+ * One named collection in the shared `documents` table
+ */
+class SqliteCollection {
+  constructor(store, name) {
+    this.store = store;
+    this.name = name;
+  }
+
+  async get(id) {
+    const statements = await this.store.init();
+    const row = statements.get.get(this.name, id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async list(predicate = () => true) {
+    const statements = await this.store.init();
+    return statements.list.all(this.name)
+      .map((row) => JSON.parse(row.data))
+      .filter(predicate);
+  }
+
+  async put(id, doc) {
+    const statements = await this.store.init();
+    statements.put.run(this.name, id, JSON.stringify(doc));
+    return this.get(id);
+  }
+
+  async remove(id) {
+    const statements = await this.store.init();
+    return statements.remove.run(this.name, id).changes > 0;
+  }
+}
+
+/**
+ * Document collections in the SQLite database used for tenants
+ * (requires better-sqlite3)
+ */
+class SqliteDocumentStore {
+  constructor({ filePath }) {
+    this.filePath = filePath;
+    this.db = null;
+    this.statements = null;
+  }
+
+  get kind() {
+    return 'sqlite';
+  }
+
+  async init() {
+    if (this.statements) {
+      return this.statements;
+    }
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('SQLite storage requires the optional "better-sqlite3" package. Run: npm install better-sqlite3');
+    }
+
+    try {
+      if (this.filePath !== ':memory:') {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      }
+
+      this.db = new Database(this.filePath);
+      this.db.pragma('journal_mode = WAL');
+      this.db.exec(SCHEMA);
+
+      this.statements = {
+        get: this.db.prepare('SELECT data FROM documents WHERE collection = ? AND id = ?'),
+        list: this.db.prepare('SELECT data FROM documents WHERE collection = ? ORDER BY rowid'),
+        put: this.db.prepare(`
+          INSERT INTO documents (collection, id, data) VALUES (?, ?, ?)
+          ON CONFLICT(collection, id) DO UPDATE SET data = excluded.data
+        `),
+        remove: this.db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?'),
+      };
+      return this.statements;
+    } catch (error) {
+      logger.error('Failed to open SQLite document store:', error);
+      throw error;
+    }
+  }
+
+  collection(name) {
+    return new SqliteCollection(this, name);
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.statements = null;
+    }
+  }
+}
+
+module.exports = SqliteDocumentStore;
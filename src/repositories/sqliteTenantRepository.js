@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { TenantAlreadyExistsError } = require('../utils/errors');
+const { reviveTenant, reviveSeats, mergeSeats } = require('./records');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS tenants (
+    id TEXT PRIMARY KEY,
+    domain TEXT NOT NULL UNIQUE,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS tenant_seats (
+    tenant_id TEXT PRIMARY KEY,
+    seat_limit INTEGER NOT NULL,
+    seat_used INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+`;
+
+/**
+ * Tenant repository backed by SQLite (better-sqlite3).
+ *
+ * better-sqlite3 is an optional dependency: it is only loaded when
+ * DATABASE_URL points at a sqlite: URL.
+ */
+class SqliteTenantRepository {
+  constructor({ filePath }) {
+    this.filePath = filePath;
+    this.db = null;
+  }
+
+  get kind() {
+    return 'sqlite';
+  }
+
+  async init() {
+    if (this.db) {
+      return;
+    }
+
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('SQLite storage requires the optional "better-sqlite3" package. Run: npm install better-sqlite3');
+    }
+
+    try {
+      if (this.filePath !== ':memory:') {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      }
+
+      this.db = new Database(this.filePath);
+      this.db.pragma('journal_mode = WAL');
+      this.db.exec(SCHEMA);
+
+      this.statements = {
+        list: this.db.prepare(`
+          SELECT t.data AS tenant, s.data AS seats
+          FROM tenants t LEFT JOIN tenant_seats s ON s.tenant_id = t.id
+        `),
+        findById: this.db.prepare(`
+          SELECT t.data AS tenant, s.data AS seats
+          FROM tenants t LEFT JOIN tenant_seats s ON s.tenant_id = t.id
+          WHERE t.id = ?
+        `),
+        findByDomain: this.db.prepare(`
+          SELECT t.data AS tenant, s.data AS seats
+          FROM tenants t LEFT JOIN tenant_seats s ON s.tenant_id = t.id
+          WHERE t.domain = ?
+        `),
+        findByApiClientId: this.db.prepare(`
+          SELECT t.data AS tenant, s.data AS seats
+          FROM tenants t LEFT JOIN tenant_seats s ON s.tenant_id = t.id
+          WHERE EXISTS (
+            SELECT 1 FROM json_each(t.data, '$.apiClientIds') WHERE json_each.value = ?
+          )
+        `),
+        insert: this.db.prepare('INSERT INTO tenants (id, domain, data) VALUES (?, ?, ?)'),
+        update: this.db.prepare('UPDATE tenants SET domain = ?, data = ? WHERE id = ?'),
+        remove: this.db.prepare('DELETE FROM tenants WHERE id = ?'),
+        listSeats: this.db.prepare('SELECT data FROM tenant_seats'),
+        getSeats: this.db.prepare('SELECT data FROM tenant_seats WHERE tenant_id = ?'),
+        saveSeats: this.db.prepare(`
+          INSERT INTO tenant_seats (tenant_id, seat_limit, seat_used, data) VALUES (?, ?, ?, ?)
+          ON CONFLICT(tenant_id) DO UPDATE SET
+            seat_limit = excluded.seat_limit,
+            seat_used = excluded.seat_used,
+            data = excluded.data
+        `),
+        removeSeats: this.db.prepare('DELETE FROM tenant_seats WHERE tenant_id = ?'),
+      };
+
+      logger.info(`SQLite tenant repository opened at ${this.filePath}`);
+    } catch (error) {
+      logger.error('Failed to open SQLite tenant repository:', error);
+      throw error;
+    }
+  }
+
+  toTenant(row) {
+    if (!row) {
+      return null;
+    }
+
+    const tenant = reviveTenant(JSON.parse(row.tenant));
+    const seats = row.seats ? JSON.parse(row.seats) : null;
+    return mergeSeats(tenant, seats);
+  }
+
+  async list() {
+    await this.init();
+    return this.statements.list.all().map((row) => this.toTenant(row));
+  }
+
+  async findById(tenantId) {
+    await this.init();
+    return this.toTenant(this.statements.findById.get(tenantId));
+  }
+
+  async findByDomain(domain) {
+    await this.init();
+    return this.toTenant(this.statements.findByDomain.get(domain));
+  }
+
+  async findByApiClientId(clientId) {
+    await this.init();
+    return this.toTenant(this.statements.findByApiClientId.get(clientId));
+  }
+
+  async insert(tenant) {
+    await this.init();
+    this.writeTenant(tenant.id, tenant.domain, () => {
+      this.statements.insert.run(tenant.id, tenant.domain, JSON.stringify(tenant));
+    });
+    return this.findById(tenant.id);
+  }
+
+  async update(tenantId, tenant) {
+    await this.init();
+    const record = { ...tenant, id: tenantId };
+    this.writeTenant(tenantId, record.domain, () => {
+      this.statements.update.run(record.domain, JSON.stringify(record), tenantId);
+    });
+    return this.findById(tenantId);
+  }
+
+  /**
+   * Check that no other tenant has the domain and write, in one synchronous
+   * step so concurrent requests cannot both pass the check. A clash on the
+   * unique domain column (e.g. from another process) is reported the same way.
+   */
+  writeTenant(tenantId, domain, write) {
+    const existing = this.toTenant(this.statements.findByDomain.get(domain));
+    if (existing && existing.id !== tenantId) {
+      throw new TenantAlreadyExistsError(domain, {
+        existingTenantId: existing.id,
+      });
+    }
+
+    try {
+      write();
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        throw new TenantAlreadyExistsError(domain);
+      }
+      throw error;
+    }
+  }
+
+  async remove(tenantId) {
+    await this.init();
+    const removeTenant = this.db.transaction((id) => {
+      this.statements.removeSeats.run(id);
+      return this.statements.remove.run(id).changes > 0;
+    });
+    return removeTenant(tenantId);
+  }
+
+  async listSeats() {
+    await this.init();
+    return this.statements.listSeats.all().map((row) => reviveSeats(JSON.parse(row.data)));
+  }
+
+  async getSeats(tenantId) {
+    await this.init();
+    const row = this.statements.getSeats.get(tenantId);
+    return row ? reviveSeats(JSON.parse(row.data)) : null;
+  }
+
+  async saveSeats(tenantId, seats) {
+    await this.init();
+    const record = { ...seats, tenantId };
+    this.statements.saveSeats.run(tenantId, record.seatLimit, record.seatUsed, JSON.stringify(record));
+  }
+
+  async removeSeats(tenantId) {
+    await this.init();
+    return this.statements.removeSeats.run(tenantId).changes > 0;
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteTenantRepository;
@@ -0,0 +1,90 @@
+const express = require('express');
+const AlertService = require('../services/alertService');
+const auth = require('../middleware/auth');
+const AuthorizationMiddleware = require('../middleware/authorization');
+const IdempotencyMiddleware = require('../middleware/idempotency');
+const { ValidationMiddleware, ValidationSchemas } = require('../middleware/validation');
+const ErrorHandler = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+const alertService = new AlertService();
+
+/**
+ * @route GET /api/alerts
+ * @desc List seat alerts, newest first
+ * @access Private (Master Admin)
+ */
+router.get('/',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('alerts:read'),
+  AuthorizationMiddleware.requireMasterAdmin(),
+  ValidationMiddleware.validateQuery(ValidationSchemas.alertListQuery),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    const result = await alertService.listAlerts(req.query);
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Retrieved ${result.alerts.length} alerts`,
+    });
+  })
+);
+
+/**
+ * @route GET /api/alerts/:alertId
+ * @desc Get a seat alert with its notification outcomes
+ * @access Private (Master Admin)
+ */
+router.get('/:alertId',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('alerts:read'),
+  AuthorizationMiddleware.requireMasterAdmin(),
+  ValidationMiddleware.validateParams(ValidationSchemas.alertIdParam),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    const alert = await alertService.getAlert(req.params.alertId);
+
+    res.json({
+      success: true,
+      data: {
+        alert,
+      },
+      message: 'Alert retrieved successfully',
+    });
+  })
+);
+
+/**
+ * @route POST /api/alerts/:alertId/acknowledge
+ * @desc Acknowledge an open seat alert
+ * @access Private (Master Admin)
+ */
+router.post('/:alertId/acknowledge',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('alerts:write'),
+  AuthorizationMiddleware.requireMasterAdmin(),
+  IdempotencyMiddleware.handle(),
+  ValidationMiddleware.validate({
+    params: ValidationSchemas.alertIdParam,
+    body: ValidationSchemas.acknowledgeAlert,
+  }),
+  AuthorizationMiddleware.auditSensitiveOperation('alert_acknowledge'),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    logger.info('Acknowledging seat alert', {
+      alertId: req.params.alertId,
+      requestedBy: req.user.sub,
+    });
+
+    const alert = await alertService.acknowledgeAlert(req.params.alertId, req.user, req.body.note);
+
+    res.json({
+      success: true,
+      data: {
+        alert,
+      },
+      message: 'Alert acknowledged successfully',
+    });
+  })
+);
+
+module.exports = router;
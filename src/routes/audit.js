@@ -0,0 +1,62 @@
+const express = require('express');
+const AuditService = require('../services/auditService');
+const auth = require('../middleware/auth');
+const AuthorizationMiddleware = require('../middleware/authorization');
+const { ValidationMiddleware, ValidationSchemas } = require('../middleware/validation');
+const ErrorHandler = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+const auditService = new AuditService();
+
+/**
+ * @route GET /api/audit
+ * @desc Search the audit log by tenant, actor, action and time range
+ * @access Private (Master Admin)
+ */
+router.get('/',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('audit:read'),
+  AuthorizationMiddleware.requireMasterAdmin(),
+  ValidationMiddleware.validateQuery(ValidationSchemas.auditQuery),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    logger.info('Searching audit log', {
+      requestedBy: req.user.sub,
+      filters: req.query,
+    });
+
+    const result = await auditService.query(req.query);
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Retrieved ${result.entries.length} audit entries`,
+    });
+  })
+);
+
+/**
+ * @route GET /api/audit/verify
+ * @desc Check the audit log hash chain for tampering
+ * @access Private (Master Admin)
+ */
+router.get('/verify',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('audit:read'),
+  AuthorizationMiddleware.requireMasterAdmin(),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    const verification = await auditService.verify();
+
+    res.json({
+      success: true,
+      data: {
+        verification,
+      },
+      message: verification.valid
+        ? 'Audit log integrity verified'
+        : `Audit log chain broken at entry ${verification.brokenAt}`,
+    });
+  })
+);
+
+module.exports = router;
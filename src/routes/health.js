@@ -4,6 +4,7 @@ const logger = require('../utils/logger');
 const ErrorHandler = require('../middleware/errorHandler');
 const auth = require('../middleware/auth');
 const AuthorizationMiddleware = require('../middleware/authorization');
+const IdempotencyMiddleware = require('../middleware/idempotency');
 
 const router = express.Router();
 
@@ -67,6 +68,7 @@ router.get('/',
  */
 router.get('/detailed',
   auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('health:read'),
   AuthorizationMiddleware.requireMasterAdmin(),
   ErrorHandler.asyncHandler(async (req, res) => {
     const startTime = Date.now();
@@ -253,6 +255,7 @@ router.get('/detailed',
  */
 router.get('/status',
   auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('health:read'),
   AuthorizationMiddleware.requireMasterAdmin(),
   ErrorHandler.asyncHandler(async (req, res) => {
     logger.info('Getting system status', {
@@ -352,6 +355,7 @@ router.get('/version',
  */
 router.get('/metrics',
   auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('health:read'),
   AuthorizationMiddleware.requireMasterAdmin(),
   ErrorHandler.asyncHandler(async (req, res) => {
     if (!config.healthCheck.metricsEnabled) {
@@ -402,7 +406,9 @@ router.get('/metrics',
  */
 router.post('/test',
   auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('health:read'),
   AuthorizationMiddleware.requireMasterAdmin(),
+  IdempotencyMiddleware.handle(),
   ErrorHandler.asyncHandler(async (req, res) => {
     const testResults = {
       timestamp: new Date().toISOString(),
@@ -2,6 +2,10 @@ const express = require('express');
 const tenantRoutes = require('./tenants');
 const userRoutes = require('./users');
 const healthRoutes = require('./health');
+const auditRoutes = require('./audit');
+const webhookRoutes = require('./webhooks');
+const planRoutes = require('./plans');
+const alertRoutes = require('./alerts');
 
 const router = express.Router();
 
@@ -10,6 +14,10 @@ router.use('/tenants', tenantRoutes);
 router.use('/users', userRoutes);
 router.use('/health', healthRoutes);
 router.use('/status', healthRoutes); // Alias for health routes
+router.use('/audit', auditRoutes);
+router.use('/webhooks', webhookRoutes);
+router.use('/plans', planRoutes);
+router.use('/alerts', alertRoutes);
 
 // API Info endpoint
 router.get('/', (req, res) => {
@@ -24,6 +32,10 @@ router.get('/', (req, res) => {
         users: '/api/users',
         health: '/api/health',
         status: '/api/status',
+        audit: '/api/audit',
+        webhooks: '/api/webhooks',
+        plans: '/api/plans',
+        alerts: '/api/alerts',
         version: '/api/version',
       },
       documentation: process.env.API_DOCS_ENABLED !== 'false' ? '/docs' : null,
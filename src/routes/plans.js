@@ -0,0 +1,31 @@
+const express = require('express');
+const PlanService = require('../services/planService');
+const auth = require('../middleware/auth');
+const AuthorizationMiddleware = require('../middleware/authorization');
+const ErrorHandler = require('../middleware/errorHandler');
+
+const router = express.Router();
+const planService = new PlanService();
+
+/**
+ * @route GET /api/plans
+ * @desc List the plan catalog with seat limits and entitlements
+ * @access Private
+ */
+router.get('/',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('tenants:read'),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    const plans = planService.listPlans();
+
+    res.json({
+      success: true,
+      data: {
+        plans,
+      },
+      message: `Retrieved ${plans.length} plans`,
+    });
+  })
+);
+
+module.exports = router;
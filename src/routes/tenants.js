@@ -1,13 +1,33 @@
 const express = require('express');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const TenantService = require('../services/tenantService');
+const TenantProvisioningService = require('../services/tenantProvisioningService');
+const SeatReconciliationService = require('../services/seatReconciliationService');
+const ConnectionService = require('../services/connectionService');
+const TenantSecurityService = require('../services/tenantSecurityService');
+const InvitationService = require('../services/invitationService');
+const UserService = require('../services/userService');
+const UserImportService = require('../services/userImportService');
+const UserExportService = require('../services/userExportService');
 const auth = require('../middleware/auth');
 const AuthorizationMiddleware = require('../middleware/authorization');
+const IdempotencyMiddleware = require('../middleware/idempotency');
 const { ValidationMiddleware, ValidationSchemas } = require('../middleware/validation');
 const ErrorHandler = require('../middleware/errorHandler');
+const config = require('../config');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 const tenantService = new TenantService();
+const provisioningService = new TenantProvisioningService();
+const seatReconciliationService = new SeatReconciliationService();
+const connectionService = new ConnectionService();
+const securityService = new TenantSecurityService();
+const invitationService = new InvitationService();
+const userService = new UserService();
+const userImportService = new UserImportService();
+const userExportService = new UserExportService();
 
 /**
  * @route GET /api/tenants
@@ -16,6 +36,7 @@ const tenantService = new TenantService();
  */
 router.get('/',
   auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('tenants:read'),
   AuthorizationMiddleware.requireMasterAdmin(),
   ValidationMiddleware.validateQuery(ValidationSchemas.tenantListQuery),
   AuthorizationMiddleware.auditSensitiveOperation('tenant_list'),
@@ -42,7 +63,9 @@ router.get('/',
  */
 router.post('/',
   auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('tenants:write'),
   AuthorizationMiddleware.requireMasterAdmin(),
+  IdempotencyMiddleware.handle(),
   ValidationMiddleware.validateBody(ValidationSchemas.createTenant),
   AuthorizationMiddleware.auditSensitiveOperation('tenant_create'),
   ErrorHandler.asyncHandler(async (req, res) => {
@@ -63,6 +86,35 @@ router.post('/',
   })
 );
 
+/**
+ * @route GET /api/tenants/security/drift
+ * @desc Report tenants whose Auth0 configuration no longer matches their security settings (Master tenant only)
+ * @access Private (Master Admin)
+ */
+router.get('/security/drift',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('tenants:read'),
+  AuthorizationMiddleware.requireMasterAdmin(),
+  AuthorizationMiddleware.auditSensitiveOperation('tenant_security_drift_check'),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    logger.info('Checking tenant security settings drift', {
+      requestedBy: req.user.sub,
+    });
+
+    const drift = await securityService.checkAll();
+
+    res.json({
+      success: true,
+      data: {
+        drift,
+      },
+      message: drift.tenantsWithDrift === 0
+        ? 'Every tenant matches its security settings'
+        : `${drift.tenantsWithDrift} tenant(s) drifted from their security settings`,
+    });
+  })
+);
+
 /**
  * @route GET /api/tenants/:tenantId
  * @desc Get a specific tenant (Master tenant only)
@@ -70,6 +122,7 @@ router.post('/',
  */
 router.get('/:tenantId',
   auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('tenants:read'),
   AuthorizationMiddleware.requireMasterAdmin(),
   ValidationMiddleware.validateParams(ValidationSchemas.tenantIdParam),
   AuthorizationMiddleware.auditSensitiveOperation('tenant_view'),
@@ -93,12 +146,15 @@ router.get('/:tenantId',
 
 /**
  * @route PUT /api/tenants/:tenantId
- * @desc Update a tenant (Master tenant only)
+ * @desc Update a tenant (Master tenant only). Changing seatLimit also needs seats:admin.
  * @access Private (Master Admin)
  */
 router.put('/:tenantId',
   auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('tenants:write'),
+  AuthorizationMiddleware.requireScopesForFields(['seatLimit'], 'seats:admin'),
   AuthorizationMiddleware.requireMasterAdmin(),
+  IdempotencyMiddleware.handle(),
   ValidationMiddleware.validate({
     params: ValidationSchemas.tenantIdParam,
     body: ValidationSchemas.updateTenant,
@@ -129,26 +185,71 @@ router.put('/:tenantId',
 
 /**
  * @route DELETE /api/tenants/:tenantId
- * @desc Delete a tenant (Master tenant only)
+ * @desc Schedule a tenant for deletion, or purge it now with force=true (Master tenant only)
  * @access Private (Master Admin)
  */
 router.delete('/:tenantId',
   auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('tenants:write'),
   AuthorizationMiddleware.requireMasterAdmin(),
-  ValidationMiddleware.validateParams(ValidationSchemas.tenantIdParam),
+  IdempotencyMiddleware.handle(),
+  ValidationMiddleware.validate({
+    params: ValidationSchemas.tenantIdParam,
+    query: ValidationSchemas.deleteTenantQuery,
+  }),
   AuthorizationMiddleware.auditSensitiveOperation('tenant_delete'),
   ErrorHandler.asyncHandler(async (req, res) => {
+    // Query values arrive as strings
+    const options = {
+      force: String(req.query.force) === 'true',
+      cascade: String(req.query.cascade) === 'true',
+    };
+
     logger.info('Deleting tenant', {
       requestedBy: req.user.sub,
       tenantId: req.params.tenantId,
+      ...options,
     });
 
-    const result = await tenantService.deleteTenant(req.params.tenantId, req.user);
+    const result = await tenantService.deleteTenant(req.params.tenantId, req.user, options);
 
     res.json({
       success: true,
       data: result,
-      message: 'Tenant deleted successfully',
+      message: result.deleted
+        ? 'Tenant deleted successfully'
+        : `Tenant scheduled for deletion after ${result.purgeAfter}`,
+    });
+  })
+);
+
+/**
+ * @route POST /api/tenants/:tenantId/restore
+ * @desc Restore a tenant that is pending deletion (Master tenant only)
+ * @access Private (Master Admin)
+ */
+router.post('/:tenantId/restore',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('tenants:write'),
+  AuthorizationMiddleware.requireMasterAdmin(),
+  IdempotencyMiddleware.handle(),
+  ValidationMiddleware.validateParams(ValidationSchemas.tenantIdParam),
+  AuthorizationMiddleware.auditSensitiveOperation('tenant_restore'),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    logger.info('Restoring tenant', {
+      requestedBy: req.user.sub,
+      tenantId: req.params.tenantId,
+    });
+
+    const { tenant, usersUnblocked } = await tenantService.restoreTenant(req.params.tenantId, req.user);
+
+    res.json({
+      success: true,
+      data: {
+        tenant,
+        usersUnblocked,
+      },
+      message: 'Tenant restored successfully',
     });
   })
 );
@@ -160,6 +261,7 @@ router.delete('/:tenantId',
  */
 router.get('/:tenantId/stats',
   auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('tenants:read'),
   AuthorizationMiddleware.requireMasterAdmin(),
   ValidationMiddleware.validateParams(ValidationSchemas.tenantIdParam),
   ErrorHandler.asyncHandler(async (req, res) => {
@@ -180,14 +282,215 @@ router.get('/:tenantId/stats',
   })
 );
 
+/**
+ * @route GET /api/tenants/:tenantId/provisioning
+ * @desc Get the provisioning saga of a tenant with the state of each step (Master tenant only)
+ * @access Private (Master Admin)
+ */
+router.get('/:tenantId/provisioning',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('tenants:read'),
+  AuthorizationMiddleware.requireMasterAdmin(),
+  ValidationMiddleware.validateParams(ValidationSchemas.tenantIdParam),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    const provisioning = await provisioningService.getProvisioning(req.params.tenantId);
+
+    res.json({
+      success: true,
+      data: {
+        provisioning,
+      },
+      message: `Tenant provisioning is ${provisioning.status}`,
+    });
+  })
+);
+
+/**
+ * @route POST /api/tenants/:tenantId/provisioning
+ * @desc Resume or roll back a stuck tenant provisioning (Master tenant only)
+ * @access Private (Master Admin)
+ */
+router.post('/:tenantId/provisioning',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('tenants:write'),
+  AuthorizationMiddleware.requireMasterAdmin(),
+  IdempotencyMiddleware.handle(),
+  ValidationMiddleware.validate({
+    params: ValidationSchemas.tenantIdParam,
+    body: ValidationSchemas.provisioningAction,
+  }),
+  AuthorizationMiddleware.auditSensitiveOperation('tenant_provisioning'),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    logger.info('Updating tenant provisioning', {
+      requestedBy: req.user.sub,
+      tenantId: req.params.tenantId,
+      action: req.body.action,
+    });
+
+    const provisioning = req.body.action === 'resume'
+      ? await provisioningService.resume(req.params.tenantId, req.user)
+      : await provisioningService.rollback(req.params.tenantId, req.user);
+
+    res.json({
+      success: true,
+      data: {
+        provisioning,
+      },
+      message: req.body.action === 'resume'
+        ? 'Tenant provisioning completed'
+        : 'Tenant provisioning rolled back',
+    });
+  })
+);
+
+/**
+ * @route GET /api/tenants/:tenantId/branding
+ * @desc Get the logo, colors and login page text of a tenant
+ * @access Private (Master Admin or tenant-bound client)
+ */
+router.get('/:tenantId/branding',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('tenants:read'),
+  AuthorizationMiddleware.requireTenantAccess(),
+  ValidationMiddleware.validateParams(ValidationSchemas.tenantIdParam),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    const branding = await tenantService.getTenantBranding(req.params.tenantId);
+
+    res.json({
+      success: true,
+      data: {
+        branding,
+      },
+      message: 'Tenant branding retrieved successfully',
+    });
+  })
+);
+
+/**
+ * @route GET /api/tenants/:tenantId/connections
+ * @desc List the Auth0 connections a tenant owns or has enabled (Master tenant only)
+ * @access Private (Master Admin)
+ */
+router.get('/:tenantId/connections',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('tenants:read'),
+  AuthorizationMiddleware.requireMasterAdmin(),
+  ValidationMiddleware.validateParams(ValidationSchemas.tenantIdParam),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    const connections = await connectionService.listConnections(req.params.tenantId);
+
+    res.json({
+      success: true,
+      data: {
+        connections,
+      },
+      message: 'Tenant connections retrieved successfully',
+    });
+  })
+);
+
+/**
+ * @route POST /api/tenants/:tenantId/connections
+ * @desc Create a database, passwordless, SAML or OIDC connection for a tenant (Master tenant only)
+ * @access Private (Master Admin)
+ */
+router.post('/:tenantId/connections',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('tenants:write'),
+  AuthorizationMiddleware.requireMasterAdmin(),
+  IdempotencyMiddleware.handle(),
+  ValidationMiddleware.validate({
+    params: ValidationSchemas.tenantIdParam,
+    body: ValidationSchemas.createConnection,
+  }),
+  AuthorizationMiddleware.auditSensitiveOperation('tenant_connection_create'),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    logger.info('Creating tenant connection', {
+      requestedBy: req.user.sub,
+      tenantId: req.params.tenantId,
+      connection: req.body.name,
+      type: req.body.type,
+    });
+
+    const connection = await connectionService.createConnection(req.params.tenantId, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        connection,
+      },
+      message: 'Connection created successfully',
+    });
+  })
+);
+
+/**
+ * @route POST /api/tenants/:tenantId/connections/:connectionName/enable
+ * @desc Enable a connection for a tenant (Master tenant only)
+ * @access Private (Master Admin)
+ */
+router.post('/:tenantId/connections/:connectionName/enable',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('tenants:write'),
+  AuthorizationMiddleware.requireMasterAdmin(),
+  IdempotencyMiddleware.handle(),
+  ValidationMiddleware.validateParams(ValidationSchemas.connectionParams),
+  AuthorizationMiddleware.auditSensitiveOperation('tenant_connection_enable'),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    const connection = await connectionService.enableConnection(
+      req.params.tenantId,
+      req.params.connectionName,
+      req.user
+    );
+
+    res.json({
+      success: true,
+      data: {
+        connection,
+      },
+      message: 'Connection enabled successfully',
+    });
+  })
+);
+
+/**
+ * @route POST /api/tenants/:tenantId/connections/:connectionName/disable
+ * @desc Disable a connection for a tenant (Master tenant only)
+ * @access Private (Master Admin)
+ */
+router.post('/:tenantId/connections/:connectionName/disable',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('tenants:write'),
+  AuthorizationMiddleware.requireMasterAdmin(),
+  IdempotencyMiddleware.handle(),
+  ValidationMiddleware.validateParams(ValidationSchemas.connectionParams),
+  AuthorizationMiddleware.auditSensitiveOperation('tenant_connection_disable'),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    const connection = await connectionService.disableConnection(
+      req.params.tenantId,
+      req.params.connectionName,
+      req.user
+    );
+
+    res.json({
+      success: true,
+      data: {
+        connection,
+      },
+      message: 'Connection disabled successfully',
+    });
+  })
+);
+
 /**
  * @route GET /api/tenants/:tenantId/users
  * @desc Get users for a specific tenant (Master tenant only)
- * @access Private (Master Admin)
+ * @access Private (Master Admin or tenant-bound client)
  */
 router.get('/:tenantId/users',
   auth.authenticate(),
-  AuthorizationMiddleware.requireMasterAdmin(),
+  AuthorizationMiddleware.requireScopes('users:read'),
+  AuthorizationMiddleware.requireTenantAccess(),
   ValidationMiddleware.validate({
     params: ValidationSchemas.tenantIdParam,
     query: ValidationSchemas.userListQuery,
@@ -200,10 +503,6 @@ router.get('/:tenantId/users',
       filters: req.query,
     });
 
-    // Import UserService here to avoid circular dependency
-    const UserService = require('../services/userService');
-    const userService = new UserService();
-
     const result = await userService.getUsers(
       req.params.tenantId,
       req.query,
@@ -221,11 +520,13 @@ router.get('/:tenantId/users',
 /**
  * @route POST /api/tenants/:tenantId/users
  * @desc Create a user in a specific tenant (Master tenant only)
- * @access Private (Master Admin)
+ * @access Private (Master Admin or tenant-bound client)
  */
 router.post('/:tenantId/users',
   auth.authenticate(),
-  AuthorizationMiddleware.requireMasterAdmin(),
+  AuthorizationMiddleware.requireScopes('users:write'),
+  AuthorizationMiddleware.requireTenantAccess(),
+  IdempotencyMiddleware.handle(),
   ValidationMiddleware.validate({
     params: ValidationSchemas.tenantIdParam,
     body: ValidationSchemas.createUser,
@@ -238,10 +539,6 @@ router.post('/:tenantId/users',
       userEmail: req.body.email,
     });
 
-    // Import UserService here to avoid circular dependency
-    const UserService = require('../services/userService');
-    const userService = new UserService();
-
     const user = await userService.createUser(
       req.params.tenantId,
       req.body,
@@ -258,6 +555,246 @@ router.post('/:tenantId/users',
   })
 );
 
+/**
+ * @route GET /api/tenants/:tenantId/invitations
+ * @desc List the user invitations of a tenant
+ * @access Private (Master Admin or tenant-bound client)
+ */
+router.get('/:tenantId/invitations',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('users:read'),
+  AuthorizationMiddleware.requireTenantAccess(),
+  ValidationMiddleware.validate({
+    params: ValidationSchemas.tenantIdParam,
+    query: ValidationSchemas.invitationListQuery,
+  }),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    const invitations = await invitationService.listInvitations(req.params.tenantId, req.query);
+
+    res.json({
+      success: true,
+      data: {
+        invitations,
+      },
+      message: 'Invitations retrieved successfully',
+    });
+  })
+);
+
+/**
+ * @route POST /api/tenants/:tenantId/invitations
+ * @desc Invite a user to a tenant. Reserves a seat and returns the URL to send to the invitee.
+ * @access Private (Master Admin or tenant-bound client)
+ */
+router.post('/:tenantId/invitations',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('users:write'),
+  AuthorizationMiddleware.requireTenantAccess(),
+  IdempotencyMiddleware.handle(),
+  ValidationMiddleware.validate({
+    params: ValidationSchemas.tenantIdParam,
+    body: ValidationSchemas.createInvitation,
+  }),
+  AuthorizationMiddleware.auditSensitiveOperation('tenant_invitation_create'),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    logger.info('Inviting user to tenant', {
+      requestedBy: req.user.sub,
+      tenantId: req.params.tenantId,
+      userEmail: req.body.email,
+    });
+
+    const result = await invitationService.createInvitation(req.params.tenantId, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      message: 'Invitation created successfully',
+    });
+  })
+);
+
+/**
+ * @route POST /api/tenants/:tenantId/invitations/:invitationId/resend
+ * @desc Issue a new invitation URL and restart the expiry
+ * @access Private (Master Admin or tenant-bound client)
+ */
+router.post('/:tenantId/invitations/:invitationId/resend',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('users:write'),
+  AuthorizationMiddleware.requireTenantAccess(),
+  IdempotencyMiddleware.handle(),
+  ValidationMiddleware.validate({
+    params: ValidationSchemas.invitationParams,
+    body: ValidationSchemas.resendInvitation,
+  }),
+  AuthorizationMiddleware.auditSensitiveOperation('tenant_invitation_resend'),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    const result = await invitationService.resendInvitation(
+      req.params.tenantId,
+      req.params.invitationId,
+      req.user,
+      req.body
+    );
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Invitation resent successfully',
+    });
+  })
+);
+
+/**
+ * @route DELETE /api/tenants/:tenantId/invitations/:invitationId
+ * @desc Revoke a pending invitation and release its seat
+ * @access Private (Master Admin or tenant-bound client)
+ */
+router.delete('/:tenantId/invitations/:invitationId',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('users:write'),
+  AuthorizationMiddleware.requireTenantAccess(),
+  IdempotencyMiddleware.handle(),
+  ValidationMiddleware.validateParams(ValidationSchemas.invitationParams),
+  AuthorizationMiddleware.auditSensitiveOperation('tenant_invitation_revoke'),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    const invitation = await invitationService.revokeInvitation(
+      req.params.tenantId,
+      req.params.invitationId,
+      req.user
+    );
+
+    res.json({
+      success: true,
+      data: {
+        invitation,
+      },
+      message: 'Invitation revoked successfully',
+    });
+  })
+);
+
+/**
+ * @route POST /api/tenants/:tenantId/users/import
+ * @desc Create many users from CSV (text/csv) or a JSON array. Imports larger
+ *       than USER_IMPORT_BACKGROUND_THRESHOLD rows, or with ?background=true,
+ *       run as a job polled through the returned status URL.
+ * @access Private (Master Admin or tenant-bound client)
+ */
+router.post('/:tenantId/users/import',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('users:write'),
+  AuthorizationMiddleware.requireTenantAccess(),
+  express.text({ type: ['text/csv', 'application/csv'], limit: '10mb' }),
+  IdempotencyMiddleware.handle(),
+  ValidationMiddleware.validate({
+    params: ValidationSchemas.tenantIdParam,
+    query: ValidationSchemas.userImportQuery,
+  }),
+  AuthorizationMiddleware.auditSensitiveOperation('tenant_user_import'),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    const { tenantId } = req.params;
+    const rows = userImportService.parseRows(req.body);
+    // Query values arrive as strings
+    const options = { atomic: String(req.query.atomic) === 'true' };
+    const background = String(req.query.background) === 'true'
+      || (req.query.background === undefined && rows.length > config.userImport.backgroundThreshold);
+
+    logger.info('Importing users into tenant', {
+      requestedBy: req.user.sub,
+      tenantId,
+      rows: rows.length,
+      atomic: options.atomic,
+      background,
+    });
+
+    if (background) {
+      const job = await userImportService.startImportJob(tenantId, rows, options, req.user);
+      const statusUrl = `${req.baseUrl}/${tenantId}/users/import/${job.id}`;
+
+      res.status(202).location(statusUrl).json({
+        success: true,
+        data: {
+          job,
+          statusUrl,
+        },
+        message: `Import of ${rows.length} users queued`,
+      });
+      return;
+    }
+
+    const report = await userImportService.importUsers(tenantId, rows, options, req.user);
+
+    res.json({
+      success: true,
+      data: report,
+      message: `Imported ${report.summary.created} of ${report.summary.total} users`,
+    });
+  })
+);
+
+/**
+ * @route GET /api/tenants/:tenantId/users/import/:jobId
+ * @desc Status and report of a background user import
+ * @access Private (Master Admin or tenant-bound client)
+ */
+router.get('/:tenantId/users/import/:jobId',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('users:read'),
+  AuthorizationMiddleware.requireTenantAccess(),
+  ValidationMiddleware.validateParams(ValidationSchemas.importJobParams),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    const job = await userImportService.getImportJob(req.params.tenantId, req.params.jobId);
+
+    res.json({
+      success: true,
+      data: {
+        job,
+      },
+      message: `User import is ${job.status}`,
+    });
+  })
+);
+
+/**
+ * @route GET /api/tenants/:tenantId/users/export
+ * @desc Stream every user of a tenant as CSV, JSON or NDJSON
+ * @access Private (Master Admin or tenant-bound client)
+ */
+router.get('/:tenantId/users/export',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('users:read'),
+  AuthorizationMiddleware.requireTenantAccess(),
+  ValidationMiddleware.validate({
+    params: ValidationSchemas.tenantIdParam,
+    query: ValidationSchemas.userExportQuery,
+  }),
+  AuthorizationMiddleware.auditSensitiveOperation('tenant_user_export'),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    const { tenantId } = req.params;
+    const plan = await userExportService.prepareExport(tenantId, {
+      format: req.query.format || 'csv',
+      columns: req.query.columns,
+    });
+
+    logger.info('Exporting users for tenant', {
+      requestedBy: req.user.sub,
+      tenantId,
+      format: plan.format,
+      columns: plan.columns,
+    });
+
+    res.attachment(plan.filename);
+    res.type(plan.contentType);
+
+    // Headers are sent by now; a failure can only cut the download short
+    try {
+      await pipeline(Readable.from(userExportService.exportUsers(plan)), res);
+    } catch (error) {
+      logger.error('User export aborted:', { tenantId, error: error.message });
+    }
+  })
+);
+
 /**
  * @route PUT /api/tenants/:tenantId/seat-limit
  * @desc Update seat limit for a tenant (Master tenant only)
@@ -265,7 +802,9 @@ router.post('/:tenantId/users',
  */
 router.put('/:tenantId/seat-limit',
   auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('seats:admin'),
   AuthorizationMiddleware.requireMasterAdmin(),
+  IdempotencyMiddleware.handle(),
   ValidationMiddleware.validate({
     params: ValidationSchemas.tenantIdParam,
     body: ValidationSchemas.updateSeatLimit,
@@ -301,6 +840,7 @@ router.put('/:tenantId/seat-limit',
  */
 router.get('/:tenantId/seat-usage',
   auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('tenants:read'),
   AuthorizationMiddleware.requireMasterAdmin(),
   ValidationMiddleware.validateParams(ValidationSchemas.tenantIdParam),
   ErrorHandler.asyncHandler(async (req, res) => {
@@ -327,6 +867,85 @@ router.get('/:tenantId/seat-usage',
   })
 );
 
+/**
+ * @route GET /api/tenants/:tenantId/seat-usage/history
+ * @desc Peak, average and end-of-period seat usage by day, week or month (Master tenant only)
+ * @access Private (Master Admin)
+ */
+router.get('/:tenantId/seat-usage/history',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('tenants:read'),
+  AuthorizationMiddleware.requireMasterAdmin(),
+  ValidationMiddleware.validate({
+    params: ValidationSchemas.tenantIdParam,
+    query: ValidationSchemas.seatHistoryQuery,
+  }),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    logger.info('Getting tenant seat usage history', {
+      requestedBy: req.user.sub,
+      tenantId: req.params.tenantId,
+      filters: req.query,
+    });
+
+    const SeatService = require('../services/seatService');
+    const seatService = new SeatService();
+
+    const history = await seatService.getSeatHistory(req.params.tenantId, {
+      from: req.query.from,
+      to: req.query.to,
+      interval: req.query.interval,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        history,
+      },
+      message: `Retrieved ${history.periods.length} seat usage periods`,
+    });
+  })
+);
+
+/**
+ * @route POST /api/tenants/:tenantId/seats/reconcile
+ * @desc Compare recorded seat usage with Auth0 users and optionally correct it (Master tenant only)
+ * @access Private (Master Admin)
+ */
+router.post('/:tenantId/seats/reconcile',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('seats:admin'),
+  AuthorizationMiddleware.requireMasterAdmin(),
+  IdempotencyMiddleware.handle(),
+  ValidationMiddleware.validate({
+    params: ValidationSchemas.tenantIdParam,
+    body: ValidationSchemas.reconcileSeats,
+  }),
+  AuthorizationMiddleware.auditSensitiveOperation('tenant_seat_reconcile'),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    logger.info('Reconciling tenant seats', {
+      requestedBy: req.user.sub,
+      tenantId: req.params.tenantId,
+      correct: req.body.correct,
+    });
+
+    const reconciliation = await seatReconciliationService.reconcileTenant(
+      req.params.tenantId,
+      { correct: req.body.correct },
+      req.user
+    );
+
+    res.json({
+      success: true,
+      data: {
+        reconciliation,
+      },
+      message: reconciliation.drift === 0
+        ? 'Seat usage is consistent with Auth0'
+        : `Seat drift of ${reconciliation.drift} detected${reconciliation.corrected ? ' and corrected' : ''}`,
+    });
+  })
+);
+
 /**
  * @route POST /api/tenants/:tenantId/validate-access
  * @desc Validate tenant access for a user (Internal use)
@@ -334,6 +953,8 @@ router.get('/:tenantId/seat-usage',
  */
 router.post('/:tenantId/validate-access',
   auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('tenants:read'),
+  IdempotencyMiddleware.handle(),
   ValidationMiddleware.validateParams(ValidationSchemas.tenantIdParam),
   ErrorHandler.asyncHandler(async (req, res) => {
     logger.info('Validating tenant access', {
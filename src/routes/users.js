@@ -1,14 +1,35 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const UserService = require('../services/userService');
 const auth = require('../middleware/auth');
 const AuthorizationMiddleware = require('../middleware/authorization');
+const IdempotencyMiddleware = require('../middleware/idempotency');
 const { ValidationMiddleware, ValidationSchemas } = require('../middleware/validation');
 const ErrorHandler = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
+const config = require('../config');
 
 const router = express.Router();
 const userService = new UserService();
 
+// Limits emails sent to one user. Failed requests are not counted.
+const perUserLimit = (action) => rateLimit({
+  windowMs: config.rateLimit.userEmails.windowMs,
+  max: config.rateLimit.userEmails.maxRequests,
+  message: {
+    success: false,
+    error: {
+      code: 'RATE_LIMIT_EXCEEDED',
+      message: `Too many ${action} requests for this user, please try again later.`,
+      statusCode: 429,
+    },
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.params.userId,
+  skipFailedRequests: true,
+});
+
 /**
  * @route GET /api/users
  * @desc Get users for the authenticated user's tenant
@@ -16,17 +37,19 @@ const userService = new UserService();
  */
 router.get('/',
   auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('users:read'),
   AuthorizationMiddleware.requireUserManagement(),
+  AuthorizationMiddleware.resolveTenant('query'),
   ValidationMiddleware.validateQuery(ValidationSchemas.userListQuery),
   ErrorHandler.asyncHandler(async (req, res) => {
     logger.info('Getting users for tenant', {
       requestedBy: req.user.sub,
-      tenantId: req.query.tenantId,
+      tenantId: req.tenantId,
       filters: req.query,
     });
 
-    // For M2M API, tenant ID must be provided in query parameters
-    const tenantId = req.query.tenantId;
+    // Master clients name the tenant; tenant-bound clients get it from their token
+    const tenantId = req.tenantId;
     if (!tenantId) {
       return ErrorHandler.sendError(
         res,
@@ -53,18 +76,21 @@ router.get('/',
  */
 router.post('/',
   auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('users:write'),
   AuthorizationMiddleware.requireUserManagement(),
+  AuthorizationMiddleware.resolveTenant('body'),
+  IdempotencyMiddleware.handle(),
   ValidationMiddleware.validateBody(ValidationSchemas.createUser),
   AuthorizationMiddleware.auditSensitiveOperation('user_create'),
   ErrorHandler.asyncHandler(async (req, res) => {
     logger.info('Creating new user', {
       requestedBy: req.user.sub,
-      tenantId: req.body.tenantId,
+      tenantId: req.tenantId,
       userEmail: req.body.email,
     });
 
-    // For M2M API, tenant ID must be provided in request body
-    const tenantId = req.body.tenantId;
+    // Master clients name the tenant; tenant-bound clients get it from their token
+    const tenantId = req.tenantId;
     if (!tenantId) {
       return ErrorHandler.sendError(
         res,
@@ -93,17 +119,19 @@ router.post('/',
  */
 router.get('/:userId',
   auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('users:read'),
   AuthorizationMiddleware.requireSelfOrManagement('userId'),
+  AuthorizationMiddleware.resolveTenant('query'),
   ValidationMiddleware.validateParams(ValidationSchemas.userIdParam),
   ErrorHandler.asyncHandler(async (req, res) => {
     logger.info('Getting user details', {
       requestedBy: req.user.sub,
       userId: req.params.userId,
-      tenantId: req.query.tenantId,
+      tenantId: req.tenantId,
     });
 
-    // For M2M API, tenant ID must be provided in query parameters
-    const tenantId = req.query.tenantId;
+    // Master clients name the tenant; tenant-bound clients get it from their token
+    const tenantId = req.tenantId;
     if (!tenantId) {
       return ErrorHandler.sendError(
         res,
@@ -132,7 +160,10 @@ router.get('/:userId',
  */
 router.put('/:userId',
   auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('users:write'),
   AuthorizationMiddleware.requireSelfOrManagement('userId'),
+  AuthorizationMiddleware.resolveTenant('body'),
+  IdempotencyMiddleware.handle(),
   ValidationMiddleware.validate({
     params: ValidationSchemas.userIdParam,
     body: ValidationSchemas.updateUser,
@@ -142,12 +173,12 @@ router.put('/:userId',
     logger.info('Updating user', {
       requestedBy: req.user.sub,
       userId: req.params.userId,
-      tenantId: req.body.tenantId,
+      tenantId: req.tenantId,
       updates: Object.keys(req.body),
     });
 
-    // For M2M API, tenant ID must be provided in request body
-    const tenantId = req.body.tenantId;
+    // Master clients name the tenant; tenant-bound clients get it from their token
+    const tenantId = req.tenantId;
     if (!tenantId) {
       return ErrorHandler.sendError(
         res,
@@ -198,18 +229,21 @@ router.put('/:userId',
  */
 router.delete('/:userId',
   auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('users:write'),
   AuthorizationMiddleware.requireUserManagement(),
+  AuthorizationMiddleware.resolveTenant('query'),
+  IdempotencyMiddleware.handle(),
   ValidationMiddleware.validateParams(ValidationSchemas.userIdParam),
   AuthorizationMiddleware.auditSensitiveOperation('user_delete'),
   ErrorHandler.asyncHandler(async (req, res) => {
     logger.info('Deleting user', {
       requestedBy: req.user.sub,
       userId: req.params.userId,
-      tenantId: req.query.tenantId,
+      tenantId: req.tenantId,
     });
 
-    // For M2M API, tenant ID must be provided in query parameters
-    const tenantId = req.query.tenantId;
+    // Master clients name the tenant; tenant-bound clients get it from their token
+    const tenantId = req.tenantId;
     if (!tenantId) {
       return ErrorHandler.sendError(
         res,
@@ -236,17 +270,19 @@ router.delete('/:userId',
  */
 router.get('/:userId/roles',
   auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('users:read'),
   AuthorizationMiddleware.requireSelfOrManagement('userId'),
+  AuthorizationMiddleware.resolveTenant('query'),
   ValidationMiddleware.validateParams(ValidationSchemas.userIdParam),
   ErrorHandler.asyncHandler(async (req, res) => {
     logger.info('Getting user roles', {
       requestedBy: req.user.sub,
       userId: req.params.userId,
-      tenantId: req.query.tenantId,
+      tenantId: req.tenantId,
     });
 
-    // For M2M API, tenant ID must be provided in query parameters
-    const tenantId = req.query.tenantId;
+    // Master clients name the tenant; tenant-bound clients get it from their token
+    const tenantId = req.tenantId;
     if (!tenantId) {
       return ErrorHandler.sendError(
         res,
@@ -273,7 +309,10 @@ router.get('/:userId/roles',
  */
 router.put('/:userId/roles',
   auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('users:write'),
   AuthorizationMiddleware.requireUserManagement(),
+  AuthorizationMiddleware.resolveTenant('body'),
+  IdempotencyMiddleware.handle(),
   ValidationMiddleware.validate({
     params: ValidationSchemas.userIdParam,
     body: ValidationSchemas.updateUserRoles,
@@ -283,12 +322,12 @@ router.put('/:userId/roles',
     logger.info('Updating user roles', {
       requestedBy: req.user.sub,
       userId: req.params.userId,
-      tenantId: req.body.tenantId,
+      tenantId: req.tenantId,
       newRoles: req.body.roles,
     });
 
-    // For M2M API, tenant ID must be provided in request body
-    const tenantId = req.body.tenantId;
+    // Master clients name the tenant; tenant-bound clients get it from their token
+    const tenantId = req.tenantId;
     if (!tenantId) {
       return ErrorHandler.sendError(
         res,
@@ -344,6 +383,7 @@ router.get('/me',
  */
 router.put('/me',
   auth.authenticate(),
+  IdempotencyMiddleware.handle(),
   ValidationMiddleware.validateBody(ValidationSchemas.updateUser),
   ErrorHandler.asyncHandler(async (req, res) => {
     logger.info('Updating current user profile', {
@@ -390,15 +430,17 @@ router.put('/me',
  */
 router.get('/stats',
   auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('users:read'),
   AuthorizationMiddleware.requireUserManagement(),
+  AuthorizationMiddleware.resolveTenant('query'),
   ErrorHandler.asyncHandler(async (req, res) => {
     logger.info('Getting user statistics', {
       requestedBy: req.user.sub,
-      tenantId: req.query.tenantId,
+      tenantId: req.tenantId,
     });
 
-    // For M2M API, tenant ID must be provided in query parameters
-    const tenantId = req.query.tenantId;
+    // Master clients name the tenant; tenant-bound clients get it from their token
+    const tenantId = req.tenantId;
     if (!tenantId) {
       return ErrorHandler.sendError(
         res,
@@ -427,18 +469,21 @@ router.get('/stats',
  */
 router.post('/:userId/block',
   auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('users:write'),
   AuthorizationMiddleware.requireUserManagement(),
+  AuthorizationMiddleware.resolveTenant('body'),
+  IdempotencyMiddleware.handle(),
   ValidationMiddleware.validateParams(ValidationSchemas.userIdParam),
   AuthorizationMiddleware.auditSensitiveOperation('user_block'),
   ErrorHandler.asyncHandler(async (req, res) => {
     logger.info('Blocking user', {
       requestedBy: req.user.sub,
       userId: req.params.userId,
-      tenantId: req.body.tenantId,
+      tenantId: req.tenantId,
     });
 
-    // For M2M API, tenant ID must be provided in request body
-    const tenantId = req.body.tenantId;
+    // Master clients name the tenant; tenant-bound clients get it from their token
+    const tenantId = req.tenantId;
     if (!tenantId) {
       return ErrorHandler.sendError(
         res,
@@ -472,18 +517,21 @@ router.post('/:userId/block',
  */
 router.post('/:userId/unblock',
   auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('users:write'),
   AuthorizationMiddleware.requireUserManagement(),
+  AuthorizationMiddleware.resolveTenant('body'),
+  IdempotencyMiddleware.handle(),
   ValidationMiddleware.validateParams(ValidationSchemas.userIdParam),
   AuthorizationMiddleware.auditSensitiveOperation('user_unblock'),
   ErrorHandler.asyncHandler(async (req, res) => {
     logger.info('Unblocking user', {
       requestedBy: req.user.sub,
       userId: req.params.userId,
-      tenantId: req.body.tenantId,
+      tenantId: req.tenantId,
     });
 
-    // For M2M API, tenant ID must be provided in request body
-    const tenantId = req.body.tenantId;
+    // Master clients name the tenant; tenant-bound clients get it from their token
+    const tenantId = req.tenantId;
     if (!tenantId) {
       return ErrorHandler.sendError(
         res,
@@ -510,4 +558,107 @@ router.post('/:userId/unblock',
   })
 );
 
+/**
+ * @route POST /api/users/:userId/verification-email
+ * @desc Resend the verification email to a user
+ * @access Private (Tenant Admin or Master Admin)
+ */
+router.post('/:userId/verification-email',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('users:write'),
+  AuthorizationMiddleware.requireUserManagement(),
+  AuthorizationMiddleware.resolveTenant('body'),
+  IdempotencyMiddleware.handle(),
+  ValidationMiddleware.validate({
+    params: ValidationSchemas.userIdParam,
+    body: ValidationSchemas.sendVerificationEmail,
+  }),
+  perUserLimit('verification email'),
+  AuthorizationMiddleware.auditSensitiveOperation('user_verification_email'),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    logger.info('Sending verification email', {
+      requestedBy: req.user.sub,
+      userId: req.params.userId,
+      tenantId: req.tenantId,
+    });
+
+    // Master clients name the tenant; tenant-bound clients get it from their token
+    const tenantId = req.tenantId;
+    if (!tenantId) {
+      return ErrorHandler.sendError(
+        res,
+        'VALIDATION_ERROR',
+        'Tenant ID is required in request body',
+        400
+      );
+    }
+
+    const verification = await userService.sendVerificationEmail(
+      tenantId,
+      req.params.userId,
+      req.user
+    );
+
+    res.status(202).json({
+      success: true,
+      data: {
+        verification,
+      },
+      message: 'Verification email sent successfully',
+    });
+  })
+);
+
+/**
+ * @route POST /api/users/:userId/password-reset
+ * @desc Create a password reset ticket for a user
+ * @access Private (Tenant Admin or Master Admin)
+ */
+router.post('/:userId/password-reset',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('users:write'),
+  AuthorizationMiddleware.requireUserManagement(),
+  AuthorizationMiddleware.resolveTenant('body'),
+  IdempotencyMiddleware.handle(),
+  ValidationMiddleware.validate({
+    params: ValidationSchemas.userIdParam,
+    body: ValidationSchemas.passwordReset,
+  }),
+  perUserLimit('password reset'),
+  AuthorizationMiddleware.auditSensitiveOperation('user_password_reset'),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    logger.info('Creating password reset', {
+      requestedBy: req.user.sub,
+      userId: req.params.userId,
+      tenantId: req.tenantId,
+    });
+
+    // Master clients name the tenant; tenant-bound clients get it from their token
+    const tenantId = req.tenantId;
+    if (!tenantId) {
+      return ErrorHandler.sendError(
+        res,
+        'VALIDATION_ERROR',
+        'Tenant ID is required in request body',
+        400
+      );
+    }
+
+    const passwordReset = await userService.createPasswordReset(
+      tenantId,
+      req.params.userId,
+      req.body,
+      req.user
+    );
+
+    res.json({
+      success: true,
+      data: {
+        passwordReset,
+      },
+      message: 'Password reset created successfully',
+    });
+  })
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,197 @@
+const express = require('express');
+const WebhookService = require('../services/webhookService');
+const auth = require('../middleware/auth');
+const AuthorizationMiddleware = require('../middleware/authorization');
+const IdempotencyMiddleware = require('../middleware/idempotency');
+const { ValidationMiddleware, ValidationSchemas } = require('../middleware/validation');
+const ErrorHandler = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+const webhookService = new WebhookService();
+
+/**
+ * @route GET /api/webhooks
+ * @desc List webhook subscriptions, optionally for one tenant
+ * @access Private (Master Admin)
+ */
+router.get('/',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('webhooks:read'),
+  AuthorizationMiddleware.requireMasterAdmin(),
+  ValidationMiddleware.validateQuery(ValidationSchemas.webhookListQuery),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    const subscriptions = await webhookService.listSubscriptions({ tenantId: req.query.tenantId });
+
+    res.json({
+      success: true,
+      data: {
+        subscriptions,
+        events: WebhookService.EVENTS,
+      },
+      message: `Retrieved ${subscriptions.length} webhook subscriptions`,
+    });
+  })
+);
+
+/**
+ * @route POST /api/webhooks
+ * @desc Subscribe an endpoint to lifecycle events
+ * @access Private (Master Admin)
+ */
+router.post('/',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('webhooks:write'),
+  AuthorizationMiddleware.requireMasterAdmin(),
+  IdempotencyMiddleware.handle(),
+  ValidationMiddleware.validateBody(ValidationSchemas.createWebhook),
+  AuthorizationMiddleware.auditSensitiveOperation('webhook_create'),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    logger.info('Creating webhook subscription', {
+      requestedBy: req.user.sub,
+      url: req.body.url,
+      events: req.body.events,
+    });
+
+    const subscription = await webhookService.createSubscription(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        subscription,
+      },
+      message: 'Webhook subscription created successfully',
+    });
+  })
+);
+
+/**
+ * @route GET /api/webhooks/dead-letters
+ * @desc List deliveries that failed every retry
+ * @access Private (Master Admin)
+ */
+router.get('/dead-letters',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('webhooks:read'),
+  AuthorizationMiddleware.requireMasterAdmin(),
+  ValidationMiddleware.validateQuery(ValidationSchemas.webhookListQuery),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    const deadLetters = await webhookService.listDeadLetters({
+      subscriptionId: req.query.subscriptionId,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        deadLetters,
+      },
+      message: `Retrieved ${deadLetters.length} dead-lettered deliveries`,
+    });
+  })
+);
+
+/**
+ * @route POST /api/webhooks/dead-letters/:deadLetterId/replay
+ * @desc Send a dead-lettered delivery again
+ * @access Private (Master Admin)
+ */
+router.post('/dead-letters/:deadLetterId/replay',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('webhooks:write'),
+  AuthorizationMiddleware.requireMasterAdmin(),
+  IdempotencyMiddleware.handle(),
+  ValidationMiddleware.validateParams(ValidationSchemas.deadLetterIdParam),
+  AuthorizationMiddleware.auditSensitiveOperation('webhook_replay'),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    logger.info('Replaying webhook dead letter', {
+      requestedBy: req.user.sub,
+      deadLetterId: req.params.deadLetterId,
+    });
+
+    const result = await webhookService.replayDeadLetter(req.params.deadLetterId);
+
+    res.status(result.delivered ? 200 : 502).json({
+      success: result.delivered,
+      data: result,
+      message: result.delivered
+        ? 'Webhook delivered and removed from dead letters'
+        : `Webhook delivery failed again: ${result.deadLetter.lastError}`,
+    });
+  })
+);
+
+/**
+ * @route GET /api/webhooks/:subscriptionId
+ * @desc Get a webhook subscription
+ * @access Private (Master Admin)
+ */
+router.get('/:subscriptionId',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('webhooks:read'),
+  AuthorizationMiddleware.requireMasterAdmin(),
+  ValidationMiddleware.validateParams(ValidationSchemas.subscriptionIdParam),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    const subscription = await webhookService.getSubscription(req.params.subscriptionId);
+
+    res.json({
+      success: true,
+      data: {
+        subscription,
+      },
+      message: 'Webhook subscription retrieved successfully',
+    });
+  })
+);
+
+/**
+ * @route PUT /api/webhooks/:subscriptionId
+ * @desc Update a webhook subscription
+ * @access Private (Master Admin)
+ */
+router.put('/:subscriptionId',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('webhooks:write'),
+  AuthorizationMiddleware.requireMasterAdmin(),
+  IdempotencyMiddleware.handle(),
+  ValidationMiddleware.validate({
+    params: ValidationSchemas.subscriptionIdParam,
+    body: ValidationSchemas.updateWebhook,
+  }),
+  AuthorizationMiddleware.auditSensitiveOperation('webhook_update'),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    const subscription = await webhookService.updateSubscription(req.params.subscriptionId, req.body);
+
+    res.json({
+      success: true,
+      data: {
+        subscription,
+      },
+      message: 'Webhook subscription updated successfully',
+    });
+  })
+);
+
+/**
+ * @route DELETE /api/webhooks/:subscriptionId
+ * @desc Remove a webhook subscription
+ * @access Private (Master Admin)
+ */
+router.delete('/:subscriptionId',
+  auth.authenticate(),
+  AuthorizationMiddleware.requireScopes('webhooks:write'),
+  AuthorizationMiddleware.requireMasterAdmin(),
+  IdempotencyMiddleware.handle(),
+  ValidationMiddleware.validateParams(ValidationSchemas.subscriptionIdParam),
+  AuthorizationMiddleware.auditSensitiveOperation('webhook_delete'),
+  ErrorHandler.asyncHandler(async (req, res) => {
+    const result = await webhookService.deleteSubscription(req.params.subscriptionId);
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Webhook subscription deleted successfully',
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getDocumentStore } = require('../repositories');
+const { getNotifiers } = require('../notifiers');
+const { ResourceNotFoundError, ConflictError } = require('../utils/errors');
+
+const utilizationOf = (seatData) => (seatData && seatData.seatLimit
+  ? (seatData.seatUsed / seatData.seatLimit) * 100
+  : 0);
+
+/**
+ * Seat threshold alerts.
+ *
+ * Every seat change is checked against the tenant's utilization
+ * thresholds. Crossing one upwards or back down creates an alert record
+ * and sends it through the configured notifiers. Per tenant and threshold
+ * the last crossing is remembered, so an alert fires once per direction,
+ * and a crossing within ALERT_DEBOUNCE_MS of the last alert in the same
+ * direction is not raised again. Alerts stay open until acknowledged.
+ */
+class AlertService {
+  constructor() {
+    const store = getDocumentStore();
+    this.alerts = store.collection('seatAlerts');
+    this.states = store.collection('seatAlertStates');
+  }
+
+  /**
+   * Raise alerts for the thresholds a seat change crossed. Notifications are
+   * sent in the background.
+   */
+  async checkThresholds(tenantId, previous, current, thresholds = []) {
+    const before = utilizationOf(previous);
+    const after = utilizationOf(current);
+    const crossings = thresholds
+      .map((threshold) => {
+        if (before < threshold && after >= threshold) {
+          return { threshold, direction: 'up' };
+        }
+        if (before >= threshold && after < threshold) {
+          return { threshold, direction: 'down' };
+        }
+        return null;
+      })
+      .filter(Boolean);
+
+    if (crossings.length === 0) {
+      return [];
+    }
+
+    const now = Date.now();
+    const { debounceMs = 0 } = config.alerts || {};
+    const state = (await this.states.get(tenantId)) || { id: tenantId, thresholds: {} };
+    const raised = [];
+
+    for (const { threshold, direction } of crossings) {
+      const last = state.thresholds[threshold] || { alertedAt: {} };
+      state.thresholds[threshold] = { ...last, direction, crossedAt: new Date(now).toISOString() };
+
+      const lastAlertAt = last.alertedAt[direction];
+      if (last.direction === direction
+        || (lastAlertAt && now - new Date(lastAlertAt).getTime() < debounceMs)) {
+        logger.info(`Seat alert for tenant ${tenantId} at ${threshold}% (${direction}) debounced`);
+        continue;
+      }
+
+      const alert = await this.createAlert(tenantId, threshold, direction, current, after);
+      state.thresholds[threshold].alertedAt = { ...last.alertedAt, [direction]: alert.createdAt };
+      raised.push(alert);
+    }
+
+    await this.states.put(tenantId, state);
+
+    raised.forEach((alert) => {
+      this.notify(alert).catch((error) => {
+        logger.error('Alert notification failed unexpectedly:', error);
+      });
+    });
+    return raised;
+  }
+
+  /**
+   * Store a new open alert
+   */
+  async createAlert(tenantId, threshold, direction, seatData, utilization) {
+    const utilizationPercentage = Math.round(utilization);
+    const seats = `${seatData.seatUsed} of ${seatData.seatLimit} seats`;
+    const alert = {
+      id: `alert_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      type: 'seat_threshold',
+      tenantId,
+      threshold,
+      direction,
+      severity: direction === 'down' ? 'info' : (threshold >= 95 ? 'critical' : 'warning'),
+      message: direction === 'up'
+        ? `Seat usage reached ${threshold}% (${seats})`
+        : `Seat usage dropped below ${threshold}% (${seats})`,
+      seatUsed: seatData.seatUsed,
+      seatLimit: seatData.seatLimit,
+      utilizationPercentage,
+      status: 'open',
+      notifications: [],
+      createdAt: new Date().toISOString(),
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      note: null,
+    };
+
+    await this.alerts.put(alert.id, alert);
+    logger.info(`Seat alert ${alert.id} raised for tenant ${tenantId}: ${alert.message}`);
+    return alert;
+  }
+
+  /**
+   * Send an alert through every notifier and record each outcome on it
+   */
+  async notify(alert) {
+    const notifications = [];
+    for (const notifier of getNotifiers()) {
+      try {
+        await notifier.send(alert);
+        notifications.push({ channel: notifier.channel, status: 'sent', at: new Date().toISOString() });
+      } catch (error) {
+        logger.warn(`Alert ${alert.id} could not be sent through ${notifier.channel}`, { error: error.message });
+        notifications.push({
+          channel: notifier.channel,
+          status: 'failed',
+          error: error.message,
+          at: new Date().toISOString(),
+        });
+      }
+    }
+
+    const stored = await this.alerts.get(alert.id);
+    return this.alerts.put(alert.id, { ...stored, notifications });
+  }
+
+  /**
+   * List alerts, newest first
+   */
+  async listAlerts(filters = {}) {
+    // Query strings arrive unparsed
+    const page = parseInt(filters.page, 10) || 1;
+    const limit = parseInt(filters.limit, 10) || 50;
+    const { tenantId, status } = filters;
+
+    const alerts = (await this.alerts.list((alert) => (!tenantId || alert.tenantId === tenantId)
+      && (!status || alert.status === status)))
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+
+    const start = (page - 1) * limit;
+    return {
+      alerts: alerts.slice(start, start + limit),
+      pagination: {
+        total: alerts.length,
+        page,
+        limit,
+        totalPages: Math.ceil(alerts.length / limit),
+        hasNext: page * limit < alerts.length,
+        hasPrev: page > 1,
+      },
+    };
+  }
+
+  async getAlert(alertId) {
+    const alert = await this.alerts.get(alertId);
+    if (!alert) {
+      throw new ResourceNotFoundError('Alert', alertId);
+    }
+    return alert;
+  }
+
+  /**
+   * Acknowledge an open alert
+   */
+  async acknowledgeAlert(alertId, acknowledgedBy, note = null) {
+    try {
+      const alert = await this.getAlert(alertId);
+      if (alert.status === 'acknowledged') {
+        throw new ConflictError('Alert is already acknowledged', {
+          alertId,
+          acknowledgedAt: alert.acknowledgedAt,
+        });
+      }
+
+      const acknowledged = await this.alerts.put(alertId, {
+        ...alert,
+        status: 'acknowledged',
+        acknowledgedAt: new Date().toISOString(),
+        acknowledgedBy: acknowledgedBy.sub || acknowledgedBy.id,
+        note,
+      });
+
+      logger.info(`Seat alert ${alertId} acknowledged`);
+      return acknowledged;
+    } catch (error) {
+      logger.error('Failed to acknowledge alert:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = AlertService;
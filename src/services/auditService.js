@@ -0,0 +1,116 @@
+const { getAuditLogRepository } = require('../repositories');
+const { getRequestContext } = require('../utils/requestContext');
+const logger = require('../utils/logger');
+const { SECRET_FIELDS, redactSecrets } = require('../utils/redact');
+
+class AuditService {
+  constructor() {
+    this.repository = getAuditLogRepository();
+  }
+
+  /**
+   * Identify the caller. M2M tokens have no email, so the client ID is the
+   * stable identity.
+   */
+  describeActor(user = {}) {
+    return {
+      id: user.sub || user.id || null,
+      clientId: user.client_id || null,
+      tenantId: user.tenant_id || null,
+      isMasterClient: user.isMasterClient === true,
+    };
+  }
+
+  /**
+   * Field-level changes between two versions of a record
+   */
+  diff(before, after) {
+    if (!before && !after) {
+      return null;
+    }
+
+    const changes = {};
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    keys.forEach((key) => {
+      if (SECRET_FIELDS.test(key)) {
+        return;
+      }
+
+      const from = before ? before[key] : undefined;
+      const to = after ? after[key] : undefined;
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[key] = { from: redactSecrets(from) ?? null, to: redactSecrets(to) ?? null };
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Append an entry. `tenantId`, `userId`, `before`, `after`, `outcome` and
+   * `requestId` in details become top-level fields; the rest is kept as is.
+   * A failed write is logged and never fails the audited operation.
+   */
+  async record(action, resource, user, details = {}) {
+    const {
+      tenantId,
+      userId,
+      before,
+      after,
+      outcome = 'success',
+      requestId,
+      ...rest
+    } = details;
+    const actor = this.describeActor(user);
+
+    try {
+      return await this.repository.append({
+        timestamp: new Date().toISOString(),
+        action,
+        resource,
+        actor,
+        tenantId: tenantId || actor.tenantId,
+        userId: userId || null,
+        changes: this.diff(before, after),
+        requestId: requestId || getRequestContext().requestId || null,
+        outcome,
+        details: rest,
+      });
+    } catch (error) {
+      logger.error('Failed to write audit entry:', { action, resource, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Filter the audit log by tenant, actor, action and time range
+   */
+  async query(filters = {}) {
+    // Query strings arrive unparsed
+    const page = parseInt(filters.page, 10) || 1;
+    const limit = parseInt(filters.limit, 10) || 50;
+    const { entries, total } = await this.repository.query({ ...filters, page, limit });
+
+    return {
+      entries,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        hasNext: page * limit < total,
+        hasPrev: page > 1,
+      },
+    };
+  }
+
+  /**
+   * Check the hash chain of the whole log
+   */
+  async verify() {
+    return this.repository.verify();
+  }
+}
+
+module.exports = AuditService;
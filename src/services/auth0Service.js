@@ -2,6 +2,41 @@ const { ManagementClient, AuthenticationClient } = require('auth0');
 const config = require('../config');
 const logger = require('../utils/logger');
 const axios = require('axios');
+const { InvalidRequestError } = require('../utils/errors');
+
+// In-memory stores for mock mode, shared by every Auth0Service instance so
+// that services created by different routes see the same users and clients
+const mockStore = {
+  users: new Map(), // key: user_id, value: user object
+  clients: new Map(), // key: client_id, value: client object
+  roles: new Map(), // key: role id, value: role object
+  userRoles: new Map(), // key: user_id, value: Set(roleIds)
+  organizations: new Map(), // key: org id, value: organization with connections and members
+  connections: new Map([
+    ['con_mock_database', {
+      id: 'con_mock_database',
+      name: 'Username-Password-Authentication',
+      strategy: 'auth0',
+      enabled_clients: [],
+    }],
+  ]),
+  // Client and organization updates in call order, for tests to assert on
+  updateCalls: [],
+};
+
+// Escape Lucene syntax in caller-supplied search text, so it can only match
+// as text and never adds field queries or operators to the user search
+const escapeSearchText = (text) => text.replace(/[+\-=&|><!(){}[\]^"~*?:\\/]/g, '\\$&');
+
+// User search returns at most the first 1000 matches of a query
+const SEARCH_RESULT_LIMIT = 1000;
+const LIST_PAGE_SIZE = 100;
+
+// Role name -> role cache, shared so every service resolves names the same way
+const roleCache = {
+  byName: new Map(),
+  expiresAt: 0,
+};
 
 class Auth0Service {
   constructor() {
@@ -13,9 +48,7 @@ class Auth0Service {
     // In-memory stores for mock mode
     this._mock = {
       enabled: config.development.mockAuth0Api === true,
-      users: new Map(), // key: user_id, value: user object
-      clients: new Map(), // key: client_id, value: client object
-      roles: new Map(), // key: user_id, value: Set(roleIds)
+      ...mockStore,
     };
 
     logger.info('Auth0Service constructor called', {
@@ -115,12 +148,262 @@ class Auth0Service {
           self._mock.clients.set(client_id, client);
           return { data: client };
         },
+        get: async ({ client_id }) => ({ data: self.getMockClient(client_id) }),
+        update: async ({ client_id }, updates) => {
+          self._mock.updateCalls.push({ method: 'clients.update', id: client_id, updates });
+          const existing = self.getMockClient(client_id);
+          const updated = {
+            ...existing,
+            ...updates,
+            client_metadata: { ...existing.client_metadata, ...updates.client_metadata },
+            updated_at: new Date().toISOString(),
+          };
+          self._mock.clients.set(client_id, updated);
+          return { data: updated };
+        },
         delete: async ({ client_id }) => {
           self._mock.clients.delete(client_id);
           return { data: {} };
         },
       },
 
+      // Organizations namespace for new Auth0 SDK
+      organizations: {
+        create: async (payload) => {
+          const exists = Array.from(self._mock.organizations.values()).some((org) => org.name === payload.name);
+          if (exists) {
+            const err = new Error('An organization with this name already exists.');
+            err.statusCode = 409;
+            err.error = 'Conflict';
+            throw err;
+          }
+
+          const org = {
+            id: `org_mock_${Math.random().toString(36).slice(2, 14)}`,
+            name: payload.name,
+            display_name: payload.display_name || payload.name,
+            metadata: payload.metadata || {},
+            enabledConnections: new Map(),
+            members: new Set(),
+            invitations: new Map(),
+          };
+          self._mock.organizations.set(org.id, org);
+          return { data: self.toMockOrganization(org) };
+        },
+        get: async ({ id }) => ({ data: self.toMockOrganization(self.getMockOrganization(id)) }),
+        update: async ({ id }, updates) => {
+          self._mock.updateCalls.push({ method: 'organizations.update', id, updates });
+          const org = self.getMockOrganization(id);
+          Object.assign(org, updates);
+          return { data: self.toMockOrganization(org) };
+        },
+        delete: async ({ id }) => {
+          self.getMockOrganization(id);
+          self._mock.organizations.delete(id);
+          return { data: undefined };
+        },
+        getEnabledConnections: async ({ id }) => {
+          const org = self.getMockOrganization(id);
+          return { data: Array.from(org.enabledConnections.values()) };
+        },
+        addEnabledConnection: async ({ id }, { connection_id, assign_membership_on_login = false }) => {
+          const org = self.getMockOrganization(id);
+          const connection = self._mock.connections.get(connection_id);
+          if (!connection) {
+            const err = new Error('The connection does not exist.');
+            err.statusCode = 404;
+            err.error = 'Not Found';
+            throw err;
+          }
+
+          const enabled = {
+            connection_id,
+            assign_membership_on_login,
+            connection: { name: connection.name, strategy: connection.strategy },
+          };
+          org.enabledConnections.set(connection_id, enabled);
+          return { data: enabled };
+        },
+        deleteEnabledConnection: async ({ id, connectionId }) => {
+          self.getMockOrganization(id).enabledConnections.delete(connectionId);
+          return { data: undefined };
+        },
+        createInvitation: async ({ id }, payload) => {
+          const org = self.getMockOrganization(id);
+          const invitation = {
+            id: `uinv_mock_${Math.random().toString(36).slice(2, 12)}`,
+            organization_id: id,
+            invitation_url: `https://mock.auth0.com/login?invitation=${Math.random().toString(36).slice(2, 12)}&organization=${id}`,
+            created_at: new Date().toISOString(),
+            expires_at: new Date(Date.now() + (payload.ttl_sec || 604800) * 1000).toISOString(),
+            ...payload,
+          };
+          org.invitations.set(invitation.id, invitation);
+          return { data: invitation };
+        },
+        deleteInvitation: async ({ id, invitation_id }) => {
+          const org = self.getMockOrganization(id);
+          if (!org.invitations.delete(invitation_id)) {
+            const err = new Error('The invitation does not exist.');
+            err.statusCode = 404;
+            err.error = 'Not Found';
+            throw err;
+          }
+          return { data: undefined };
+        },
+        getMembers: async ({ id, page = 0, per_page = 50, from, take }) => {
+          const org = self.getMockOrganization(id);
+          const members = Array.from(org.members)
+            .map((userId) => self._mock.users.get(userId))
+            .filter(Boolean)
+            .map((user) => ({ user_id: user.user_id, email: user.email, name: user.name }));
+          if (take) {
+            // Checkpoint paging: `next` is the `from` of the following page
+            const start = from ? Number(from) : 0;
+            const end = start + take;
+            return { data: { members: members.slice(start, end), ...(end < members.length && { next: String(end) }) } };
+          }
+          const slice = members.slice(page * per_page, (page + 1) * per_page);
+          return { data: { members: slice, start: page * per_page, limit: per_page, total: members.length } };
+        },
+        addMembers: async ({ id }, { members }) => {
+          const org = self.getMockOrganization(id);
+          members.forEach((userId) => org.members.add(userId));
+          return { data: undefined };
+        },
+        deleteMembers: async ({ id }, { members }) => {
+          const org = self.getMockOrganization(id);
+          members.forEach((userId) => org.members.delete(userId));
+          return { data: undefined };
+        },
+      },
+
+      // Connections namespace for new Auth0 SDK
+      connections: {
+        getAll: async (params = {}) => {
+          let connections = Array.from(self._mock.connections.values());
+          if (params.name) {
+            connections = connections.filter((connection) => connection.name === params.name);
+          }
+          if (params.strategy) {
+            const strategies = [].concat(params.strategy);
+            connections = connections.filter((connection) => strategies.includes(connection.strategy));
+          }
+          if (params.per_page) {
+            const start = (params.page || 0) * params.per_page;
+            connections = connections.slice(start, start + params.per_page);
+          }
+          return { data: connections };
+        },
+        create: async (payload) => {
+          if (Array.from(self._mock.connections.values()).some((c) => c.name === payload.name)) {
+            const err = new Error('A connection with the same name already exists');
+            err.statusCode = 409;
+            err.error = 'Conflict';
+            throw err;
+          }
+          const connection = {
+            id: `con_mock_${Math.random().toString(36).slice(2, 10)}`,
+            name: payload.name,
+            strategy: payload.strategy,
+            options: payload.options || {},
+            metadata: payload.metadata || {},
+            enabled_clients: payload.enabled_clients || [],
+          };
+          self._mock.connections.set(connection.id, connection);
+          return { data: connection };
+        },
+        update: async ({ id }, updates) => {
+          const existing = self._mock.connections.get(id);
+          if (!existing) {
+            const err = new Error('The connection does not exist.');
+            err.statusCode = 404;
+            err.error = 'Not Found';
+            throw err;
+          }
+          const updated = { ...existing, ...updates };
+          self._mock.connections.set(id, updated);
+          return { data: updated };
+        },
+      },
+
+      // Tickets namespace for new Auth0 SDK
+      tickets: {
+        changePassword: async (payload) => {
+          await self.managementClient.users.get({ id: payload.user_id });
+          return { data: { ticket: `https://mock.auth0.com/lo/reset?ticket=${Math.random().toString(36).slice(2, 14)}#` } };
+        },
+      },
+
+      // Jobs namespace for new Auth0 SDK
+      jobs: {
+        verifyEmail: async (payload) => {
+          await self.managementClient.users.get({ id: payload.user_id });
+          return {
+            data: {
+              id: `job_${Math.random().toString(36).slice(2, 18)}`,
+              type: 'verification_email',
+              status: 'pending',
+              created_at: new Date().toISOString(),
+            },
+          };
+        },
+      },
+
+      // Users by email namespace for new Auth0 SDK
+      usersByEmail: {
+        getByEmail: async ({ email }) => ({
+          data: Array.from(self._mock.users.values())
+            .filter((user) => user.email && user.email.toLowerCase() === email.toLowerCase()),
+        }),
+      },
+
+      // Roles namespace for new Auth0 SDK
+      roles: {
+        getAll: async (params = {}) => {
+          let roles = Array.from(self._mock.roles.values());
+          if (params.name_filter) {
+            const filter = params.name_filter.toLowerCase();
+            roles = roles.filter((role) => role.name.toLowerCase().includes(filter));
+          }
+
+          const page = params.page || 0;
+          const per_page = params.per_page || 50;
+          const slice = roles.slice(page * per_page, (page + 1) * per_page);
+
+          if (params.include_totals) {
+            return { data: { roles: slice, start: page * per_page, limit: per_page, total: roles.length } };
+          }
+          return { data: slice };
+        },
+        create: async ({ name, description }) => {
+          const exists = Array.from(self._mock.roles.values()).some((role) => role.name === name);
+          if (exists) {
+            const err = new Error('Role with this name already exists.');
+            err.statusCode = 409;
+            err.error = 'Conflict';
+            throw err;
+          }
+
+          const role = {
+            id: `rol_mock_${Math.random().toString(36).slice(2, 12)}`,
+            name,
+            description: description || '',
+          };
+          self._mock.roles.set(role.id, role);
+          return { data: role };
+        },
+        get: async ({ id }) => {
+          if (!self._mock.roles.has(id)) {
+            const err = new Error('The role does not exist.');
+            err.statusCode = 404;
+            err.error = 'Not Found';
+            throw err;
+          }
+          return { data: self._mock.roles.get(id) };
+        },
+      },
+
       // Users namespace for new Auth0 SDK
       users: {
         getAll: async (params = {}) => {
@@ -128,17 +411,23 @@ class Auth0Service {
           let filtered = allUsers;
 
           if (params.q) {
-            const q = params.q.toLowerCase();
-            filtered = filtered.filter(
-              (u) =>
-                (u.email && u.email.toLowerCase().includes(q)) ||
-                (u.name && u.name.toLowerCase().includes(q))
-            );
+            filtered = filtered.filter((u) => self.matchesMockQuery(u, params.q));
+          }
+          if (params.sort) {
+            const [field, order] = params.sort.split(':');
+            const direction = order === '-1' ? -1 : 1;
+            filtered = [...filtered].sort((x, y) => String(x[field]).localeCompare(String(y[field])) * direction);
           }
 
           const page = params.page || 0;
           const per_page = params.per_page || 10;
           const start = page * per_page;
+          if (start + per_page > SEARCH_RESULT_LIMIT) {
+            const err = new Error(`You can only page through the first ${SEARCH_RESULT_LIMIT} records`);
+            err.statusCode = 400;
+            err.error = 'Bad Request';
+            throw err;
+          }
           const slice = filtered.slice(start, start + per_page);
 
           return {
@@ -160,6 +449,7 @@ class Auth0Service {
             email_verified: !!payload.email_verified,
             user_metadata: payload.user_metadata || {},
             app_metadata: payload.app_metadata || {},
+            ...(payload.blocked && { blocked: true }),
           };
           self._mock.users.set(user_id, user);
           return { data: user };
@@ -183,9 +473,12 @@ class Auth0Service {
             err.error_description = 'User not found';
             throw err;
           }
+          // Auth0 merges metadata objects at the top level
           const updated = {
             ...existing,
             ...updates,
+            user_metadata: { ...existing.user_metadata, ...updates.user_metadata },
+            app_metadata: { ...existing.app_metadata, ...updates.app_metadata },
             updated_at: new Date().toISOString(),
           };
           self._mock.users.set(id, updated);
@@ -200,22 +493,39 @@ class Auth0Service {
             throw err;
           }
           self._mock.users.delete(id);
+          self._mock.userRoles.delete(id);
           return { data: {} };
         },
+        getUserOrganizations: async ({ id }) => {
+          const orgs = Array.from(self._mock.organizations.values())
+            .filter((org) => org.members.has(id))
+            .map((org) => self.toMockOrganization(org));
+          return { data: orgs };
+        },
         getRoles: async ({ id }) => {
-          const rolesSet = self._mock.roles.get(id) || new Set(['user']);
-          return { data: Array.from(rolesSet).map((name, idx) => ({ id: `rol_mock_${idx}`, name })) };
+          const roleIds = self._mock.userRoles.get(id) || new Set();
+          const roles = Array.from(roleIds)
+            .map((roleId) => self._mock.roles.get(roleId))
+            .filter(Boolean);
+          return { data: roles };
         },
         assignRoles: async ({ id }, { roles }) => {
-          const rolesSet = self._mock.roles.get(id) || new Set(['user']);
-          roles.forEach((r) => rolesSet.add(r));
-          self._mock.roles.set(id, rolesSet);
+          const unknown = roles.find((roleId) => !self._mock.roles.has(roleId));
+          if (unknown) {
+            const err = new Error(`The role ${unknown} does not exist.`);
+            err.statusCode = 404;
+            err.error = 'Not Found';
+            throw err;
+          }
+          const roleIds = self._mock.userRoles.get(id) || new Set();
+          roles.forEach((r) => roleIds.add(r));
+          self._mock.userRoles.set(id, roleIds);
           return { data: {} };
         },
         removeRoles: async ({ id }, { roles }) => {
-          const rolesSet = self._mock.roles.get(id) || new Set(['user']);
-          roles.forEach((r) => rolesSet.delete(r));
-          self._mock.roles.set(id, rolesSet);
+          const roleIds = self._mock.userRoles.get(id) || new Set();
+          roles.forEach((r) => roleIds.delete(r));
+          self._mock.userRoles.set(id, roleIds);
           return { data: {} };
         },
       },
@@ -265,6 +575,68 @@ class Auth0Service {
     };
   }
 
+  /**
+   * Evaluate a user search query in mock mode. Supports the subset of the
+   * Auth0 v3 syntax used by this service: `field.path:"value"` terms and
+   * `field:["from" TO *]` ranges joined with AND; a parenthesized term is
+   * escaped free text matched on email and name.
+   */
+  matchesMockQuery(user, query) {
+    return query.split(/\s+AND\s+(?![^(]*\))/).every((term) => {
+      const rangeMatch = term.match(/^([\w.]+):\["?([^"\]]*)"? TO "?([^"\]]*)"?\]$/);
+      if (rangeMatch) {
+        const [, field, from, to] = rangeMatch;
+        const actual = String(user[field]);
+        return (from === '*' || actual >= from) && (to === '*' || actual <= to);
+      }
+
+      const fieldMatch = term.match(/^([\w.]+):"?([^"]*)"?$/);
+      if (fieldMatch) {
+        const [, fieldPath, expected] = fieldMatch;
+        const actual = fieldPath.split('.').reduce((value, key) => (value == null ? value : value[key]), user);
+        return actual !== undefined && actual !== null && String(actual) === expected;
+      }
+
+      const text = term.replace(/^\((.*)\)$/, '$1').replace(/\\(.)/g, '$1').toLowerCase();
+      return (
+        (user.email && user.email.toLowerCase().includes(text)) ||
+        (user.name && user.name.toLowerCase().includes(text))
+      );
+    });
+  }
+
+  getMockClient(clientId) {
+    const client = this._mock.clients.get(clientId);
+    if (!client) {
+      const err = new Error('The client does not exist');
+      err.statusCode = 404;
+      err.error = 'Not Found';
+      throw err;
+    }
+    return client;
+  }
+
+  getMockOrganization(id) {
+    const org = this._mock.organizations.get(id);
+    if (!org) {
+      const err = new Error('The organization does not exist.');
+      err.statusCode = 404;
+      err.error = 'Not Found';
+      throw err;
+    }
+    return org;
+  }
+
+  toMockOrganization(org) {
+    return {
+      id: org.id,
+      name: org.name,
+      display_name: org.display_name,
+      metadata: org.metadata,
+      ...(org.branding && { branding: org.branding }),
+    };
+  }
+
   /**
    * Get a valid Management API token
    */
@@ -333,13 +705,19 @@ class Auth0Service {
   }
 
   /**
-   * Create a new Auth0 tenant (Note: Conceptual)
+   * Whether tenants are backed by Auth0 Organizations
    */
-  async createTenant(tenantData) {
+  isOrganizationMode() {
+    return config.tenancy.mode === 'organizations';
+  }
+
+  /**
+   * Create the client application of a tenant
+   */
+  async createTenantClient(tenantData) {
     try {
-      logger.info('Creating tenant:', tenantData.name);
+      logger.info('Creating tenant client:', tenantData.name);
 
-      // Simulate tenant creation by creating a client
       const clientResult = await this.managementClient.clients.create({
         name: `${tenantData.name} - Client`,
         description: `Client application for tenant: ${tenantData.name}`,
@@ -350,36 +728,464 @@ class Auth0Service {
         grant_types: ['authorization_code', 'refresh_token', 'client_credentials'],
         token_endpoint_auth_method: 'client_secret_post',
       });
-
       const client = clientResult.data || clientResult;
-      const tenantInfo = {
-        id: `tenant_${Date.now()}`,
-        name: tenantData.name,
-        domain: tenantData.domain,
-        auth0ClientId: client.client_id,
-        auth0ClientSecret: client.client_secret,
-        seatLimit: tenantData.seatLimit || config.seats.defaultLimit,
-        seatUsed: 0,
-        status: 'active',
-        metadata: tenantData.metadata || {},
-        createdAt: new Date(),
-        updatedAt: new Date(),
+
+      logger.info('Tenant client created successfully:', client.client_id);
+      return client;
+    } catch (error) {
+      logger.error('Failed to create tenant client:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the Auth0 resources of a tenant. Resources already gone are ignored.
+   */
+  async deleteTenant(tenant) {
+    try {
+      const ignoreNotFound = (error) => {
+        if (error.statusCode !== 404) {
+          throw error;
+        }
+      };
+
+      if (tenant.auth0OrganizationId) {
+        await this.managementClient.organizations
+          .delete({ id: tenant.auth0OrganizationId })
+          .catch(ignoreNotFound);
+      }
+
+      if (tenant.auth0ClientId) {
+        await this.managementClient.clients
+          .delete({ client_id: tenant.auth0ClientId })
+          .catch(ignoreNotFound);
+      }
+
+      logger.info('Tenant Auth0 resources deleted:', tenant.id || tenant.auth0ClientId);
+      return { deleted: true };
+    } catch (error) {
+      logger.error('Failed to delete tenant:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Disable or re-enable a tenant's client. Auth0 has no switch for this, so
+   * disabling removes the client's grant types and keeps them in
+   * client_metadata until it is enabled again. A missing client is ignored.
+   */
+  async setClientEnabled(clientId, enabled) {
+    try {
+      const result = await this.managementClient.clients.get({ client_id: clientId });
+      const client = result.data || result;
+      const saved = (client.client_metadata || {}).disabled_grant_types;
+
+      // Already in the requested state
+      if (enabled ? !saved : saved) {
+        return { clientId, enabled };
+      }
+
+      const updates = enabled
+        ? {
+          grant_types: saved.split(','),
+          // Cleared rather than removed, since client_metadata updates merge
+          client_metadata: { disabled_grant_types: '' },
+        }
+        : {
+          grant_types: [],
+          client_metadata: { disabled_grant_types: (client.grant_types || []).join(',') },
+        };
+      await this.managementClient.clients.update({ client_id: clientId }, updates);
+
+      logger.info(`Client ${enabled ? 'enabled' : 'disabled'}: ${clientId}`);
+      return { clientId, enabled };
+    } catch (error) {
+      if (error.statusCode === 404) {
+        logger.warn(`Client ${clientId} not found while changing its state`);
+        return { clientId, enabled, missing: true };
+      }
+      logger.error('Failed to change client state:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a client application
+   */
+  async getClient(clientId) {
+    try {
+      const result = await this.managementClient.clients.get({ client_id: clientId });
+      return result.data || result;
+    } catch (error) {
+      logger.error('Failed to get client:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a client application
+   */
+  async updateClient(clientId, updates) {
+    try {
+      const result = await this.managementClient.clients.update({ client_id: clientId }, updates);
+      return result.data || result;
+    } catch (error) {
+      logger.error('Failed to update client:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an organization for a tenant
+   */
+  async createOrganization({ name, displayName, tenantId }) {
+    try {
+      const orgResult = await this.managementClient.organizations.create({
+        name,
+        display_name: displayName,
+        metadata: { tenant_id: tenantId },
+      });
+      const organization = orgResult.data || orgResult;
+
+      logger.info('Organization created successfully:', organization.id);
+      return organization;
+    } catch (error) {
+      logger.error('Failed to create organization:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Push a tenant's branding to Auth0. An organization carries the logo and
+   * colors as its branding; the login text, and for tenants without an
+   * organization everything, goes to the client's metadata. Client metadata
+   * updates merge, so removed fields are cleared rather than dropped.
+   */
+  async updateTenantBranding(tenant, branding) {
+    try {
+      const { logoUrl, colors, loginText } = branding;
+      const metadata = {
+        branding_login_title: (loginText && loginText.title) || '',
+        branding_login_description: (loginText && loginText.description) || '',
       };
 
-      logger.info('Tenant created successfully:', tenantInfo.id);
-      return tenantInfo;
+      if (tenant.auth0OrganizationId) {
+        await this.managementClient.organizations.update({ id: tenant.auth0OrganizationId }, {
+          branding: {
+            ...(logoUrl && { logo_url: logoUrl }),
+            ...(colors && { colors: { primary: colors.primary, page_background: colors.pageBackground } }),
+          },
+        });
+      } else {
+        Object.assign(metadata, {
+          branding_logo_url: logoUrl || '',
+          branding_primary_color: (colors && colors.primary) || '',
+          branding_page_background: (colors && colors.pageBackground) || '',
+        });
+      }
+
+      if (tenant.auth0ClientId) {
+        await this.managementClient.clients.update({ client_id: tenant.auth0ClientId }, {
+          client_metadata: metadata,
+        });
+      }
+
+      logger.info('Tenant branding updated in Auth0:', tenant.id);
+      return branding;
+    } catch (error) {
+      logger.error('Failed to update tenant branding:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Look up a connection by name
+   */
+  async getConnectionByName(name) {
+    try {
+      const result = await this.managementClient.connections.getAll({ name });
+      const connections = result.data || result;
+      return (Array.isArray(connections) ? connections : connections.connections || [])[0] || null;
+    } catch (error) {
+      logger.error('Failed to get connection:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List every connection of the Auth0 tenant
+   */
+  async getConnections() {
+    try {
+      const connections = [];
+      for (let page = 0; ; page++) {
+        const result = await this.managementClient.connections.getAll({ page, per_page: 100 });
+        const body = result.data || result;
+        const batch = Array.isArray(body) ? body : body.connections || [];
+        connections.push(...batch);
+        if (batch.length < 100) {
+          return connections;
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to list connections:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a connection
+   */
+  async createConnection({ name, strategy, options = {}, metadata = {}, enabledClients = [] }) {
+    try {
+      const result = await this.managementClient.connections.create({
+        name,
+        strategy,
+        options,
+        metadata,
+        enabled_clients: enabledClients,
+      });
+      const connection = result.data || result;
+
+      logger.info(`Connection created: ${connection.name} (${strategy})`);
+      return connection;
+    } catch (error) {
+      logger.error('Failed to create connection:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enable or disable a client on a connection
+   */
+  async setConnectionClientEnabled(connection, clientId, enabled) {
+    try {
+      const current = connection.enabled_clients || [];
+      if (current.includes(clientId) === enabled) {
+        return connection;
+      }
+
+      const enabledClients = enabled
+        ? [...current, clientId]
+        : current.filter((id) => id !== clientId);
+      const result = await this.managementClient.connections.update(
+        { id: connection.id },
+        { enabled_clients: enabledClients }
+      );
+
+      logger.info(`Client ${clientId} ${enabled ? 'enabled' : 'disabled'} on connection ${connection.name}`);
+      return result.data || result;
+    } catch (error) {
+      logger.error('Failed to change connection clients:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change some options of a connection. Auth0 replaces the options object
+   * as a whole, so the current options are sent along.
+   */
+  async updateConnectionOptions(connection, options) {
+    try {
+      const result = await this.managementClient.connections.update(
+        { id: connection.id },
+        { options: { ...connection.options, ...options } }
+      );
+      return result.data || result;
+    } catch (error) {
+      logger.error('Failed to update connection options:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the connections enabled for an organization
+   */
+  async getEnabledConnections(organizationId) {
+    try {
+      const result = await this.managementClient.organizations.getEnabledConnections({ id: organizationId });
+      const body = result.data || result;
+      return Array.isArray(body) ? body : body.enabled_connections || [];
+    } catch (error) {
+      logger.error('Failed to get enabled connections:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make the organization's enabled connections match the given names.
+   * Returns the enabled connection names.
+   */
+  async setEnabledConnections(organizationId, connectionNames) {
+    try {
+      const desired = [];
+      for (const name of new Set(connectionNames)) {
+        const connection = await this.getConnectionByName(name);
+        if (!connection) {
+          throw new InvalidRequestError('connections', `Connection "${name}" does not exist`, {
+            connection: name,
+          });
+        }
+        desired.push(connection);
+      }
+
+      const current = await this.getEnabledConnections(organizationId);
+      const desiredIds = new Set(desired.map((connection) => connection.id));
+      const currentIds = new Set(current.map((enabled) => enabled.connection_id));
+
+      for (const enabled of current) {
+        if (!desiredIds.has(enabled.connection_id)) {
+          await this.managementClient.organizations.deleteEnabledConnection({
+            id: organizationId,
+            connectionId: enabled.connection_id,
+          });
+        }
+      }
+
+      for (const connection of desired) {
+        if (!currentIds.has(connection.id)) {
+          await this.managementClient.organizations.addEnabledConnection(
+            { id: organizationId },
+            { connection_id: connection.id, assign_membership_on_login: false }
+          );
+        }
+      }
+
+      logger.info(`Enabled ${desired.length} connections for organization: ${organizationId}`);
+      return desired.map((connection) => connection.name);
+    } catch (error) {
+      logger.error('Failed to set enabled connections:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Invite someone to an organization. Returns the invitation with its
+   * invitation_url and expires_at.
+   */
+  async createOrganizationInvitation(organizationId, {
+    email, clientId, inviterName, ttlSec, roleIds = [], appMetadata = {}, connectionId,
+  }) {
+    try {
+      const result = await this.managementClient.organizations.createInvitation({ id: organizationId }, {
+        inviter: { name: inviterName },
+        invitee: { email },
+        client_id: clientId,
+        ttl_sec: ttlSec,
+        roles: roleIds,
+        app_metadata: appMetadata,
+        send_invitation_email: false,
+        ...(connectionId && { connection_id: connectionId }),
+      });
+      const invitation = result.data || result;
+
+      logger.info(`Organization invitation ${invitation.id} created for ${organizationId}`);
+      return invitation;
+    } catch (error) {
+      logger.error('Failed to create organization invitation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an organization invitation. One already gone is ignored.
+   */
+  async deleteOrganizationInvitation(organizationId, invitationId) {
+    try {
+      await this.managementClient.organizations.deleteInvitation({ id: organizationId, invitation_id: invitationId });
+      return { deleted: true };
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return { deleted: false };
+      }
+      logger.error('Failed to delete organization invitation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a user to an organization
+   */
+  async addOrganizationMember(organizationId, userId) {
+    try {
+      await this.managementClient.organizations.addMembers({ id: organizationId }, { members: [userId] });
+      logger.info(`Added user ${userId} to organization: ${organizationId}`);
+      return { organizationId, userId, added: true };
+    } catch (error) {
+      logger.error('Failed to add organization member:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a user from an organization
+   */
+  async removeOrganizationMember(organizationId, userId) {
+    try {
+      await this.managementClient.organizations.deleteMembers({ id: organizationId }, { members: [userId] });
+      logger.info(`Removed user ${userId} from organization: ${organizationId}`);
+      return { organizationId, userId, removed: true };
+    } catch (error) {
+      logger.error('Failed to remove organization member:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a user is a member of an organization
+   */
+  async isOrganizationMember(organizationId, userId) {
+    try {
+      const result = await this.managementClient.users.getUserOrganizations({ id: userId });
+      const body = result.data || result;
+      const organizations = Array.isArray(body) ? body : body.organizations || [];
+      return organizations.some((organization) => organization.id === organizationId);
     } catch (error) {
-      logger.error('Failed to create tenant:', error);
+      logger.error('Failed to check organization membership:', error);
       throw error;
     }
   }
 
+  /**
+   * Get one page of organization members as full user profiles
+   */
+  async getOrganizationUsers(organizationId, { page = 0, per_page = 10 } = {}) {
+    const result = await this.managementClient.organizations.getMembers({
+      id: organizationId,
+      page,
+      per_page,
+      include_totals: true,
+    });
+    const body = result.data || result;
+    const members = Array.isArray(body) ? body : body.members || [];
+
+    // Membership entries only carry a summary of the user
+    const users = [];
+    for (const member of members) {
+      users.push(await this.getUser(member.user_id));
+    }
+
+    return {
+      users,
+      start: page,
+      limit: per_page,
+      total: Array.isArray(body) ? members.length : body.total || members.length,
+    };
+  }
+
   /**
    * Get users from a specific tenant domain
    */
   async getUsers(tenantDomain, options = {}) {
     try {
-      const { page = 0, per_page = 10, search, connection } = options;
+      const { page = 0, per_page = 10, search, connection, tenantId, organizationId } = options;
+
+      // In organizations mode a tenant's users are the organization's members
+      if (organizationId) {
+        const result = await this.getOrganizationUsers(organizationId, { page, per_page });
+        logger.info(`Retrieved ${result.users.length} users for tenant: ${tenantDomain}`);
+        return result;
+      }
 
       const params = {
         page,
@@ -387,9 +1193,18 @@ class Auth0Service {
         include_totals: true,
       };
 
+      // Restrict to users stamped with the tenant in app_metadata
+      const terms = [];
+      if (tenantId) {
+        terms.push(`app_metadata.tenant_id:"${tenantId}"`);
+      }
       if (search) {
+        terms.push(`(${escapeSearchText(search)})`);
+      }
+
+      if (terms.length > 0) {
         params.search_engine = 'v3';
-        params.q = search;
+        params.q = terms.join(' AND ');
       }
 
       if (connection) {
@@ -412,6 +1227,136 @@ class Auth0Service {
     }
   }
 
+  /**
+   * Get every user of a tenant
+   */
+  async getAllTenantUsers(tenant) {
+    try {
+      const users = [];
+      for await (const user of this.listTenantUsers(tenant)) {
+        users.push(user);
+      }
+      return users;
+    } catch (error) {
+      logger.error('Failed to get all tenant users:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Yield every user of a tenant, one page at a time. Organization members
+   * are read with checkpoint paging; other tenants by search, which is
+   * capped, in windows.
+   */
+  async* listTenantUsers(tenant) {
+    if (tenant.auth0OrganizationId) {
+      yield* this.listOrganizationUsers(tenant.auth0OrganizationId);
+    } else {
+      yield* this.searchTenantUsers(tenant.id);
+    }
+  }
+
+  /**
+   * Yield every member of an organization as a full user profile.
+   * Checkpoint paging (from/take) has no cap on the number of members.
+   */
+  async* listOrganizationUsers(organizationId) {
+    let from;
+
+    do {
+      const result = await this.managementClient.organizations.getMembers({
+        id: organizationId,
+        take: LIST_PAGE_SIZE,
+        ...(from && { from }),
+      });
+      const body = result.data || result;
+      const members = Array.isArray(body) ? body : body.members || [];
+      for (const member of members) {
+        yield await this.getUser(member.user_id);
+      }
+      from = Array.isArray(body) ? null : body.next;
+    } while (from);
+  }
+
+  /**
+   * Yield every user stamped with a tenant. A search stops after 1000
+   * matches, so users are read oldest first and each window of 1000 starts
+   * at the creation time where the previous one ended.
+   */
+  async* searchTenantUsers(tenantId) {
+    let since = null;
+    let last = null;
+    // Users created at the last creation time seen; the next window starts
+    // at that time, so they are returned again
+    let tied = new Set();
+
+    for (;;) {
+      const q = `app_metadata.tenant_id:"${tenantId}"${since ? ` AND created_at:["${since}" TO *]` : ''}`;
+      let added = 0;
+
+      for (let page = 0; page * LIST_PAGE_SIZE < SEARCH_RESULT_LIMIT; page += 1) {
+        const result = await this.managementClient.users.getAll({
+          q,
+          search_engine: 'v3',
+          sort: 'created_at:1',
+          page,
+          per_page: LIST_PAGE_SIZE,
+        });
+        const batch = result.data || result;
+        for (const user of batch) {
+          if (!tied.has(user.user_id)) {
+            if (user.created_at !== last) {
+              last = user.created_at;
+              tied = new Set();
+            }
+            tied.add(user.user_id);
+            added += 1;
+            yield user;
+          }
+        }
+        if (batch.length < LIST_PAGE_SIZE) {
+          return;
+        }
+      }
+
+      if (added === 0) {
+        throw new Error(`Cannot list all users of tenant ${tenantId}: more than ${SEARCH_RESULT_LIMIT} share one creation time, and a user search returns at most ${SEARCH_RESULT_LIMIT} results`);
+      }
+      since = last;
+    }
+  }
+
+  /**
+   * Block or unblock all users of a tenant on its behalf. Blocking flags
+   * each user it blocks with `marker` in app_metadata, and unblocking only
+   * touches flagged users, so users blocked individually stay blocked.
+   * Returns the number of users changed.
+   */
+  async setTenantUsersBlocked(tenant, blocked, marker) {
+    try {
+      const users = await this.getAllTenantUsers(tenant);
+      let changed = 0;
+
+      for (const user of users) {
+        const flagged = Boolean(user.app_metadata && user.app_metadata[marker]);
+        if (blocked && !user.blocked) {
+          await this.updateUser(user.user_id, { blocked: true, app_metadata: { [marker]: true } });
+          changed += 1;
+        } else if (!blocked && flagged) {
+          // Auth0 removes app_metadata keys set to null
+          await this.updateUser(user.user_id, { blocked: false, app_metadata: { [marker]: null } });
+          changed += 1;
+        }
+      }
+
+      logger.info(`${blocked ? 'Blocked' : 'Unblocked'} ${changed} users of tenant: ${tenant.id}`);
+      return changed;
+    } catch (error) {
+      logger.error('Failed to change tenant users blocked state:', error);
+      throw error;
+    }
+  }
+
   /**
    * Create a new user in a specific tenant
    */
@@ -425,10 +1370,12 @@ class Auth0Service {
         email_verified: userData.emailVerified || false,
         user_metadata: userData.metadata || {},
         app_metadata: {
-          tenant_id: userData.tenantId,
           roles: userData.roles || ['user'],
           ...userData.appMetadata,
+          tenant_id: userData.tenantId,
         },
+        ...(userData.blocked && { blocked: true }),
+        ...(userData.verifyEmail !== undefined && { verify_email: userData.verifyEmail }),
       };
 
       const userResult = await this.managementClient.users.create(userPayload);
@@ -481,6 +1428,62 @@ class Auth0Service {
     }
   }
 
+  /**
+   * Find users by email address
+   */
+  async getUsersByEmail(email) {
+    try {
+      const result = await this.managementClient.usersByEmail.getByEmail({ email });
+      return result.data || result;
+    } catch (error) {
+      logger.error('Failed to get users by email:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a password change ticket, the URL where a user sets their
+   * password. By default completing it marks the email as verified.
+   */
+  async createPasswordChangeTicket({ userId, resultUrl, ttlSec, clientId, markEmailAsVerified = true }) {
+    try {
+      const result = await this.managementClient.tickets.changePassword({
+        user_id: userId,
+        ttl_sec: ttlSec,
+        mark_email_as_verified: markEmailAsVerified,
+        ...(resultUrl ? { result_url: resultUrl } : clientId && { client_id: clientId }),
+      });
+      const { ticket } = result.data || result;
+
+      logger.info('Password change ticket created:', userId);
+      return ticket;
+    } catch (error) {
+      logger.error('Failed to create password change ticket:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a job that sends the verification email to a user. Links in the
+   * email return to the given client and organization.
+   */
+  async sendVerificationEmail(userId, { clientId, organizationId } = {}) {
+    try {
+      const result = await this.managementClient.jobs.verifyEmail({
+        user_id: userId,
+        ...(clientId && { client_id: clientId }),
+        ...(organizationId && { organization_id: organizationId }),
+      });
+      const job = result.data || result;
+
+      logger.info('Verification email job created:', { userId, jobId: job.id });
+      return job;
+    } catch (error) {
+      logger.error('Failed to send verification email:', error);
+      throw error;
+    }
+  }
+
   /**
    * Update user information
    */
@@ -607,6 +1610,114 @@ class Auth0Service {
     }
   }
 
+  /**
+   * List every role defined in Auth0
+   */
+  async getRoles() {
+    try {
+      const roles = [];
+      const per_page = 50;
+      let page = 0;
+      let total = 0;
+
+      do {
+        const result = await this.managementClient.roles.getAll({ page, per_page, include_totals: true });
+        const body = result.data || result;
+        const pageRoles = Array.isArray(body) ? body : body.roles || [];
+        total = Array.isArray(body) ? pageRoles.length : body.total || 0;
+
+        roles.push(...pageRoles);
+        page += 1;
+
+        if (pageRoles.length < per_page) {
+          break;
+        }
+      } while (roles.length < total);
+
+      roleCache.byName = new Map(roles.map((role) => [role.name, role]));
+      roleCache.expiresAt = Date.now() + config.roles.cacheTtlMs;
+
+      logger.info(`Retrieved ${roles.length} roles`);
+      return roles;
+    } catch (error) {
+      logger.error('Failed to get roles:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a role in Auth0
+   */
+  async createRole(name, description = '') {
+    try {
+      const roleResult = await this.managementClient.roles.create({ name, description });
+      const role = roleResult.data || roleResult;
+
+      roleCache.byName.set(role.name, role);
+      logger.info('Role created successfully:', role.name);
+      return role;
+    } catch (error) {
+      logger.error('Failed to create role:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Look up a role by name, using the cached name-to-ID map when it is fresh
+   */
+  async getRoleByName(name) {
+    try {
+      if (Date.now() >= roleCache.expiresAt || !roleCache.byName.has(name)) {
+        await this.getRoles();
+      }
+      return roleCache.byName.get(name) || null;
+    } catch (error) {
+      logger.error('Failed to get role by name:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve role names to Auth0 roles. Roles missing in Auth0 are created
+   * from the configured catalog; names outside the catalog are rejected.
+   */
+  async resolveRoles(roleNames) {
+    try {
+      const roles = [];
+
+      for (const name of roleNames) {
+        let role = await this.getRoleByName(name);
+
+        if (!role) {
+          const definition = config.roles.catalog[name];
+          if (!definition) {
+            throw new InvalidRequestError('roles', `Role "${name}" does not exist and is not in the role catalog`, {
+              role: name,
+            });
+          }
+
+          try {
+            role = await this.createRole(name, definition.description);
+          } catch (error) {
+            // Another instance created it first
+            if (error.statusCode !== 409) {
+              throw error;
+            }
+            await this.getRoles();
+            role = roleCache.byName.get(name);
+          }
+        }
+
+        roles.push(role);
+      }
+
+      return roles;
+    } catch (error) {
+      logger.error('Failed to resolve roles:', error);
+      throw error;
+    }
+  }
+
   /**
    * Validate JWT token from a specific tenant
    */
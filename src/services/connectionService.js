@@ -0,0 +1,286 @@
+const Auth0Service = require('./auth0Service');
+const AuditService = require('./auditService');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getTenantRepository } = require('../repositories');
+const {
+  TenantNotFoundError,
+  ResourceNotFoundError,
+  DuplicateResourceError,
+  BusinessLogicError,
+  InvalidRequestError,
+} = require('../utils/errors');
+
+// Auth0 strategy -> connection type as exposed by the API
+const CONNECTION_TYPES = {
+  auth0: 'database',
+  email: 'passwordless',
+  sms: 'passwordless',
+  samlp: 'saml',
+  oidc: 'oidc',
+};
+
+/**
+ * Auth0 connections of tenants.
+ *
+ * A tenant's enabled connections are kept by name on the tenant record; an
+ * empty list means TENANT_DEFAULT_CONNECTIONS. Enabling a connection adds
+ * the tenant's client to the connection and, for organization-backed
+ * tenants, the connection to the organization. Connections created through
+ * this service belong to the tenant (`metadata.tenant_id`) and cannot be
+ * enabled for another tenant.
+ */
+class ConnectionService {
+  constructor() {
+    this.auth0Service = new Auth0Service();
+    this.auditService = new AuditService();
+    this.repository = getTenantRepository();
+  }
+
+  async getTenant(tenantId) {
+    const tenant = await this.repository.findById(tenantId);
+    if (!tenant) {
+      throw new TenantNotFoundError(tenantId);
+    }
+    return tenant;
+  }
+
+  /**
+   * Names of the connections enabled for a tenant record
+   */
+  getEnabledConnectionNames(tenant) {
+    return tenant.connections && tenant.connections.length > 0
+      ? tenant.connections
+      : config.tenancy.defaultConnections;
+  }
+
+  /**
+   * Connection as returned by the API. Options are left out, they may hold
+   * credentials.
+   */
+  present(connection, tenant) {
+    const options = connection.options || {};
+    return {
+      id: connection.id,
+      name: connection.name,
+      type: CONNECTION_TYPES[connection.strategy] || connection.strategy,
+      strategy: connection.strategy,
+      enabled: this.getEnabledConnectionNames(tenant).includes(connection.name),
+      owned: (connection.metadata || {}).tenant_id === tenant.id,
+      ...(options.domain_aliases && { domainAliases: options.domain_aliases }),
+    };
+  }
+
+  /**
+   * Connections a tenant owns or has enabled
+   */
+  async listConnections(tenantId) {
+    try {
+      const tenant = await this.getTenant(tenantId);
+      const enabled = this.getEnabledConnectionNames(tenant);
+      const connections = await this.auth0Service.getConnections();
+
+      return connections
+        .filter((connection) => enabled.includes(connection.name)
+          || (connection.metadata || {}).tenant_id === tenantId)
+        .map((connection) => this.present(connection, tenant));
+    } catch (error) {
+      logger.error('Failed to list tenant connections:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Auth0 strategy and options for a connection request. Signup follows the
+   * tenant's allowUserRegistration setting.
+   */
+  buildConnection(data, tenant) {
+    const options = data.options || {};
+    const disableSignup = (tenant.settings || {}).allowUserRegistration === false;
+    const domainAliases = options.domainAliases && { domain_aliases: options.domainAliases };
+
+    switch (data.type) {
+      case 'database':
+        return {
+          strategy: 'auth0',
+          options: {
+            passwordPolicy: options.passwordPolicy || 'good',
+            brute_force_protection: true,
+            disable_signup: disableSignup,
+          },
+        };
+      case 'passwordless':
+        return options.channel === 'sms'
+          ? {
+            strategy: 'sms',
+            options: {
+              from: options.from,
+              twilio_sid: options.twilioSid,
+              twilio_token: options.twilioToken,
+              disable_signup: disableSignup,
+            },
+          }
+          : {
+            strategy: 'email',
+            options: { disable_signup: disableSignup },
+          };
+      case 'saml':
+        return {
+          strategy: 'samlp',
+          options: {
+            signInEndpoint: options.signInEndpoint,
+            signingCert: options.signingCert,
+            ...(options.signOutEndpoint && { signOutEndpoint: options.signOutEndpoint }),
+            ...domainAliases,
+          },
+        };
+      case 'oidc':
+        return {
+          strategy: 'oidc',
+          options: {
+            type: 'back_channel',
+            discovery_url: `${options.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`,
+            client_id: options.clientId,
+            client_secret: options.clientSecret,
+            scope: options.scopes || 'openid profile email',
+            ...domainAliases,
+          },
+        };
+      default:
+        throw new InvalidRequestError('type', `Unsupported connection type "${data.type}"`);
+    }
+  }
+
+  /**
+   * Create a connection owned by a tenant, enabled for it unless
+   * `enabled: false` is passed
+   */
+  async createConnection(tenantId, data, createdBy) {
+    try {
+      const tenant = await this.getTenant(tenantId);
+      if (await this.auth0Service.getConnectionByName(data.name)) {
+        throw new DuplicateResourceError('Connection', 'name', data.name);
+      }
+
+      const { strategy, options } = this.buildConnection(data, tenant);
+      const enable = data.enabled !== false;
+      const connection = await this.auth0Service.createConnection({
+        name: data.name,
+        strategy,
+        options,
+        metadata: { tenant_id: tenantId },
+        enabledClients: enable && tenant.auth0ClientId ? [tenant.auth0ClientId] : [],
+      });
+
+      const updated = enable ? await this.setEnabled(tenant, connection, true) : tenant;
+
+      await this.auditService.record('tenant_connection_created', 'tenant', createdBy, {
+        tenantId,
+        connection: connection.name,
+        type: data.type,
+        enabled: enable,
+      });
+
+      logger.info(`Connection ${connection.name} created for tenant ${tenantId}`);
+      return this.present(connection, updated);
+    } catch (error) {
+      logger.error('Failed to create tenant connection:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enable an existing connection for a tenant
+   */
+  async enableConnection(tenantId, connectionName, updatedBy) {
+    return this.changeConnection(tenantId, connectionName, true, updatedBy);
+  }
+
+  /**
+   * Disable a connection for a tenant. The last enabled connection cannot be
+   * disabled, the tenant's users would have no way to log in.
+   */
+  async disableConnection(tenantId, connectionName, updatedBy) {
+    return this.changeConnection(tenantId, connectionName, false, updatedBy);
+  }
+
+  async changeConnection(tenantId, connectionName, enabled, updatedBy) {
+    try {
+      const tenant = await this.getTenant(tenantId);
+      const connection = await this.auth0Service.getConnectionByName(connectionName);
+      if (!connection) {
+        throw new ResourceNotFoundError('Connection', connectionName);
+      }
+
+      const owner = (connection.metadata || {}).tenant_id;
+      if (enabled && owner && owner !== tenantId) {
+        throw new BusinessLogicError('Connection belongs to another tenant', {
+          connection: connectionName,
+        });
+      }
+
+      const names = this.getEnabledConnectionNames(tenant);
+      if (!enabled && names.includes(connectionName) && names.length === 1) {
+        throw new BusinessLogicError('The last enabled connection of a tenant cannot be disabled', {
+          tenantId,
+          connection: connectionName,
+        });
+      }
+
+      const updated = await this.setEnabled(tenant, connection, enabled);
+
+      await this.auditService.record(
+        enabled ? 'tenant_connection_enabled' : 'tenant_connection_disabled',
+        'tenant',
+        updatedBy,
+        { tenantId, connection: connectionName }
+      );
+
+      logger.info(`Connection ${connectionName} ${enabled ? 'enabled' : 'disabled'} for tenant ${tenantId}`);
+      return this.present(connection, updated);
+    } catch (error) {
+      logger.error('Failed to change tenant connection:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Wire a connection to the tenant's client and organization and record it
+   * on the tenant. Returns the updated tenant record.
+   */
+  async setEnabled(tenant, connection, enabled) {
+    const current = this.getEnabledConnectionNames(tenant);
+    const names = enabled
+      ? Array.from(new Set([...current, connection.name]))
+      : current.filter((name) => name !== connection.name);
+
+    if (tenant.auth0ClientId) {
+      await this.auth0Service.setConnectionClientEnabled(connection, tenant.auth0ClientId, enabled);
+    }
+    const connections = tenant.auth0OrganizationId
+      ? await this.auth0Service.setEnabledConnections(tenant.auth0OrganizationId, names)
+      : names;
+
+    return this.repository.update(tenant.id, { ...tenant, connections, updatedAt: new Date() });
+  }
+
+  /**
+   * Reject a connection that is not enabled for the tenant. Users outside a
+   * known tenant are not checked.
+   */
+  async assertConnectionEnabled(tenantId, connectionName) {
+    const tenant = tenantId && await this.repository.findById(tenantId);
+    if (!tenant) {
+      return;
+    }
+
+    if (!this.getEnabledConnectionNames(tenant).includes(connectionName)) {
+      throw new InvalidRequestError('connection', `Connection "${connectionName}" is not enabled for this tenant`, {
+        connection: connectionName,
+        enabledConnections: this.getEnabledConnectionNames(tenant),
+      });
+    }
+  }
+}
+
+module.exports = ConnectionService;
@@ -0,0 +1,513 @@
+const crypto = require('crypto');
+const Auth0Service = require('./auth0Service');
+const SeatService = require('./seatService');
+const SeatRulesService = require('./seatRulesService');
+const UserService = require('./userService');
+const AuditService = require('./auditService');
+const config = require('../config');
+const logger = require('../utils/logger');
+const KeyedMutex = require('../utils/keyedMutex');
+const { getTenantRepository, getDocumentStore } = require('../repositories');
+const {
+  TenantNotFoundError,
+  TenantInactiveError,
+  ResourceNotFoundError,
+  DuplicateResourceError,
+  ConflictError,
+} = require('../utils/errors');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Actor recorded in the audit log for invitations expired by the job
+const SYSTEM_ACTOR = { id: 'system:invitation-expiry' };
+
+// Changes to a pending invitation run under its lock and re-read it first,
+// so listing, the expiry job and revocation never end it twice
+const invitationLocks = new KeyedMutex();
+
+/**
+ * User invitations.
+ *
+ * Inviting a billable user reserves their seat up front. In metadata
+ * tenancy the user is created with a random password and invited through a
+ * password change ticket; in organizations tenancy an organization
+ * invitation is created and Auth0 creates the user when it is accepted.
+ * An invitation stays `pending` until it is accepted, revoked or expires.
+ * Revoked and expired invitations delete the invited user, or the
+ * organization invitation, and release the seat.
+ */
+class InvitationService {
+  constructor() {
+    this.auth0Service = new Auth0Service();
+    this.seatService = new SeatService();
+    this.seatRulesService = new SeatRulesService();
+    this.userService = new UserService();
+    this.auditService = new AuditService();
+    this.repository = getTenantRepository();
+    this.invitations = getDocumentStore().collection('invitations');
+  }
+
+  async getTenant(tenantId) {
+    const tenant = await this.repository.findById(tenantId);
+    if (!tenant) {
+      throw new TenantNotFoundError(tenantId);
+    }
+    return tenant;
+  }
+
+  /**
+   * Invitation as returned by the API
+   */
+  present(invitation) {
+    const { auth0InvitationId, ...visible } = invitation;
+    return visible;
+  }
+
+  /**
+   * Invite a user to a tenant. Returns the invitation and the URL to send
+   * to the invitee.
+   */
+  async createInvitation(tenantId, data, invitedBy) {
+    try {
+      const tenant = await this.getTenant(tenantId);
+      if (tenant.status !== 'active') {
+        throw new TenantInactiveError(tenantId, { status: tenant.status });
+      }
+      this.userService.assertSeatFlagsAllowed(invitedBy, data.appMetadata);
+
+      const email = data.email.toLowerCase();
+      const [pending] = await this.invitations.list((invitation) => invitation.tenantId === tenantId
+        && invitation.email === email && invitation.status === 'pending');
+      if (pending) {
+        throw new DuplicateResourceError('Invitation', 'email', email);
+      }
+
+      const id = `inv_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+      const ttlHours = data.expiresInHours || config.invitations.ttlHours;
+      const roles = data.roles || ['user'];
+      const holdsSeat = this.seatRulesService.isBillable(
+        { email, blocked: false, appMetadata: data.appMetadata },
+        this.seatRulesService.getRules(tenant)
+      );
+
+      const delivery = tenant.auth0OrganizationId
+        ? await this.inviteToOrganization(tenant, { ...data, email, roles }, id, ttlHours, holdsSeat, invitedBy)
+        : await this.inviteUser(tenant, { ...data, email, roles }, id, ttlHours, holdsSeat, invitedBy);
+
+      const invitation = await this.invitations.put(id, {
+        id,
+        tenantId,
+        email,
+        name: data.name || email,
+        roles,
+        appMetadata: data.appMetadata || {},
+        status: 'pending',
+        holdsSeat,
+        userId: delivery.userId || null,
+        auth0InvitationId: delivery.auth0InvitationId || null,
+        expiresAt: new Date(Date.now() + ttlHours * HOUR_MS).toISOString(),
+        resendCount: 0,
+        createdAt: new Date().toISOString(),
+        createdBy: invitedBy.sub || invitedBy.id,
+      });
+
+      await this.auditService.record('invitation_created', 'user', invitedBy, {
+        tenantId,
+        invitationId: id,
+        userEmail: email,
+        expiresAt: invitation.expiresAt,
+      });
+
+      logger.info(`Invitation ${id} created for ${email} in tenant ${tenantId}`);
+      return { invitation: this.present(invitation), invitationUrl: delivery.invitationUrl };
+    } catch (error) {
+      logger.error('Failed to create invitation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create the invited user with a random password and a ticket to set
+   * their own. The user service takes care of roles, connections and the
+   * non-billable counter; the seat is reserved here.
+   */
+  async inviteUser(tenant, data, invitationId, ttlHours, holdsSeat, invitedBy) {
+    if (holdsSeat) {
+      await this.seatService.reserveSeats(tenant.id, 1);
+    }
+
+    let user;
+    try {
+      user = await this.userService.createUser(tenant.id, {
+        email: data.email,
+        name: data.name || data.email,
+        password: `${crypto.randomBytes(24).toString('base64')}aA1!`,
+        roles: data.roles,
+        ...(data.connection && { connection: data.connection }),
+        metadata: data.metadata,
+        appMetadata: { ...data.appMetadata, invitation_id: invitationId },
+        // The ticket verifies the address
+        verifyEmail: false,
+      }, invitedBy, { seatReserved: holdsSeat });
+    } catch (error) {
+      if (holdsSeat) {
+        await this.seatService.releaseSeats(tenant.id, 1, { promoteWaitlist: false }).catch(() => {});
+      }
+      throw error;
+    }
+
+    try {
+      const invitationUrl = await this.createTicket(tenant, user.id, ttlHours);
+      return { userId: user.id, invitationUrl };
+    } catch (error) {
+      await this.auth0Service.deleteUser(user.id).catch(() => {});
+      await this.giveBackSeat({ tenantId: tenant.id, holdsSeat }).catch(() => {});
+      throw error;
+    }
+  }
+
+  createTicket(tenant, userId, ttlHours) {
+    return this.auth0Service.createPasswordChangeTicket({
+      userId,
+      resultUrl: config.invitations.resultUrl,
+      clientId: tenant.auth0ClientId,
+      ttlSec: ttlHours * 3600,
+    });
+  }
+
+  /**
+   * Create an organization invitation. Auth0 creates the user when it is
+   * accepted, with the invitation's roles and app_metadata.
+   */
+  async inviteToOrganization(tenant, data, invitationId, ttlHours, holdsSeat, invitedBy) {
+    const roles = await this.auth0Service.resolveRoles(data.roles);
+    if (holdsSeat) {
+      await this.seatService.reserveSeats(tenant.id, 1);
+    } else {
+      await this.seatService.adjustNonBillableUsage(tenant.id, 1);
+    }
+
+    try {
+      const invitation = await this.auth0Service.createOrganizationInvitation(tenant.auth0OrganizationId, {
+        email: data.email,
+        clientId: tenant.auth0ClientId,
+        inviterName: invitedBy.sub || invitedBy.id,
+        ttlSec: ttlHours * 3600,
+        roleIds: roles.map((role) => role.id),
+        appMetadata: {
+          ...data.appMetadata,
+          tenant_id: tenant.id,
+          roles: data.roles,
+          invitation_id: invitationId,
+        },
+      });
+      return { auth0InvitationId: invitation.id, invitationUrl: invitation.invitation_url };
+    } catch (error) {
+      await this.giveBackSeat({ tenantId: tenant.id, holdsSeat }).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Run a change to a pending invitation under its lock. The invitation is
+   * read again first; one that is no longer pending is returned unchanged.
+   */
+  async whilePending(invitationId, change) {
+    return invitationLocks.runExclusive(invitationId, async () => {
+      const current = await this.invitations.get(invitationId);
+      if (!current || current.status !== 'pending') {
+        return current;
+      }
+      return change(current);
+    });
+  }
+
+  /**
+   * Release the seat held by an invitation, or its non-billable count
+   */
+  async giveBackSeat(invitation) {
+    if (invitation.holdsSeat) {
+      await this.seatService.releaseSeats(invitation.tenantId, 1);
+    } else {
+      await this.seatService.adjustNonBillableUsage(invitation.tenantId, -1);
+    }
+  }
+
+  /**
+   * List the invitations of a tenant, newest first. Invitations past their
+   * expiry are expired first.
+   */
+  async listInvitations(tenantId, filters = {}) {
+    try {
+      await this.getTenant(tenantId);
+      await this.expireInvitations(tenantId);
+
+      const invitations = await this.invitations.list((invitation) => invitation.tenantId === tenantId
+        && (!filters.status || invitation.status === filters.status));
+      return invitations
+        .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+        .map((invitation) => this.present(invitation));
+    } catch (error) {
+      logger.error('Failed to list invitations:', error);
+      throw error;
+    }
+  }
+
+  async getInvitation(tenantId, invitationId) {
+    const invitation = await this.invitations.get(invitationId);
+    if (!invitation || invitation.tenantId !== tenantId) {
+      throw new ResourceNotFoundError('Invitation', invitationId);
+    }
+    return invitation;
+  }
+
+  /**
+   * Load a pending invitation, settling it first if it was accepted or has
+   * expired meanwhile
+   */
+  async getPendingInvitation(tenantId, invitationId) {
+    let invitation = await this.getInvitation(tenantId, invitationId);
+    if (invitation.status === 'pending') {
+      invitation = await this.settle(invitation);
+    }
+    if (invitation.status !== 'pending') {
+      throw new ConflictError(`Invitation is ${invitation.status}`, {
+        invitationId,
+        status: invitation.status,
+      });
+    }
+    return invitation;
+  }
+
+  /**
+   * Issue a new invitation URL and restart the expiry
+   */
+  async resendInvitation(tenantId, invitationId, resentBy, { expiresInHours } = {}) {
+    try {
+      await this.getPendingInvitation(tenantId, invitationId);
+      let result = null;
+      const current = await this.whilePending(invitationId, async (invitation) => {
+        result = await this.renew(invitation, resentBy, expiresInHours);
+        return result.invitation;
+      });
+      if (!result) {
+        throw new ConflictError(`Invitation is ${current.status}`, { invitationId, status: current.status });
+      }
+
+      logger.info(`Invitation ${invitationId} resent`);
+      return { invitation: this.present(result.invitation), invitationUrl: result.invitationUrl };
+    } catch (error) {
+      logger.error('Failed to resend invitation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the URL of a pending invitation and restart its expiry. Runs
+   * under the invitation's lock.
+   */
+  async renew(invitation, resentBy, expiresInHours) {
+    const { tenantId } = invitation;
+    const tenant = await this.getTenant(tenantId);
+    const ttlHours = expiresInHours || config.invitations.ttlHours;
+
+    let invitationUrl;
+    let auth0InvitationId = invitation.auth0InvitationId;
+    if (invitation.auth0InvitationId) {
+      // Organization invitations cannot be renewed, so they are replaced
+      await this.auth0Service.deleteOrganizationInvitation(tenant.auth0OrganizationId, invitation.auth0InvitationId);
+      const roles = await this.auth0Service.resolveRoles(invitation.roles);
+      const replacement = await this.auth0Service.createOrganizationInvitation(tenant.auth0OrganizationId, {
+        email: invitation.email,
+        clientId: tenant.auth0ClientId,
+        inviterName: resentBy.sub || resentBy.id,
+        ttlSec: ttlHours * 3600,
+        roleIds: roles.map((role) => role.id),
+        appMetadata: {
+          ...invitation.appMetadata,
+          tenant_id: tenantId,
+          roles: invitation.roles,
+          invitation_id: invitation.id,
+        },
+      });
+      auth0InvitationId = replacement.id;
+      invitationUrl = replacement.invitation_url;
+    } else {
+      invitationUrl = await this.createTicket(tenant, invitation.userId, ttlHours);
+    }
+
+    const updated = await this.invitations.put(invitation.id, {
+      ...invitation,
+      auth0InvitationId,
+      expiresAt: new Date(Date.now() + ttlHours * HOUR_MS).toISOString(),
+      resendCount: invitation.resendCount + 1,
+      resentAt: new Date().toISOString(),
+    });
+
+    await this.auditService.record('invitation_resent', 'user', resentBy, {
+      tenantId,
+      invitationId: invitation.id,
+      userEmail: invitation.email,
+      expiresAt: updated.expiresAt,
+    });
+
+    return { invitation: updated, invitationUrl };
+  }
+
+  /**
+   * Revoke a pending invitation
+   */
+  async revokeInvitation(tenantId, invitationId, revokedBy) {
+    try {
+      await this.getPendingInvitation(tenantId, invitationId);
+      let revoked = null;
+      const current = await this.whilePending(invitationId, async (invitation) => {
+        revoked = await this.close(invitation, 'revoked', revokedBy);
+        return revoked;
+      });
+      if (!revoked) {
+        throw new ConflictError(`Invitation is ${current.status}`, { invitationId, status: current.status });
+      }
+
+      logger.info(`Invitation ${invitationId} revoked`);
+      return this.present(revoked);
+    } catch (error) {
+      logger.error('Failed to revoke invitation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether the invitee has taken up the invitation: set their password or
+   * logged in, or joined the organization. Returns null when the invited
+   * user was deleted meanwhile.
+   */
+  async isAccepted(invitation) {
+    if (invitation.userId) {
+      try {
+        const user = await this.auth0Service.getUser(invitation.userId);
+        return Boolean(user.email_verified || user.last_login || user.logins_count);
+      } catch (error) {
+        if (error.statusCode === 404) {
+          return null;
+        }
+        throw error;
+      }
+    }
+
+    const tenant = await this.getTenant(invitation.tenantId);
+    for (const user of await this.auth0Service.getUsersByEmail(invitation.email)) {
+      if (await this.auth0Service.isOrganizationMember(tenant.auth0OrganizationId, user.user_id)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Mark an accepted invitation, or expire one past its expiry. Returns the
+   * invitation as stored.
+   */
+  async settle({ id }) {
+    return this.whilePending(id, async (invitation) => {
+      const accepted = await this.isAccepted(invitation);
+      if (accepted) {
+        return this.invitations.put(invitation.id, {
+          ...invitation,
+          status: 'accepted',
+          acceptedAt: new Date().toISOString(),
+        });
+      }
+      if (accepted === null) {
+        // Deleting the user already gave the seat back
+        return this.invitations.put(invitation.id, {
+          ...invitation,
+          status: 'revoked',
+          revokedAt: new Date().toISOString(),
+          revokedBy: null,
+        });
+      }
+      if (new Date(invitation.expiresAt).getTime() <= Date.now()) {
+        return this.close(invitation, 'expired', SYSTEM_ACTOR);
+      }
+      return invitation;
+    });
+  }
+
+  /**
+   * End a pending invitation: delete the invited user or the organization
+   * invitation and release the seat. Runs under the invitation's lock.
+   */
+  async close(invitation, status, actor) {
+    if (invitation.userId) {
+      await this.auth0Service.deleteUser(invitation.userId).catch((error) => {
+        if (error.statusCode !== 404) {
+          throw error;
+        }
+      });
+    } else if (invitation.auth0InvitationId) {
+      const tenant = await this.repository.findById(invitation.tenantId);
+      if (tenant && tenant.auth0OrganizationId) {
+        await this.auth0Service.deleteOrganizationInvitation(tenant.auth0OrganizationId, invitation.auth0InvitationId);
+      }
+    }
+    await this.giveBackSeat(invitation);
+
+    const now = new Date().toISOString();
+    const closed = await this.invitations.put(invitation.id, {
+      ...invitation,
+      status,
+      ...(status === 'revoked'
+        ? { revokedAt: now, revokedBy: actor.sub || actor.id }
+        : { expiredAt: now }),
+    });
+
+    await this.auditService.record(`invitation_${status}`, 'user', actor, {
+      tenantId: invitation.tenantId,
+      invitationId: invitation.id,
+      userEmail: invitation.email,
+    });
+    return closed;
+  }
+
+  /**
+   * Settle the pending invitations past their expiry, of one tenant or all.
+   * A failure for one invitation does not stop the run.
+   */
+  async expireInvitations(tenantId = null) {
+    try {
+      const now = Date.now();
+      const due = await this.invitations.list((invitation) => invitation.status === 'pending'
+        && (!tenantId || invitation.tenantId === tenantId)
+        && new Date(invitation.expiresAt).getTime() <= now);
+
+      const summary = { expired: 0, accepted: 0, failures: [] };
+      for (const invitation of due) {
+        try {
+          const settled = await this.settle(invitation);
+          if (settled.status === 'expired') {
+            summary.expired++;
+          } else if (settled.status === 'accepted') {
+            summary.accepted++;
+          }
+        } catch (error) {
+          summary.failures.push({ invitationId: invitation.id, error: error.message });
+        }
+      }
+
+      if (due.length > 0) {
+        logger.info('Invitations settled', {
+          expired: summary.expired,
+          accepted: summary.accepted,
+          failures: summary.failures.length,
+        });
+      }
+      return summary;
+    } catch (error) {
+      logger.error('Failed to expire invitations:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = InvitationService;
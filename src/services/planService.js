@@ -0,0 +1,102 @@
+const config = require('../config');
+const { InvalidRequestError, PlanEntitlementError } = require('../utils/errors');
+
+/**
+ * Plan catalog and entitlement checks.
+ *
+ * A tenant's plan is kept in `metadata.plan` and falls back to
+ * DEFAULT_TENANT_PLAN. The plan bounds the tenant's seat limit, decides
+ * whether MFA and self-registration may be turned on, and lists the roles
+ * its users can hold.
+ */
+class PlanService {
+  /**
+   * List every plan in the catalog
+   */
+  listPlans() {
+    return Object.keys(config.plans.catalog).map((name) => this.getPlan(name));
+  }
+
+  /**
+   * Get a plan by name
+   */
+  getPlan(name) {
+    const plan = config.plans.catalog[name];
+    if (!plan) {
+      throw new InvalidRequestError('plan', `Unknown plan: ${name}`, {
+        plans: Object.keys(config.plans.catalog),
+      });
+    }
+    return { name, ...plan };
+  }
+
+  /**
+   * Get the plan a tenant is on
+   */
+  getTenantPlan(tenant) {
+    return this.getPlan((tenant.metadata && tenant.metadata.plan) || config.plans.default);
+  }
+
+  /**
+   * Fill in plan defaults for a new tenant and check it fits the plan
+   */
+  applyToNewTenant(tenantData) {
+    const plan = this.getPlan(tenantData.plan || config.plans.default);
+    const applied = {
+      ...tenantData,
+      plan: plan.name,
+      seatLimit: tenantData.seatLimit || plan.defaultSeatLimit,
+      allowUserRegistration: tenantData.allowUserRegistration ?? plan.allowUserRegistration,
+    };
+
+    this.assertEntitlements(plan, applied);
+    return applied;
+  }
+
+  /**
+   * Check seat limit, seat usage and feature flags against a plan
+   */
+  assertEntitlements(plan, {
+    seatLimit,
+    seatUsed = 0,
+    enableMFA,
+    allowUserRegistration,
+  }) {
+    if (seatUsed > plan.maxSeatLimit) {
+      throw new PlanEntitlementError(
+        plan.name,
+        `Tenant uses ${seatUsed} seats but the ${plan.name} plan allows at most ${plan.maxSeatLimit}`,
+        { seatUsed, maxSeatLimit: plan.maxSeatLimit }
+      );
+    }
+    if (seatLimit > plan.maxSeatLimit) {
+      throw new PlanEntitlementError(
+        plan.name,
+        `Seat limit ${seatLimit} exceeds the ${plan.name} plan maximum of ${plan.maxSeatLimit}`,
+        { seatLimit, maxSeatLimit: plan.maxSeatLimit }
+      );
+    }
+    if (enableMFA && !plan.allowMFA) {
+      throw new PlanEntitlementError(plan.name, `MFA is not available on the ${plan.name} plan`);
+    }
+    if (allowUserRegistration && !plan.allowUserRegistration) {
+      throw new PlanEntitlementError(plan.name, `Self-registration is not available on the ${plan.name} plan`);
+    }
+  }
+
+  /**
+   * Check that a plan allows every given role
+   */
+  assertRolesAllowed(plan, roleNames) {
+    const denied = roleNames.filter((name) => !plan.allowedRoles.includes(name));
+    if (denied.length > 0) {
+      throw new PlanEntitlementError(
+        plan.name,
+        `Roles not available on the ${plan.name} plan: ${denied.join(', ')}`,
+        { denied, allowedRoles: plan.allowedRoles }
+      );
+    }
+  }
+}
+
+module.exports = PlanService;
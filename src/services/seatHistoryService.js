@@ -0,0 +1,197 @@
+const logger = require('../utils/logger');
+const { getDocumentStore } = require('../repositories');
+const { InvalidRequestError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest series a single history request may return
+const MAX_PERIODS = 1000;
+
+const dayOf = (date) => date.toISOString().slice(0, 10);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Start of the UTC day, ISO week (Monday) or month containing `date`
+ */
+const periodStart = (date, interval) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (interval === 'month') {
+    start.setUTCDate(1);
+  }
+  return start;
+};
+
+const nextPeriod = (start, interval) => {
+  const next = new Date(start);
+  if (interval === 'month') {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  } else {
+    next.setUTCDate(next.getUTCDate() + (interval === 'week' ? 7 : 1));
+  }
+  return next;
+};
+
+/**
+ * Seat usage over time.
+ *
+ * Every change to a tenant's seat counters is recorded as a timestamped
+ * event holding the usage and limit after the change. Events are grouped
+ * in one document per tenant and UTC day. History outlives the tenant's
+ * seat counters, so usage of deleted tenants can still be billed.
+ */
+class SeatHistoryService {
+  constructor() {
+    this.days = getDocumentStore().collection('seatUsageHistory');
+  }
+
+  /**
+   * Record a seat change. Callers hold the tenant's seat lock, so events of
+   * one tenant are appended in order.
+   */
+  async record(tenantId, type, previous, current, at = new Date()) {
+    const day = dayOf(at);
+    const id = `${tenantId}:${day}`;
+    const doc = (await this.days.get(id)) || { id, tenantId, day, events: [] };
+
+    doc.events.push({
+      at: at.toISOString(),
+      type,
+      seatUsed: current.seatUsed,
+      seatLimit: current.seatLimit,
+      delta: current.seatUsed - (previous ? previous.seatUsed : 0),
+    });
+    await this.days.put(id, doc);
+  }
+
+  /**
+   * Events of a tenant up to `to`, oldest first
+   */
+  async getEvents(tenantId, to) {
+    const lastDay = dayOf(to);
+    const docs = await this.days.list((doc) => doc.tenantId === tenantId && doc.day <= lastDay);
+
+    return docs
+      .sort((a, b) => (a.day < b.day ? -1 : 1))
+      .flatMap((doc) => doc.events)
+      .filter((event) => new Date(event.at) <= to);
+  }
+
+  /**
+   * Peak, time-weighted average and end-of-period seat usage per interval
+   * between `from` and `to` (default: the last 30 days by day)
+   */
+  async getHistory(tenantId, { from, to, interval = 'day' } = {}) {
+    const now = new Date();
+    const end = to ? new Date(Math.min(new Date(to).getTime(), now.getTime())) : now;
+    const start = from ? new Date(from) : new Date(end.getTime() - 30 * DAY_MS);
+
+    if (start >= end) {
+      throw new InvalidRequestError('from', 'from must be before to and not in the future');
+    }
+
+    const starts = [];
+    for (let cursor = periodStart(start, interval); cursor < end; cursor = nextPeriod(cursor, interval)) {
+      starts.push(cursor);
+      if (starts.length > MAX_PERIODS) {
+        throw new InvalidRequestError('interval', `The range spans more than ${MAX_PERIODS} periods. Use a longer interval.`);
+      }
+    }
+
+    const events = await this.getEvents(tenantId, end);
+    const periods = starts.map((periodFrom) => {
+      const periodTo = new Date(Math.min(nextPeriod(periodFrom, interval).getTime(), end.getTime()));
+      return {
+        periodStart: periodFrom.toISOString(),
+        periodEnd: periodTo.toISOString(),
+        ...this.summarize(events, periodFrom, periodTo),
+      };
+    });
+
+    return {
+      tenantId,
+      from: start.toISOString(),
+      to: end.toISOString(),
+      interval,
+      periods,
+      summary: this.summarize(events, start, end),
+    };
+  }
+
+  /**
+   * Usage trend over the last `days` days, used for seat recommendations.
+   * The peak includes the current usage; without recorded history the
+   * current usage is taken as constant.
+   */
+  async getTrend(tenantId, currentUsage, days = 30) {
+    const to = new Date();
+    const from = new Date(to.getTime() - days * DAY_MS);
+
+    let summary;
+    try {
+      const events = await this.getEvents(tenantId, to);
+      summary = events.length > 0 ? this.summarize(events, from, to) : null;
+    } catch (error) {
+      // Recommendations fall back to the current snapshot
+      logger.error('Failed to read seat history:', error);
+    }
+
+    const { seatUsed, seatLimit } = currentUsage;
+    const { averageSeatUsed, startSeatUsed } = summary || { averageSeatUsed: seatUsed, startSeatUsed: seatUsed };
+    const peakSeatUsed = Math.max(summary ? summary.peakSeatUsed : 0, seatUsed);
+    const seatsPerDay = round((seatUsed - startSeatUsed) / days);
+
+    return {
+      days,
+      peakSeatUsed,
+      averageSeatUsed,
+      peakUtilizationPercentage: seatLimit ? Math.round((peakSeatUsed / seatLimit) * 100) : 0,
+      averageUtilizationPercentage: seatLimit ? Math.round((averageSeatUsed / seatLimit) * 100) : 0,
+      seatsPerDay,
+      daysUntilFull: seatsPerDay > 0 && seatLimit
+        ? Math.max(0, Math.ceil((seatLimit - seatUsed) / seatsPerDay))
+        : null,
+    };
+  }
+
+  /**
+   * Usage in the window (from, to] from the events recorded up to `to`. A
+   * change at `from` belongs to the previous window and sets the start.
+   */
+  summarize(events, from, to) {
+    // Usage in force when the window opens: the last event before it
+    let current = { seatUsed: 0, seatLimit: null };
+    let index = 0;
+    while (index < events.length && new Date(events[index].at) <= from) {
+      current = events[index];
+      index += 1;
+    }
+
+    const startSeatUsed = current.seatUsed;
+    let peakSeatUsed = current.seatUsed;
+    let weighted = 0;
+    let since = from.getTime();
+
+    for (; index < events.length && new Date(events[index].at) <= to; index += 1) {
+      const event = events[index];
+      const time = new Date(event.at).getTime();
+      weighted += current.seatUsed * (time - since);
+      since = time;
+      current = event;
+      peakSeatUsed = Math.max(peakSeatUsed, event.seatUsed);
+    }
+    weighted += current.seatUsed * (to.getTime() - since);
+
+    return {
+      startSeatUsed,
+      peakSeatUsed,
+      averageSeatUsed: round(weighted / (to.getTime() - from.getTime())),
+      endSeatUsed: current.seatUsed,
+      seatLimit: current.seatLimit,
+    };
+  }
+}
+
+module.exports = SeatHistoryService;
@@ -0,0 +1,155 @@
+const Auth0Service = require('./auth0Service');
+const SeatService = require('./seatService');
+const AuditService = require('./auditService');
+const SeatRulesService = require('./seatRulesService');
+const { getTenantRepository } = require('../repositories');
+const logger = require('../utils/logger');
+const { TenantNotFoundError } = require('../utils/errors');
+
+// Actor recorded in the audit log for corrections made by the scheduled job
+const SYSTEM_ACTOR = { id: 'system:seat-reconciler' };
+
+class SeatReconciliationService {
+  constructor() {
+    this.auth0Service = new Auth0Service();
+    this.seatService = new SeatService();
+    this.auditService = new AuditService();
+    this.seatRulesService = new SeatRulesService();
+    this.repository = getTenantRepository();
+  }
+
+  /**
+   * Decide whether an Auth0 user occupies a seat under the tenant's seat rules
+   */
+  isBillableUser(user, rules) {
+    return this.seatRulesService.isBillable({
+      email: user.email,
+      blocked: user.blocked,
+      appMetadata: user.app_metadata,
+    }, rules);
+  }
+
+  /**
+   * Count the users in Auth0 that belong to a tenant, and those among them
+   * that hold a seat. Organization-backed tenants are counted by membership.
+   */
+  async countTenantUsers(tenant, rules = null) {
+    try {
+      const seatRules = rules || this.seatRulesService.getRules(null);
+      const users = await this.auth0Service.getAllTenantUsers(tenant);
+      return {
+        totalUsers: users.length,
+        billableUsers: users.filter((user) => this.isBillableUser(user, seatRules)).length,
+      };
+    } catch (error) {
+      logger.error('Failed to count tenant users:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare the seat ledger with Auth0 for one tenant and optionally correct it
+   */
+  async reconcileTenant(tenantId, options = {}, requestedBy = SYSTEM_ACTOR) {
+    try {
+      const { correct = false } = options;
+      logger.info(`Reconciling seats for tenant ${tenantId}`, { correct });
+
+      const tenant = await this.repository.findById(tenantId);
+      if (!tenant) {
+        throw new TenantNotFoundError(tenantId);
+      }
+
+      // Counted under the seat lock, so a seat taken or given back during the
+      // count is not overwritten by the correction
+      const rules = this.seatRulesService.getRules(tenant);
+      let totalUsers = 0;
+      const { recorded, actual } = await this.seatService.recountSeatUsage(tenantId, async () => {
+        const counts = await this.countTenantUsers(tenant, rules);
+        totalUsers = counts.totalUsers;
+        return {
+          seatUsed: counts.billableUsers,
+          nonBillableUsed: counts.totalUsers - counts.billableUsers,
+        };
+      }, { correct });
+      const drift = actual.seatUsed - recorded.seatUsed;
+
+      const report = {
+        tenantId,
+        recordedSeatUsed: recorded.seatUsed,
+        actualSeatUsed: actual.seatUsed,
+        totalUsers,
+        nonBillableUsers: actual.nonBillableUsed,
+        seatLimit: recorded.seatLimit,
+        drift,
+        overLimit: actual.seatUsed > recorded.seatLimit,
+        corrected: false,
+        checkedAt: new Date(),
+      };
+
+      if (drift !== 0) {
+        logger.warn(`Seat drift detected for tenant ${tenantId}`, {
+          recordedSeatUsed: report.recordedSeatUsed,
+          actualSeatUsed: report.actualSeatUsed,
+        });
+      }
+
+      if (correct && drift !== 0) {
+        report.corrected = true;
+
+        await this.auditService.record('seat_usage_corrected', 'tenant', requestedBy, {
+          tenantId,
+          drift,
+          before: { seatUsed: report.recordedSeatUsed },
+          after: { seatUsed: report.actualSeatUsed },
+        });
+      }
+
+      return report;
+    } catch (error) {
+      logger.error('Failed to reconcile tenant seats:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reconcile every tenant. A failure for one tenant does not stop the run.
+   */
+  async reconcileAll(options = {}, requestedBy = SYSTEM_ACTOR) {
+    try {
+      const tenants = await this.repository.list();
+      const results = [];
+      const failures = [];
+
+      for (const tenant of tenants) {
+        try {
+          results.push(await this.reconcileTenant(tenant.id, options, requestedBy));
+        } catch (error) {
+          failures.push({ tenantId: tenant.id, error: error.message });
+        }
+      }
+
+      const summary = {
+        tenantsChecked: results.length,
+        tenantsWithDrift: results.filter((result) => result.drift !== 0).length,
+        tenantsCorrected: results.filter((result) => result.corrected).length,
+        results,
+        failures,
+      };
+
+      logger.info('Seat reconciliation completed', {
+        tenantsChecked: summary.tenantsChecked,
+        tenantsWithDrift: summary.tenantsWithDrift,
+        tenantsCorrected: summary.tenantsCorrected,
+        failures: failures.length,
+      });
+
+      return summary;
+    } catch (error) {
+      logger.error('Failed to reconcile seats:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SeatReconciliationService;
@@ -0,0 +1,72 @@
+const config = require('../config');
+const PlanService = require('./planService');
+const { getTenantRepository } = require('../repositories');
+
+const DEFAULT_RULES = {
+  excludeBlocked: false,
+  excludeNonBillable: true,
+  internalDomains: [],
+};
+
+// app_metadata flags on users blocked along with their whole tenant
+const TENANT_BLOCK_MARKERS = {
+  suspension: 'blocked_by_tenant_suspension',
+  deletion: 'blocked_by_tenant_deletion',
+};
+
+/**
+ * Rules deciding which users take a seat.
+ *
+ * Rules are layered: SEAT_* defaults, then the tenant's plan (`seatRules` in
+ * the catalog), then the tenant's `settings.seatRules`. A user is billable
+ * unless a rule excludes them; users waiting on the seat waitlist never are.
+ * Users blocked with their tenant keep their seat, since unblocking the
+ * tenant does not reserve seats again. Users are described as
+ * `{ email, blocked, appMetadata }`.
+ */
+class SeatRulesService {
+  constructor() {
+    this.planService = new PlanService();
+    this.repository = getTenantRepository();
+  }
+
+  /**
+   * Rules in force for a tenant record (null for the defaults)
+   */
+  getRules(tenant) {
+    const plan = tenant ? this.planService.getTenantPlan(tenant) : null;
+    return {
+      ...DEFAULT_RULES,
+      ...config.seats.rules,
+      ...(plan && plan.seatRules),
+      ...(tenant && tenant.settings && tenant.settings.seatRules),
+    };
+  }
+
+  async getTenantRules(tenantId) {
+    return this.getRules(await this.repository.findById(tenantId));
+  }
+
+  isBillable({ email, blocked, appMetadata }, rules) {
+    if (appMetadata && appMetadata.seat_waitlisted) {
+      return false;
+    }
+    if (rules.excludeBlocked && blocked && !this.isBlockedWithTenant(appMetadata)) {
+      return false;
+    }
+    if (rules.excludeNonBillable && appMetadata && appMetadata.billable === false) {
+      return false;
+    }
+
+    const domain = (email || '').split('@')[1];
+    return !(domain && rules.internalDomains.includes(domain.toLowerCase()));
+  }
+
+  isBlockedWithTenant(appMetadata) {
+    return Boolean(appMetadata) && Object.values(TENANT_BLOCK_MARKERS).some((marker) => appMetadata[marker]);
+  }
+}
+
+SeatRulesService.TENANT_BLOCK_MARKERS = TENANT_BLOCK_MARKERS;
+
+module.exports = SeatRulesService;
@@ -1,15 +1,50 @@
 const logger = require('../utils/logger');
-const { SeatLimitExceededError, TenantNotFoundError, BusinessLogicError } = require('../utils/errors');
+const {
+  SeatLimitExceededError,
+  TenantNotFoundError,
+  TenantInactiveError,
+  BusinessLogicError,
+} = require('../utils/errors');
 const config = require('../config');
-const fs = require('fs').promises;
-const path = require('path');
+const { getTenantRepository } = require('../repositories');
+const KeyedMutex = require('../utils/keyedMutex');
+const WebhookService = require('./webhookService');
+const SeatHistoryService = require('./seatHistoryService');
+const AlertService = require('./alertService');
+const SeatWaitlistService = require('./seatWaitlistService');
+
+// Seat counters are shared by every SeatService instance in the process.
+// Services are created per route module, so per-instance copies would drift.
+const tenantSeats = new Map();
+let seatsLoaded = null;
+
+// Seat ledger lock: every change to a tenant's counters runs check, persist
+// and update as one step, so parallel requests cannot oversell seats.
+const seatLocks = new KeyedMutex();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const utilizationOf = (seatData) => (seatData && seatData.seatLimit
+  ? (seatData.seatUsed / seatData.seatLimit) * 100
+  : 0);
+
+// Frozen seats (tenant pending deletion) cannot be taken or resized
+const assertNotFrozen = (tenantId, seatData) => {
+  if (seatData && seatData.frozen) {
+    throw new TenantInactiveError(tenantId, { reason: 'Seats are frozen while the tenant is pending deletion' });
+  }
+};
 
 class SeatService {
   constructor() {
-    // Use file-based storage for persistence
-    this.storageFile = path.join(process.cwd(), 'data', 'tenant-seats.json');
-    this.tenantSeats = new Map();
-    this.initializeService();
+    // Seat counters are persisted alongside tenant records in the tenant repository
+    this.repository = getTenantRepository();
+    this.tenantSeats = tenantSeats;
+    this.webhookService = new WebhookService();
+    this.historyService = new SeatHistoryService();
+    this.alertService = new AlertService();
+    this.waitlistService = new SeatWaitlistService();
+    this.ready = this.initializeService();
   }
 
   /**
@@ -17,63 +52,194 @@ class SeatService {
    */
   async initializeService() {
     try {
-      await this.loadSeatData();
+      if (!seatsLoaded) {
+        seatsLoaded = this.loadSeatData();
+      }
+      await seatsLoaded;
       logger.info('Seat service initialized with persistent storage');
     } catch (error) {
       logger.warn('Failed to load seat data, starting with empty storage:', error.message);
-      // Ensure data directory exists
-      await this.ensureDataDirectory();
     }
   }
 
   /**
-   * Ensure data directory exists
+   * Load seat data from the tenant repository
+   */
+  async loadSeatData() {
+    const seats = await this.repository.listSeats();
+    seats.forEach((seatData) => this.tenantSeats.set(seatData.tenantId, seatData));
+    logger.info(`Loaded seat data for ${this.tenantSeats.size} tenants`);
+  }
+
+  /**
+   * Persist the seat data of one tenant, then publish it to the shared cache.
+   * A change is only visible once it is durable; pass null to remove.
+   * `eventType` records a change of usage or limit in the seat history.
    */
-  async ensureDataDirectory() {
+  async saveSeatData(tenantId, seatData, eventType = null) {
     try {
-      const dataDir = path.dirname(this.storageFile);
-      await fs.mkdir(dataDir, { recursive: true });
+      if (seatData && seatData.overage && seatData.seatUsed <= seatData.seatLimit) {
+        // Back within the limit; a later overage starts a new grace period
+        const { overage, ...withinLimit } = seatData;
+        logger.info(`Tenant ${tenantId} is back within its seat limit after overage since ${overage.since}`);
+        seatData = withinLimit;
+      }
+
+      if (seatData) {
+        const previous = this.tenantSeats.get(tenantId);
+        await this.repository.saveSeats(tenantId, seatData);
+        this.tenantSeats.set(tenantId, seatData);
+        if (eventType) {
+          await this.recordHistory(tenantId, eventType, previous, seatData);
+        }
+        await this.notifyThresholdsCrossed(tenantId, previous, seatData);
+      } else {
+        await this.repository.removeSeats(tenantId);
+        this.tenantSeats.delete(tenantId);
+      }
     } catch (error) {
-      logger.error('Failed to create data directory:', error);
+      logger.error('Failed to save seat data:', error);
+      throw error;
     }
   }
 
   /**
-   * Load seat data from persistent storage
+   * Add a seat change to the history. The change itself is already durable,
+   * so a failure here is logged rather than failing the request.
    */
-  async loadSeatData() {
+  async recordHistory(tenantId, eventType, previous, current) {
+    if (previous && previous.seatUsed === current.seatUsed && previous.seatLimit === current.seatLimit) {
+      return;
+    }
     try {
-      await this.ensureDataDirectory();
-      const data = await fs.readFile(this.storageFile, 'utf8');
-      const seatData = JSON.parse(data);
-      
-      // Convert back to Map
-      this.tenantSeats = new Map(Object.entries(seatData));
-      logger.info(`Loaded seat data for ${this.tenantSeats.size} tenants`);
+      await this.historyService.record(tenantId, eventType, previous, current);
     } catch (error) {
-      if (error.code === 'ENOENT') {
-        // File doesn't exist yet, start with empty Map
-        this.tenantSeats = new Map();
-        logger.info('No existing seat data found, starting with empty storage');
-      } else {
-        throw error;
-      }
+      logger.error(`Failed to record seat history for tenant ${tenantId}:`, error);
+    }
+  }
+
+  /**
+   * Utilization thresholds of a tenant: its settings.seatAlertThresholds,
+   * else the configured defaults
+   */
+  async getAlertThresholds(tenantId) {
+    const tenant = await this.repository.findById(tenantId);
+    const thresholds = tenant && tenant.settings && tenant.settings.seatAlertThresholds;
+    return thresholds || config.seats.thresholds || [];
+  }
+
+  /**
+   * Overage policy of a tenant: its settings.seatOverage over the configured
+   * default
+   */
+  async getOveragePolicy(tenantId) {
+    const tenant = await this.repository.findById(tenantId);
+    return {
+      policy: 'hard',
+      ...config.seats.overage,
+      ...(tenant && tenant.settings && tenant.settings.seatOverage),
+    };
+  }
+
+  /**
+   * Overage state when the soft cap lets `seats` more seats be taken beyond
+   * the limit, else null. The grace period starts with the first seat over
+   * the limit; once it ends, usage can no longer grow past the limit.
+   */
+  softCapOverage(policy, seatData, seats) {
+    if (policy.policy !== 'soft') {
+      return null;
     }
+
+    const now = new Date();
+    const softLimit = Math.floor(seatData.seatLimit * (1 + policy.softCapPercentage / 100));
+    const overage = seatData.overage || {
+      since: now.toISOString(),
+      graceEndsAt: new Date(now.getTime() + policy.gracePeriodDays * DAY_MS).toISOString(),
+    };
+
+    if (seatData.seatUsed + seats > softLimit || new Date(overage.graceEndsAt) <= now) {
+      return null;
+    }
+    return { ...overage, softLimit };
   }
 
   /**
-   * Save seat data to persistent storage
+   * Publish seat.threshold_crossed for every utilization threshold the
+   * change passed on the way up, and raise seat alerts for crossings in
+   * either direction
    */
-  async saveSeatData() {
+  async notifyThresholdsCrossed(tenantId, previous, current) {
+    const before = utilizationOf(previous);
+    const after = utilizationOf(current);
+    if (before === after) {
+      return;
+    }
+
+    const thresholds = await this.getAlertThresholds(tenantId);
+    const crossed = thresholds.filter((threshold) => before < threshold && after >= threshold);
+
+    for (const threshold of crossed) {
+      await this.webhookService.publish('seat.threshold_crossed', {
+        tenantId,
+        threshold,
+        seatUsed: current.seatUsed,
+        seatLimit: current.seatLimit,
+        utilizationPercentage: Math.round(after),
+      }, { tenantId });
+    }
+
+    // The change itself is already durable
     try {
-      await this.ensureDataDirectory();
-      const data = Object.fromEntries(this.tenantSeats);
-      await fs.writeFile(this.storageFile, JSON.stringify(data, null, 2));
-      logger.debug('Seat data saved to persistent storage');
+      await this.alertService.checkThresholds(tenantId, previous, current, thresholds);
     } catch (error) {
-      logger.error('Failed to save seat data:', error);
-      // Don't throw error to avoid breaking the main operation
+      logger.error(`Failed to check seat alerts for tenant ${tenantId}:`, error);
+    }
+  }
+
+  /**
+   * Give free seats to waitlisted users, oldest first. The seat change that
+   * freed them is already done, so failures are logged and the user stays
+   * queued for the next free seat.
+   */
+  async promoteWaitlisted(tenantId) {
+    const activated = [];
+    try {
+      const queued = await this.waitlistService.list(tenantId);
+      for (const entry of queued) {
+        // Waitlisted users are counted as non-billable until they get a seat
+        const { seatsReserved } = await this.reserveAvailableSeats(tenantId, 1, { fromNonBillable: true });
+        if (seatsReserved === 0) {
+          break;
+        }
+
+        let done;
+        try {
+          done = await this.waitlistService.activate(entry);
+        } catch (error) {
+          // Still waiting, so back to the non-billable count
+          await this.releaseSeats(tenantId, 1, { promoteWaitlist: false, toNonBillable: true });
+          throw error;
+        }
+        if (done) {
+          activated.push(entry.userId);
+        } else {
+          // Deleted from Auth0 meanwhile: no seat and no non-billable user
+          await this.releaseSeats(tenantId, 1, { promoteWaitlist: false });
+        }
+      }
+    } catch (error) {
+      logger.error(`Failed to activate waitlisted users for tenant ${tenantId}:`, error);
     }
+    return activated;
+  }
+
+  /**
+   * Run a change to a tenant's seat counters under the tenant's ledger lock
+   */
+  async withSeatLock(tenantId, change) {
+    await this.ready;
+    return seatLocks.runExclusive(tenantId, change);
   }
 
   /**
@@ -81,6 +247,7 @@ class SeatService {
    */
   async getTenantSeatUsage(tenantId) {
     try {
+      await this.ready;
       logger.info('Getting seat usage for tenant:', tenantId);
 
       // In a real implementation, this would query your database
@@ -98,7 +265,10 @@ class SeatService {
         seatUsed: seatData.seatUsed,
         availableSeats: seatData.seatLimit - seatData.seatUsed,
         utilizationPercentage: Math.round((seatData.seatUsed / seatData.seatLimit) * 100),
+        // seatUsed counts billable users; users the seat rules exclude are counted apart
+        nonBillableUsed: seatData.nonBillableUsed || 0,
         lastUpdated: seatData.lastUpdated,
+        ...(seatData.overage && { overage: seatData.overage }),
       };
     } catch (error) {
       logger.error('Failed to get tenant seat usage:', error);
@@ -134,47 +304,64 @@ class SeatService {
    */
   async reserveSeats(tenantId, seatsToReserve = 1) {
     try {
-      logger.info(`Reserving ${seatsToReserve} seats for tenant: ${tenantId}`);
+      return await this.withSeatLock(tenantId, async () => {
+        logger.info(`Reserving ${seatsToReserve} seats for tenant: ${tenantId}`);
+        assertNotFrozen(tenantId, this.tenantSeats.get(tenantId));
 
-      const availability = await this.checkSeatAvailability(tenantId, seatsToReserve);
-      
-      if (!availability.available) {
-        throw new SeatLimitExceededError(
+        const availability = await this.checkSeatAvailability(tenantId, seatsToReserve);
+        const currentData = this.tenantSeats.get(tenantId) || {
           tenantId,
-          availability.seatUsed,
-          availability.seatLimit,
-          {
-            requestedSeats: seatsToReserve,
-            availableSeats: availability.availableSeats,
-          }
-        );
-      }
+          seatLimit: config.seats.defaultLimit,
+          seatUsed: 0,
+        };
 
-      // Update seat usage
-      const currentData = this.tenantSeats.get(tenantId) || {
-        tenantId,
-        seatLimit: config.seats.defaultLimit,
-        seatUsed: 0,
-      };
+        // At the limit the tenant's overage policy decides: only the soft cap
+        // lets usage grow further; waitlisting is up to the caller
+        let overage = null;
+        if (!availability.available) {
+          const policy = await this.getOveragePolicy(tenantId);
+          overage = this.softCapOverage(policy, currentData, seatsToReserve);
+
+          if (!overage) {
+            throw new SeatLimitExceededError(
+              tenantId,
+              availability.seatUsed,
+              availability.seatLimit,
+              {
+                requestedSeats: seatsToReserve,
+                availableSeats: availability.availableSeats,
+                overagePolicy: policy.policy,
+                ...(currentData.overage && { graceEndsAt: currentData.overage.graceEndsAt }),
+              }
+            );
+          }
 
-      const updatedData = {
-        ...currentData,
-        seatUsed: currentData.seatUsed + seatsToReserve,
-        lastUpdated: new Date(),
-      };
+          if (!currentData.overage) {
+            logger.warn(`Tenant ${tenantId} exceeded its seat limit under the soft cap; grace period ends ${overage.graceEndsAt}`);
+          }
+        }
+
+        // Update seat usage
+        const updatedData = {
+          ...currentData,
+          ...(overage && { overage }),
+          seatUsed: currentData.seatUsed + seatsToReserve,
+          lastUpdated: new Date(),
+        };
 
-      this.tenantSeats.set(tenantId, updatedData);
-      await this.saveSeatData();
+        await this.saveSeatData(tenantId, updatedData, 'reserve');
 
-      logger.info(`Successfully reserved ${seatsToReserve} seats for tenant: ${tenantId}`);
+        logger.info(`Successfully reserved ${seatsToReserve} seats for tenant: ${tenantId}`);
 
-      return {
-        tenantId,
-        seatsReserved: seatsToReserve,
-        totalSeatUsed: updatedData.seatUsed,
-        availableSeats: updatedData.seatLimit - updatedData.seatUsed,
-        seatLimit: updatedData.seatLimit,
-      };
+        return {
+          tenantId,
+          seatsReserved: seatsToReserve,
+          totalSeatUsed: updatedData.seatUsed,
+          availableSeats: updatedData.seatLimit - updatedData.seatUsed,
+          seatLimit: updatedData.seatLimit,
+          ...(overage && { overage }),
+        };
+      });
     } catch (error) {
       logger.error('Failed to reserve seats:', error);
       throw error;
@@ -182,61 +369,112 @@ class SeatService {
   }
 
   /**
-   * Release seats for a tenant
+   * Reserve up to `maxSeats` seats, as many as the tenant has free. Used by
+   * bulk imports that fill the remaining seats instead of failing outright.
+   * With `fromNonBillable` the users taking the seats leave the non-billable
+   * count in the same change.
    */
-  async releaseSeats(tenantId, seatsToRelease = 1) {
+  async reserveAvailableSeats(tenantId, maxSeats, { fromNonBillable = false } = {}) {
     try {
-      logger.info(`Releasing ${seatsToRelease} seats for tenant: ${tenantId}`);
-
-      const currentData = this.tenantSeats.get(tenantId);
-      
-      if (!currentData) {
-        // If tenant doesn't exist in seat data, log warning and return success
-        // This can happen if tenant was deleted or never properly initialized
-        logger.warn(`Tenant ${tenantId} not found in seat data during seat release. This may indicate the tenant was deleted or never initialized.`, {
-          operation: 'release_seats',
-          seatsToRelease,
-        });
-        
-        return {
+      return await this.withSeatLock(tenantId, async () => {
+        const currentData = this.tenantSeats.get(tenantId) || {
           tenantId,
-          seatsReleased: seatsToRelease,
-          totalSeatUsed: 0,
-          availableSeats: config.seats.defaultLimit,
           seatLimit: config.seats.defaultLimit,
-          warning: 'Tenant not found in seat data - seat release assumed successful',
+          seatUsed: 0,
         };
-      }
+        assertNotFrozen(tenantId, currentData);
+        const seatsReserved = Math.min(maxSeats, Math.max(0, currentData.seatLimit - currentData.seatUsed));
+
+        if (seatsReserved > 0) {
+          await this.saveSeatData(tenantId, {
+            ...currentData,
+            seatUsed: currentData.seatUsed + seatsReserved,
+            ...(fromNonBillable && {
+              nonBillableUsed: Math.max(0, (currentData.nonBillableUsed || 0) - seatsReserved),
+            }),
+            lastUpdated: new Date(),
+          }, 'reserve');
+        }
+
+        logger.info(`Reserved ${seatsReserved} of ${maxSeats} requested seats for tenant: ${tenantId}`);
+        return {
+          tenantId,
+          seatsRequested: maxSeats,
+          seatsReserved,
+          seatLimit: currentData.seatLimit,
+        };
+      });
+    } catch (error) {
+      logger.error('Failed to reserve available seats:', error);
+      throw error;
+    }
+  }
 
-      if (currentData.seatUsed < seatsToRelease) {
-        throw new BusinessLogicError(
-          `Cannot release ${seatsToRelease} seats. Only ${currentData.seatUsed} seats are currently used.`,
-          {
-            tenantId,
+  /**
+   * Release seats for a tenant, then hand freed seats to waitlisted users
+   * unless `promoteWaitlist` is false. With `toNonBillable` the users giving
+   * the seats back are counted as non-billable in the same change.
+   */
+  async releaseSeats(tenantId, seatsToRelease = 1, { promoteWaitlist = true, toNonBillable = false } = {}) {
+    try {
+      const result = await this.withSeatLock(tenantId, async () => {
+        logger.info(`Releasing ${seatsToRelease} seats for tenant: ${tenantId}`);
+
+        const currentData = this.tenantSeats.get(tenantId);
+
+        if (!currentData) {
+          // If tenant doesn't exist in seat data, log warning and return success
+          // This can happen if tenant was deleted or never properly initialized
+          logger.warn(`Tenant ${tenantId} not found in seat data during seat release. This may indicate the tenant was deleted or never initialized.`, {
+            operation: 'release_seats',
             seatsToRelease,
-            currentSeatUsed: currentData.seatUsed,
-          }
-        );
-      }
+          });
 
-      const updatedData = {
-        ...currentData,
-        seatUsed: Math.max(0, currentData.seatUsed - seatsToRelease),
-        lastUpdated: new Date(),
-      };
+          return {
+            tenantId,
+            seatsReleased: seatsToRelease,
+            totalSeatUsed: 0,
+            availableSeats: config.seats.defaultLimit,
+            seatLimit: config.seats.defaultLimit,
+            warning: 'Tenant not found in seat data - seat release assumed successful',
+          };
+        }
+
+        if (currentData.seatUsed < seatsToRelease) {
+          throw new BusinessLogicError(
+            `Cannot release ${seatsToRelease} seats. Only ${currentData.seatUsed} seats are currently used.`,
+            {
+              tenantId,
+              seatsToRelease,
+              currentSeatUsed: currentData.seatUsed,
+            }
+          );
+        }
+
+        const updatedData = {
+          ...currentData,
+          seatUsed: Math.max(0, currentData.seatUsed - seatsToRelease),
+          ...(toNonBillable && { nonBillableUsed: (currentData.nonBillableUsed || 0) + seatsToRelease }),
+          lastUpdated: new Date(),
+        };
 
-      this.tenantSeats.set(tenantId, updatedData);
-      await this.saveSeatData();
+        await this.saveSeatData(tenantId, updatedData, 'release');
 
-      logger.info(`Successfully released ${seatsToRelease} seats for tenant: ${tenantId}`);
+        logger.info(`Successfully released ${seatsToRelease} seats for tenant: ${tenantId}`);
 
-      return {
-        tenantId,
-        seatsReleased: seatsToRelease,
-        totalSeatUsed: updatedData.seatUsed,
-        availableSeats: updatedData.seatLimit - updatedData.seatUsed,
-        seatLimit: updatedData.seatLimit,
-      };
+        return {
+          tenantId,
+          seatsReleased: seatsToRelease,
+          totalSeatUsed: updatedData.seatUsed,
+          availableSeats: updatedData.seatLimit - updatedData.seatUsed,
+          seatLimit: updatedData.seatLimit,
+        };
+      });
+
+      if (promoteWaitlist) {
+        await this.promoteWaitlisted(tenantId);
+      }
+      return result;
     } catch (error) {
       logger.error('Failed to release seats:', error);
       throw error;
@@ -248,64 +486,135 @@ class SeatService {
    */
   async updateSeatLimit(tenantId, newLimit) {
     try {
-      logger.info(`Updating seat limit for tenant ${tenantId} to ${newLimit}`);
+      const result = await this.withSeatLock(tenantId, async () => {
+        logger.info(`Updating seat limit for tenant ${tenantId} to ${newLimit}`);
+        assertNotFrozen(tenantId, this.tenantSeats.get(tenantId));
 
-      if (newLimit < 1) {
-        throw new BusinessLogicError('Seat limit must be at least 1', {
-          tenantId,
-          newLimit,
-        });
-      }
-
-      if (newLimit > config.seats.maxLimit) {
-        throw new BusinessLogicError(
-          `Seat limit cannot exceed maximum of ${config.seats.maxLimit}`,
-          {
+        if (newLimit < 1) {
+          throw new BusinessLogicError('Seat limit must be at least 1', {
             tenantId,
             newLimit,
-            maxLimit: config.seats.maxLimit,
-          }
-        );
-      }
+          });
+        }
+
+        if (newLimit > config.seats.maxLimit) {
+          throw new BusinessLogicError(
+            `Seat limit cannot exceed maximum of ${config.seats.maxLimit}`,
+            {
+              tenantId,
+              newLimit,
+              maxLimit: config.seats.maxLimit,
+            }
+          );
+        }
+
+        const currentData = this.tenantSeats.get(tenantId) || {
+          tenantId,
+          seatLimit: config.seats.defaultLimit,
+          seatUsed: 0,
+        };
 
-      const currentData = this.tenantSeats.get(tenantId) || {
-        tenantId,
-        seatLimit: config.seats.defaultLimit,
-        seatUsed: 0,
-      };
+        // Check if new limit is less than currently used seats
+        if (newLimit < currentData.seatUsed) {
+          throw new BusinessLogicError(
+            `Cannot set seat limit to ${newLimit}. Currently using ${currentData.seatUsed} seats.`,
+            {
+              tenantId,
+              newLimit,
+              currentSeatUsed: currentData.seatUsed,
+            }
+          );
+        }
+
+        const updatedData = {
+          ...currentData,
+          seatLimit: newLimit,
+          lastUpdated: new Date(),
+        };
 
-      // Check if new limit is less than currently used seats
-      if (newLimit < currentData.seatUsed) {
-        throw new BusinessLogicError(
-          `Cannot set seat limit to ${newLimit}. Currently using ${currentData.seatUsed} seats.`,
-          {
-            tenantId,
-            newLimit,
-            currentSeatUsed: currentData.seatUsed,
-          }
-        );
+        await this.saveSeatData(tenantId, updatedData, 'limit_change');
+
+        logger.info(`Successfully updated seat limit for tenant ${tenantId} to ${newLimit}`);
+
+        return {
+          tenantId,
+          previousLimit: currentData.seatLimit,
+          newLimit,
+          seatUsed: updatedData.seatUsed,
+          availableSeats: newLimit - updatedData.seatUsed,
+        };
+      });
+
+      if (result.newLimit > result.previousLimit) {
+        await this.promoteWaitlisted(tenantId);
       }
+      return result;
+    } catch (error) {
+      logger.error('Failed to update seat limit:', error);
+      throw error;
+    }
+  }
 
-      const updatedData = {
-        ...currentData,
-        seatLimit: newLimit,
-        lastUpdated: new Date(),
-      };
+  /**
+   * Count a tenant's users and optionally overwrite the recorded usage with
+   * the count (used by reconciliation). Both run under the seat lock, so no
+   * seat is reserved or released between counting and writing. `count`
+   * resolves to { seatUsed, nonBillableUsed }; the count may exceed the
+   * limit when Auth0 already holds more users.
+   */
+  async recountSeatUsage(tenantId, count, { correct = false } = {}) {
+    try {
+      return await this.withSeatLock(tenantId, async () => {
+        const currentData = this.tenantSeats.get(tenantId) || {
+          tenantId,
+          seatLimit: config.seats.defaultLimit,
+          seatUsed: 0,
+        };
+        const recorded = {
+          seatLimit: currentData.seatLimit,
+          seatUsed: currentData.seatUsed,
+          nonBillableUsed: currentData.nonBillableUsed || 0,
+        };
 
-      this.tenantSeats.set(tenantId, updatedData);
-      await this.saveSeatData();
+        const actual = await count();
+        const seatsChanged = actual.seatUsed !== recorded.seatUsed;
+        if (correct && (seatsChanged || actual.nonBillableUsed !== recorded.nonBillableUsed)) {
+          logger.info(`Setting seat usage for tenant ${tenantId} to ${actual.seatUsed}`);
+          await this.saveSeatData(tenantId, {
+            ...currentData,
+            seatUsed: actual.seatUsed,
+            nonBillableUsed: actual.nonBillableUsed,
+            lastUpdated: new Date(),
+          }, seatsChanged ? 'reconcile' : null);
+        }
+
+        return { recorded, actual };
+      });
+    } catch (error) {
+      logger.error('Failed to recount seat usage:', error);
+      throw error;
+    }
+  }
 
-      logger.info(`Successfully updated seat limit for tenant ${tenantId} to ${newLimit}`);
+  /**
+   * Change the count of tenant users that hold no seat under the tenant's
+   * seat rules. Seat usage and limit are unaffected.
+   */
+  async adjustNonBillableUsage(tenantId, delta) {
+    try {
+      return await this.withSeatLock(tenantId, async () => {
+        const currentData = this.tenantSeats.get(tenantId) || {
+          tenantId,
+          seatLimit: config.seats.defaultLimit,
+          seatUsed: 0,
+        };
+        const nonBillableUsed = Math.max(0, (currentData.nonBillableUsed || 0) + delta);
 
-      return {
-        tenantId,
-        previousLimit: currentData.seatLimit,
-        newLimit,
-        seatUsed: updatedData.seatUsed,
-        availableSeats: newLimit - updatedData.seatUsed,
-      };
+        await this.saveSeatData(tenantId, { ...currentData, nonBillableUsed, lastUpdated: new Date() });
+        return { tenantId, nonBillableUsed };
+      });
     } catch (error) {
-      logger.error('Failed to update seat limit:', error);
+      logger.error('Failed to adjust non-billable usage:', error);
       throw error;
     }
   }
@@ -318,12 +627,13 @@ class SeatService {
       logger.info('Generating seat report for tenant:', tenantId);
 
       const seatUsage = await this.getTenantSeatUsage(tenantId);
-      
-      // In a real implementation, you might also include historical data
+      const trend = await this.historyService.getTrend(tenantId, seatUsage);
+
       const report = {
         tenantId,
         currentUsage: seatUsage,
-        recommendations: this.generateRecommendations(seatUsage),
+        trend,
+        recommendations: this.generateRecommendations(seatUsage, trend),
         alerts: this.generateAlerts(seatUsage),
         generatedAt: new Date(),
       };
@@ -336,11 +646,15 @@ class SeatService {
   }
 
   /**
-   * Generate recommendations based on seat usage
+   * Generate recommendations from the usage trend: the peak of the trend
+   * window rather than the current snapshot, and the growth rate. Without
+   * a trend only the current utilization is used.
    */
-  generateRecommendations(seatUsage) {
+  generateRecommendations(seatUsage, trend = null) {
     const recommendations = [];
-    const utilizationPercentage = seatUsage.utilizationPercentage;
+    const utilizationPercentage = trend
+      ? trend.peakUtilizationPercentage
+      : seatUsage.utilizationPercentage;
 
     if (utilizationPercentage >= 90) {
       recommendations.push({
@@ -348,6 +662,12 @@ class SeatService {
         message: 'Seat utilization is very high. Consider increasing seat limit.',
         priority: 'high',
       });
+    } else if (trend && trend.daysUntilFull !== null && trend.daysUntilFull <= trend.days) {
+      recommendations.push({
+        type: 'warning',
+        message: `Usage grows by ${trend.seatsPerDay} seats per day and reaches the seat limit in about ${trend.daysUntilFull} days.`,
+        priority: 'medium',
+      });
     } else if (utilizationPercentage >= 75) {
       recommendations.push({
         type: 'info',
@@ -365,6 +685,25 @@ class SeatService {
     return recommendations;
   }
 
+  /**
+   * Seat usage history of a tenant by day, week or month
+   */
+  async getSeatHistory(tenantId, options = {}) {
+    try {
+      await this.ready;
+      logger.info('Getting seat usage history for tenant:', tenantId, options);
+
+      const history = await this.historyService.getHistory(tenantId, options);
+      if (!this.tenantSeats.has(tenantId) && history.summary.seatLimit === null) {
+        throw new TenantNotFoundError(tenantId);
+      }
+      return history;
+    } catch (error) {
+      logger.error('Failed to get seat usage history:', error);
+      throw error;
+    }
+  }
+
   /**
    * Generate alerts based on seat usage
    */
@@ -396,6 +735,7 @@ class SeatService {
    */
   async getAllTenantsSeatsStats() {
     try {
+      await this.ready;
       logger.info('Getting seat statistics for all tenants');
 
       const stats = {
@@ -433,46 +773,76 @@ class SeatService {
   /**
    * Initialize tenant seats (called when a new tenant is created)
    */
-  async initializeTenantSeats(tenantId, seatLimit = null) {
+  async initializeTenantSeats(tenantId, seatLimit = null, seatUsed = 0) {
     try {
-      const limit = seatLimit || config.seats.defaultLimit;
-      
-      logger.info(`Initializing seats for tenant ${tenantId} with limit: ${limit}`);
+      return await this.withSeatLock(tenantId, async () => {
+        const limit = seatLimit || config.seats.defaultLimit;
 
-      const seatData = {
-        tenantId,
-        seatLimit: limit,
-        seatUsed: 0,
-        lastUpdated: new Date(),
-      };
+        logger.info(`Initializing seats for tenant ${tenantId} with limit: ${limit}`);
 
-      this.tenantSeats.set(tenantId, seatData);
-      await this.saveSeatData();
+        const seatData = {
+          tenantId,
+          seatLimit: limit,
+          seatUsed,
+          lastUpdated: new Date(),
+        };
+
+        await this.saveSeatData(tenantId, seatData, 'initialize');
 
-      return seatData;
+        return seatData;
+      });
     } catch (error) {
       logger.error('Failed to initialize tenant seats:', error);
       throw error;
     }
   }
 
+  /**
+   * Freeze or unfreeze a tenant's seats. Releases still go through, so
+   * usage stays accurate while nothing new can be reserved.
+   */
+  async setSeatsFrozen(tenantId, frozen) {
+    try {
+      return await this.withSeatLock(tenantId, async () => {
+        const currentData = this.tenantSeats.get(tenantId);
+        if (!currentData) {
+          throw new TenantNotFoundError(tenantId);
+        }
+
+        const updatedData = { ...currentData, frozen, lastUpdated: new Date() };
+        if (!frozen) {
+          delete updatedData.frozen;
+        }
+        await this.saveSeatData(tenantId, updatedData);
+
+        logger.info(`Seats ${frozen ? 'frozen' : 'unfrozen'} for tenant: ${tenantId}`);
+        return { tenantId, frozen };
+      });
+    } catch (error) {
+      logger.error('Failed to change seat freeze:', error);
+      throw error;
+    }
+  }
+
   /**
    * Remove tenant seats (called when a tenant is deleted)
    */
   async removeTenantSeats(tenantId) {
     try {
-      logger.info(`Removing seats for tenant: ${tenantId}`);
-      
-      const existed = this.tenantSeats.delete(tenantId);
-      await this.saveSeatData();
-      
-      if (existed) {
-        logger.info(`Successfully removed seats for tenant: ${tenantId}`);
-      } else {
-        logger.warn(`No seat data found for tenant: ${tenantId}`);
-      }
+      return await this.withSeatLock(tenantId, async () => {
+        logger.info(`Removing seats for tenant: ${tenantId}`);
 
-      return { tenantId, removed: existed };
+        const existed = this.tenantSeats.has(tenantId);
+        await this.saveSeatData(tenantId, null);
+
+        if (existed) {
+          logger.info(`Successfully removed seats for tenant: ${tenantId}`);
+        } else {
+          logger.warn(`No seat data found for tenant: ${tenantId}`);
+        }
+
+        return { tenantId, removed: existed };
+      });
     } catch (error) {
       logger.error('Failed to remove tenant seats:', error);
       throw error;
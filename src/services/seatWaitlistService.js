@@ -0,0 +1,85 @@
+const Auth0Service = require('./auth0Service');
+const AuditService = require('./auditService');
+const logger = require('../utils/logger');
+const { getDocumentStore } = require('../repositories');
+
+// Actor recorded in the audit log for users activated off the waitlist
+const SYSTEM_ACTOR = { id: 'system:seat-waitlist' };
+
+/**
+ * Users waiting for a seat.
+ *
+ * Under the waitlist overage policy a user created while the tenant is full
+ * is created blocked, with app_metadata.seat_waitlisted set, and queued here
+ * in creation order. When a seat frees up the oldest entry is activated.
+ */
+class SeatWaitlistService {
+  constructor() {
+    // Created on first activation, so composing this service into the seat
+    // service does not require Auth0 configuration
+    this.auth0Service = null;
+    this.auditService = new AuditService();
+    this.entries = getDocumentStore().collection('seatWaitlist');
+  }
+
+  async enqueue(tenantId, user) {
+    const entry = await this.entries.put(user.id, {
+      id: user.id,
+      tenantId,
+      userId: user.id,
+      email: user.email,
+      queuedAt: new Date().toISOString(),
+    });
+    logger.info(`User ${user.id} waitlisted for a seat in tenant ${tenantId}`);
+    return entry;
+  }
+
+  /**
+   * Waiting users of a tenant, oldest first
+   */
+  async list(tenantId) {
+    const entries = await this.entries.list((entry) => entry.tenantId === tenantId);
+    return entries.sort((a, b) => (a.queuedAt < b.queuedAt ? -1 : 1));
+  }
+
+  async remove(userId) {
+    return this.entries.remove(userId);
+  }
+
+  /**
+   * Unblock a waiting user and take them off the queue. The caller has
+   * already reserved their seat. A user deleted from Auth0 meanwhile is
+   * dropped from the queue and reported as not activated.
+   */
+  async activate(entry) {
+    if (!this.auth0Service) {
+      this.auth0Service = new Auth0Service();
+    }
+
+    try {
+      await this.auth0Service.updateUser(entry.userId, {
+        blocked: false,
+        app_metadata: { seat_waitlisted: null },
+      });
+    } catch (error) {
+      if (error.statusCode === 404) {
+        logger.warn(`Waitlisted user ${entry.userId} no longer exists, removing from the waitlist`);
+        await this.remove(entry.userId);
+        return false;
+      }
+      throw error;
+    }
+
+    await this.remove(entry.userId);
+    await this.auditService.record('user_waitlist_activated', 'user', SYSTEM_ACTOR, {
+      userId: entry.userId,
+      tenantId: entry.tenantId,
+      userEmail: entry.email,
+      queuedAt: entry.queuedAt,
+    });
+    logger.info(`Waitlisted user ${entry.userId} activated in tenant ${entry.tenantId}`);
+    return true;
+  }
+}
+
+module.exports = SeatWaitlistService;
@@ -0,0 +1,246 @@
+const Auth0Service = require('./auth0Service');
+const SeatService = require('./seatService');
+const AuditService = require('./auditService');
+const WebhookService = require('./webhookService');
+const SeatRulesService = require('./seatRulesService');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getTenantRepository } = require('../repositories');
+const {
+  TenantNotFoundError,
+  ConflictError,
+  BusinessLogicError,
+} = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Marks users blocked by a pending deletion, so a restore only unblocks those
+const BLOCK_MARKER = SeatRulesService.TENANT_BLOCK_MARKERS.deletion;
+
+// Actor recorded in the audit log for purges run by the scheduled job
+const SYSTEM_ACTOR = { id: 'system:tenant-purge' };
+
+/**
+ * Tenant offboarding.
+ *
+ * Deleting a tenant moves it to `pending_deletion` for
+ * TENANT_DELETION_RETENTION_DAYS: its users are blocked and its seats are
+ * frozen, and a restore brings it back as it was. Once the window has
+ * passed the purge job deletes the tenant's Auth0 users, its client and
+ * organization, its seat counters and the tenant record.
+ *
+ * `cascade` must be set to delete a tenant that still has users, and
+ * `force` skips the retention window and purges at once.
+ */
+class TenantDeletionService {
+  constructor() {
+    this.auth0Service = new Auth0Service();
+    this.seatService = new SeatService();
+    this.auditService = new AuditService();
+    this.webhookService = new WebhookService();
+    this.repository = getTenantRepository();
+  }
+
+  /**
+   * Delete a tenant: schedule it for purging, or purge it now with `force`
+   */
+  async deleteTenant(tenantId, { force = false, cascade = false } = {}, deletedBy) {
+    try {
+      const tenant = await this.repository.findById(tenantId);
+      if (!tenant) {
+        throw new TenantNotFoundError(tenantId);
+      }
+
+      if (tenant.status === 'pending_deletion') {
+        if (!force) {
+          throw new ConflictError('Tenant is already pending deletion', {
+            tenantId,
+            purgeAfter: tenant.deletion.purgeAfter,
+          });
+        }
+        return this.purgeTenant(tenant, deletedBy, { force, cascade: cascade || tenant.deletion.cascade });
+      }
+
+      if (tenant.seatUsed > 0 && !cascade) {
+        throw new BusinessLogicError(
+          `Tenant has ${tenant.seatUsed} active users. Pass cascade=true to delete them with the tenant.`,
+          {
+            tenantId,
+            activeUsers: tenant.seatUsed,
+          }
+        );
+      }
+
+      if (force) {
+        return this.purgeTenant(tenant, deletedBy, { force, cascade });
+      }
+      return this.scheduleDeletion(tenant, deletedBy, { cascade });
+    } catch (error) {
+      logger.error('Failed to delete tenant:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a tenant to pending_deletion, blocking its users and freezing its seats
+   */
+  async scheduleDeletion(tenant, deletedBy, { cascade }) {
+    const requestedAt = new Date();
+    const purgeAfter = new Date(requestedAt.getTime() + config.tenantDeletion.retentionDays * DAY_MS);
+
+    const deletion = {
+      requestedAt: requestedAt.toISOString(),
+      requestedBy: deletedBy.sub || deletedBy.id,
+      purgeAfter: purgeAfter.toISOString(),
+      previousStatus: tenant.status,
+      cascade,
+    };
+    const updated = await this.repository.update(tenant.id, {
+      ...tenant,
+      status: 'pending_deletion',
+      deletion,
+      updatedAt: requestedAt,
+    });
+
+    await this.seatService.setSeatsFrozen(tenant.id, true);
+    const usersBlocked = await this.auth0Service.setTenantUsersBlocked(tenant, true, BLOCK_MARKER);
+
+    await this.auditService.record('tenant_deletion_scheduled', 'tenant', deletedBy, {
+      tenantId: tenant.id,
+      tenantName: tenant.name,
+      cascade,
+      force: false,
+      purgeAfter: deletion.purgeAfter,
+      usersBlocked,
+      before: tenant,
+      after: updated,
+    });
+
+    logger.info(`Tenant ${tenant.id} scheduled for deletion after ${deletion.purgeAfter}`);
+    return {
+      id: tenant.id,
+      name: tenant.name,
+      status: 'pending_deletion',
+      deleted: false,
+      purgeAfter: deletion.purgeAfter,
+      usersBlocked,
+    };
+  }
+
+  /**
+   * Bring a tenant pending deletion back to its previous status
+   */
+  async restoreTenant(tenantId, restoredBy) {
+    try {
+      const tenant = await this.repository.findById(tenantId);
+      if (!tenant) {
+        throw new TenantNotFoundError(tenantId);
+      }
+      if (tenant.status !== 'pending_deletion') {
+        throw new ConflictError('Only tenants pending deletion can be restored', {
+          tenantId,
+          status: tenant.status,
+        });
+      }
+
+      const usersUnblocked = await this.auth0Service.setTenantUsersBlocked(tenant, false, BLOCK_MARKER);
+      await this.seatService.setSeatsFrozen(tenant.id, false);
+
+      const { deletion, ...rest } = tenant;
+      const restored = await this.repository.update(tenant.id, {
+        ...rest,
+        status: deletion.previousStatus || 'active',
+        updatedAt: new Date(),
+      });
+
+      await this.auditService.record('tenant_restored', 'tenant', restoredBy, {
+        tenantId: tenant.id,
+        tenantName: tenant.name,
+        usersUnblocked,
+        before: tenant,
+        after: restored,
+      });
+
+      logger.info(`Tenant ${tenant.id} restored`);
+      return { tenant: restored, usersUnblocked };
+    } catch (error) {
+      logger.error('Failed to restore tenant:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Purge every tenant whose retention window has passed
+   */
+  async purgeExpired(now = new Date()) {
+    const tenants = await this.repository.list();
+    const expired = tenants.filter((tenant) => tenant.status === 'pending_deletion'
+      && new Date(tenant.deletion.purgeAfter) <= now);
+
+    const purged = [];
+    for (const tenant of expired) {
+      try {
+        purged.push(await this.purgeTenant(tenant, SYSTEM_ACTOR, {
+          force: false,
+          cascade: tenant.deletion.cascade,
+        }));
+      } catch (error) {
+        // Left pending, so the next run tries again
+        logger.error(`Failed to purge tenant ${tenant.id}:`, error);
+      }
+    }
+
+    if (expired.length > 0) {
+      logger.info(`Purged ${purged.length} of ${expired.length} expired tenants`);
+    }
+    return purged;
+  }
+
+  /**
+   * Delete a tenant's Auth0 users, Auth0 resources, seats and record
+   */
+  async purgeTenant(tenant, deletedBy, { force, cascade }) {
+    const userIds = (await this.auth0Service.getAllTenantUsers(tenant)).map((user) => user.user_id);
+    if (userIds.length > 0 && !cascade) {
+      throw new BusinessLogicError(
+        `Tenant has ${userIds.length} users in Auth0. Pass cascade=true to delete them with the tenant.`,
+        {
+          tenantId: tenant.id,
+          activeUsers: userIds.length,
+        }
+      );
+    }
+
+    for (const userId of userIds) {
+      await this.auth0Service.deleteUser(userId);
+    }
+    await this.auth0Service.deleteTenant(tenant);
+    await this.seatService.removeTenantSeats(tenant.id);
+    await this.repository.remove(tenant.id);
+
+    await this.auditService.record('tenant_deleted', 'tenant', deletedBy, {
+      tenantId: tenant.id,
+      tenantName: tenant.name,
+      force,
+      cascade,
+      usersDeleted: userIds.length,
+      before: tenant,
+    });
+    await this.webhookService.publish('tenant.deleted', {
+      id: tenant.id,
+      name: tenant.name,
+      usersDeleted: userIds.length,
+    }, { tenantId: tenant.id });
+
+    logger.info(`Tenant ${tenant.id} purged with ${userIds.length} users`);
+    return {
+      id: tenant.id,
+      name: tenant.name,
+      deleted: true,
+      deletedAt: new Date(),
+      usersDeleted: userIds.length,
+    };
+  }
+}
+
+module.exports = TenantDeletionService;
@@ -0,0 +1,419 @@
+const crypto = require('crypto');
+const Auth0Service = require('./auth0Service');
+const SeatService = require('./seatService');
+const AuditService = require('./auditService');
+const WebhookService = require('./webhookService');
+const TenantSecurityService = require('./tenantSecurityService');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getTenantRepository, getDocumentStore } = require('../repositories');
+const {
+  ResourceNotFoundError,
+  ConflictError,
+} = require('../utils/errors');
+
+/**
+ * Provisioning steps in execution order. `run` returns values to merge into
+ * the saga context; `compensate` undoes a completed step during rollback.
+ */
+const STEPS = [
+  {
+    name: 'createClient',
+    async run(service, saga) {
+      const client = await service.auth0Service.createTenantClient(saga.input);
+      const tenant = await service.updateTenantRecord(saga.tenantId, {
+        auth0ClientId: client.client_id,
+        auth0ClientSecret: client.client_secret,
+      });
+      // Kept in the context first, so a failure applying the settings still
+      // rolls the client back
+      await service.saveContext(saga, { auth0ClientId: client.client_id });
+      await service.securityService.applySettings(tenant);
+      return { auth0ClientId: client.client_id };
+    },
+    async compensate(service, saga) {
+      await service.auth0Service.deleteTenant({ auth0ClientId: saga.context.auth0ClientId });
+    },
+  },
+  {
+    name: 'createOrganization',
+    skip: (service) => !service.auth0Service.isOrganizationMode(),
+    async run(service, saga) {
+      // Kept in the context before the connections are set, so a failure
+      // there still rolls the organization back
+      const organization = await service.auth0Service.createOrganization({
+        name: saga.input.domain,
+        displayName: saga.input.name,
+        tenantId: saga.tenantId,
+      });
+      await service.saveContext(saga, { auth0OrganizationId: organization.id });
+
+      const connections = await service.auth0Service.setEnabledConnections(
+        organization.id,
+        saga.input.connections || config.tenancy.defaultConnections
+      );
+      await service.updateTenantRecord(saga.tenantId, {
+        auth0OrganizationId: organization.id,
+        connections,
+      });
+      return { auth0OrganizationId: organization.id };
+    },
+    async compensate(service, saga) {
+      await service.auth0Service.deleteTenant({ auth0OrganizationId: saga.context.auth0OrganizationId });
+    },
+  },
+  {
+    // Catalog roles are shared by every tenant, so they are left in place on rollback
+    name: 'setupRoles',
+    async run(service) {
+      const roles = await service.auth0Service.resolveRoles(Object.keys(config.roles.catalog));
+      return { roles: roles.map((role) => role.name) };
+    },
+  },
+  {
+    name: 'initializeSeats',
+    async run(service, saga) {
+      const tenant = await service.repository.findById(saga.tenantId);
+      await service.seatService.initializeTenantSeats(saga.tenantId, tenant.seatLimit);
+      return {};
+    },
+    async compensate(service, saga) {
+      await service.seatService.removeTenantSeats(saga.tenantId);
+    },
+  },
+  {
+    name: 'emitEvent',
+    async run(service, saga) {
+      const tenant = await service.updateTenantRecord(saga.tenantId, { status: 'active' });
+
+      await service.auditService.record('tenant_created', 'tenant', saga.createdBy, {
+        tenantId: tenant.id,
+        tenantName: tenant.name,
+        seatLimit: tenant.seatLimit,
+        after: tenant,
+      });
+      await service.webhookService.publish('tenant.created', tenant, { tenantId: tenant.id });
+      return {};
+    },
+  },
+];
+
+const STEP_NAMES = STEPS.map((step) => step.name);
+
+// Tenants whose saga is being worked on by this process
+const activeSagas = new Set();
+
+const errorSummary = (error) => ({
+  code: error.code || 'PROVISIONING_FAILED',
+  message: error.message,
+});
+
+/**
+ * Tenant provisioning as a saga.
+ *
+ * The tenant record is written first with status `provisioning`, then each
+ * step runs in order and its outcome is persisted in the
+ * `tenantProvisioning` collection. When a step fails during creation the
+ * completed steps are compensated in reverse order and the tenant record is
+ * removed. A saga left behind by a crash or a failed compensation can be
+ * resumed from its first unfinished step or rolled back by an operator.
+ */
+class TenantProvisioningService {
+  constructor() {
+    this.auth0Service = new Auth0Service();
+    this.seatService = new SeatService();
+    this.auditService = new AuditService();
+    this.webhookService = new WebhookService();
+    this.securityService = new TenantSecurityService();
+    this.repository = getTenantRepository();
+    this.sagas = getDocumentStore().collection('tenantProvisioning');
+  }
+
+  static get STEPS() {
+    return STEP_NAMES;
+  }
+
+  /**
+   * Build the tenant record that the saga fills in as it goes
+   */
+  buildTenantRecord(tenantId, tenantData, createdBy) {
+    return {
+      id: tenantId,
+      name: tenantData.name,
+      domain: tenantData.domain,
+      auth0ClientId: null,
+      auth0ClientSecret: null,
+      auth0OrganizationId: null,
+      connections: [],
+      apiClientIds: tenantData.apiClientIds || [],
+      seatLimit: tenantData.seatLimit || 10,
+      seatUsed: 0,
+      status: 'provisioning',
+      metadata: {
+        ...tenantData.metadata,
+        createdBy: createdBy.sub || createdBy.id,
+        plan: tenantData.plan || 'standard',
+        industry: tenantData.industry,
+        contactEmail: tenantData.contactEmail,
+      },
+      settings: {
+        allowUserRegistration: tenantData.allowUserRegistration !== false,
+        requireEmailVerification: tenantData.requireEmailVerification !== false,
+        enableMFA: tenantData.enableMFA === true,
+        sessionTimeout: tenantData.sessionTimeout || 24, // hours
+      },
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+  }
+
+  /**
+   * Provision a new tenant. Resolves with the active tenant, or rolls back
+   * and rethrows the error of the failed step.
+   */
+  async provision(tenantData, createdBy) {
+    const tenantId = `tenant_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+    const now = new Date().toISOString();
+
+    await this.repository.insert(this.buildTenantRecord(tenantId, tenantData, createdBy));
+
+    let saga = await this.sagas.put(tenantId, {
+      id: tenantId,
+      tenantId,
+      status: 'running',
+      input: tenantData,
+      createdBy: {
+        sub: createdBy.sub || createdBy.id,
+        client_id: createdBy.client_id,
+        tenant_id: createdBy.tenant_id,
+        isMasterClient: createdBy.isMasterClient === true,
+      },
+      context: {},
+      steps: STEP_NAMES.map((name) => ({ name, status: 'pending' })),
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    activeSagas.add(tenantId);
+    try {
+      saga = await this.runSteps(saga);
+    } catch (error) {
+      logger.error(`Provisioning of tenant ${tenantId} failed, rolling back:`, error);
+      await this.compensate(await this.sagas.get(tenantId)).catch((rollbackError) => {
+        logger.error(`Rollback of tenant ${tenantId} is incomplete:`, rollbackError);
+      });
+      throw error;
+    } finally {
+      activeSagas.delete(tenantId);
+    }
+
+    return this.repository.findById(saga.tenantId);
+  }
+
+  /**
+   * Get the provisioning state of a tenant
+   */
+  async getProvisioning(tenantId) {
+    const saga = await this.sagas.get(tenantId);
+    if (!saga) {
+      throw new ResourceNotFoundError('Tenant provisioning', tenantId);
+    }
+    return this.present(saga);
+  }
+
+  /**
+   * Continue a stuck provisioning from its first unfinished step. A failure
+   * leaves the saga `failed` so it can be resumed again or rolled back.
+   */
+  async resume(tenantId, requestedBy) {
+    const saga = await this.claim(tenantId, 'resume');
+    logger.info(`Resuming provisioning of tenant ${tenantId}`, { requestedBy: requestedBy.sub });
+
+    try {
+      return this.present(await this.runSteps(saga));
+    } catch (error) {
+      logger.error(`Resumed provisioning of tenant ${tenantId} failed:`, error);
+      throw error;
+    } finally {
+      activeSagas.delete(tenantId);
+    }
+  }
+
+  /**
+   * Undo the completed steps of a stuck provisioning and remove the tenant
+   */
+  async rollback(tenantId, requestedBy) {
+    const saga = await this.claim(tenantId, 'roll back');
+    logger.info(`Rolling back provisioning of tenant ${tenantId}`, { requestedBy: requestedBy.sub });
+
+    try {
+      return this.present(await this.compensate(saga));
+    } finally {
+      activeSagas.delete(tenantId);
+    }
+  }
+
+  /**
+   * Load a saga an operator may act on and mark it as worked on. A saga
+   * left `running` by a crashed process can be claimed; one running here
+   * cannot.
+   */
+  async claim(tenantId, action) {
+    const saga = await this.sagas.get(tenantId);
+    if (!saga) {
+      throw new ResourceNotFoundError('Tenant provisioning', tenantId);
+    }
+    if (saga.status === 'completed' || saga.status === 'rolled_back') {
+      throw new ConflictError(`Cannot ${action} a provisioning that is already ${saga.status}`, {
+        tenantId,
+        status: saga.status,
+      });
+    }
+    if (activeSagas.has(tenantId)) {
+      throw new ConflictError('Provisioning of this tenant is in progress', { tenantId });
+    }
+
+    activeSagas.add(tenantId);
+    return saga;
+  }
+
+  /**
+   * Run every step that has not completed yet, persisting each outcome
+   */
+  async runSteps(saga) {
+    let current = await this.sagas.put(saga.tenantId, {
+      ...saga,
+      status: 'running',
+      updatedAt: new Date().toISOString(),
+    });
+
+    for (const step of STEPS) {
+      const state = current.steps.find((entry) => entry.name === step.name);
+      if (state.status === 'completed' || state.status === 'skipped') {
+        continue;
+      }
+
+      if (step.skip && step.skip(this, current)) {
+        current = await this.saveStep(current, step.name, { status: 'skipped' });
+        continue;
+      }
+
+      current = await this.saveStep(current, step.name, {
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        error: null,
+      });
+
+      try {
+        const output = await step.run(this, current);
+        current = await this.sagas.get(current.tenantId);
+        current = await this.saveStep(current, step.name, {
+          status: 'completed',
+          completedAt: new Date().toISOString(),
+        }, output);
+      } catch (error) {
+        current = await this.sagas.get(current.tenantId);
+        await this.sagas.put(current.tenantId, {
+          ...this.withStep(current, step.name, { status: 'failed', error: errorSummary(error) }),
+          status: 'failed',
+          error: { step: step.name, ...errorSummary(error) },
+        });
+        throw error;
+      }
+    }
+
+    logger.info(`Provisioning of tenant ${current.tenantId} completed`);
+    return this.sagas.put(current.tenantId, {
+      ...current,
+      status: 'completed',
+      error: null,
+      completedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Compensate completed steps in reverse order, then remove the tenant
+   * record. Stops at the first compensation that fails, leaving the saga
+   * `failed` so the rollback can be retried.
+   */
+  async compensate(saga) {
+    let current = await this.sagas.put(saga.tenantId, {
+      ...saga,
+      status: 'rolling_back',
+      updatedAt: new Date().toISOString(),
+    });
+
+    for (const step of [...STEPS].reverse()) {
+      const state = current.steps.find((entry) => entry.name === step.name);
+      // A step that failed midway may have left resources behind
+      if (state.status !== 'completed' && state.status !== 'failed' && state.status !== 'running') {
+        continue;
+      }
+
+      try {
+        if (step.compensate) {
+          await step.compensate(this, current);
+        }
+        current = await this.saveStep(current, step.name, {
+          status: 'compensated',
+          compensatedAt: new Date().toISOString(),
+        });
+      } catch (error) {
+        await this.sagas.put(current.tenantId, {
+          ...this.withStep(current, step.name, { compensationError: errorSummary(error) }),
+          status: 'failed',
+          error: { step: step.name, compensation: true, ...errorSummary(error) },
+        });
+        throw error;
+      }
+    }
+
+    await this.repository.remove(current.tenantId);
+
+    logger.info(`Provisioning of tenant ${current.tenantId} rolled back`);
+    return this.sagas.put(current.tenantId, {
+      ...current,
+      status: 'rolled_back',
+      rolledBackAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  withStep(saga, name, changes) {
+    return {
+      ...saga,
+      steps: saga.steps.map((entry) => (entry.name === name ? { ...entry, ...changes } : entry)),
+      updatedAt: new Date().toISOString(),
+    };
+  }
+
+  async saveStep(saga, name, changes, output = {}) {
+    const updated = this.withStep(saga, name, changes);
+    return this.sagas.put(saga.tenantId, { ...updated, context: { ...saga.context, ...output } });
+  }
+
+  async saveContext(saga, changes) {
+    const current = await this.sagas.get(saga.tenantId);
+    return this.sagas.put(saga.tenantId, {
+      ...current,
+      context: { ...current.context, ...changes },
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  async updateTenantRecord(tenantId, changes) {
+    const tenant = await this.repository.findById(tenantId);
+    return this.repository.update(tenantId, { ...tenant, ...changes, updatedAt: new Date() });
+  }
+
+  /**
+   * Saga state as returned by the API
+   */
+  present(saga) {
+    return { ...saga, active: activeSagas.has(saga.tenantId) };
+  }
+}
+
+module.exports = TenantProvisioningService;
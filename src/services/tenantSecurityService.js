@@ -0,0 +1,195 @@
+const Auth0Service = require('./auth0Service');
+const ConnectionService = require('./connectionService');
+const logger = require('../utils/logger');
+const { getTenantRepository } = require('../repositories');
+const { TenantNotFoundError } = require('../utils/errors');
+
+// Connection strategies whose users can sign themselves up
+const SIGNUP_STRATEGIES = ['auth0', 'email', 'sms'];
+
+/**
+ * Tenant security settings enforced in Auth0.
+ *
+ * - `sessionTimeout` sets the ID token and refresh token lifetimes of the
+ *   tenant's client.
+ * - `enableMFA` is kept as `mfa_policy` in the client's metadata, where the
+ *   post-login Action reads it to require MFA enrollment.
+ * - `allowUserRegistration` sets `disable_signup` on the database and
+ *   passwordless connections the tenant owns and has enabled. Shared
+ *   connections are left alone, other tenants use them.
+ *
+ * `requireEmailVerification` is enforced when users are created.
+ */
+class TenantSecurityService {
+  constructor() {
+    this.auth0Service = new Auth0Service();
+    this.connectionService = new ConnectionService();
+    this.repository = getTenantRepository();
+  }
+
+  /**
+   * Client settings matching a tenant's security settings
+   */
+  expectedClientSettings(settings) {
+    const lifetime = settings.sessionTimeout * 3600;
+    return {
+      idTokenLifetime: lifetime,
+      refreshTokenLifetime: lifetime,
+      mfaPolicy: settings.enableMFA ? 'all-applications' : 'never',
+    };
+  }
+
+  /**
+   * Connections whose signup follows the tenant's registration setting
+   */
+  async getSignupConnections(tenant) {
+    const enabled = this.connectionService.getEnabledConnectionNames(tenant);
+    const connections = await this.auth0Service.getConnections();
+    return connections.filter((connection) => enabled.includes(connection.name)
+      && SIGNUP_STRATEGIES.includes(connection.strategy)
+      && (connection.metadata || {}).tenant_id === tenant.id);
+  }
+
+  /**
+   * Apply a tenant's security settings to its client and connections
+   */
+  async applySettings(tenant, settings = tenant.settings) {
+    try {
+      const applied = { client: false, connections: [] };
+
+      // A client removed from Auth0 is reported by the drift check
+      const client = tenant.auth0ClientId
+        && await this.auth0Service.getClient(tenant.auth0ClientId).catch((error) => {
+          if (error.statusCode !== 404) {
+            throw error;
+          }
+          logger.warn(`Client ${tenant.auth0ClientId} of tenant ${tenant.id} not found`);
+          return null;
+        });
+      if (client) {
+        const expected = this.expectedClientSettings(settings);
+        await this.auth0Service.updateClient(tenant.auth0ClientId, {
+          jwt_configuration: {
+            ...client.jwt_configuration,
+            lifetime_in_seconds: expected.idTokenLifetime,
+          },
+          refresh_token: {
+            ...client.refresh_token,
+            rotation_type: 'rotating',
+            expiration_type: 'expiring',
+            token_lifetime: expected.refreshTokenLifetime,
+            infinite_token_lifetime: false,
+          },
+          client_metadata: { mfa_policy: expected.mfaPolicy },
+        });
+        applied.client = true;
+      }
+
+      const disableSignup = settings.allowUserRegistration === false;
+      for (const connection of await this.getSignupConnections(tenant)) {
+        if ((connection.options || {}).disable_signup !== disableSignup) {
+          await this.auth0Service.updateConnectionOptions(connection, { disable_signup: disableSignup });
+          applied.connections.push(connection.name);
+        }
+      }
+
+      logger.info(`Security settings applied for tenant ${tenant.id}`, applied);
+      return applied;
+    } catch (error) {
+      logger.error('Failed to apply tenant security settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare a tenant's Auth0 configuration with its stored settings
+   */
+  async checkTenant(tenantOrId) {
+    try {
+      const tenant = typeof tenantOrId === 'string'
+        ? await this.repository.findById(tenantOrId)
+        : tenantOrId;
+      if (!tenant) {
+        throw new TenantNotFoundError(tenantOrId);
+      }
+
+      const differences = [];
+      const compare = (setting, resource, field, expected, actual) => {
+        if (expected !== actual) {
+          differences.push({ setting, resource, field, expected, actual: actual === undefined ? null : actual });
+        }
+      };
+
+      if (tenant.auth0ClientId) {
+        const client = await this.auth0Service.getClient(tenant.auth0ClientId);
+        const expected = this.expectedClientSettings(tenant.settings);
+        const clientRef = `client:${tenant.auth0ClientId}`;
+        compare('sessionTimeout', clientRef, 'jwt_configuration.lifetime_in_seconds',
+          expected.idTokenLifetime, (client.jwt_configuration || {}).lifetime_in_seconds);
+        compare('sessionTimeout', clientRef, 'refresh_token.token_lifetime',
+          expected.refreshTokenLifetime, (client.refresh_token || {}).token_lifetime);
+        compare('enableMFA', clientRef, 'client_metadata.mfa_policy',
+          expected.mfaPolicy, (client.client_metadata || {}).mfa_policy);
+      }
+
+      const disableSignup = tenant.settings.allowUserRegistration === false;
+      for (const connection of await this.getSignupConnections(tenant)) {
+        compare('allowUserRegistration', `connection:${connection.name}`, 'options.disable_signup',
+          disableSignup, (connection.options || {}).disable_signup === true);
+      }
+
+      return {
+        tenantId: tenant.id,
+        inSync: differences.length === 0,
+        differences,
+        checkedAt: new Date().toISOString(),
+      };
+    } catch (error) {
+      logger.error('Failed to check tenant security settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check every provisioned tenant. A failure for one tenant does not stop
+   * the run.
+   */
+  async checkAll() {
+    try {
+      const tenants = (await this.repository.list())
+        .filter((tenant) => tenant.status !== 'provisioning');
+      const drifted = [];
+      const failures = [];
+
+      for (const tenant of tenants) {
+        try {
+          const report = await this.checkTenant(tenant);
+          if (!report.inSync) {
+            drifted.push(report);
+          }
+        } catch (error) {
+          failures.push({ tenantId: tenant.id, error: error.message });
+        }
+      }
+
+      const summary = {
+        tenantsChecked: tenants.length - failures.length,
+        tenantsWithDrift: drifted.length,
+        tenants: drifted,
+        failures,
+      };
+
+      logger.info('Tenant security drift check completed', {
+        tenantsChecked: summary.tenantsChecked,
+        tenantsWithDrift: summary.tenantsWithDrift,
+        failures: failures.length,
+      });
+      return summary;
+    } catch (error) {
+      logger.error('Failed to check tenant security settings:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = TenantSecurityService;
@@ -1,35 +1,86 @@
 const Auth0Service = require('./auth0Service');
 const SeatService = require('./seatService');
+const AuditService = require('./auditService');
+const WebhookService = require('./webhookService');
+const TenantProvisioningService = require('./tenantProvisioningService');
+const TenantDeletionService = require('./tenantDeletionService');
+const PlanService = require('./planService');
+const TenantSecurityService = require('./tenantSecurityService');
+const SeatRulesService = require('./seatRulesService');
+const { getTenantRepository } = require('../repositories');
 const logger = require('../utils/logger');
 const {
   TenantNotFoundError,
   TenantAlreadyExistsError,
+  UnauthorizedTenantAccessError,
+  ConflictError,
   ValidationError,
   BusinessLogicError,
   ErrorFactory,
 } = require('../utils/errors');
 
+// Statuses in which a tenant's users are blocked and its client is disabled
+const INACTIVE_STATUSES = ['suspended', 'inactive'];
+
+// Marks users blocked by a suspension, so reactivation only unblocks those
+const SUSPENSION_MARKER = SeatRulesService.TENANT_BLOCK_MARKERS.suspension;
+
+// Settings enforced in the tenant's Auth0 client and connections
+const SECURITY_FIELDS = ['allowUserRegistration', 'enableMFA', 'sessionTimeout'];
+
+// Update fields stored under the tenant's settings
+const SETTINGS_FIELDS = [
+  'allowUserRegistration',
+  'requireEmailVerification',
+  'enableMFA',
+  'sessionTimeout',
+  'seatAlertThresholds',
+  'seatOverage',
+  'seatRules',
+];
+
 class TenantService {
   constructor() {
     this.auth0Service = new Auth0Service();
     this.seatService = new SeatService();
-    // In a real implementation, this would connect to a database
-    this.tenants = new Map();
-    this.initializeService();
+    this.auditService = new AuditService();
+    this.webhookService = new WebhookService();
+    this.provisioningService = new TenantProvisioningService();
+    this.deletionService = new TenantDeletionService();
+    this.planService = new PlanService();
+    this.securityService = new TenantSecurityService();
+    this.repository = getTenantRepository();
+    this.ready = this.initializeService();
+    // Every method awaits `ready` and fails with the cause; this handler only
+    // keeps an unreadable store from ending the process at import
+    this.ready.catch((error) => {
+      logger.error(`Tenant service failed to start, tenant requests will fail until it is fixed: ${error.message}`);
+    });
   }
 
   /**
    * Initialize the tenant service
    */
-  initializeService() {
-    logger.info('Tenant service initialized');
+  async initializeService() {
+    try {
+      await this.repository.init();
+      logger.info('Tenant service initialized');
+    } catch (error) {
+      logger.error('Failed to initialize tenant repository:', error);
+      throw error;
+    }
 
     // Only load test fixtures in test environment
     if (process.env.NODE_ENV === 'test') {
       try {
         const { createdTenants } = require('../../tests/fixtures/tenants');
         const seed = [createdTenants.acmeCorp, createdTenants.betaSolutions, createdTenants.suspendedTenant];
-        seed.forEach((t) => this.tenants.set(t.id, t));
+        for (const t of seed) {
+          if (!(await this.repository.findById(t.id))) {
+            await this.repository.insert(t);
+            await this.seatService.initializeTenantSeats(t.id, t.seatLimit, t.seatUsed);
+          }
+        }
         logger.info('Test fixtures loaded for testing environment');
       } catch (e) {
         logger.warn('Could not load test fixtures:', e.message);
@@ -44,11 +95,15 @@ class TenantService {
    */
   async createTenant(tenantData, createdBy) {
     try {
+      await this.ready;
       logger.info('Creating new tenant:', tenantData.name);
 
       // Validate tenant data
       this.validateTenantData(tenantData);
 
+      // Fill in the plan's defaults and reject what the plan does not include
+      tenantData = this.planService.applyToNewTenant(tenantData);
+
       // Check if tenant with this domain already exists
       const existingTenant = await this.findTenantByDomain(tenantData.domain);
       if (existingTenant) {
@@ -57,48 +112,11 @@ class TenantService {
         });
       }
 
-      // Create tenant in Auth0 (this creates a client application)
-      const auth0TenantInfo = await this.auth0Service.createTenant(tenantData);
-
-      // Create tenant record
-      const tenant = {
-        id: auth0TenantInfo.id,
-        name: tenantData.name,
-        domain: tenantData.domain,
-        auth0ClientId: auth0TenantInfo.auth0ClientId,
-        auth0ClientSecret: auth0TenantInfo.auth0ClientSecret,
-        seatLimit: tenantData.seatLimit || 10,
-        seatUsed: 0,
-        status: 'active',
-        metadata: {
-          ...tenantData.metadata,
-          createdBy: createdBy.sub || createdBy.id,
-          plan: tenantData.plan || 'standard',
-          industry: tenantData.industry,
-          contactEmail: tenantData.contactEmail,
-        },
-        settings: {
-          allowUserRegistration: tenantData.allowUserRegistration !== false,
-          requireEmailVerification: tenantData.requireEmailVerification !== false,
-          enableMFA: tenantData.enableMFA === true,
-          sessionTimeout: tenantData.sessionTimeout || 24, // hours
-        },
-        createdAt: new Date(),
-        updatedAt: new Date(),
-      };
-
-      // Store tenant
-      this.tenants.set(tenant.id, tenant);
+      await this.assertApiClientsAvailable(tenantData.apiClientIds);
 
-      // Initialize seat management for the tenant
-      await this.seatService.initializeTenantSeats(tenant.id, tenant.seatLimit);
-
-      // Log audit event
-      logger.audit('tenant_created', 'tenant', createdBy, {
-        tenantId: tenant.id,
-        tenantName: tenant.name,
-        seatLimit: tenant.seatLimit,
-      });
+      // Create the Auth0 resources, seats and record step by step, rolling
+      // back the completed steps if one fails
+      const tenant = await this.provisioningService.provision(tenantData, createdBy);
 
       logger.info('Tenant created successfully:', tenant.id);
       return tenant;
@@ -116,6 +134,7 @@ class TenantService {
    */
   async getTenants(filters = {}, requestedBy) {
     try {
+      await this.ready;
       logger.info('Getting tenants with filters:', filters);
 
       const {
@@ -127,7 +146,7 @@ class TenantService {
         sortOrder = 'desc',
       } = filters;
 
-      let tenantList = Array.from(this.tenants.values());
+      let tenantList = await this.repository.list();
 
       // Apply filters
       if (search) {
@@ -196,9 +215,10 @@ class TenantService {
    */
   async getTenant(tenantId, requestedBy) {
     try {
+      await this.ready;
       logger.info('Getting tenant:', tenantId);
 
-      const tenant = this.tenants.get(tenantId);
+      const tenant = await this.repository.findById(tenantId);
       if (!tenant) {
         throw new TenantNotFoundError(tenantId);
       }
@@ -231,46 +251,157 @@ class TenantService {
    */
   async updateTenant(tenantId, updates, updatedBy) {
     try {
+      await this.ready;
       logger.info('Updating tenant:', tenantId);
 
-      const tenant = this.tenants.get(tenantId);
+      const tenant = await this.repository.findById(tenantId);
       if (!tenant) {
         throw new TenantNotFoundError(tenantId);
       }
+      if (tenant.status === 'pending_deletion') {
+        throw new ConflictError('Tenant is pending deletion. Restore it before making changes.', {
+          tenantId,
+        });
+      }
 
       // Validate updates
       this.validateTenantUpdates(updates);
 
-      // Handle seat limit changes
-      if (updates.seatLimit && updates.seatLimit !== tenant.seatLimit) {
-        await this.seatService.updateSeatLimit(tenantId, updates.seatLimit);
+      // The result must fit the tenant's plan, or the plan it moves to. A
+      // downgrade lowers a seat limit above the new maximum, but is refused
+      // when more seats are in use than the new plan allows.
+      const planName = updates.plan || (updates.metadata && updates.metadata.plan);
+      const plan = planName ? this.planService.getPlan(planName) : this.planService.getTenantPlan(tenant);
+      let seatLimit = updates.seatLimit || tenant.seatLimit;
+      if (planName && !updates.seatLimit && seatLimit > plan.maxSeatLimit) {
+        seatLimit = plan.maxSeatLimit;
       }
+      const settings = { ...tenant.settings };
+      for (const field of SETTINGS_FIELDS) {
+        if (updates[field] !== undefined) {
+          settings[field] = updates[field];
+        }
+      }
+      this.planService.assertEntitlements(plan, {
+        seatLimit,
+        seatUsed: tenant.seatUsed,
+        enableMFA: settings.enableMFA,
+        allowUserRegistration: settings.allowUserRegistration,
+      });
 
-      // Update tenant record
-      const updatedTenant = {
-        ...tenant,
-        ...updates,
-        metadata: {
-          ...tenant.metadata,
-          ...updates.metadata,
-          updatedBy: updatedBy.sub || updatedBy.id,
-        },
-        updatedAt: new Date(),
-      };
+      if (updates.apiClientIds) {
+        await this.assertApiClientsAvailable(updates.apiClientIds, tenantId);
+      }
+      if (updates.connections && !tenant.auth0OrganizationId) {
+        throw new BusinessLogicError('Connections can only be managed for organization-backed tenants', {
+          tenantId,
+        });
+      }
 
       // Don't allow updating certain fields
-      delete updatedTenant.id;
-      delete updatedTenant.auth0ClientId;
-      delete updatedTenant.auth0ClientSecret;
-      delete updatedTenant.createdAt;
+      const {
+        id,
+        auth0ClientId,
+        auth0ClientSecret,
+        auth0OrganizationId,
+        createdAt,
+        seatUsed,
+        plan: planUpdate,
+        allowUserRegistration,
+        requireEmailVerification,
+        enableMFA,
+        sessionTimeout,
+        seatAlertThresholds,
+        seatOverage,
+        seatRules,
+        branding: brandingUpdate,
+        ...allowedUpdates
+      } = updates;
+
+      // Each change outside the tenant record first registers how to put it
+      // back. Every step sets a target state, so undoing one that failed
+      // halfway is safe, and a failure anywhere before the save leaves Auth0
+      // and the seat limit as they were.
+      const undo = [];
+      let updatedTenant;
+      let access;
+      try {
+        if (seatLimit !== tenant.seatLimit) {
+          undo.push(() => this.seatService.updateSeatLimit(tenantId, tenant.seatLimit));
+          await this.seatService.updateSeatLimit(tenantId, seatLimit);
+        }
+
+        // Enabled connections live on the tenant's organization
+        let connections;
+        if (updates.connections) {
+          undo.push(() => this.auth0Service.setEnabledConnections(
+            tenant.auth0OrganizationId,
+            tenant.connections || []
+          ));
+          connections = await this.auth0Service.setEnabledConnections(
+            tenant.auth0OrganizationId,
+            updates.connections
+          );
+        }
 
-      this.tenants.set(tenantId, updatedTenant);
+        // Sent settings are applied even when unchanged, which repairs drift
+        if (SECURITY_FIELDS.some((field) => updates[field] !== undefined)) {
+          undo.push(() => this.securityService.applySettings(tenant, tenant.settings));
+          await this.securityService.applySettings(tenant, settings);
+        }
+
+        // Branding is merged into the current one; null removes a field
+        let branding;
+        if (updates.branding) {
+          branding = this.mergeBranding(tenant.branding, updates.branding);
+          undo.push(() => this.auth0Service.updateTenantBranding(tenant, tenant.branding || {}));
+          await this.auth0Service.updateTenantBranding(tenant, branding);
+        }
+
+        // Suspending blocks every user and disables the client; reactivating
+        // undoes only what the suspension did
+        if (updates.status && updates.status !== tenant.status) {
+          const wasInactive = INACTIVE_STATUSES.includes(tenant.status);
+          const isInactive = INACTIVE_STATUSES.includes(updates.status);
+          if (wasInactive !== isInactive) {
+            undo.push(() => this.setTenantAccess(tenant, !wasInactive));
+            access = await this.setTenantAccess(tenant, !isInactive);
+          }
+        }
+
+        // Update tenant record
+        updatedTenant = await this.repository.update(tenantId, {
+          ...tenant,
+          ...allowedUpdates,
+          seatLimit,
+          settings,
+          ...(connections && { connections }),
+          ...(branding && { branding }),
+          metadata: {
+            ...tenant.metadata,
+            ...updates.metadata,
+            plan: plan.name,
+            updatedBy: updatedBy.sub || updatedBy.id,
+          },
+          updatedAt: new Date(),
+        });
+      } catch (error) {
+        await this.undoTenantUpdate(tenantId, undo);
+        throw error;
+      }
 
       // Log audit event
-      logger.audit('tenant_updated', 'tenant', updatedBy, {
+      await this.auditService.record('tenant_updated', 'tenant', updatedBy, {
         tenantId,
         updates: Object.keys(updates),
+        ...access,
+        before: tenant,
+        after: updatedTenant,
       });
+      await this.webhookService.publish('tenant.updated', {
+        ...updatedTenant,
+        changedFields: Object.keys(updates),
+      }, { tenantId });
 
       logger.info('Tenant updated successfully:', tenantId);
       return updatedTenant;
@@ -281,64 +412,107 @@ class TenantService {
   }
 
   /**
-   * Delete a tenant
+   * Enable or disable a tenant's Auth0 client and unblock or block its users
    */
-  async deleteTenant(tenantId, deletedBy) {
+  async setTenantAccess(tenant, enabled) {
     try {
-      logger.info('Deleting tenant:', tenantId);
-
-      const tenant = this.tenants.get(tenantId);
-      if (!tenant) {
-        throw new TenantNotFoundError(tenantId);
+      if (enabled) {
+        const usersUnblocked = await this.auth0Service.setTenantUsersBlocked(tenant, false, SUSPENSION_MARKER);
+        if (tenant.auth0ClientId) {
+          await this.auth0Service.setClientEnabled(tenant.auth0ClientId, true);
+        }
+        return { usersUnblocked };
       }
 
-      // Check if tenant has active users
-      if (tenant.seatUsed > 0) {
-        throw new BusinessLogicError(
-          `Cannot delete tenant with active users. Current users: ${tenant.seatUsed}`,
-          {
-            tenantId,
-            activeUsers: tenant.seatUsed,
-          }
-        );
+      if (tenant.auth0ClientId) {
+        await this.auth0Service.setClientEnabled(tenant.auth0ClientId, false);
       }
+      const usersBlocked = await this.auth0Service.setTenantUsersBlocked(tenant, true, SUSPENSION_MARKER);
+      return { usersBlocked };
+    } catch (error) {
+      logger.error('Failed to change tenant access:', error);
+      throw error;
+    }
+  }
 
-      // Delete from Auth0
-      await this.auth0Service.deleteTenant(tenantId);
-
-      // Remove seat management
-      await this.seatService.removeTenantSeats(tenantId);
-
-      // Remove tenant record
-      this.tenants.delete(tenantId);
+  /**
+   * Put back the changes a failed tenant update already made, newest first.
+   * An undo step that fails is logged and the rest still run.
+   */
+  async undoTenantUpdate(tenantId, undo) {
+    for (const step of [...undo].reverse()) {
+      try {
+        await step();
+      } catch (undoError) {
+        logger.error(`Undoing a failed update of tenant ${tenantId} is incomplete:`, undoError);
+      }
+    }
+  }
 
-      // Log audit event
-      logger.audit('tenant_deleted', 'tenant', deletedBy, {
-        tenantId,
-        tenantName: tenant.name,
-      });
+  /**
+   * Apply a branding update to the current branding. Fields set to null are
+   * removed; login text fields merge one level down.
+   */
+  mergeBranding(current = {}, updates) {
+    const merged = { ...current, ...updates };
+    if (updates.loginText) {
+      merged.loginText = { ...current.loginText, ...updates.loginText };
+      Object.keys(merged.loginText)
+        .filter((key) => merged.loginText[key] === null)
+        .forEach((key) => delete merged.loginText[key]);
+    }
+    Object.keys(merged)
+      .filter((key) => merged[key] === null
+        || (key === 'loginText' && Object.keys(merged.loginText).length === 0))
+      .forEach((key) => delete merged[key]);
+    return merged;
+  }
 
-      logger.info('Tenant deleted successfully:', tenantId);
-      return {
-        id: tenantId,
-        name: tenant.name,
-        deleted: true,
-        deletedAt: new Date(),
-      };
+  /**
+   * Get the branding of a tenant
+   */
+  async getTenantBranding(tenantId) {
+    try {
+      await this.ready;
+      const tenant = await this.repository.findById(tenantId);
+      if (!tenant) {
+        throw new TenantNotFoundError(tenantId);
+      }
+      return tenant.branding || {};
     } catch (error) {
-      logger.error('Failed to delete tenant:', error);
+      logger.error('Failed to get tenant branding:', error);
       throw error;
     }
   }
 
+  /**
+   * Delete a tenant. By default it is kept restorable for the retention
+   * window; `force` purges it now and `cascade` allows deleting its users.
+   */
+  async deleteTenant(tenantId, deletedBy, options = {}) {
+    await this.ready;
+    logger.info('Deleting tenant:', tenantId, options);
+    return this.deletionService.deleteTenant(tenantId, options, deletedBy);
+  }
+
+  /**
+   * Restore a tenant that is pending deletion
+   */
+  async restoreTenant(tenantId, restoredBy) {
+    await this.ready;
+    logger.info('Restoring tenant:', tenantId);
+    return this.deletionService.restoreTenant(tenantId, restoredBy);
+  }
+
   /**
    * Get tenant statistics
    */
   async getTenantStats(tenantId) {
     try {
+      await this.ready;
       logger.info('Getting tenant statistics:', tenantId);
 
-      const tenant = this.tenants.get(tenantId);
+      const tenant = await this.repository.findById(tenantId);
       if (!tenant) {
         throw new TenantNotFoundError(tenantId);
       }
@@ -374,7 +548,8 @@ class TenantService {
       logger.info('Validating tenant access:', { tenantId, userId: userToken.sub });
 
       // Check if tenant exists
-      const tenant = this.tenants.get(tenantId);
+      await this.ready;
+      const tenant = await this.repository.findById(tenantId);
       if (!tenant) {
         throw new TenantNotFoundError(tenantId);
       }
@@ -389,7 +564,7 @@ class TenantService {
 
       // Check if user belongs to this tenant or is a master admin
       const userTenantId = userToken.tenant_id;
-      const isMasterAdmin = userToken.isMasterAdmin || 
+      const isMasterAdmin = userToken.isMasterClient || userToken.isMasterAdmin ||
                            (userToken.roles && userToken.roles.includes('master_admin'));
 
       if (!isMasterAdmin && userTenantId !== tenantId) {
@@ -414,17 +589,28 @@ class TenantService {
     }
   }
 
+  /**
+   * Make sure no other tenant has registered any of the given API client IDs
+   */
+  async assertApiClientsAvailable(clientIds = [], tenantId = null) {
+    for (const clientId of clientIds) {
+      const owner = await this.repository.findByApiClientId(clientId);
+      if (owner && owner.id !== tenantId) {
+        throw new ConflictError(`API client ${clientId} is already registered to another tenant`, {
+          clientId,
+          tenantId: owner.id,
+        });
+      }
+    }
+  }
+
   /**
    * Find tenant by domain
    */
   async findTenantByDomain(domain) {
     try {
-      for (const tenant of this.tenants.values()) {
-        if (tenant.domain === domain) {
-          return tenant;
-        }
-      }
-      return null;
+      await this.ready;
+      return await this.repository.findByDomain(domain);
     } catch (error) {
       logger.error('Failed to find tenant by domain:', error);
       throw error;
@@ -0,0 +1,354 @@
+const crypto = require('crypto');
+const UserService = require('./userService');
+const SeatService = require('./seatService');
+const AuditService = require('./auditService');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getDocumentStore } = require('../repositories');
+const { parseCsv } = require('../utils/csv');
+const { ValidationSchemas } = require('../middleware/validation');
+const {
+  ValidationError,
+  BusinessLogicError,
+  ResourceNotFoundError,
+} = require('../utils/errors');
+
+// Background jobs persist their progress every this many rows
+const PROGRESS_INTERVAL = 25;
+
+/**
+ * Run `worker` over `items` with at most `limit` calls in flight
+ */
+const runWithConcurrency = async (items, limit, worker) => {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+};
+
+const errorSummary = (error) => ({
+  code: error.code || 'USER_CREATION_FAILED',
+  message: error.message,
+});
+
+/**
+ * Bulk user creation for one tenant from CSV or JSON rows.
+ *
+ * Every row is validated against the createUser schema, seats for the whole
+ * batch are reserved in one step, and users are created with bounded
+ * concurrency. In atomic (all-or-nothing) mode any invalid row or missing
+ * seat rejects the batch, and a failed creation removes the users created
+ * so far. Otherwise each row is reported on its own and rows beyond the
+ * free seats are skipped.
+ */
+class UserImportService {
+  constructor() {
+    this.userService = new UserService();
+    this.seatService = new SeatService();
+    this.auditService = new AuditService();
+    this.jobs = getDocumentStore().collection('userImportJobs');
+  }
+
+  /**
+   * Turn a request body into numbered rows: CSV text, a JSON array of
+   * users, or `{ users: [...] }`
+   */
+  parseRows(body) {
+    if (typeof body === 'string') {
+      let records;
+      try {
+        records = parseCsv(body);
+      } catch (error) {
+        throw new ValidationError(`Invalid CSV: ${error.message}`);
+      }
+      return records.map(({ line, record }, index) => ({
+        row: index + 1,
+        line,
+        data: this.csvRecordToUser(record),
+      }));
+    }
+
+    const users = Array.isArray(body) ? body : body && body.users;
+    if (!Array.isArray(users)) {
+      throw new ValidationError('Import body must be CSV or a JSON array of users');
+    }
+
+    return users.map((data, index) => ({ row: index + 1, data }));
+  }
+
+  /**
+   * Map CSV columns to createUser fields. `roles` holds a `;` or `|`
+   * separated list and dotted columns (`metadata.department`) become
+   * nested objects. Empty cells are left out.
+   */
+  csvRecordToUser(record) {
+    const user = {};
+
+    Object.entries(record).forEach(([column, value]) => {
+      if (value === '') {
+        return;
+      }
+
+      if (column === 'roles') {
+        user.roles = value.split(/[;|]/).map((role) => role.trim()).filter(Boolean);
+        return;
+      }
+
+      const path = column.split('.');
+      let target = user;
+      path.slice(0, -1).forEach((key) => {
+        target[key] = target[key] || {};
+        target = target[key];
+      });
+      target[path[path.length - 1]] = value;
+    });
+
+    return user;
+  }
+
+  /**
+   * Validate every row. Returns the valid rows and a result entry for each
+   * invalid one.
+   */
+  validateRows(rows) {
+    const valid = [];
+    const invalid = [];
+    const seenEmails = new Set();
+
+    rows.forEach(({ row, line, data }) => {
+      const { error, value } = ValidationSchemas.createUser.validate(data, {
+        abortEarly: false,
+        stripUnknown: true,
+      });
+      const errors = error
+        ? error.details.map((detail) => ({ field: detail.path.join('.'), message: detail.message }))
+        : [];
+
+      const email = value && typeof value.email === 'string' ? value.email.toLowerCase() : null;
+      if (email && seenEmails.has(email)) {
+        errors.push({ field: 'email', message: 'Email appears more than once in this import' });
+      }
+      if (email) {
+        seenEmails.add(email);
+      }
+
+      if (errors.length > 0) {
+        invalid.push({ row, line, email: data && data.email, status: 'invalid', errors });
+      } else {
+        // The tenant comes from the URL, never from a row
+        const { tenantId, ...user } = value;
+        valid.push({ row, line, data: user });
+      }
+    });
+
+    return { valid, invalid };
+  }
+
+  /**
+   * Import rows into a tenant and return a per-row report
+   */
+  async importUsers(tenantId, rows, { atomic = false } = {}, importedBy, onProgress = null) {
+    try {
+      logger.info(`Importing ${rows.length} users into tenant ${tenantId}`, { atomic });
+
+      if (rows.length === 0) {
+        throw new ValidationError('Import contains no users');
+      }
+      if (rows.length > config.userImport.maxRows) {
+        throw new ValidationError(`Import exceeds the maximum of ${config.userImport.maxRows} rows`, {
+          rows: rows.length,
+          maxRows: config.userImport.maxRows,
+        });
+      }
+
+      const { valid, invalid } = this.validateRows(rows);
+
+      if (atomic && invalid.length > 0) {
+        throw new ValidationError('User import validation failed', {
+          validationErrors: invalid,
+        });
+      }
+
+      // Seats for the whole batch are taken in one ledger step
+      let seatsReserved = 0;
+      if (valid.length > 0) {
+        if (atomic) {
+          await this.seatService.reserveSeats(tenantId, valid.length);
+          seatsReserved = valid.length;
+        } else {
+          ({ seatsReserved } = await this.seatService.reserveAvailableSeats(tenantId, valid.length));
+        }
+      }
+
+      const toCreate = valid.slice(0, seatsReserved);
+      const skipped = valid.slice(seatsReserved).map(({ row, line, data }) => ({
+        row,
+        line,
+        email: data.email,
+        status: 'skipped',
+        error: { code: 'SEAT_LIMIT_EXCEEDED', message: 'No seat left for this user' },
+      }));
+
+      const created = [];
+      const failed = [];
+      let aborted = false;
+      let processed = invalid.length + skipped.length;
+
+      await runWithConcurrency(toCreate, config.userImport.concurrency, async ({ row, line, data }) => {
+        if (aborted) {
+          return;
+        }
+
+        try {
+          const user = await this.userService.createUser(tenantId, data, importedBy, { seatReserved: true });
+          created.push({ row, line, email: user.email, status: 'created', userId: user.id });
+        } catch (error) {
+          failed.push({ row, line, email: data.email, status: 'failed', error: errorSummary(error) });
+          aborted = atomic;
+        }
+
+        processed += 1;
+        if (onProgress) {
+          await onProgress(processed);
+        }
+      });
+
+      // Seats held for rows that produced no user go back to the pool
+      const unusedSeats = seatsReserved - created.length;
+      if (unusedSeats > 0) {
+        await this.seatService.releaseSeats(tenantId, unusedSeats);
+      }
+
+      if (atomic && failed.length > 0) {
+        await this.rollback(tenantId, created, importedBy);
+        const [firstFailure] = failed.sort((a, b) => a.row - b.row);
+        throw new BusinessLogicError(
+          `User import rolled back: row ${firstFailure.row} failed (${firstFailure.error.message})`,
+          {
+            tenantId,
+            failures: failed,
+            rolledBack: created.length,
+          }
+        );
+      }
+
+      const results = [...created, ...failed, ...invalid, ...skipped].sort((a, b) => a.row - b.row);
+      const summary = {
+        total: rows.length,
+        created: created.length,
+        failed: failed.length,
+        invalid: invalid.length,
+        skipped: skipped.length,
+      };
+
+      await this.auditService.record('users_imported', 'user', importedBy, {
+        tenantId,
+        atomic,
+        summary,
+      });
+
+      logger.info(`User import into tenant ${tenantId} finished`, summary);
+      return {
+        tenantId,
+        atomic,
+        summary,
+        results,
+      };
+    } catch (error) {
+      logger.error('Failed to import users:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the users an atomic import created before it failed
+   */
+  async rollback(tenantId, created, importedBy) {
+    for (const { userId } of created) {
+      try {
+        await this.userService.deleteUser(tenantId, userId, importedBy);
+      } catch (error) {
+        logger.error(`Failed to roll back imported user ${userId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Queue an import as a background job. Progress and the final report are
+   * stored on the job, which can be polled with getImportJob().
+   */
+  async startImportJob(tenantId, rows, options, importedBy) {
+    const job = {
+      id: `import_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      tenantId,
+      status: 'queued',
+      atomic: options.atomic === true,
+      totalRows: rows.length,
+      processedRows: 0,
+      report: null,
+      error: null,
+      createdBy: importedBy.sub || importedBy.id,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+    };
+    await this.jobs.put(job.id, job);
+
+    this.runImportJob(job, rows, options, importedBy).catch((error) => {
+      logger.error(`User import job ${job.id} could not be recorded:`, error);
+    });
+
+    return job;
+  }
+
+  async runImportJob(job, rows, options, importedBy) {
+    let current = await this.jobs.put(job.id, {
+      ...job,
+      status: 'running',
+      startedAt: new Date().toISOString(),
+    });
+
+    const onProgress = async (processedRows) => {
+      if (processedRows % PROGRESS_INTERVAL === 0) {
+        current = await this.jobs.put(job.id, { ...current, processedRows });
+      }
+    };
+
+    try {
+      const report = await this.importUsers(job.tenantId, rows, options, importedBy, onProgress);
+      await this.jobs.put(job.id, {
+        ...current,
+        status: 'completed',
+        processedRows: rows.length,
+        report,
+        completedAt: new Date().toISOString(),
+      });
+    } catch (error) {
+      await this.jobs.put(job.id, {
+        ...current,
+        status: 'failed',
+        error: {
+          code: error.code || 'INTERNAL_ERROR',
+          message: error.message,
+          details: error.details || null,
+        },
+        completedAt: new Date().toISOString(),
+      });
+    }
+  }
+
+  async getImportJob(tenantId, jobId) {
+    const job = await this.jobs.get(jobId);
+    if (!job || job.tenantId !== tenantId) {
+      throw new ResourceNotFoundError('User import job', jobId);
+    }
+    return job;
+  }
+}
+
+module.exports = UserImportService;
@@ -1,5 +1,11 @@
 const Auth0Service = require('./auth0Service');
 const SeatService = require('./seatService');
+const AuditService = require('./auditService');
+const WebhookService = require('./webhookService');
+const PlanService = require('./planService');
+const SeatRulesService = require('./seatRulesService');
+const ConnectionService = require('./connectionService');
+const { getTenantRepository } = require('../repositories');
 const logger = require('../utils/logger');
 const {
   UserNotFoundError,
@@ -7,13 +13,26 @@ const {
   ValidationError,
   SeatLimitExceededError,
   UnauthorizedTenantAccessError,
+  TenantInactiveError,
+  InvalidRequestError,
+  AuthorizationError,
+  ConflictError,
   ErrorFactory,
 } = require('../utils/errors');
 
+// app_metadata keys the service writes itself; client values are dropped
+const RESERVED_APP_METADATA_KEYS = ['tenant_id', 'roles', 'seat_waitlisted'];
+
 class UserService {
   constructor() {
     this.auth0Service = new Auth0Service();
     this.seatService = new SeatService();
+    this.auditService = new AuditService();
+    this.webhookService = new WebhookService();
+    this.planService = new PlanService();
+    this.seatRulesService = new SeatRulesService();
+    this.connectionService = new ConnectionService();
+    this.repository = getTenantRepository();
     this.initializeService();
   }
 
@@ -24,6 +43,110 @@ class UserService {
     logger.info('User service initialized');
   }
 
+  /**
+   * Find the Auth0 organization backing a tenant, if any
+   */
+  async getTenantOrganizationId(tenantId) {
+    if (!tenantId) {
+      return null;
+    }
+    const tenant = await this.repository.findById(tenantId);
+    return (tenant && tenant.auth0OrganizationId) || null;
+  }
+
+  /**
+   * Client-supplied app_metadata without the keys the service manages
+   */
+  clientAppMetadata(appMetadata) {
+    if (!appMetadata) {
+      return appMetadata;
+    }
+    return Object.fromEntries(Object.entries(appMetadata)
+      .filter(([key]) => !RESERVED_APP_METADATA_KEYS.includes(key)));
+  }
+
+  /**
+   * Only master clients decide whether a user is billable. A tenant-bound
+   * client marking its own users non-billable would get around its seat limit.
+   */
+  assertSeatFlagsAllowed(actor, appMetadata) {
+    if (appMetadata && appMetadata.billable !== undefined && !(actor && actor.isMasterClient)) {
+      throw new AuthorizationError('Only master clients can set app_metadata.billable', {
+        field: 'appMetadata.billable',
+      });
+    }
+  }
+
+  /**
+   * Reject changes to the users of a tenant that is suspended, inactive,
+   * pending deletion or still being provisioned
+   */
+  async assertTenantActive(tenantId) {
+    if (!tenantId) {
+      return;
+    }
+
+    const tenant = await this.repository.findById(tenantId);
+    if (tenant && tenant.status !== 'active') {
+      throw new TenantInactiveError(tenantId, { status: tenant.status });
+    }
+  }
+
+  /**
+   * Whether new users of a tenant must verify their email. Such a tenant
+   * refuses users created as explicitly unverified; users created without
+   * emailVerified get a verification email instead.
+   */
+  async assertEmailVerificationAllowed(tenantId, userData) {
+    const tenant = tenantId && await this.repository.findById(tenantId);
+    const required = Boolean(tenant && tenant.settings && tenant.settings.requireEmailVerification);
+    const emailVerified = userData.emailVerified ?? userData.email_verified;
+
+    if (required && emailVerified === false) {
+      throw new InvalidRequestError('emailVerified', 'The tenant requires email verification. Leave emailVerified unset to send a verification email.', {
+        tenantId,
+      });
+    }
+    return required;
+  }
+
+  /**
+   * Reject roles the tenant's plan does not include
+   */
+  async assertRolesAllowed(tenantId, roleNames) {
+    if (!tenantId) {
+      return;
+    }
+
+    const tenant = await this.repository.findById(tenantId);
+    if (tenant) {
+      this.planService.assertRolesAllowed(this.planService.getTenantPlan(tenant), roleNames);
+    }
+  }
+
+  /**
+   * Verify a user belongs to the tenant: through organization membership for
+   * organization-backed tenants, otherwise through app_metadata.tenant_id.
+   * A null tenantId (master M2M client) skips the check.
+   */
+  async assertUserInTenant(tenantId, auth0User) {
+    if (tenantId === null) {
+      return;
+    }
+
+    const organizationId = await this.getTenantOrganizationId(tenantId);
+    const belongs = organizationId
+      ? await this.auth0Service.isOrganizationMember(organizationId, auth0User.user_id)
+      : auth0User.app_metadata?.tenant_id === tenantId;
+
+    if (!belongs) {
+      throw new UnauthorizedTenantAccessError(tenantId, {
+        userId: auth0User.user_id,
+        userTenantId: auth0User.app_metadata?.tenant_id,
+      });
+    }
+  }
+
   /**
    * Get users for a specific tenant
    */
@@ -49,6 +172,8 @@ class UserService {
         page: page - 1, // Auth0 uses 0-based pagination
         per_page: limit,
         search,
+        tenantId,
+        organizationId: await this.getTenantOrganizationId(tenantId),
         include_totals: true,
       };
 
@@ -116,28 +241,55 @@ class UserService {
   }
 
   /**
-   * Create a new user in a specific tenant
+   * Create a new user in a specific tenant. Pass `seatReserved` when the
+   * caller already holds a seat for this user (bulk import); the seat is
+   * then neither reserved nor released here, unless the user turns out not
+   * to be billable. A full tenant under the waitlist overage policy gets the
+   * user created blocked and queued.
    */
-  async createUser(tenantId, userData, createdBy) {
+  async createUser(tenantId, userData, createdBy, { seatReserved = false } = {}) {
     try {
       logger.info('Creating user for tenant:', tenantId);
 
       // Validate user data
       this.validateUserData(userData);
-
-      // Check seat availability
-      const seatAvailability = await this.seatService.checkSeatAvailability(tenantId, 1);
-      if (!seatAvailability.available) {
-        throw new SeatLimitExceededError(
-          tenantId,
-          seatAvailability.seatUsed,
-          seatAvailability.seatLimit,
-          {
-            requestedSeats: 1,
-            availableSeats: seatAvailability.availableSeats,
+      await this.assertTenantActive(tenantId);
+      await this.connectionService.assertConnectionEnabled(
+        tenantId,
+        userData.connection || 'Username-Password-Authentication'
+      );
+      const verificationRequired = await this.assertEmailVerificationAllowed(tenantId, userData);
+      this.assertSeatFlagsAllowed(createdBy, userData.appMetadata);
+
+      // Resolve RBAC roles first so an unknown role fails before any side effects
+      const roleNames = this.normalizeRoleNames(userData.roles || ['user']);
+      await this.assertRolesAllowed(tenantId, roleNames);
+      const roles = await this.auth0Service.resolveRoles(roleNames);
+      const appMetadata = this.clientAppMetadata(userData.appMetadata);
+
+      // Only billable users take a seat. Reserve it up front; the ledger
+      // rejects it atomically when the tenant is full, so parallel requests
+      // cannot oversell
+      const billable = this.seatRulesService.isBillable({
+        email: userData.email,
+        blocked: false,
+        appMetadata,
+      }, await this.seatRulesService.getTenantRules(tenantId));
+      let waitlisted = false;
+      if (billable && !seatReserved) {
+        try {
+          await this.seatService.reserveSeats(tenantId, 1);
+        } catch (error) {
+          if (!(error instanceof SeatLimitExceededError) || error.details?.overagePolicy !== 'waitlist') {
+            throw error;
           }
-        );
+          waitlisted = true;
+        }
       }
+      const holdsSeat = billable && !waitlisted;
+      const releaseSeat = () => (seatReserved || !holdsSeat
+        ? Promise.resolve()
+        : this.seatService.releaseSeats(tenantId, 1));
 
       // Prepare user data for Auth0
       const tenantDomain = `tenant-${tenantId}.auth0.com`;
@@ -149,28 +301,69 @@ class UserService {
           createdBy: createdBy.sub || createdBy.id,
           tenantId,
         },
+        roles: roleNames,
+        // The tenant goes last so client metadata cannot move the user
         appMetadata: {
+          ...appMetadata,
+          roles: roleNames,
+          ...(waitlisted && { seat_waitlisted: true }),
           tenant_id: tenantId,
-          roles: userData.roles || ['user'],
-          ...userData.appMetadata,
         },
+        ...(waitlisted && { blocked: true }),
+        ...(verificationRequired && userData.verifyEmail === undefined && userData.emailVerified === undefined
+          && userData.email_verified === undefined && { verifyEmail: true }),
       };
 
-      // Create user in Auth0
-      const auth0User = await this.auth0Service.createUser(tenantDomain, auth0UserData);
+      // Create user in Auth0, giving the seat back if that fails
+      let auth0User;
+      try {
+        auth0User = await this.auth0Service.createUser(tenantDomain, auth0UserData);
+      } catch (error) {
+        await releaseSeat().catch((releaseError) => {
+          logger.error('Failed to release seat after user creation failure:', releaseError);
+        });
+        throw error;
+      }
 
-      // Reserve seat
-      await this.seatService.reserveSeats(tenantId, 1);
+      // Organization-backed tenants track membership in the organization
+      const organizationId = await this.getTenantOrganizationId(tenantId);
+      if (organizationId) {
+        try {
+          await this.auth0Service.addOrganizationMember(organizationId, auth0User.user_id);
+        } catch (error) {
+          await this.auth0Service.deleteUser(auth0User.user_id).catch(() => {});
+          await releaseSeat().catch(() => {});
+          throw error;
+        }
+      }
+
+      // Mirror app_metadata roles in Auth0 RBAC
+      try {
+        await this.auth0Service.assignRoles(auth0User.user_id, roles.map((role) => role.id));
+      } catch (error) {
+        logger.error('Failed to assign roles to new user, app_metadata roles are not enforced yet:', error);
+      }
 
       // Transform and return user
       const user = this.transformAuth0User(auth0User, tenantId);
+      if (waitlisted) {
+        await this.seatService.waitlistService.enqueue(tenantId, user);
+      }
+      if (!holdsSeat) {
+        if (seatReserved) {
+          await this.seatService.releaseSeats(tenantId, 1);
+        }
+        await this.seatService.adjustNonBillableUsage(tenantId, 1);
+      }
 
       // Log audit event
-      logger.audit('user_created', 'user', createdBy, {
+      await this.auditService.record('user_created', 'user', createdBy, {
         userId: user.id,
         tenantId,
         userEmail: user.email,
+        after: user,
       });
+      await this.webhookService.publish('user.created', user, { tenantId });
 
       logger.info('User created successfully:', user.id);
       return user;
@@ -194,13 +387,7 @@ class UserService {
       const auth0User = await this.auth0Service.getUser(userId);
 
       // Verify user belongs to the tenant (skip for M2M clients with null tenantId)
-      const userTenantId = auth0User.app_metadata?.tenant_id;
-      if (tenantId !== null && userTenantId !== tenantId) {
-        throw new UnauthorizedTenantAccessError(tenantId, {
-          userId,
-          userTenantId,
-        });
-      }
+      await this.assertUserInTenant(tenantId, auth0User);
 
       // Transform and return user (without roles)
       const user = this.transformAuth0User(auth0User, tenantId);
@@ -227,13 +414,7 @@ class UserService {
       const auth0User = await this.auth0Service.getUser(userId);
 
       // Verify user belongs to the tenant (skip for M2M clients with null tenantId)
-      const userTenantId = auth0User.app_metadata?.tenant_id;
-      if (tenantId !== null && userTenantId !== tenantId) {
-        throw new UnauthorizedTenantAccessError(tenantId, {
-          userId,
-          userTenantId,
-        });
-      }
+      await this.assertUserInTenant(tenantId, auth0User);
 
       // Get user roles
       const roles = await this.auth0Service.getUserRoles(userId);
@@ -262,10 +443,33 @@ class UserService {
 
       // Validate updates
       this.validateUserUpdates(updates);
+      await this.assertTenantActive(tenantId);
+      this.assertSeatFlagsAllowed(updatedBy, updates.appMetadata);
 
       // Get current user to verify tenant
       const currentUser = await this.getUser(tenantId, userId, updatedBy);
 
+      // A user the update makes billable takes a seat first; one it makes
+      // non-billable frees theirs afterwards. Unblocking a waitlisted user
+      // takes them off the waitlist.
+      const leavesWaitlist = updates.blocked === false && currentUser.status === 'waitlisted';
+      const clientAppMetadata = this.clientAppMetadata(updates.appMetadata);
+      const appMetadataUpdates = clientAppMetadata || leavesWaitlist
+        ? { ...clientAppMetadata, ...(leavesWaitlist && { seat_waitlisted: null }) }
+        : null;
+      const seatRules = await this.seatRulesService.getTenantRules(tenantId);
+      const current = this.describeSeatHolder(currentUser);
+      const wasBillable = this.seatRulesService.isBillable(current, seatRules);
+      const isBillable = this.seatRulesService.isBillable({
+        email: updates.email || current.email,
+        blocked: updates.blocked ?? current.blocked,
+        appMetadata: { ...current.appMetadata, ...appMetadataUpdates },
+      }, seatRules);
+      const takesSeat = isBillable && !wasBillable;
+      if (takesSeat) {
+        await this.seatService.reserveSeats(tenantId, 1);
+      }
+
       // Prepare updates for Auth0
       const auth0Updates = {
         ...updates,
@@ -275,14 +479,35 @@ class UserService {
           updatedBy: updatedBy.sub || updatedBy.id,
           updatedAt: new Date(),
         },
+        ...(appMetadataUpdates && { app_metadata: appMetadataUpdates }),
       };
 
       // Remove fields that shouldn't be updated directly
       delete auth0Updates.metadata;
+      delete auth0Updates.appMetadata;
       delete auth0Updates.roles;
 
       // Update user in Auth0
-      const updatedAuth0User = await this.auth0Service.updateUser(userId, auth0Updates);
+      let updatedAuth0User;
+      try {
+        updatedAuth0User = await this.auth0Service.updateUser(userId, auth0Updates);
+      } catch (error) {
+        if (takesSeat) {
+          await this.seatService.releaseSeats(tenantId, 1).catch((releaseError) => {
+            logger.error('Failed to release seat after user update failure:', releaseError);
+          });
+        }
+        throw error;
+      }
+      if (leavesWaitlist) {
+        await this.seatService.waitlistService.remove(userId);
+      }
+      if (isBillable !== wasBillable) {
+        if (wasBillable) {
+          await this.seatService.releaseSeats(tenantId, 1);
+        }
+        await this.seatService.adjustNonBillableUsage(tenantId, isBillable ? -1 : 1);
+      }
 
       // Handle role updates separately
       if (updates.roles) {
@@ -293,11 +518,16 @@ class UserService {
       const user = this.transformAuth0User(updatedAuth0User, tenantId);
 
       // Log audit event
-      logger.audit('user_updated', 'user', updatedBy, {
+      await this.auditService.record('user_updated', 'user', updatedBy, {
         userId,
         tenantId,
         updates: Object.keys(updates),
+        before: currentUser,
+        after: user,
       });
+      if (updates.blocked === true && currentUser.status !== 'blocked') {
+        await this.webhookService.publish('user.blocked', user, { tenantId });
+      }
 
       logger.info('User updated successfully:', userId);
       return user;
@@ -316,6 +546,7 @@ class UserService {
   async deleteUser(tenantId, userId, deletedBy) {
     try {
       logger.info('Deleting user:', userId);
+      await this.assertTenantActive(tenantId);
 
       // Get user to verify tenant and get info for audit (without roles to avoid circular dependency)
       const user = await this._getUserWithoutRoles(tenantId, userId);
@@ -323,15 +554,28 @@ class UserService {
       // Delete user from Auth0
       await this.auth0Service.deleteUser(userId);
 
-      // Release seat
-      await this.seatService.releaseSeats(tenantId, 1);
+      // Billable users give their seat back; waitlisted users leave the queue
+      if (user.status === 'waitlisted') {
+        await this.seatService.waitlistService.remove(userId);
+      }
+      const seatRules = await this.seatRulesService.getTenantRules(tenantId);
+      if (this.seatRulesService.isBillable(this.describeSeatHolder(user), seatRules)) {
+        await this.seatService.releaseSeats(tenantId, 1);
+      } else {
+        await this.seatService.adjustNonBillableUsage(tenantId, -1);
+      }
 
       // Log audit event
-      logger.audit('user_deleted', 'user', deletedBy, {
+      await this.auditService.record('user_deleted', 'user', deletedBy, {
         userId,
         tenantId,
         userEmail: user.email,
+        before: user,
       });
+      await this.webhookService.publish('user.deleted', {
+        id: userId,
+        email: user.email,
+      }, { tenantId });
 
       logger.info('User deleted successfully:', userId);
       return {
@@ -350,6 +594,93 @@ class UserService {
     }
   }
 
+  /**
+   * Send a user the email that verifies their address
+   */
+  async sendVerificationEmail(tenantId, userId, requestedBy) {
+    try {
+      logger.info('Sending verification email:', userId);
+      await this.assertTenantActive(tenantId);
+
+      const user = await this._getUserWithoutRoles(tenantId, userId);
+      if (user.emailVerified) {
+        throw new ConflictError('User email is already verified', { userId });
+      }
+
+      // Links in the email lead back to the tenant's application
+      const tenant = await this.repository.findById(tenantId);
+      const job = await this.auth0Service.sendVerificationEmail(userId, {
+        clientId: tenant && tenant.auth0ClientId,
+        organizationId: tenant && tenant.auth0OrganizationId,
+      });
+
+      await this.auditService.record('user_verification_email_sent', 'user', requestedBy, {
+        userId,
+        tenantId,
+        userEmail: user.email,
+        jobId: job.id,
+      });
+
+      logger.info('Verification email sent:', userId);
+      return {
+        userId,
+        email: user.email,
+        jobId: job.id,
+        status: job.status,
+      };
+    } catch (error) {
+      logger.error('Failed to send verification email:', error);
+      if (error.name && error.name.includes('Auth0')) {
+        throw ErrorFactory.fromAuth0Error(error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Create a password reset ticket for a user. The returned URL is where the
+   * user chooses a new password.
+   */
+  async createPasswordReset(tenantId, userId, options, requestedBy) {
+    try {
+      logger.info('Creating password reset:', userId);
+      await this.assertTenantActive(tenantId);
+
+      const user = await this._getUserWithoutRoles(tenantId, userId);
+      const tenant = await this.repository.findById(tenantId);
+      const ttlSec = options.expiresInHours * 3600;
+      const ticketUrl = await this.auth0Service.createPasswordChangeTicket({
+        userId,
+        resultUrl: options.resultUrl,
+        clientId: tenant && tenant.auth0ClientId,
+        ttlSec,
+        markEmailAsVerified: false,
+      });
+      const expiresAt = new Date(Date.now() + ttlSec * 1000);
+
+      await this.auditService.record('user_password_reset_requested', 'user', requestedBy, {
+        userId,
+        tenantId,
+        userEmail: user.email,
+        expiresAt: expiresAt.toISOString(),
+      });
+
+      logger.info('Password reset created:', userId);
+      return {
+        userId,
+        email: user.email,
+        ticketUrl,
+        expiresAt,
+      };
+    } catch (error) {
+      logger.error('Failed to create password reset:', error);
+      if (error.name && error.name.includes('Auth0')) {
+        throw ErrorFactory.fromAuth0Error(error);
+      }
+      throw error;
+    }
+  }
+
   /**
    * Get user roles
    */
@@ -389,25 +720,51 @@ class UserService {
   async updateUserRoles(tenantId, userId, roleNames, updatedBy) {
     try {
       logger.info('Updating user roles:', userId);
+      await this.assertTenantActive(tenantId);
 
-      // In a real implementation, you would:
-      // 1. Get available roles for the tenant
-      // 2. Map role names to role IDs
-      // 3. Get current user roles
-      // 4. Calculate roles to add and remove
-      // 5. Update roles in Auth0
+      // Verify user belongs to tenant (without roles to avoid circular dependency)
+      const user = await this._getUserWithoutRoles(tenantId, userId);
 
-      // For now, we'll simulate this
-      const mockRoleIds = roleNames.map(name => `role_${name}_${Date.now()}`);
+      // Resolve names to Auth0 roles, creating catalog roles that are missing
+      const desiredNames = this.normalizeRoleNames(roleNames);
+      await this.assertRolesAllowed(tenantId, desiredNames);
+      const desiredRoles = await this.auth0Service.resolveRoles(desiredNames);
+      const currentRoles = await this.auth0Service.getUserRoles(userId);
 
-      // Remove all current roles and assign new ones
-      // This is simplified - in practice you'd be more surgical
-      await this.auth0Service.assignRoles(userId, mockRoleIds);
+      // Apply only the difference to the current assignments
+      const desiredIds = new Set(desiredRoles.map((role) => role.id));
+      const currentIds = new Set(currentRoles.map((role) => role.id));
+      const rolesToAdd = desiredRoles.filter((role) => !currentIds.has(role.id));
+      const rolesToRemove = currentRoles.filter((role) => !desiredIds.has(role.id));
 
-      logger.info(`Updated roles for user ${userId}:`, roleNames);
+      if (rolesToRemove.length > 0) {
+        await this.auth0Service.removeRoles(userId, rolesToRemove.map((role) => role.id));
+      }
+      if (rolesToAdd.length > 0) {
+        await this.auth0Service.assignRoles(userId, rolesToAdd.map((role) => role.id));
+      }
+
+      // Keep app_metadata roles in sync with the RBAC assignments
+      await this.auth0Service.updateUser(userId, {
+        app_metadata: { roles: desiredNames },
+      });
+
+      await this.auditService.record('user_roles_updated', 'user', updatedBy, {
+        userId,
+        tenantId,
+        userEmail: user.email,
+        added: rolesToAdd.map((role) => role.name),
+        removed: rolesToRemove.map((role) => role.name),
+        before: { roles: currentRoles.map((role) => role.name) },
+        after: { roles: desiredNames },
+      });
+
+      logger.info(`Updated roles for user ${userId}:`, desiredNames);
       return {
         userId,
-        roles: roleNames,
+        roles: desiredNames,
+        added: rolesToAdd.map((role) => role.name),
+        removed: rolesToRemove.map((role) => role.name),
         updated: true,
       };
     } catch (error) {
@@ -419,6 +776,13 @@ class UserService {
     }
   }
 
+  /**
+   * Deduplicate role names while keeping their order
+   */
+  normalizeRoleNames(roleNames) {
+    return Array.from(new Set(roleNames));
+  }
+
   /**
    * Validate seat availability before user creation
    */
@@ -447,6 +811,17 @@ class UserService {
     }
   }
 
+  /**
+   * Describe a user for the seat rules
+   */
+  describeSeatHolder(user) {
+    return {
+      email: user.email,
+      blocked: user.status === 'blocked' || user.status === 'waitlisted',
+      appMetadata: user.appMetadata,
+    };
+  }
+
   /**
    * Transform Auth0 user to our user format
    */
@@ -474,6 +849,7 @@ class UserService {
    * Determine user status from Auth0 user data
    */
   getUserStatus(auth0User) {
+    if (auth0User.app_metadata?.seat_waitlisted) return 'waitlisted';
     if (auth0User.blocked) return 'blocked';
     if (!auth0User.email_verified) return 'pending';
     return 'active';
@@ -543,6 +919,10 @@ class UserService {
       // Get all users for the tenant
       const usersResponse = await this.getUsers(tenantId, { limit: 1000 });
       const users = usersResponse.users;
+      const seatRules = await this.seatRulesService.getTenantRules(tenantId);
+      const billableUsers = users
+        .filter((u) => this.seatRulesService.isBillable(this.describeSeatHolder(u), seatRules))
+        .length;
 
       const stats = {
         tenantId,
@@ -550,6 +930,9 @@ class UserService {
         activeUsers: users.filter(u => u.status === 'active').length,
         blockedUsers: users.filter(u => u.status === 'blocked').length,
         pendingUsers: users.filter(u => u.status === 'pending').length,
+        waitlistedUsers: users.filter(u => u.status === 'waitlisted').length,
+        billableUsers,
+        nonBillableUsers: users.length - billableUsers,
         verifiedUsers: users.filter(u => u.emailVerified).length,
         recentLogins: users.filter(u => 
           u.lastLogin && u.lastLogin > new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
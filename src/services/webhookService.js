@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getDocumentStore } = require('../repositories');
+const { redactSecrets } = require('../utils/redact');
+const { ResourceNotFoundError, BusinessLogicError } = require('../utils/errors');
+
+const WEBHOOK_EVENTS = [
+  'tenant.created',
+  'tenant.updated',
+  'tenant.deleted',
+  'user.created',
+  'user.blocked',
+  'user.deleted',
+  'seat.threshold_crossed',
+];
+
+const generateId = (prefix) => `${prefix}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+// Retry timers must not keep the process alive on shutdown
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms).unref());
+
+/**
+ * Outbound webhooks for lifecycle events.
+ *
+ * Events are delivered in the background to every active subscription that
+ * lists the event type and either has no tenant filter or matches the
+ * event's tenant. Each request is signed with HMAC-SHA256 over
+ * `<timestamp>.<body>` using WEBHOOK_SECRET. Failed deliveries are retried
+ * with exponential backoff and end up in the dead-letter store, from where
+ * they can be replayed.
+ */
+class WebhookService {
+  constructor() {
+    const store = getDocumentStore();
+    this.subscriptions = store.collection('webhookSubscriptions');
+    this.deadLetters = store.collection('webhookDeadLetters');
+  }
+
+  /**
+   * Signature sent in X-Webhook-Signature
+   */
+  sign(body, timestamp) {
+    return crypto
+      .createHmac('sha256', config.webhook.secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+  }
+
+  /**
+   * Register an endpoint for a set of events
+   */
+  async createSubscription(data, createdBy) {
+    try {
+      const subscription = {
+        id: generateId('whsub'),
+        url: data.url,
+        events: data.events,
+        tenantId: data.tenantId || null,
+        description: data.description || null,
+        active: data.active !== false,
+        createdBy: createdBy.sub || createdBy.id,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+
+      await this.subscriptions.put(subscription.id, subscription);
+      logger.info('Webhook subscription created:', subscription.id);
+      return subscription;
+    } catch (error) {
+      logger.error('Failed to create webhook subscription:', error);
+      throw error;
+    }
+  }
+
+  async listSubscriptions({ tenantId } = {}) {
+    return this.subscriptions.list((subscription) => !tenantId || subscription.tenantId === tenantId);
+  }
+
+  async getSubscription(subscriptionId) {
+    const subscription = await this.subscriptions.get(subscriptionId);
+    if (!subscription) {
+      throw new ResourceNotFoundError('Webhook subscription', subscriptionId);
+    }
+    return subscription;
+  }
+
+  async updateSubscription(subscriptionId, updates) {
+    try {
+      const subscription = await this.getSubscription(subscriptionId);
+      const { id, createdBy, createdAt, ...allowedUpdates } = updates;
+
+      return await this.subscriptions.put(subscriptionId, {
+        ...subscription,
+        ...allowedUpdates,
+        updatedAt: new Date().toISOString(),
+      });
+    } catch (error) {
+      logger.error('Failed to update webhook subscription:', error);
+      throw error;
+    }
+  }
+
+  async deleteSubscription(subscriptionId) {
+    try {
+      await this.getSubscription(subscriptionId);
+      await this.subscriptions.remove(subscriptionId);
+      logger.info('Webhook subscription deleted:', subscriptionId);
+      return { id: subscriptionId, deleted: true };
+    } catch (error) {
+      logger.error('Failed to delete webhook subscription:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue an event for every matching subscription. Resolves once deliveries
+   * are scheduled, not when they complete, and never throws.
+   */
+  async publish(type, data, { tenantId = null } = {}) {
+    if (!config.webhook || !config.webhook.enabled) {
+      return [];
+    }
+
+    try {
+      const subscriptions = await this.subscriptions.list((subscription) => subscription.active
+        && subscription.events.includes(type)
+        && (!subscription.tenantId || subscription.tenantId === tenantId));
+
+      const event = {
+        id: generateId('evt'),
+        type,
+        tenantId,
+        createdAt: new Date().toISOString(),
+        data: redactSecrets(data),
+      };
+
+      subscriptions.forEach((subscription) => {
+        this.deliver(subscription, event).catch((error) => {
+          logger.error('Webhook delivery failed unexpectedly:', error);
+        });
+      });
+
+      return subscriptions.map((subscription) => subscription.id);
+    } catch (error) {
+      logger.error(`Failed to publish webhook event ${type}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * POST one event to one subscription
+   */
+  async send(subscription, event) {
+    const body = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    await axios.post(subscription.url, body, {
+      timeout: config.webhook.timeoutMs,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'auth0-proxy-api-webhooks',
+        'X-Webhook-Id': event.id,
+        'X-Webhook-Event': event.type,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${this.sign(body, timestamp)}`,
+      },
+    });
+  }
+
+  /**
+   * Deliver with exponential backoff, dead-lettering the event once every
+   * attempt has failed
+   */
+  async deliver(subscription, event) {
+    const { maxAttempts, retryBaseDelayMs } = config.webhook;
+    let lastError;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+      try {
+        await this.send(subscription, event);
+        logger.info(`Webhook ${event.type} delivered to ${subscription.id}`, { attempt });
+        return { delivered: true, attempts: attempt };
+      } catch (error) {
+        lastError = error;
+        logger.warn(`Webhook ${event.type} delivery to ${subscription.id} failed`, {
+          attempt,
+          error: error.message,
+        });
+
+        if (attempt < maxAttempts) {
+          await wait(retryBaseDelayMs * (2 ** (attempt - 1)));
+        }
+      }
+    }
+
+    await this.deadLetter(subscription, event, maxAttempts, lastError);
+    return { delivered: false, attempts: maxAttempts };
+  }
+
+  async deadLetter(subscription, event, attempts, error) {
+    const deadLetter = {
+      id: generateId('whdl'),
+      subscriptionId: subscription.id,
+      url: subscription.url,
+      event,
+      attempts,
+      lastError: error.response ? `HTTP ${error.response.status}` : error.message,
+      failedAt: new Date().toISOString(),
+    };
+
+    await this.deadLetters.put(deadLetter.id, deadLetter);
+    logger.error(`Webhook ${event.type} dead-lettered for ${subscription.id}`, {
+      deadLetterId: deadLetter.id,
+      lastError: deadLetter.lastError,
+    });
+    return deadLetter;
+  }
+
+  async listDeadLetters({ subscriptionId } = {}) {
+    return this.deadLetters.list((deadLetter) => !subscriptionId
+      || deadLetter.subscriptionId === subscriptionId);
+  }
+
+  /**
+   * Send a dead-lettered event again, once. It leaves the dead-letter store
+   * only when the delivery succeeds.
+   */
+  async replayDeadLetter(deadLetterId) {
+    try {
+      const deadLetter = await this.deadLetters.get(deadLetterId);
+      if (!deadLetter) {
+        throw new ResourceNotFoundError('Webhook dead letter', deadLetterId);
+      }
+
+      const subscription = await this.subscriptions.get(deadLetter.subscriptionId);
+      if (!subscription) {
+        throw new BusinessLogicError('The subscription for this dead letter no longer exists', {
+          deadLetterId,
+          subscriptionId: deadLetter.subscriptionId,
+        });
+      }
+
+      try {
+        await this.send(subscription, deadLetter.event);
+      } catch (error) {
+        const failed = await this.deadLetters.put(deadLetterId, {
+          ...deadLetter,
+          attempts: deadLetter.attempts + 1,
+          lastError: error.response ? `HTTP ${error.response.status}` : error.message,
+          failedAt: new Date().toISOString(),
+        });
+        return { delivered: false, deadLetter: failed };
+      }
+
+      await this.deadLetters.remove(deadLetterId);
+      logger.info(`Replayed webhook dead letter ${deadLetterId}`);
+      return { delivered: true, deadLetter: null };
+    } catch (error) {
+      logger.error('Failed to replay webhook dead letter:', error);
+      throw error;
+    }
+  }
+}
+
+WebhookService.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = WebhookService;
@@ -0,0 +1,123 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Crash-safe file helpers.
+ *
+ * writeFileAtomic never leaves a partially written target behind: data goes
+ * to a temp file in the same directory, is flushed to disk, and is renamed
+ * over the target. appendLineDurable flushes each appended line before it
+ * resolves, so callers can treat the line as committed; readJsonLines reads
+ * such a file back and repairs a torn last line.
+ */
+
+const syncDirectory = async (dirPath) => {
+  let handle;
+  try {
+    handle = await fs.open(dirPath, 'r');
+    await handle.sync();
+  } catch (error) {
+    // Directory fsync is not supported on every platform
+  } finally {
+    if (handle) {
+      await handle.close();
+    }
+  }
+};
+
+/**
+ * Atomically replace a file with new contents
+ */
+const writeFileAtomic = async (filePath, data) => {
+  const dirPath = path.dirname(filePath);
+  const tempPath = path.join(
+    dirPath,
+    `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`
+  );
+
+  let handle;
+  try {
+    handle = await fs.open(tempPath, 'w');
+    await handle.writeFile(data);
+    await handle.sync();
+    await handle.close();
+    handle = null;
+
+    await fs.rename(tempPath, filePath);
+    await syncDirectory(dirPath);
+  } catch (error) {
+    if (handle) {
+      await handle.close().catch(() => {});
+    }
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
+  }
+};
+
+/**
+ * Append one line to a file and flush it to disk
+ */
+const appendLineDurable = async (filePath, line) => {
+  const handle = await fs.open(filePath, 'a');
+  try {
+    await handle.appendFile(`${line}\n`);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Read a file of JSON lines written by appendLineDurable. A torn final line
+ * (crash mid-append) was never acknowledged, so it is dropped and cut from
+ * the file; otherwise the next append would be written onto it and lost.
+ * A missing file reads as empty.
+ */
+const readJsonLines = async (filePath) => {
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { entries: [], torn: false };
+    }
+    throw error;
+  }
+
+  const entries = [];
+  let validLength = 0;
+  let torn = false;
+  const lines = raw.split('\n');
+
+  // Only lines followed by a newline were written completely
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    const terminated = i < lines.length - 1;
+    if (!line.trim()) {
+      validLength += terminated ? Buffer.byteLength(line) + 1 : 0;
+      continue;
+    }
+
+    try {
+      if (!terminated) {
+        throw new Error('Unterminated line');
+      }
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      torn = true;
+      break;
+    }
+    validLength += Buffer.byteLength(line) + 1;
+  }
+
+  if (torn) {
+    await fs.truncate(filePath, validLength);
+  }
+  return { entries, torn };
+};
+
+module.exports = {
+  writeFileAtomic,
+  appendLineDurable,
+  readJsonLines,
+};
@@ -0,0 +1,92 @@
+/**
+ * Parse RFC 4180 CSV text into records keyed by the header row. Quoted
+ * fields may contain commas, doubled quotes and line breaks. Blank lines are
+ * skipped; each record notes the line it started on for error reports.
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push({ line: rowLine, values: row });
+    }
+    row = [];
+    rowLine = line;
+  };
+
+  const source = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line += 1;
+        }
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i += 1;
+      }
+      line += 1;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const [header, ...records] = rows;
+  const columns = header.values.map((column) => column.trim());
+
+  return records.map(({ line: recordLine, values }) => ({
+    line: recordLine,
+    record: Object.fromEntries(columns.map((column, index) => [column, (values[index] || '').trim()])),
+  }));
+};
+
+/**
+ * Format one CSV line, quoting fields that contain commas, quotes or line
+ * breaks. null and undefined become empty fields.
+ */
+const formatCsvRow = (values) => values
+  .map((value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  })
+  .join(',');
+
+module.exports = {
+  parseCsv,
+  formatCsvRow,
+};
@@ -157,6 +157,27 @@ class TenantAlreadyExistsError extends DuplicateResourceError {
   }
 }
 
+class IdempotencyKeyInProgressError extends ConflictError {
+  constructor(details = null) {
+    super('A request with this Idempotency-Key is still being processed', details);
+    this.code = 'IDEMPOTENCY_KEY_IN_PROGRESS';
+  }
+}
+
+/**
+ * An Idempotency-Key reused for a different request
+ */
+class IdempotencyKeyReuseError extends Auth0ProxyError {
+  constructor(details = null) {
+    super(
+      'This Idempotency-Key was already used with a different request',
+      422,
+      'IDEMPOTENCY_KEY_REUSED',
+      details
+    );
+  }
+}
+
 /**
  * Business logic related errors
  */
@@ -187,6 +208,14 @@ class TenantInactiveError extends BusinessLogicError {
   }
 }
 
+class PlanEntitlementError extends BusinessLogicError {
+  constructor(plan, message, details = null) {
+    super(message, details);
+    this.code = 'PLAN_ENTITLEMENT_EXCEEDED';
+    this.plan = plan;
+  }
+}
+
 /**
  * External service related errors
  */
@@ -324,11 +353,14 @@ module.exports = {
   DuplicateResourceError,
   DuplicateEmailError,
   TenantAlreadyExistsError,
+  IdempotencyKeyInProgressError,
+  IdempotencyKeyReuseError,
   
   // Business logic errors
   BusinessLogicError,
   SeatLimitExceededError,
   TenantInactiveError,
+  PlanEntitlementError,
   
   // External service errors
   ExternalServiceError,
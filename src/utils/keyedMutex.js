@@ -0,0 +1,40 @@
+/**
+ * Serializes async work per key.
+ *
+ * Tasks sharing a key run one after another in submission order; tasks with
+ * different keys run concurrently. Used to make read-check-write sequences
+ * (such as seat reservations) atomic within the process.
+ */
+class KeyedMutex {
+  constructor() {
+    this.tails = new Map();
+  }
+
+  /**
+   * Run a task once every earlier task for the same key has settled
+   */
+  async runExclusive(key, task) {
+    const previous = this.tails.get(key) || Promise.resolve();
+    const run = previous.then(() => task());
+    const tail = run.catch(() => {});
+
+    this.tails.set(key, tail);
+    tail.then(() => {
+      // Drop the entry once nothing else is queued behind this task
+      if (this.tails.get(key) === tail) {
+        this.tails.delete(key);
+      }
+    });
+
+    return run;
+  }
+
+  /**
+   * Whether any task is running or queued for the key
+   */
+  isLocked(key) {
+    return this.tails.has(key);
+  }
+}
+
+module.exports = KeyedMutex;
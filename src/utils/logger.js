@@ -121,19 +121,4 @@ logger.logError = (error, req = null) => {
   logger.error('Application Error', errorData);
 };
 
-// Add audit logging helper
-logger.audit = (action, resource, user, details = {}) => {
-  logger.info('Audit Log', {
-    action,
-    resource,
-    user: {
-      id: user.sub || user.id,
-      email: user.email,
-      tenantId: user.tenant_id,
-    },
-    details,
-    timestamp: new Date().toISOString(),
-  });
-};
-
 module.exports = logger;
\ No newline at end of file
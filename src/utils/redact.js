@@ -0,0 +1,26 @@
+// Fields that must never leave the service in audit diffs or webhook payloads
+const SECRET_FIELDS = /secret|password|token/i;
+
+/**
+ * Deep copy of a value without secret-looking fields
+ */
+const redactSecrets = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(redactSecrets);
+  }
+
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([key]) => !SECRET_FIELDS.test(key))
+        .map(([key, child]) => [key, redactSecrets(child)])
+    );
+  }
+
+  return value;
+};
+
+module.exports = {
+  SECRET_FIELDS,
+  redactSecrets,
+};
@@ -0,0 +1,30 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Per-request context (request ID, caller) carried across async calls, so
+ * code far from the route handler can attribute its work to the request.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Express middleware: run the rest of the request inside a fresh context
+ */
+const middleware = () => (req, res, next) => {
+  storage.run({ requestId: req.id }, next);
+};
+
+/**
+ * Current request context, or an empty object outside a request
+ */
+const getRequestContext = () => storage.getStore() || {};
+
+/**
+ * Run a function with the given context (jobs and tests)
+ */
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+module.exports = {
+  middleware,
+  getRequestContext,
+  runWithContext,
+};
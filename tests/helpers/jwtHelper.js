@@ -1,6 +1,21 @@
 const jwt = require('jsonwebtoken');
 const config = require('../../src/config');
 
+// Every scope the API checks; master tokens are granted all of them
+const ALL_SCOPES = [
+  'tenants:read',
+  'tenants:write',
+  'users:read',
+  'users:write',
+  'seats:admin',
+  'health:read',
+  'audit:read',
+  'webhooks:read',
+  'webhooks:write',
+  'alerts:read',
+  'alerts:write',
+];
+
 class JWTHelper {
   /**
    * Generate a JWT token for testing
@@ -41,11 +56,34 @@ class JWTHelper {
       tenant_domain: config.auth0.master.domain,
       roles: ['master_admin', 'admin'],
       permissions: ['read:all', 'write:all', 'delete:all'],
+      scope: ALL_SCOPES.join(' '),
       isMasterAdmin: true,
       ...overrides,
     });
   }
 
+  /**
+   * Generate a master client token holding only the given scopes
+   */
+  static generateScopedToken(scopes = [], overrides = {}) {
+    return this.generateMasterAdminToken({
+      scope: scopes.join(' '),
+      ...overrides,
+    });
+  }
+
+  /**
+   * Generate a client token bound to one tenant through the namespaced claim
+   */
+  static generateTenantBoundToken(tenantId, overrides = {}) {
+    return this.generateMasterAdminToken({
+      sub: `tenant_client_${tenantId}@clients`,
+      azp: `tenant_client_${tenantId}`,
+      [config.auth0.tenantIdClaim]: tenantId,
+      ...overrides,
+    });
+  }
+
   /**
    * Generate a tenant admin token
    */
@@ -187,4 +225,5 @@ class JWTHelper {
   }
 }
 
-module.exports = JWTHelper;
\ No newline at end of file
+module.exports = JWTHelper;
+module.exports.ALL_SCOPES = ALL_SCOPES;
\ No newline at end of file
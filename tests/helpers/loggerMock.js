@@ -0,0 +1,12 @@
+/**
+ * Silent logger for unit tests, used as the factory of the logger mock:
+ *
+ *   jest.mock('../../../src/utils/logger', () => require('../../helpers/loggerMock'));
+ */
+module.exports = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  audit: jest.fn(),
+};
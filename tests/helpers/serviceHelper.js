@@ -0,0 +1,71 @@
+const JsonDocumentStore = require('../../src/repositories/jsonDocumentStore');
+const JsonTenantRepository = require('../../src/repositories/jsonTenantRepository');
+const { setDocumentStore, setTenantRepository } = require('../../src/repositories');
+
+class ServiceHelper {
+  /**
+   * The master client acting in service calls
+   */
+  static masterActor() {
+    return { sub: 'master_client@clients', client_id: 'master_client', isMasterClient: true };
+  }
+
+  /**
+   * Give the services created next empty in-memory stores
+   */
+  static resetStores() {
+    setDocumentStore(new JsonDocumentStore());
+    setTenantRepository(new JsonTenantRepository());
+  }
+
+  /**
+   * A name that does not clash with other tests sharing the mock Auth0 store
+   */
+  static uniqueName(prefix) {
+    return `${prefix}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  static uniqueEmail(prefix) {
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 6)}@example.com`;
+  }
+
+  /**
+   * Create a tenant with five seats through the tenant service
+   */
+  static createTenant(tenantService, overrides = {}) {
+    return tenantService.createTenant({
+      name: 'Test Corp',
+      domain: ServiceHelper.uniqueName('test-corp'),
+      seatLimit: 5,
+      ...overrides,
+    }, ServiceHelper.masterActor());
+  }
+
+  /**
+   * Create a user with a password through the user service
+   */
+  static createUser(userService, tenantId, overrides = {}) {
+    return userService.createUser(tenantId, {
+      email: ServiceHelper.uniqueEmail('user'),
+      name: 'Test User',
+      password: 'Password123',
+      ...overrides,
+    }, ServiceHelper.masterActor());
+  }
+
+  /**
+   * Build Auth0 user profiles as the Management API returns them. `build`
+   * returns the fields of the i-th user that differ from the defaults.
+   */
+  static buildAuth0Users(count, build = () => ({})) {
+    return Array.from({ length: count }, (_, i) => ({
+      user_id: `auth0|user_${i}`,
+      email: `user${i}@example.com`,
+      name: `User ${i}`,
+      app_metadata: {},
+      ...build(i),
+    }));
+  }
+}
+
+module.exports = ServiceHelper;
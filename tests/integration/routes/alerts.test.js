@@ -0,0 +1,62 @@
+const request = require('supertest');
+const app = require('../../../src/app');
+const JWTHelper = require('../../helpers/jwtHelper');
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  logRequest: jest.fn((req, res, next) => next()),
+  logError: jest.fn(),
+}));
+
+describe('Alert Routes', () => {
+  let masterAdminToken;
+
+  const asAdmin = (req) => req.set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken));
+
+  beforeEach(() => {
+    masterAdminToken = JWTHelper.generateMasterAdminToken();
+  });
+
+  test('should alert at the tenant thresholds and acknowledge once', async () => {
+    const created = await asAdmin(request(app).post('/api/tenants'))
+      .send({ name: 'Alerted Corp', domain: `alerted-${Math.random().toString(36).slice(2, 8)}`, seatLimit: 2 })
+      .expect(201);
+    const tenantId = created.body.data.tenant.id;
+
+    await asAdmin(request(app).put(`/api/tenants/${tenantId}`))
+      .send({ seatAlertThresholds: [50] })
+      .expect(200);
+    await asAdmin(request(app).post(`/api/tenants/${tenantId}/users`))
+      .send({ email: `alerted_${Date.now()}@example.com`, name: 'Alerted User', password: 'Password123' })
+      .expect(201);
+
+    const list = await asAdmin(request(app).get(`/api/alerts?tenantId=${tenantId}&status=open`)).expect(200);
+    expect(list.body.data.alerts).toEqual([
+      expect.objectContaining({ threshold: 50, direction: 'up', seatUsed: 1, seatLimit: 2 }),
+    ]);
+    const alertId = list.body.data.alerts[0].id;
+
+    const acknowledged = await asAdmin(request(app).post(`/api/alerts/${alertId}/acknowledge`))
+      .send({ note: 'Expected growth' })
+      .expect(200);
+    expect(acknowledged.body.data.alert.status).toBe('acknowledged');
+
+    await asAdmin(request(app).post(`/api/alerts/${alertId}/acknowledge`)).send({}).expect(409);
+  });
+
+  test('should validate input and require master access', async () => {
+    await asAdmin(request(app).get('/api/alerts?status=closed')).expect(400);
+    await asAdmin(request(app).get('/api/alerts/alert_missing')).expect(404);
+    await asAdmin(request(app).put('/api/tenants/tenant_beta_456'))
+      .send({ seatAlertThresholds: [0, 120] })
+      .expect(400);
+
+    await request(app)
+      .get('/api/alerts')
+      .set('Authorization', JWTHelper.generateAuthHeader(JWTHelper.generateTenantBoundToken('tenant_beta_456')))
+      .expect(403);
+  });
+});
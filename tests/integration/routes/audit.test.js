@@ -0,0 +1,93 @@
+const request = require('supertest');
+const app = require('../../../src/app');
+const JWTHelper = require('../../helpers/jwtHelper');
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  logRequest: jest.fn((req, res, next) => next()),
+  logError: jest.fn(),
+}));
+
+describe('Audit Routes', () => {
+  let masterAdminToken;
+
+  beforeEach(() => {
+    masterAdminToken = JWTHelper.generateMasterAdminToken({ azp: 'master_client' });
+  });
+
+  test('should record tenant changes with actor, diff, request ID and outcome', async () => {
+    const update = await request(app)
+      .put('/api/tenants/tenant_acme_123')
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .send({ name: 'Acme Renamed' })
+      .expect(200);
+
+    const response = await request(app)
+      .get('/api/audit?tenantId=tenant_acme_123&action=tenant_updated')
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .expect(200);
+
+    expect(response.body.success).toBe(true);
+    expect(response.body.data.entries).toEqual([
+      expect.objectContaining({
+        action: 'tenant_updated',
+        tenantId: 'tenant_acme_123',
+        actor: expect.objectContaining({ clientId: 'master_client', isMasterClient: true }),
+        changes: expect.objectContaining({
+          name: { from: expect.any(String), to: 'Acme Renamed' },
+        }),
+        requestId: update.headers['x-request-id'],
+        outcome: 'success',
+      }),
+    ]);
+  });
+
+  test('should record the outcome of failed requests', async () => {
+    await request(app)
+      .delete('/api/tenants/tenant_does_not_exist')
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .expect(404);
+
+    const response = await request(app)
+      .get('/api/audit?action=tenant_delete&actor=master_client')
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .expect(200);
+
+    expect(response.body.data.entries[0]).toEqual(expect.objectContaining({
+      tenantId: 'tenant_does_not_exist',
+      outcome: 'failure',
+      details: expect.objectContaining({ statusCode: 404 }),
+    }));
+  });
+
+  test('should verify the hash chain', async () => {
+    const response = await request(app)
+      .get('/api/audit/verify')
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .expect(200);
+
+    expect(response.body.data.verification.valid).toBe(true);
+  });
+
+  test('should reject invalid time ranges', async () => {
+    await request(app)
+      .get('/api/audit?from=2024-03-02T00:00:00Z&to=2024-03-01T00:00:00Z')
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .expect(400);
+  });
+
+  test('should be limited to master clients with the audit scope', async () => {
+    await request(app)
+      .get('/api/audit')
+      .set('Authorization', JWTHelper.generateAuthHeader(JWTHelper.generateScopedToken(['tenants:read'])))
+      .expect(403);
+
+    await request(app)
+      .get('/api/audit')
+      .set('Authorization', JWTHelper.generateAuthHeader(JWTHelper.generateTenantBoundToken('tenant_acme_123')))
+      .expect(403);
+  });
+});
@@ -0,0 +1,53 @@
+const request = require('supertest');
+const app = require('../../../src/app');
+const JWTHelper = require('../../helpers/jwtHelper');
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  logRequest: jest.fn((req, res, next) => next()),
+  logError: jest.fn(),
+}));
+
+describe('Tenant Branding Routes', () => {
+  let masterAdminToken;
+
+  const asAdmin = (req) => req.set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken));
+
+  beforeEach(() => {
+    masterAdminToken = JWTHelper.generateMasterAdminToken();
+  });
+
+  test('should update branding and return it to the tenant', async () => {
+    const created = await asAdmin(request(app).post('/api/tenants'))
+      .send({ name: 'Branded Corp', domain: `branded-${Math.random().toString(36).slice(2, 8)}`, seatLimit: 5 })
+      .expect(201);
+    const tenantId = created.body.data.tenant.id;
+
+    await asAdmin(request(app).put(`/api/tenants/${tenantId}`))
+      .send({ branding: { colors: { primary: '#0059d6', pageBackground: '#ffffff' } } })
+      .expect(200);
+
+    const response = await request(app)
+      .get(`/api/tenants/${tenantId}/branding`)
+      .set('Authorization', JWTHelper.generateAuthHeader(JWTHelper.generateTenantBoundToken(tenantId)))
+      .expect(200);
+    expect(response.body.data.branding).toEqual({ colors: { primary: '#0059d6', pageBackground: '#ffffff' } });
+
+    await request(app)
+      .get('/api/tenants/tenant_beta_456/branding')
+      .set('Authorization', JWTHelper.generateAuthHeader(JWTHelper.generateTenantBoundToken(tenantId)))
+      .expect(403);
+  });
+
+  test('should reject invalid branding', async () => {
+    await asAdmin(request(app).put('/api/tenants/tenant_beta_456'))
+      .send({ branding: { logoUrl: 'http://insecure.example.com/logo.png' } })
+      .expect(400);
+    await asAdmin(request(app).put('/api/tenants/tenant_beta_456'))
+      .send({ branding: { colors: { primary: 'blue' } } })
+      .expect(400);
+  });
+});
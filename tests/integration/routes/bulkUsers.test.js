@@ -0,0 +1,136 @@
+const request = require('supertest');
+const app = require('../../../src/app');
+const JWTHelper = require('../../helpers/jwtHelper');
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  logRequest: jest.fn((req, res, next) => next()),
+  logError: jest.fn(),
+}));
+
+describe('User Import Routes', () => {
+  let masterAdminToken;
+
+  beforeEach(() => {
+    masterAdminToken = JWTHelper.generateMasterAdminToken();
+  });
+
+  test('should import CSV rows and report each row', async () => {
+    const csv = [
+      'email,name,roles',
+      'import.one@example.com,Import One,user',
+      'not-an-email,Import Two,user',
+    ].join('\n');
+
+    const response = await request(app)
+      .post('/api/tenants/tenant_acme_123/users/import')
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .set('Content-Type', 'text/csv')
+      .send(csv)
+      .expect(200);
+
+    expect(response.body.success).toBe(true);
+    expect(response.body.data.summary).toEqual(expect.objectContaining({ total: 2, created: 1, invalid: 1 }));
+    expect(response.body.data.results[1]).toEqual(expect.objectContaining({
+      row: 2,
+      line: 3,
+      status: 'invalid',
+    }));
+  });
+
+  test('should reject an atomic JSON import with an invalid row', async () => {
+    const response = await request(app)
+      .post('/api/tenants/tenant_acme_123/users/import?atomic=true')
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .send([
+        { email: 'atomic.one@example.com', name: 'Atomic One' },
+        { email: 'atomic.two@example.com' },
+      ])
+      .expect(400);
+
+    expect(response.body.success).toBe(false);
+  });
+
+  test('should run a background import with a pollable status', async () => {
+    const queued = await request(app)
+      .post('/api/tenants/tenant_acme_123/users/import?background=true')
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .send({ users: [{ email: 'background.one@example.com', name: 'Background One' }] })
+      .expect(202);
+
+    const { statusUrl } = queued.body.data;
+    expect(queued.headers.location).toBe(statusUrl);
+
+    let job = queued.body.data.job;
+    for (let attempt = 0; attempt < 20 && !['completed', 'failed'].includes(job.status); attempt += 1) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      const status = await request(app)
+        .get(statusUrl)
+        .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+        .expect(200);
+      job = status.body.data.job;
+    }
+
+    expect(job.status).toBe('completed');
+    expect(job.report.summary.created).toBe(1);
+  });
+
+  test('should keep tenant-bound clients to their own tenant', async () => {
+    const token = JWTHelper.generateTenantBoundToken('tenant_beta_456');
+
+    await request(app)
+      .post('/api/tenants/tenant_acme_123/users/import')
+      .set('Authorization', JWTHelper.generateAuthHeader(token))
+      .send([{ email: 'other.tenant@example.com', name: 'Other Tenant' }])
+      .expect(403);
+  });
+});
+
+describe('User Export Routes', () => {
+  let masterAdminToken;
+
+  beforeEach(() => {
+    masterAdminToken = JWTHelper.generateMasterAdminToken();
+  });
+
+  test('should stream the tenant roster as a CSV download', async () => {
+    const response = await request(app)
+      .get('/api/tenants/tenant_acme_123/users/export?columns=email,status,roles')
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^text\/csv/);
+    expect(response.headers['content-disposition']).toMatch(/attachment; filename="tenant_acme_123-users-.*\.csv"/);
+    expect(response.text.split('\n')[0]).toBe('email,status,roles');
+  });
+
+  test('should stream NDJSON', async () => {
+    const response = await request(app)
+      .get('/api/tenants/tenant_acme_123/users/export?format=ndjson&columns=id,email')
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .buffer(true)
+      .parse((res, done) => {
+        let body = '';
+        res.on('data', (chunk) => { body += chunk; });
+        res.on('end', () => done(null, body));
+      })
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^application\/x-ndjson/);
+    response.body.trim().split('\n').filter(Boolean).forEach((line) => {
+      expect(Object.keys(JSON.parse(line))).toEqual(['id', 'email']);
+    });
+  });
+
+  test('should reject unknown columns with a JSON error', async () => {
+    const response = await request(app)
+      .get('/api/tenants/tenant_acme_123/users/export?columns=email,password')
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .expect(400);
+
+    expect(response.body.error.details.unknownColumns).toEqual(['password']);
+  });
+});
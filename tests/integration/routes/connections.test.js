@@ -0,0 +1,67 @@
+const request = require('supertest');
+const app = require('../../../src/app');
+const JWTHelper = require('../../helpers/jwtHelper');
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  logRequest: jest.fn((req, res, next) => next()),
+  logError: jest.fn(),
+}));
+
+describe('Tenant Connection Routes', () => {
+  let masterAdminToken;
+
+  const asAdmin = (req) => req.set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken));
+
+  beforeEach(() => {
+    masterAdminToken = JWTHelper.generateMasterAdminToken();
+  });
+
+  test('should create, enable and disable tenant connections', async () => {
+    const created = await asAdmin(request(app).post('/api/tenants'))
+      .send({ name: 'Connected Corp', domain: `connected-${Math.random().toString(36).slice(2, 8)}`, seatLimit: 5 })
+      .expect(201);
+    const tenantId = created.body.data.tenant.id;
+    const name = `oidc-${Math.random().toString(36).slice(2, 8)}`;
+
+    const connection = await asAdmin(request(app).post(`/api/tenants/${tenantId}/connections`))
+      .send({
+        name,
+        type: 'oidc',
+        options: { issuer: 'https://login.example.com', clientId: 'oidc_client', clientSecret: 'oidc_secret' },
+      })
+      .expect(201);
+    expect(connection.body.data.connection).toMatchObject({ name, type: 'oidc', enabled: true });
+    expect(connection.body.data.connection.options).toBeUndefined();
+
+    await asAdmin(request(app).post(`/api/tenants/${tenantId}/users`))
+      .send({ email: `oidc_${Date.now()}@example.com`, name: 'OIDC User', password: 'Password123', connection: name })
+      .expect(201);
+
+    await asAdmin(request(app).post(`/api/tenants/${tenantId}/connections/${name}/disable`)).expect(200);
+    await asAdmin(request(app).post(`/api/tenants/${tenantId}/users`))
+      .send({ email: `oidc_${Date.now()}_2@example.com`, name: 'OIDC User', password: 'Password123', connection: name })
+      .expect(400);
+
+    await asAdmin(request(app).post(`/api/tenants/${tenantId}/connections/${name}/enable`)).expect(200);
+    const list = await asAdmin(request(app).get(`/api/tenants/${tenantId}/connections`)).expect(200);
+    expect(list.body.data.connections.filter((item) => item.enabled).map((item) => item.name))
+      .toEqual(['Username-Password-Authentication', name]);
+  });
+
+  test('should validate input and require master access', async () => {
+    await asAdmin(request(app).post('/api/tenants/tenant_beta_456/connections'))
+      .send({ name: 'beta-saml', type: 'saml', options: { signInEndpoint: 'https://idp.example.com/sso' } })
+      .expect(400);
+    await asAdmin(request(app).post('/api/tenants/tenant_beta_456/connections/missing-connection/enable'))
+      .expect(404);
+
+    await request(app)
+      .get('/api/tenants/tenant_beta_456/connections')
+      .set('Authorization', JWTHelper.generateAuthHeader(JWTHelper.generateTenantBoundToken('tenant_beta_456')))
+      .expect(403);
+  });
+});
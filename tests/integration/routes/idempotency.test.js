@@ -0,0 +1,66 @@
+const request = require('supertest');
+const app = require('../../../src/app');
+const JWTHelper = require('../../helpers/jwtHelper');
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  logRequest: jest.fn((req, res, next) => next()),
+  logError: jest.fn(),
+}));
+
+describe('Idempotency-Key handling', () => {
+  let masterAdminToken;
+
+  beforeEach(() => {
+    masterAdminToken = JWTHelper.generateMasterAdminToken({ azp: 'idempotent_client' });
+  });
+
+  const seatUsed = async () => {
+    const response = await request(app)
+      .get('/api/tenants/tenant_acme_123/seat-usage')
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .expect(200);
+    return response.body.data.seatUsage.seatUsed;
+  };
+
+  const createUser = (key, body, token = masterAdminToken) => request(app)
+    .post('/api/tenants/tenant_acme_123/users')
+    .set('Authorization', JWTHelper.generateAuthHeader(token))
+    .set('Idempotency-Key', key)
+    .send(body);
+
+  test('should replay the first response for a retried request without creating twice', async () => {
+    const before = await seatUsed();
+    const body = { email: 'idempotent.user@example.com', name: 'Idempotent User' };
+
+    const first = await createUser('create-user-1', body).expect(201);
+    const retry = await createUser('create-user-1', body).expect(201);
+
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual(first.body);
+    expect(await seatUsed()).toBe(before + 1);
+  });
+
+  test('should reject a key reused with a different body', async () => {
+    await createUser('create-user-2', { email: 'first.body@example.com', name: 'First Body' }).expect(201);
+
+    const response = await createUser('create-user-2', { email: 'second.body@example.com', name: 'Second Body' })
+      .expect(422);
+
+    expect(response.body.error.code).toBe('IDEMPOTENCY_KEY_REUSED');
+  });
+
+  test('should scope keys to the calling client', async () => {
+    const otherClient = JWTHelper.generateMasterAdminToken({ azp: 'other_client' });
+    const body = { email: 'scoped.key@example.com', name: 'Scoped Key' };
+
+    await createUser('shared-key', body).expect(201);
+    const response = await createUser('shared-key', { ...body, email: 'scoped.other@example.com' }, otherClient)
+      .expect(201);
+
+    expect(response.headers['idempotent-replayed']).toBeUndefined();
+  });
+});
@@ -0,0 +1,70 @@
+const request = require('supertest');
+const app = require('../../../src/app');
+const JWTHelper = require('../../helpers/jwtHelper');
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  audit: jest.fn(),
+  logRequest: jest.fn((req, res, next) => next()),
+  logError: jest.fn(),
+}));
+
+describe('Invitation Routes', () => {
+  let masterAdminToken;
+
+  const asAdmin = (req) => req.set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken));
+
+  beforeEach(() => {
+    masterAdminToken = JWTHelper.generateMasterAdminToken();
+  });
+
+  test('should create, list, resend and revoke an invitation', async () => {
+    const created = await asAdmin(request(app).post('/api/tenants'))
+      .send({ name: 'Inviting Corp', domain: `inviting-${Math.random().toString(36).slice(2, 8)}`, seatLimit: 5 })
+      .expect(201);
+    const tenantId = created.body.data.tenant.id;
+    const asTenant = (req) => req.set(
+      'Authorization',
+      JWTHelper.generateAuthHeader(JWTHelper.generateTenantBoundToken(tenantId)),
+    );
+
+    const invited = await asTenant(request(app).post(`/api/tenants/${tenantId}/invitations`))
+      .send({ email: `invitee_${Date.now()}@example.com`, name: 'Invited User', expiresInHours: 48 })
+      .expect(201);
+    const { invitation, invitationUrl } = invited.body.data;
+    expect(invitation.status).toBe('pending');
+    expect(invitationUrl).toEqual(expect.any(String));
+
+    const listed = await asTenant(request(app).get(`/api/tenants/${tenantId}/invitations?status=pending`))
+      .expect(200);
+    expect(listed.body.data.invitations.map((item) => item.id)).toEqual([invitation.id]);
+
+    const resent = await asTenant(request(app).post(`/api/tenants/${tenantId}/invitations/${invitation.id}/resend`))
+      .send({})
+      .expect(200);
+    expect(resent.body.data.invitation.resendCount).toBe(1);
+
+    const revoked = await asTenant(request(app).delete(`/api/tenants/${tenantId}/invitations/${invitation.id}`))
+      .expect(200);
+    expect(revoked.body.data.invitation.status).toBe('revoked');
+
+    await asTenant(request(app).delete(`/api/tenants/${tenantId}/invitations/${invitation.id}`))
+      .expect(409);
+  });
+
+  test('should validate invitations and enforce tenant access', async () => {
+    await asAdmin(request(app).post('/api/tenants/tenant_beta_456/invitations'))
+      .send({ email: 'not-an-email' })
+      .expect(400);
+    await asAdmin(request(app).post('/api/tenants/tenant_beta_456/invitations'))
+      .send({ email: 'invitee@example.com', expiresInHours: 0 })
+      .expect(400);
+    await request(app)
+      .get('/api/tenants/tenant_beta_456/invitations')
+      .set('Authorization', JWTHelper.generateAuthHeader(JWTHelper.generateTenantBoundToken('tenant_other')))
+      .expect(403);
+  });
+});
@@ -0,0 +1,57 @@
+const request = require('supertest');
+const app = require('../../../src/app');
+const JWTHelper = require('../../helpers/jwtHelper');
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  logRequest: jest.fn((req, res, next) => next()),
+  logError: jest.fn(),
+}));
+
+describe('Plan Routes', () => {
+  let masterAdminToken;
+
+  beforeEach(() => {
+    masterAdminToken = JWTHelper.generateMasterAdminToken();
+  });
+
+  test('should list the plan catalog', async () => {
+    const response = await request(app)
+      .get('/api/plans')
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .expect(200);
+
+    const { plans } = response.body.data;
+    expect(plans.map((plan) => plan.name)).toEqual(['basic', 'standard', 'premium', 'enterprise']);
+    expect(plans[0]).toEqual(expect.objectContaining({
+      defaultSeatLimit: expect.any(Number),
+      maxSeatLimit: expect.any(Number),
+      allowMFA: false,
+      allowedRoles: expect.any(Array),
+      rateLimit: expect.objectContaining({ tier: 'basic' }),
+    }));
+  });
+
+  test('should refuse a seat limit above the plan maximum', async () => {
+    const response = await request(app)
+      .put('/api/tenants/tenant_beta_456/seat-limit')
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .send({ seatLimit: 101 })
+      .expect(400);
+
+    expect(response.body.error.code).toBe('PLAN_ENTITLEMENT_EXCEEDED');
+  });
+
+  test('should reject unknown plans', async () => {
+    await request(app)
+      .post('/api/tenants')
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .send({ name: 'Unknown Plan Corp', domain: 'unknown-plan-corp', plan: 'platinum' })
+      .expect(400);
+
+    await request(app).get('/api/plans').expect(401);
+  });
+});
@@ -0,0 +1,111 @@
+const request = require('supertest');
+const app = require('../../../src/app');
+const SeatService = require('../../../src/services/seatService');
+const Auth0Service = require('../../../src/services/auth0Service');
+const JWTHelper = require('../../helpers/jwtHelper');
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  logRequest: jest.fn((req, res, next) => next()),
+  logError: jest.fn(),
+}));
+
+describe('Tenant Provisioning Routes', () => {
+  let masterAdminToken;
+
+  const createTenant = () => request(app)
+    .post('/api/tenants')
+    .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+    .send({
+      name: 'Provisioned Corp',
+      domain: `provisioned-${Math.random().toString(36).slice(2, 8)}`,
+      seatLimit: 5,
+    });
+
+  beforeEach(() => {
+    masterAdminToken = JWTHelper.generateMasterAdminToken();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should report the steps of a completed provisioning', async () => {
+    const created = await createTenant().expect(201);
+    const tenantId = created.body.data.tenant.id;
+
+    const response = await request(app)
+      .get(`/api/tenants/${tenantId}/provisioning`)
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .expect(200);
+
+    const { provisioning } = response.body.data;
+    expect(provisioning.status).toBe('completed');
+    expect(provisioning.steps.map((step) => step.name)).toEqual([
+      'createClient',
+      'createOrganization',
+      'setupRoles',
+      'initializeSeats',
+      'emitEvent',
+    ]);
+
+    await request(app)
+      .post(`/api/tenants/${tenantId}/provisioning`)
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .send({ action: 'rollback' })
+      .expect(409);
+  });
+
+  test('should roll back a provisioning left stuck by a failed compensation', async () => {
+    jest.spyOn(SeatService.prototype, 'initializeTenantSeats').mockRejectedValueOnce(new Error('seat store down'));
+    jest.spyOn(Auth0Service.prototype, 'deleteTenant').mockRejectedValueOnce(new Error('Auth0 unavailable'));
+
+    await createTenant().expect(500);
+
+    const list = await request(app)
+      .get('/api/tenants?status=provisioning')
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .expect(200);
+    const [stuck] = list.body.data.tenants;
+    expect(stuck.status).toBe('provisioning');
+
+    const state = await request(app)
+      .get(`/api/tenants/${stuck.id}/provisioning`)
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .expect(200);
+    expect(state.body.data.provisioning.status).toBe('failed');
+
+    const response = await request(app)
+      .post(`/api/tenants/${stuck.id}/provisioning`)
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .send({ action: 'rollback' })
+      .expect(200);
+    expect(response.body.data.provisioning.status).toBe('rolled_back');
+
+    await request(app)
+      .get(`/api/tenants/${stuck.id}`)
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .expect(404);
+  });
+
+  test('should reject unknown actions and tenant-bound clients', async () => {
+    await request(app)
+      .post('/api/tenants/tenant_acme_123/provisioning')
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .send({ action: 'restart' })
+      .expect(400);
+
+    await request(app)
+      .get('/api/tenants/tenant_acme_123/provisioning')
+      .set('Authorization', JWTHelper.generateAuthHeader(JWTHelper.generateTenantBoundToken('tenant_acme_123')))
+      .expect(403);
+
+    await request(app)
+      .get('/api/tenants/tenant_acme_123/provisioning')
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .expect(404);
+  });
+});
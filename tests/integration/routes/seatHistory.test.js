@@ -0,0 +1,64 @@
+const request = require('supertest');
+const app = require('../../../src/app');
+const JWTHelper = require('../../helpers/jwtHelper');
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  logRequest: jest.fn((req, res, next) => next()),
+  logError: jest.fn(),
+}));
+
+describe('Seat Usage History Routes', () => {
+  let masterAdminToken;
+
+  const asAdmin = (req) => req.set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken));
+
+  beforeEach(() => {
+    masterAdminToken = JWTHelper.generateMasterAdminToken();
+  });
+
+  test('should return usage per period after seats change', async () => {
+    const created = await asAdmin(request(app).post('/api/tenants'))
+      .send({ name: 'Tracked Corp', domain: `tracked-${Math.random().toString(36).slice(2, 8)}`, seatLimit: 5 })
+      .expect(201);
+    const tenantId = created.body.data.tenant.id;
+
+    await asAdmin(request(app).post(`/api/tenants/${tenantId}/users`))
+      .send({ email: `tracked_${Date.now()}@example.com`, name: 'Tracked User', password: 'Password123' })
+      .expect(201);
+    await asAdmin(request(app).put(`/api/tenants/${tenantId}/seat-limit`))
+      .send({ seatLimit: 8 })
+      .expect(200);
+
+    const response = await asAdmin(request(app).get(`/api/tenants/${tenantId}/seat-usage/history?interval=week`))
+      .expect(200);
+
+    const { history } = response.body.data;
+    expect(history.interval).toBe('week');
+    expect(history.periods.length).toBeGreaterThan(0);
+    expect(history.periods[history.periods.length - 1]).toEqual(expect.objectContaining({
+      peakSeatUsed: 1,
+      endSeatUsed: 1,
+      seatLimit: 8,
+    }));
+  });
+
+  test('should validate the query and require master access', async () => {
+    await asAdmin(request(app).get('/api/tenants/tenant_acme_123/seat-usage/history?interval=hour'))
+      .expect(400);
+
+    await asAdmin(request(app)
+      .get('/api/tenants/tenant_acme_123/seat-usage/history?from=2026-03-02T00:00:00Z&to=2026-03-01T00:00:00Z'))
+      .expect(400);
+
+    await request(app)
+      .get('/api/tenants/tenant_acme_123/seat-usage/history')
+      .set('Authorization', JWTHelper.generateAuthHeader(JWTHelper.generateTenantBoundToken('tenant_acme_123')))
+      .expect(403);
+
+    await asAdmin(request(app).get('/api/tenants/tenant_missing_000/seat-usage/history')).expect(404);
+  });
+});
@@ -0,0 +1,77 @@
+const request = require('supertest');
+const app = require('../../../src/app');
+const JWTHelper = require('../../helpers/jwtHelper');
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  logRequest: jest.fn((req, res, next) => next()),
+  logError: jest.fn(),
+}));
+
+describe('Tenant Deletion Routes', () => {
+  let masterAdminToken;
+
+  const asAdmin = (req) => req.set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken));
+
+  const createTenant = async () => {
+    const response = await asAdmin(request(app).post('/api/tenants'))
+      .send({
+        name: 'Offboarded Corp',
+        domain: `offboarded-${Math.random().toString(36).slice(2, 8)}`,
+        seatLimit: 5,
+      })
+      .expect(201);
+    return response.body.data.tenant;
+  };
+
+  beforeEach(() => {
+    masterAdminToken = JWTHelper.generateMasterAdminToken();
+  });
+
+  test('should schedule deletion, refuse changes, and restore the tenant', async () => {
+    const tenant = await createTenant();
+
+    const deleted = await asAdmin(request(app).delete(`/api/tenants/${tenant.id}`)).expect(200);
+    expect(deleted.body.data).toEqual(expect.objectContaining({
+      status: 'pending_deletion',
+      deleted: false,
+      purgeAfter: expect.any(String),
+    }));
+    expect(deleted.body.message).toContain('scheduled for deletion');
+
+    await asAdmin(request(app).put(`/api/tenants/${tenant.id}`))
+      .send({ name: 'Still Here Corp' })
+      .expect(409);
+
+    const restored = await asAdmin(request(app).post(`/api/tenants/${tenant.id}/restore`)).expect(200);
+    expect(restored.body.data.tenant.status).toBe('active');
+
+    await asAdmin(request(app).post(`/api/tenants/${tenant.id}/restore`)).expect(409);
+  });
+
+  test('should purge at once with force and audit the options', async () => {
+    const tenant = await createTenant();
+
+    const response = await asAdmin(request(app).delete(`/api/tenants/${tenant.id}?force=true`)).expect(200);
+    expect(response.body.data).toEqual(expect.objectContaining({ id: tenant.id, deleted: true }));
+    expect(response.body.message).toBe('Tenant deleted successfully');
+
+    await asAdmin(request(app).get(`/api/tenants/${tenant.id}`)).expect(404);
+
+    const audit = await asAdmin(request(app).get(`/api/audit?tenantId=${tenant.id}&action=tenant_deleted`))
+      .expect(200);
+    expect(audit.body.data.entries[0].details).toEqual(expect.objectContaining({
+      force: true,
+      cascade: false,
+    }));
+  });
+
+  test('should require cascade for a tenant with users', async () => {
+    const response = await asAdmin(request(app).delete('/api/tenants/tenant_acme_123')).expect(400);
+
+    expect(response.body.error.message).toContain('cascade=true');
+  });
+});
@@ -0,0 +1,47 @@
+const request = require('supertest');
+const app = require('../../../src/app');
+const JWTHelper = require('../../helpers/jwtHelper');
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  logRequest: jest.fn((req, res, next) => next()),
+  logError: jest.fn(),
+}));
+
+describe('Tenant Security Routes', () => {
+  let masterAdminToken;
+
+  const asAdmin = (req) => req.set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken));
+
+  beforeEach(() => {
+    masterAdminToken = JWTHelper.generateMasterAdminToken();
+  });
+
+  test('should report security settings drift to master admins only', async () => {
+    const created = await asAdmin(request(app).post('/api/tenants'))
+      .send({ name: 'Secure Corp', domain: `secure-${Math.random().toString(36).slice(2, 8)}`, seatLimit: 5 })
+      .expect(201);
+    const tenantId = created.body.data.tenant.id;
+
+    const response = await asAdmin(request(app).get('/api/tenants/security/drift')).expect(200);
+    expect(response.body.data.drift.tenants.map((report) => report.tenantId)).not.toContain(tenantId);
+
+    await request(app)
+      .get('/api/tenants/security/drift')
+      .set('Authorization', JWTHelper.generateAuthHeader(JWTHelper.generateTenantBoundToken(tenantId)))
+      .expect(403);
+  });
+
+  test('should refuse unverified users in tenants requiring verification', async () => {
+    const created = await asAdmin(request(app).post('/api/tenants'))
+      .send({ name: 'Verified Corp', domain: `verified-${Math.random().toString(36).slice(2, 8)}`, seatLimit: 5 })
+      .expect(201);
+
+    await asAdmin(request(app).post(`/api/tenants/${created.body.data.tenant.id}/users`))
+      .send({ email: `unverified_${Date.now()}@example.com`, name: 'Unverified', password: 'Password123', emailVerified: false })
+      .expect(400);
+  });
+});
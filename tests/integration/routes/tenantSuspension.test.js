@@ -0,0 +1,43 @@
+const request = require('supertest');
+const app = require('../../../src/app');
+const JWTHelper = require('../../helpers/jwtHelper');
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  logRequest: jest.fn((req, res, next) => next()),
+  logError: jest.fn(),
+}));
+
+describe('Tenant Suspension', () => {
+  let masterAdminToken;
+
+  beforeEach(() => {
+    masterAdminToken = JWTHelper.generateMasterAdminToken();
+  });
+
+  test('should reject user creation while the tenant is suspended', async () => {
+    const created = await request(app)
+      .post('/api/tenants')
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .send({ name: 'Suspended Soon', domain: `suspended-soon-${Math.random().toString(36).slice(2, 8)}` })
+      .expect(201);
+    const tenantId = created.body.data.tenant.id;
+
+    await request(app)
+      .put(`/api/tenants/${tenantId}`)
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .send({ status: 'suspended' })
+      .expect(200);
+
+    const response = await request(app)
+      .post(`/api/tenants/${tenantId}/users`)
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .send({ email: 'late@example.com', name: 'Late User', password: 'Password123' })
+      .expect(400);
+
+    expect(response.body.error.code).toBe('TENANT_INACTIVE');
+  });
+});
@@ -696,6 +696,59 @@ describe('Tenant Management Routes', () => {
     });
   });
 
+  describe('POST /api/tenants/:tenantId/seats/reconcile', () => {
+    test('should report drift without correcting by default', async () => {
+      const tenantId = 'tenant_beta_456';
+
+      const response = await request(app)
+        .post(`/api/tenants/${tenantId}/seats/reconcile`)
+        .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+        .send({})
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.reconciliation).toEqual(expect.objectContaining({
+        tenantId,
+        recordedSeatUsed: 12,
+        actualSeatUsed: 0,
+        drift: -12,
+        corrected: false,
+      }));
+    });
+
+    test('should correct seat usage when requested', async () => {
+      const tenantId = 'tenant_beta_456';
+
+      const response = await request(app)
+        .post(`/api/tenants/${tenantId}/seats/reconcile`)
+        .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+        .send({ correct: true })
+        .expect(200);
+
+      expect(response.body.data.reconciliation).toEqual(expect.objectContaining({
+        drift: -12,
+        corrected: true,
+      }));
+
+      const usage = await request(app)
+        .get(`/api/tenants/${tenantId}/seat-usage`)
+        .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+        .expect(200);
+
+      expect(usage.body.data.seatUsage.seatUsed).toBe(0);
+    });
+
+    test('should return 404 for unknown tenant', async () => {
+      const response = await request(app)
+        .post('/api/tenants/tenant_missing_000/seats/reconcile')
+        .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+        .send({})
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
   describe('POST /api/tenants/:tenantId/validate-access', () => {
     test('should validate tenant access for authenticated user', async () => {
       mockAuth0.mockBasicAuth0Operations();
@@ -752,6 +805,80 @@ describe('Tenant Management Routes', () => {
     });
   });
 
+  describe('Scope enforcement', () => {
+    test('should reject a client without the route scope', async () => {
+      const token = JWTHelper.generateScopedToken(['users:read']);
+
+      const response = await request(app)
+        .get('/api/tenants')
+        .set('Authorization', JWTHelper.generateAuthHeader(token))
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+      expect(response.body.error.message).toContain('tenants:read');
+    });
+
+    test('should list only the missing scopes', async () => {
+      const token = JWTHelper.generateScopedToken(['tenants:read']);
+
+      const response = await request(app)
+        .put('/api/tenants/tenant_alpha_123/seat-limit')
+        .set('Authorization', JWTHelper.generateAuthHeader(token))
+        .send({ seatLimit: 100 })
+        .expect(403);
+
+      expect(response.body.error.message).toContain('seats:admin');
+      expect(response.body.error.message).not.toContain('tenants:read');
+    });
+
+    test('should require seats:admin to change the seat limit through a tenant update', async () => {
+      const token = JWTHelper.generateScopedToken(['tenants:write']);
+      const created = await request(app)
+        .post('/api/tenants')
+        .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+        .send({ ...sampleTenants.validTenant, domain: `scoped-${Date.now()}` })
+        .expect(201);
+      const tenantPath = `/api/tenants/${created.body.data.tenant.id}`;
+
+      const response = await request(app)
+        .put(tenantPath)
+        .set('Authorization', JWTHelper.generateAuthHeader(token))
+        .send({ name: 'Scoped Renamed', seatLimit: 10000 })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+      expect(response.body.error.message).toContain('seats:admin');
+
+      const renamed = await request(app)
+        .put(tenantPath)
+        .set('Authorization', JWTHelper.generateAuthHeader(token))
+        .send({ name: 'Scoped Renamed' })
+        .expect(200);
+      expect(renamed.body.data.tenant.seatLimit).toBe(sampleTenants.validTenant.seatLimit);
+    });
+
+    test('should allow a client holding the route scope', async () => {
+      const token = JWTHelper.generateScopedToken(['tenants:read']);
+
+      const response = await request(app)
+        .get('/api/tenants')
+        .set('Authorization', JWTHelper.generateAuthHeader(token))
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+    });
+
+    test('should not treat read scopes as write access', async () => {
+      const token = JWTHelper.generateScopedToken(['tenants:read']);
+
+      await request(app)
+        .delete('/api/tenants/tenant_alpha_123')
+        .set('Authorization', JWTHelper.generateAuthHeader(token))
+        .expect(403);
+    });
+  });
+
   describe('Error Handling', () => {
     test('should handle malformed JSON in request body', async () => {
       const response = await request(app)
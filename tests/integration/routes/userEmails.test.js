@@ -0,0 +1,82 @@
+const request = require('supertest');
+const app = require('../../../src/app');
+const JWTHelper = require('../../helpers/jwtHelper');
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  audit: jest.fn(),
+  logRequest: jest.fn((req, res, next) => next()),
+  logError: jest.fn(),
+}));
+
+describe('User Email Routes', () => {
+  let masterAdminToken;
+  let tenantId;
+
+  const asAdmin = (req) => req.set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken));
+
+  const createUser = async () => {
+    const response = await asAdmin(request(app).post('/api/users'))
+      .send({
+        tenantId,
+        email: `emails_${Date.now()}_${Math.random().toString(36).slice(2, 6)}@example.com`,
+        name: 'Email Tester',
+        password: 'Password123',
+      })
+      .expect(201);
+    return response.body.data.user.id;
+  };
+
+  beforeAll(async () => {
+    masterAdminToken = JWTHelper.generateMasterAdminToken();
+    const created = await asAdmin(request(app).post('/api/tenants'))
+      .send({ name: 'Emailing Corp', domain: `emailing-${Math.random().toString(36).slice(2, 8)}`, seatLimit: 10 })
+      .expect(201);
+    tenantId = created.body.data.tenant.id;
+  });
+
+  test('should send a verification email', async () => {
+    const userId = await createUser();
+
+    const response = await asAdmin(request(app).post(`/api/users/${encodeURIComponent(userId)}/verification-email`))
+      .send({ tenantId })
+      .expect(202);
+
+    expect(response.body.data.verification).toMatchObject({ userId, status: 'pending' });
+  });
+
+  test('should rate limit password resets per user', async () => {
+    const userId = await createUser();
+    const otherUserId = await createUser();
+    const reset = (id, body = { tenantId }) => asAdmin(request(app).post(`/api/users/${encodeURIComponent(id)}/password-reset`))
+      .send(body);
+
+    // Failed requests do not count against the limit
+    await reset(userId, { tenantId: 'tenant_beta_456' }).expect(403);
+
+    for (let i = 0; i < 3; i += 1) {
+      const response = await reset(userId).expect(200);
+      expect(response.body.data.passwordReset.ticketUrl).toEqual(expect.any(String));
+    }
+
+    const limited = await reset(userId).set('Idempotency-Key', `limited-${userId}`).expect(429);
+    expect(limited.body.error.code).toBe('RATE_LIMIT_EXCEEDED');
+    await reset(otherUserId).expect(200);
+
+    // A rate-limited response is not stored, so the retry is limited afresh
+    const retried = await reset(userId).set('Idempotency-Key', `limited-${userId}`).expect(429);
+    expect(retried.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  test('should validate password reset options', async () => {
+    await asAdmin(request(app).post('/api/users/auth0%7Cabc/password-reset'))
+      .send({ tenantId, resultUrl: 'http://insecure.example.com' })
+      .expect(400);
+    await asAdmin(request(app).post('/api/users/auth0%7Cabc/password-reset'))
+      .send({ tenantId, expiresInHours: 500 })
+      .expect(400);
+  });
+});
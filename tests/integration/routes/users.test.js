@@ -0,0 +1,182 @@
+const request = require('supertest');
+const app = require('../../../src/app');
+const JWTHelper = require('../../helpers/jwtHelper');
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  audit: jest.fn(),
+  logRequest: jest.fn((req, res, next) => next()),
+  logError: jest.fn(),
+}));
+
+describe('User Management Routes', () => {
+  const ownTenantId = 'tenant_acme_123';
+  const otherTenantId = 'tenant_beta_456';
+  let masterAdminToken;
+  let tenantClientToken;
+
+  beforeEach(() => {
+    masterAdminToken = JWTHelper.generateMasterAdminToken();
+    tenantClientToken = JWTHelper.generateTenantBoundToken(ownTenantId);
+  });
+
+  describe('Tenant-bound clients', () => {
+    test('should resolve the tenant from the token', async () => {
+      const response = await request(app)
+        .get('/api/users')
+        .set('Authorization', JWTHelper.generateAuthHeader(tenantClientToken))
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+    });
+
+    test('should accept their own tenant ID', async () => {
+      await request(app)
+        .get(`/api/users?tenantId=${ownTenantId}`)
+        .set('Authorization', JWTHelper.generateAuthHeader(tenantClientToken))
+        .expect(200);
+    });
+
+    test('should reject requests for another tenant', async () => {
+      const response = await request(app)
+        .get(`/api/users?tenantId=${otherTenantId}`)
+        .set('Authorization', JWTHelper.generateAuthHeader(tenantClientToken))
+        .expect(403);
+
+      expect(response.body.error.code).toBe('UNAUTHORIZED_TENANT_ACCESS');
+    });
+
+    test('should reject creating users in another tenant', async () => {
+      const response = await request(app)
+        .post('/api/users')
+        .set('Authorization', JWTHelper.generateAuthHeader(tenantClientToken))
+        .send({ tenantId: otherTenantId, email: 'new.user@example.com', name: 'New User' })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('UNAUTHORIZED_TENANT_ACCESS');
+    });
+
+    test('should not move users to another tenant through app metadata', async () => {
+      const asTenant = (req) => req.set('Authorization', JWTHelper.generateAuthHeader(tenantClientToken));
+      const email = `moved_${Date.now()}@example.com`;
+
+      await asTenant(request(app).post('/api/users'))
+        .send({ email, name: 'Moved User', appMetadata: { tenant_id: otherTenantId } })
+        .expect(400);
+      await asTenant(request(app).post('/api/users'))
+        .send({ email, name: 'Moved User', app_metadata: { tenant_id: otherTenantId } })
+        .expect(400);
+
+      const created = await asTenant(request(app).post('/api/users'))
+        .send({ email, name: 'Moved User', appMetadata: { department: 'sales' } })
+        .expect(201);
+      const userPath = `/api/users/${encodeURIComponent(created.body.data.user.id)}`;
+
+      await asTenant(request(app).put(userPath))
+        .send({ appMetadata: { tenant_id: otherTenantId } })
+        .expect(400);
+      await asTenant(request(app).put(userPath))
+        .send({ appMetadata: { roles: ['tenant_admin'], seat_waitlisted: true } })
+        .expect(400);
+
+      const own = await asTenant(request(app).get(userPath)).expect(200);
+      expect(own.body.data.user.appMetadata).toMatchObject({ tenant_id: ownTenantId, department: 'sales' });
+      await request(app)
+        .get(`${userPath}?tenantId=${otherTenantId}`)
+        .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+        .expect(403);
+    });
+
+    test('should only reach their own tenant through tenant routes', async () => {
+      await request(app)
+        .get(`/api/tenants/${ownTenantId}/users`)
+        .set('Authorization', JWTHelper.generateAuthHeader(tenantClientToken))
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/tenants/${otherTenantId}/users`)
+        .set('Authorization', JWTHelper.generateAuthHeader(tenantClientToken))
+        .expect(403);
+
+      expect(response.body.error.code).toBe('UNAUTHORIZED_TENANT_ACCESS');
+    });
+
+    test('should not get master access', async () => {
+      const response = await request(app)
+        .get('/api/tenants')
+        .set('Authorization', JWTHelper.generateAuthHeader(tenantClientToken))
+        .expect(403);
+
+      expect(response.body.error.code).toBe('AUTHORIZATION_ERROR');
+    });
+
+    test('should bind a client ID registered to a tenant', async () => {
+      await request(app)
+        .put(`/api/tenants/${ownTenantId}`)
+        .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+        .send({ apiClientIds: ['acme_backend_client'] })
+        .expect(200);
+
+      const registeredClientToken = JWTHelper.generateMasterAdminToken({
+        sub: 'acme_backend_client@clients',
+        azp: 'acme_backend_client',
+      });
+
+      const response = await request(app)
+        .get(`/api/users?tenantId=${otherTenantId}`)
+        .set('Authorization', JWTHelper.generateAuthHeader(registeredClientToken))
+        .expect(403);
+
+      expect(response.body.error.code).toBe('UNAUTHORIZED_TENANT_ACCESS');
+    });
+
+    test('should reject a tenant-bound token from an unknown issuer', async () => {
+      const foreignToken = JWTHelper.generateTenantBoundToken(ownTenantId, {
+        iss: 'https://attacker.example.com/',
+      });
+
+      const response = await request(app)
+        .get('/api/users')
+        .set('Authorization', JWTHelper.generateAuthHeader(foreignToken))
+        .expect(401);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should ignore tenant claims other than the configured one', async () => {
+      const token = JWTHelper.generateScopedToken(['users:read'], {
+        sub: 'other_client@clients',
+        azp: 'other_client',
+        'https://other.example.com/tenant_id': ownTenantId,
+      });
+
+      const response = await request(app)
+        .get('/api/users')
+        .set('Authorization', JWTHelper.generateAuthHeader(token))
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('Master clients', () => {
+    test('should still require a tenant ID', async () => {
+      const response = await request(app)
+        .get('/api/users')
+        .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    test('should access any tenant', async () => {
+      await request(app)
+        .get(`/api/users?tenantId=${otherTenantId}`)
+        .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+        .expect(200);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const request = require('supertest');
+const app = require('../../../src/app');
+const JWTHelper = require('../../helpers/jwtHelper');
+
+// Mock the logger
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  logRequest: jest.fn((req, res, next) => next()),
+  logError: jest.fn(),
+}));
+
+describe('Webhook Routes', () => {
+  let masterAdminToken;
+
+  beforeEach(() => {
+    masterAdminToken = JWTHelper.generateMasterAdminToken();
+  });
+
+  test('should create, list, update and delete a subscription', async () => {
+    const created = await request(app)
+      .post('/api/webhooks')
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .send({
+        url: 'https://hooks.example.com/events',
+        events: ['tenant.created', 'seat.threshold_crossed'],
+        tenantId: 'tenant_acme_123',
+      })
+      .expect(201);
+
+    const { subscription } = created.body.data;
+    expect(subscription).toEqual(expect.objectContaining({
+      id: expect.stringMatching(/^whsub_/),
+      tenantId: 'tenant_acme_123',
+      active: true,
+    }));
+
+    const list = await request(app)
+      .get('/api/webhooks?tenantId=tenant_acme_123')
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .expect(200);
+    expect(list.body.data.subscriptions.map((item) => item.id)).toContain(subscription.id);
+
+    const updated = await request(app)
+      .put(`/api/webhooks/${subscription.id}`)
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .send({ active: false })
+      .expect(200);
+    expect(updated.body.data.subscription.active).toBe(false);
+
+    await request(app)
+      .delete(`/api/webhooks/${subscription.id}`)
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .expect(200);
+
+    await request(app)
+      .get(`/api/webhooks/${subscription.id}`)
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .expect(404);
+  });
+
+  test('should reject unknown event types', async () => {
+    const response = await request(app)
+      .post('/api/webhooks')
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .send({ url: 'https://hooks.example.com/events', events: ['tenant.exploded'] })
+      .expect(400);
+
+    expect(response.body.success).toBe(false);
+  });
+
+  test('should require the webhooks:write scope', async () => {
+    const token = JWTHelper.generateScopedToken(['webhooks:read']);
+
+    await request(app)
+      .post('/api/webhooks')
+      .set('Authorization', JWTHelper.generateAuthHeader(token))
+      .send({ url: 'https://hooks.example.com/events', events: ['tenant.created'] })
+      .expect(403);
+  });
+
+  test('should return 404 when replaying an unknown dead letter', async () => {
+    await request(app)
+      .post('/api/webhooks/dead-letters/whdl_missing/replay')
+      .set('Authorization', JWTHelper.generateAuthHeader(masterAdminToken))
+      .expect(404);
+  });
+});
@@ -14,6 +14,7 @@ module.exports = async function globalSetup() {
   process.env.LOG_LEVEL = 'error'; // Minimize logging during tests
   process.env.DETAILED_ERRORS = 'true'; // Enable detailed errors for debugging
   process.env.MOCK_AUTH0_API = 'true'; // Enable Auth0 API mocking
+  process.env.TENANT_ID_CLAIM = 'https://api.example.com/tenant_id'; // Claim used by tenant-bound test tokens
   
   console.log('🧪 Global test setup completed');
   console.log(`📊 Test environment: ${process.env.NODE_ENV}`);
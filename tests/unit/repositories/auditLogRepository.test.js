@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AuditLogRepository = require('../../../src/repositories/auditLogRepository');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../../src/utils/logger', () => require('../../helpers/loggerMock'));
+
+const buildEntry = (overrides = {}) => ({
+  timestamp: '2024-03-01T10:00:00.000Z',
+  action: 'tenant_updated',
+  resource: 'tenant',
+  actor: { id: 'client_a@clients', clientId: 'client_a', tenantId: null, isMasterClient: true },
+  tenantId: 'tenant_a',
+  userId: null,
+  changes: { name: { from: 'Old', to: 'New' } },
+  requestId: 'req_1',
+  outcome: 'success',
+  details: {},
+  ...overrides,
+});
+
+describe('AuditLogRepository', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-'));
+    filePath = path.join(dir, 'audit.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should chain entries and keep them across restarts', async () => {
+    const log = new AuditLogRepository({ filePath });
+    const first = await log.append(buildEntry());
+    const second = await log.append(buildEntry({ action: 'tenant_deleted' }));
+
+    expect(first.seq).toBe(1);
+    expect(second.prevHash).toBe(first.hash);
+
+    const reopened = new AuditLogRepository({ filePath });
+    const third = await reopened.append(buildEntry({ action: 'tenant_created' }));
+
+    expect(third.seq).toBe(3);
+    expect(third.prevHash).toBe(second.hash);
+    expect(await reopened.verify()).toEqual({ valid: true, entries: 3, brokenAt: null });
+  });
+
+  test('should detect an edited entry', async () => {
+    const log = new AuditLogRepository({ filePath });
+    await log.append(buildEntry());
+    await log.append(buildEntry({ tenantId: 'tenant_b' }));
+    await log.append(buildEntry({ tenantId: 'tenant_c' }));
+
+    const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+    const tampered = JSON.parse(lines[1]);
+    tampered.tenantId = 'tenant_x';
+    lines[1] = JSON.stringify(tampered);
+    fs.writeFileSync(filePath, `${lines.join('\n')}\n`);
+
+    const reopened = new AuditLogRepository({ filePath });
+    expect(await reopened.verify()).toEqual({ valid: false, entries: 3, brokenAt: 2 });
+  });
+
+  test('should ignore a torn final line', async () => {
+    const log = new AuditLogRepository({ filePath });
+    await log.append(buildEntry());
+    fs.appendFileSync(filePath, '{"seq":2,"action":"ten');
+
+    const reopened = new AuditLogRepository({ filePath });
+    expect(await reopened.verify()).toEqual({ valid: true, entries: 1, brokenAt: null });
+  });
+
+  test('should keep entries appended after a torn line', async () => {
+    const log = new AuditLogRepository({ filePath });
+    await log.append(buildEntry());
+    fs.appendFileSync(filePath, '{"seq":2,"action":"ten');
+
+    const reopened = new AuditLogRepository({ filePath });
+    const second = await reopened.append(buildEntry({ action: 'tenant_deleted' }));
+    await reopened.append(buildEntry({ action: 'tenant_created' }));
+
+    const restarted = new AuditLogRepository({ filePath });
+    expect(await restarted.verify()).toEqual({ valid: true, entries: 3, brokenAt: null });
+    expect((await restarted.query({ action: 'tenant_deleted' })).entries).toEqual([second]);
+  });
+
+  test('should filter by tenant, actor, action and time range', async () => {
+    const log = new AuditLogRepository();
+    await log.append(buildEntry({ timestamp: '2024-03-01T10:00:00.000Z' }));
+    await log.append(buildEntry({ timestamp: '2024-03-02T10:00:00.000Z', tenantId: 'tenant_b' }));
+    await log.append(buildEntry({
+      timestamp: '2024-03-03T10:00:00.000Z',
+      action: 'user_created',
+      actor: { id: 'client_b@clients', clientId: 'client_b', tenantId: 'tenant_a', isMasterClient: false },
+    }));
+
+    expect((await log.query({ tenantId: 'tenant_a' })).total).toBe(2);
+    expect((await log.query({ actor: 'client_b' })).entries).toEqual([
+      expect.objectContaining({ action: 'user_created' }),
+    ]);
+    expect((await log.query({ action: 'tenant_updated' })).total).toBe(2);
+
+    const ranged = await log.query({ from: '2024-03-02T00:00:00.000Z', to: '2024-03-03T23:59:59.000Z' });
+    expect(ranged.entries.map((entry) => entry.seq)).toEqual([3, 2]);
+  });
+});
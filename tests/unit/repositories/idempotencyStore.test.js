@@ -0,0 +1,128 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalIdempotencyStore = require('../../../src/repositories/localIdempotencyStore');
+const RedisIdempotencyStore = require('../../../src/repositories/redisIdempotencyStore');
+const { createIdempotencyStore } = require('../../../src/repositories');
+const config = require('../../../src/config');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../../src/utils/logger', () => require('../../helpers/loggerMock'));
+
+const response = { statusCode: 201, headers: {}, body: '{"success":true}' };
+
+// Just enough of a node-redis client: SET with NX and EX, GET and DEL
+const mockRedisClient = {
+  values: new Map(),
+  on: jest.fn(),
+  connect: jest.fn(async () => {}),
+  quit: jest.fn(async () => {}),
+  async set(key, value, { NX, EX } = {}) {
+    const current = this.values.get(key);
+    if (NX && current && current.expiresAt > Date.now()) {
+      return null;
+    }
+    this.values.set(key, { value, expiresAt: Date.now() + EX * 1000 });
+    return 'OK';
+  },
+  async get(key) {
+    const current = this.values.get(key);
+    return current && current.expiresAt > Date.now() ? current.value : null;
+  },
+  async del(key) {
+    this.values.delete(key);
+  },
+};
+
+jest.mock('redis', () => ({ createClient: jest.fn(() => mockRedisClient) }), { virtual: true });
+
+describe('LocalIdempotencyStore', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'idempotency-'));
+    filePath = path.join(dir, 'idempotency.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should hand a key to the first caller only', async () => {
+    const store = new LocalIdempotencyStore();
+
+    expect(await store.begin('client:key', 'fp', 60)).toBeNull();
+    expect(await store.begin('client:key', 'fp', 60)).toEqual(expect.objectContaining({ state: 'pending' }));
+
+    await store.release('client:key');
+    expect(await store.begin('client:key', 'fp', 60)).toBeNull();
+  });
+
+  test('should keep completed responses across restarts until they expire', async () => {
+    const store = new LocalIdempotencyStore({ filePath });
+    await store.begin('client:kept', 'fp', 60);
+    await store.complete('client:kept', 'fp', response, 60);
+    await store.begin('client:expired', 'fp', 60);
+    await store.complete('client:expired', 'fp', response, -1);
+    await store.close();
+
+    const reopened = new LocalIdempotencyStore({ filePath });
+    expect(await reopened.begin('client:kept', 'fp', 60)).toEqual({
+      state: 'completed',
+      fingerprint: 'fp',
+      response,
+      expiresAt: expect.any(Number),
+    });
+    expect(await reopened.begin('client:expired', 'fp', 60)).toBeNull();
+  });
+});
+
+describe('RedisIdempotencyStore', () => {
+  beforeEach(() => {
+    mockRedisClient.values.clear();
+  });
+
+  test('should claim keys with SET NX and replay completed responses', async () => {
+    const store = new RedisIdempotencyStore({ url: 'redis://localhost:6379' });
+
+    expect(await store.begin('client:key', 'fp', 60)).toBeNull();
+    expect(await store.begin('client:key', 'fp', 60)).toEqual({ state: 'pending', fingerprint: 'fp' });
+
+    await store.complete('client:key', 'fp', response, 60);
+    expect(await store.begin('client:key', 'fp', 60)).toEqual({ state: 'completed', fingerprint: 'fp', response });
+    expect(mockRedisClient.values.has('idempotency:client:key')).toBe(true);
+
+    await store.release('client:key');
+    expect(await store.begin('client:key', 'fp', 60)).toBeNull();
+
+    await store.close();
+    expect(mockRedisClient.quit).toHaveBeenCalled();
+    expect(require('redis').createClient).toHaveBeenCalledWith({ url: 'redis://localhost:6379' });
+  });
+
+  describe('selection', () => {
+    const originalEnv = process.env.NODE_ENV;
+    const originalRedis = config.redis;
+
+    afterEach(() => {
+      process.env.NODE_ENV = originalEnv;
+      config.redis = originalRedis;
+      jest.restoreAllMocks();
+    });
+
+    test('should fall back to the file store when REDIS_URL is set without the redis package', () => {
+      jest.spyOn(RedisIdempotencyStore, 'isAvailable').mockReturnValue(false);
+      process.env.NODE_ENV = 'production';
+      config.redis = { ...originalRedis, url: 'redis://localhost:6379' };
+
+      expect(createIdempotencyStore().kind).toBe('file');
+    });
+
+    test('should refuse an explicit redis: store without the redis package', () => {
+      jest.spyOn(RedisIdempotencyStore, 'isAvailable').mockReturnValue(false);
+
+      expect(() => createIdempotencyStore('redis://localhost:6379')).toThrow(/npm install redis/);
+    });
+  });
+});
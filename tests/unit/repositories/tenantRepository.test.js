@@ -0,0 +1,189 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseDatabaseUrl,
+  createTenantRepository,
+} = require('../../../src/repositories');
+const { TenantAlreadyExistsError } = require('../../../src/utils/errors');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../../src/utils/logger', () => require('../../helpers/loggerMock'));
+
+const hasSqlite = (() => {
+  try {
+    require('better-sqlite3');
+    return true;
+  } catch (error) {
+    return false;
+  }
+})();
+
+const buildTenant = (overrides = {}) => ({
+  id: 'tenant_repo_1',
+  name: 'Repo Corp',
+  domain: 'repo-corp',
+  seatLimit: 20,
+  seatUsed: 0,
+  status: 'active',
+  metadata: { plan: 'standard' },
+  createdAt: new Date('2024-02-01T10:00:00.000Z'),
+  updatedAt: new Date('2024-02-01T10:00:00.000Z'),
+  ...overrides,
+});
+
+describe('parseDatabaseUrl', () => {
+  test('should default to memory storage under the test environment', () => {
+    expect(parseDatabaseUrl(undefined)).toEqual({ kind: 'memory' });
+  });
+
+  test('should parse file, sqlite and memory URLs', () => {
+    expect(parseDatabaseUrl('file:./data/tenants.json')).toEqual({ kind: 'json', location: './data/tenants.json' });
+    expect(parseDatabaseUrl('sqlite://./data/tenants.db')).toEqual({ kind: 'sqlite', location: './data/tenants.db' });
+    expect(parseDatabaseUrl('memory:')).toEqual({ kind: 'memory' });
+  });
+
+  test('should reject unsupported schemes', () => {
+    expect(() => parseDatabaseUrl('postgresql://localhost/db')).toThrow('Unsupported DATABASE_URL scheme');
+  });
+});
+
+const adapters = [
+  ['json', (dir) => `file:${path.join(dir, 'tenants.json')}`],
+  ...(hasSqlite ? [['sqlite', (dir) => `sqlite:${path.join(dir, 'tenants.db')}`]] : []),
+];
+
+describe.each(adapters)('%s tenant repository', (kind, buildUrl) => {
+  let dir;
+  let url;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tenant-repo-'));
+    url = buildUrl(dir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should keep tenants across restarts', async () => {
+    const repository = createTenantRepository(url);
+    await repository.insert(buildTenant());
+    await repository.close();
+
+    const reopened = createTenantRepository(url);
+    const tenant = await reopened.findById('tenant_repo_1');
+
+    expect(tenant).toMatchObject({ id: 'tenant_repo_1', domain: 'repo-corp', name: 'Repo Corp' });
+    expect(tenant.createdAt).toBeValidDate();
+    expect(await reopened.findByDomain('repo-corp')).toMatchObject({ id: 'tenant_repo_1' });
+    expect(await reopened.list()).toHaveLength(1);
+    await reopened.close();
+  });
+
+  test('should read seat counters from the seat store', async () => {
+    const repository = createTenantRepository(url);
+    await repository.insert(buildTenant());
+    await repository.saveSeats('tenant_repo_1', { seatLimit: 30, seatUsed: 7, lastUpdated: new Date() });
+
+    const tenant = await repository.findById('tenant_repo_1');
+
+    expect(tenant.seatLimit).toBe(30);
+    expect(tenant.seatUsed).toBe(7);
+    expect(await repository.listSeats()).toEqual([
+      expect.objectContaining({ tenantId: 'tenant_repo_1', seatLimit: 30, seatUsed: 7 }),
+    ]);
+    await repository.close();
+  });
+
+  test('should reject a duplicate domain', async () => {
+    const repository = createTenantRepository(url);
+    await repository.insert(buildTenant());
+
+    await expect(repository.insert(buildTenant({ id: 'tenant_repo_2' })))
+      .rejects.toThrow(TenantAlreadyExistsError);
+    await repository.close();
+  });
+
+  test('should reject one of two concurrent inserts for the same domain', async () => {
+    const repository = createTenantRepository(url);
+
+    const results = await Promise.allSettled([
+      repository.insert(buildTenant()),
+      repository.insert(buildTenant({ id: 'tenant_repo_2' })),
+    ]);
+
+    expect(results[0].status).toBe('fulfilled');
+    expect(results[1].reason).toBeInstanceOf(TenantAlreadyExistsError);
+    expect(await repository.list()).toHaveLength(1);
+    await repository.close();
+  });
+
+  if (kind === 'sqlite') {
+    test('should report a domain taken past the check as a duplicate', async () => {
+      const repository = createTenantRepository(url);
+      await repository.insert(buildTenant());
+      jest.spyOn(repository.statements.findByDomain, 'get').mockReturnValue(undefined);
+
+      await expect(repository.insert(buildTenant({ id: 'tenant_repo_2' })))
+        .rejects.toThrow(TenantAlreadyExistsError);
+      await repository.close();
+    });
+  }
+
+  test('should reject an update to another tenant\'s domain', async () => {
+    const repository = createTenantRepository(url);
+    await repository.insert(buildTenant());
+    await repository.insert(buildTenant({ id: 'tenant_repo_2', domain: 'other-corp' }));
+
+    await expect(repository.update('tenant_repo_2', buildTenant({ id: 'tenant_repo_2' })))
+      .rejects.toThrow(TenantAlreadyExistsError);
+    expect(await repository.findById('tenant_repo_2')).toMatchObject({ domain: 'other-corp' });
+    expect(await repository.findByDomain('repo-corp')).toMatchObject({ id: 'tenant_repo_1' });
+    await repository.close();
+  });
+
+  test('should update and remove tenants together with their seats', async () => {
+    const repository = createTenantRepository(url);
+    await repository.insert(buildTenant());
+    await repository.saveSeats('tenant_repo_1', { seatLimit: 20, seatUsed: 0, lastUpdated: new Date() });
+
+    const updated = await repository.update('tenant_repo_1', { ...buildTenant(), name: 'Renamed Corp' });
+    expect(updated.name).toBe('Renamed Corp');
+
+    expect(await repository.remove('tenant_repo_1')).toBe(true);
+    expect(await repository.findById('tenant_repo_1')).toBeNull();
+    expect(await repository.getSeats('tenant_repo_1')).toBeNull();
+    await repository.close();
+  });
+
+  test('should find a tenant by a registered API client ID', async () => {
+    const repository = createTenantRepository(url);
+    await repository.insert(buildTenant({ apiClientIds: ['client_a', 'client_b'] }));
+
+    expect(await repository.findByApiClientId('client_b')).toMatchObject({ id: 'tenant_repo_1' });
+    expect(await repository.findByApiClientId('client_c')).toBeNull();
+    await repository.close();
+  });
+});
+
+describe('json tenant repository legacy import', () => {
+  test('should import seats from the legacy seat file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tenant-repo-'));
+    const JsonTenantRepository = require('../../../src/repositories/jsonTenantRepository');
+    const legacySeatFile = path.join(dir, 'tenant-seats.json');
+    fs.writeFileSync(legacySeatFile, JSON.stringify({
+      tenant_legacy: { tenantId: 'tenant_legacy', seatLimit: 15, seatUsed: 4, lastUpdated: new Date() },
+    }));
+
+    const repository = new JsonTenantRepository({
+      filePath: path.join(dir, 'tenants.json'),
+      legacySeatFile,
+    });
+
+    expect(await repository.getSeats('tenant_legacy')).toMatchObject({ seatLimit: 15, seatUsed: 4 });
+    await repository.close();
+    expect(fs.existsSync(path.join(dir, 'tenants.json'))).toBe(true);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,97 @@
+const AlertService = require('../../../src/services/alertService');
+const SeatService = require('../../../src/services/seatService');
+const { setNotifiers } = require('../../../src/notifiers');
+const { ConflictError, ResourceNotFoundError } = require('../../../src/utils/errors');
+const ServiceHelper = require('../../helpers/serviceHelper');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../../src/utils/logger', () => require('../../helpers/loggerMock'));
+
+describe('AlertService', () => {
+  const tenantId = 'tenant_alerts_123';
+  let service;
+  let sent;
+
+  const seats = (seatUsed, seatLimit = 10) => ({ seatUsed, seatLimit });
+
+  // Let background notifications settle
+  const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+  beforeEach(() => {
+    ServiceHelper.resetStores();
+    sent = [];
+    setNotifiers([{ channel: 'test', send: async (alert) => sent.push(alert) }]);
+    service = new AlertService();
+  });
+
+  afterAll(() => {
+    setNotifiers(null);
+  });
+
+  test('raises one alert per crossing and direction', async () => {
+    const up = await service.checkThresholds(tenantId, seats(7), seats(9), [80, 90]);
+    expect(up.map((alert) => [alert.threshold, alert.direction, alert.severity])).toEqual([
+      [80, 'up', 'warning'],
+      [90, 'up', 'warning'],
+    ]);
+
+    // Dropping back below 90% re-arms only that threshold
+    expect(await service.checkThresholds(tenantId, seats(9), seats(8), [80, 90])).toEqual([
+      expect.objectContaining({ threshold: 90, direction: 'down', severity: 'info' }),
+    ]);
+
+    await flush();
+    expect(sent).toHaveLength(3);
+    const { alerts } = await service.listAlerts({ tenantId });
+    expect(alerts[0].notifications).toEqual([expect.objectContaining({ channel: 'test', status: 'sent' })]);
+  });
+
+  test('suppresses a re-crossing within the debounce window', async () => {
+    await service.checkThresholds(tenantId, seats(8), seats(9), [90]);
+    await service.checkThresholds(tenantId, seats(9), seats(8), [90]);
+
+    // Flapping back up right away raises nothing new
+    expect(await service.checkThresholds(tenantId, seats(8), seats(9), [90])).toEqual([]);
+    expect((await service.listAlerts({ tenantId })).pagination.total).toBe(2);
+  });
+
+  test('records failed notifications on the alert', async () => {
+    setNotifiers([{ channel: 'webhook', send: async () => { throw new Error('connect ECONNREFUSED'); } }]);
+
+    const [alert] = await service.checkThresholds(tenantId, seats(9), seats(10), [95]);
+    expect(alert.severity).toBe('critical');
+    await flush();
+
+    expect((await service.getAlert(alert.id)).notifications).toEqual([
+      expect.objectContaining({ channel: 'webhook', status: 'failed', error: 'connect ECONNREFUSED' }),
+    ]);
+  });
+
+  test('acknowledges an alert once', async () => {
+    const [alert] = await service.checkThresholds(tenantId, seats(7), seats(8), [80]);
+
+    const acknowledged = await service.acknowledgeAlert(alert.id, { sub: 'ops@clients' }, 'Buying seats');
+    expect(acknowledged).toEqual(expect.objectContaining({
+      status: 'acknowledged',
+      acknowledgedBy: 'ops@clients',
+      note: 'Buying seats',
+    }));
+    expect((await service.listAlerts({ status: 'open' })).alerts).toEqual([]);
+
+    await expect(service.acknowledgeAlert(alert.id, { sub: 'ops@clients' })).rejects.toThrow(ConflictError);
+    await expect(service.getAlert('alert_missing')).rejects.toThrow(ResourceNotFoundError);
+  });
+
+  test('checks every seat change against the configured thresholds', async () => {
+    const seatService = new SeatService();
+    const id = `tenant_alerts_${Date.now()}`;
+
+    await seatService.initializeTenantSeats(id, 10);
+    await seatService.reserveSeats(id, 8);
+    await seatService.releaseSeats(id, 2);
+
+    const { alerts } = await seatService.alertService.listAlerts({ tenantId: id });
+    expect(alerts.map((alert) => [alert.threshold, alert.direction]))
+      .toEqual(expect.arrayContaining([[80, 'up'], [80, 'down']]));
+  });
+});
@@ -0,0 +1,100 @@
+const Auth0Service = require('../../../src/services/auth0Service');
+const ServiceHelper = require('../../helpers/serviceHelper');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../../src/utils/logger', () => require('../../helpers/loggerMock'));
+
+describe('Auth0Service user search', () => {
+  let auth0Service;
+  let tenantId;
+  let insider;
+
+  const createUser = (tenantId, name) => auth0Service.createUser(`tenant-${tenantId}.auth0.com`, {
+    email: `${name.toLowerCase()}_${Date.now()}@example.com`,
+    name,
+    password: 'Password123',
+    tenantId,
+  });
+
+  beforeEach(async () => {
+    auth0Service = new Auth0Service();
+    tenantId = `tenant_search_${Math.random().toString(36).slice(2, 8)}`;
+    insider = await createUser(tenantId, 'Searchable Insider');
+    await createUser(`${tenantId}_other`, 'Searchable Outsider');
+  });
+
+  test('should keep the search inside the tenant filter', async () => {
+    const getAll = jest.spyOn(auth0Service.managementClient.users, 'getAll');
+
+    const result = await auth0Service.getUsers('tenant-a', {
+      tenantId,
+      search: 'x OR app_metadata.tenant_id:*',
+    });
+
+    expect(getAll.mock.calls[0][0].q)
+      .toBe(`app_metadata.tenant_id:"${tenantId}" AND (x OR app_metadata.tenant_id\\:\\*)`);
+    expect(result.users).toEqual([]);
+  });
+
+  test('should still match search text on name and email', async () => {
+    const result = await auth0Service.getUsers('tenant-a', {
+      tenantId,
+      search: 'searchable',
+    });
+
+    expect(result.users.map((user) => user.user_id)).toEqual([insider.user_id]);
+  });
+
+  describe('listing every tenant user', () => {
+    // Users created three to a millisecond, so windows end inside a tie
+    const seedUsers = (count) => Array.from({ length: count }, (_, i) => {
+      const user = {
+        user_id: `auth0|bulk_${tenantId}_${i}`,
+        email: `bulk_${i}@example.com`,
+        created_at: new Date(Date.UTC(2024, 0, 1) + Math.floor(i / 3)).toISOString(),
+        app_metadata: { tenant_id: tenantId },
+      };
+      auth0Service._mock.users.set(user.user_id, user);
+      return user.user_id;
+    });
+
+    test('should read past the 1000 results a search returns', async () => {
+      const seeded = seedUsers(1250);
+      const getAll = jest.spyOn(auth0Service.managementClient.users, 'getAll');
+
+      const users = await auth0Service.getAllTenantUsers({ id: tenantId });
+
+      const ids = users.map((user) => user.user_id);
+      expect(new Set(ids).size).toBe(1251);
+      expect(ids).toEqual(expect.arrayContaining([...seeded, insider.user_id]));
+      expect(getAll.mock.calls.every(([params]) => (params.page + 1) * params.per_page <= 1000)).toBe(true);
+    });
+
+    test('should name the search limit when too many users share a creation time', async () => {
+      seedUsers(1000).forEach((userId) => {
+        auth0Service._mock.users.get(userId).created_at = '2024-01-01T00:00:00.000Z';
+      });
+      auth0Service._mock.users.get(insider.user_id).created_at = '2024-01-01T00:00:00.000Z';
+
+      await expect(auth0Service.getAllTenantUsers({ id: tenantId }))
+        .rejects.toThrow('more than 1000 share one creation time, and a user search returns at most 1000 results');
+    });
+
+    test('should read organization members with checkpoint paging', async () => {
+      const organization = await auth0Service.createOrganization({
+        name: ServiceHelper.uniqueName('bulk'),
+        displayName: 'Bulk Org',
+        tenantId,
+      });
+      const seeded = seedUsers(230);
+      await auth0Service.managementClient.organizations.addMembers({ id: organization.id }, { members: seeded });
+      const getMembers = jest.spyOn(auth0Service.managementClient.organizations, 'getMembers');
+
+      const users = await auth0Service.getAllTenantUsers({ id: tenantId, auth0OrganizationId: organization.id });
+
+      expect(users.map((user) => user.user_id)).toEqual(seeded);
+      expect(getMembers).toHaveBeenCalledTimes(3);
+      expect(getMembers).toHaveBeenLastCalledWith({ id: organization.id, take: 100, from: '200' });
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const ConnectionService = require('../../../src/services/connectionService');
+const TenantService = require('../../../src/services/tenantService');
+const UserService = require('../../../src/services/userService');
+const { BusinessLogicError, InvalidRequestError } = require('../../../src/utils/errors');
+const ServiceHelper = require('../../helpers/serviceHelper');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../../src/utils/logger', () => require('../../helpers/loggerMock'));
+
+describe('Tenant connections', () => {
+  const admin = ServiceHelper.masterActor();
+  let tenantService;
+  let connectionService;
+
+  const createTenant = () => ServiceHelper.createTenant(tenantService, { name: 'Connected Corp' });
+
+  const createSamlConnection = (tenantId, name = ServiceHelper.uniqueName('saml')) => connectionService.createConnection(tenantId, {
+    name,
+    type: 'saml',
+    options: {
+      signInEndpoint: 'https://idp.example.com/sso',
+      signingCert: 'MIIC-test-certificate',
+      domainAliases: ['example.com'],
+    },
+  }, admin);
+
+  beforeEach(() => {
+    ServiceHelper.resetStores();
+    tenantService = new TenantService();
+    connectionService = new ConnectionService();
+  });
+
+  test('should create a connection enabled for the tenant and its client', async () => {
+    const tenant = await createTenant();
+    const connection = await createSamlConnection(tenant.id);
+
+    expect(connection).toMatchObject({ type: 'saml', strategy: 'samlp', enabled: true, owned: true });
+    expect(connection.domainAliases).toEqual(['example.com']);
+
+    const stored = await connectionService.auth0Service.getConnectionByName(connection.name);
+    expect(stored.enabled_clients).toEqual([tenant.auth0ClientId]);
+    expect(stored.metadata.tenant_id).toBe(tenant.id);
+
+    const listed = await connectionService.listConnections(tenant.id);
+    expect(listed.map((item) => item.name)).toEqual(['Username-Password-Authentication', connection.name]);
+  });
+
+  test('should disable a connection but never the last one', async () => {
+    const tenant = await createTenant();
+    const connection = await createSamlConnection(tenant.id);
+
+    const disabled = await connectionService.disableConnection(tenant.id, connection.name, admin);
+    expect(disabled.enabled).toBe(false);
+    const stored = await connectionService.auth0Service.getConnectionByName(connection.name);
+    expect(stored.enabled_clients).toEqual([]);
+
+    await expect(connectionService.disableConnection(tenant.id, 'Username-Password-Authentication', admin))
+      .rejects.toThrow(BusinessLogicError);
+  });
+
+  test('should not enable a connection owned by another tenant', async () => {
+    const owner = await createTenant();
+    const other = await createTenant();
+    const connection = await createSamlConnection(owner.id);
+
+    await expect(connectionService.enableConnection(other.id, connection.name, admin))
+      .rejects.toThrow('Connection belongs to another tenant');
+  });
+
+  test('should reject users on connections not enabled for the tenant', async () => {
+    const tenant = await createTenant();
+    const userService = new UserService();
+
+    await expect(userService.createUser(tenant.id, {
+      email: `sso_${Date.now()}@example.com`,
+      name: 'SSO User',
+      password: 'Password123',
+      connection: 'google-oauth2',
+    }, admin)).rejects.toThrow(InvalidRequestError);
+  });
+});
@@ -0,0 +1,130 @@
+const InvitationService = require('../../../src/services/invitationService');
+const TenantService = require('../../../src/services/tenantService');
+const { getTenantRepository } = require('../../../src/repositories');
+const { ConflictError, DuplicateResourceError } = require('../../../src/utils/errors');
+const ServiceHelper = require('../../helpers/serviceHelper');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../../src/utils/logger', () => require('../../helpers/loggerMock'));
+
+describe('InvitationService', () => {
+  const admin = ServiceHelper.masterActor();
+  let tenantService;
+  let service;
+  let auth0Service;
+
+  const createTenant = async () => (await ServiceHelper.createTenant(tenantService, { name: 'Inviting Corp' })).id;
+
+  const invite = (tenantId, overrides = {}) => service.createInvitation(tenantId, {
+    email: ServiceHelper.uniqueEmail('invitee'),
+    name: 'Invited User',
+    ...overrides,
+  }, admin);
+
+  const seatUsed = async (tenantId) => (await service.seatService.getTenantSeatUsage(tenantId)).seatUsed;
+
+  const backdate = (invitation) => service.invitations.put(invitation.id, {
+    ...invitation,
+    expiresAt: new Date(Date.now() - 1000).toISOString(),
+  });
+
+  beforeEach(() => {
+    ServiceHelper.resetStores();
+    tenantService = new TenantService();
+    service = new InvitationService();
+    auth0Service = service.auth0Service;
+  });
+
+  test('should reserve a seat, create the user and return a password ticket', async () => {
+    const tenantId = await createTenant();
+    const { invitation, invitationUrl } = await invite(tenantId, { expiresInHours: 24 });
+
+    expect(invitationUrl).toMatch(/^https:\/\/mock\.auth0\.com\/lo\/reset\?ticket=/);
+    expect(invitation).toMatchObject({ status: 'pending', holdsSeat: true, roles: ['user'] });
+    expect(new Date(invitation.expiresAt).getTime() - Date.now()).toBeGreaterThan(23 * 3600 * 1000);
+    expect(await seatUsed(tenantId)).toBe(1);
+
+    const user = await auth0Service.getUser(invitation.userId);
+    expect(user.app_metadata).toMatchObject({ tenant_id: tenantId, invitation_id: invitation.id });
+
+    await expect(invite(tenantId, { email: invitation.email })).rejects.toThrow(DuplicateResourceError);
+    expect(await service.listInvitations(tenantId)).toEqual([invitation]);
+  });
+
+  test('should delete the user and release the seat when revoked', async () => {
+    const tenantId = await createTenant();
+    const { invitation } = await invite(tenantId);
+
+    const revoked = await service.revokeInvitation(tenantId, invitation.id, admin);
+
+    expect(revoked).toMatchObject({ status: 'revoked', revokedBy: admin.sub });
+    expect(await seatUsed(tenantId)).toBe(0);
+    await expect(auth0Service.getUser(invitation.userId)).rejects.toMatchObject({ statusCode: 404 });
+    await expect(service.revokeInvitation(tenantId, invitation.id, admin)).rejects.toThrow(ConflictError);
+    await expect(service.resendInvitation(tenantId, invitation.id, admin)).rejects.toThrow(ConflictError);
+  });
+
+  test('should expire overdue invitations and keep accepted ones', async () => {
+    const tenantId = await createTenant();
+    const { invitation: stale } = await invite(tenantId);
+    const { invitation: accepted } = await invite(tenantId);
+    await backdate(stale);
+    await backdate(accepted);
+    await auth0Service.updateUser(accepted.userId, { email_verified: true });
+
+    const summary = await service.expireInvitations(tenantId);
+
+    expect(summary).toEqual({ expired: 1, accepted: 1, failures: [] });
+    expect((await service.getInvitation(tenantId, stale.id)).status).toBe('expired');
+    expect((await service.getInvitation(tenantId, accepted.id)).status).toBe('accepted');
+    expect(await seatUsed(tenantId)).toBe(1);
+  });
+
+  test('should release the seat once when an invitation is settled concurrently', async () => {
+    const tenantId = await createTenant();
+    await invite(tenantId);
+    const { invitation } = await invite(tenantId);
+    await backdate(invitation);
+
+    const settled = await Promise.all([
+      service.settle(invitation),
+      service.settle(invitation),
+      service.expireInvitations(tenantId),
+      service.revokeInvitation(tenantId, invitation.id, admin).catch((error) => error),
+    ]);
+
+    expect(settled[0].status).toBe('expired');
+    expect(settled[1].status).toBe('expired');
+    expect(settled[3]).toBeInstanceOf(ConflictError);
+    expect((await service.getInvitation(tenantId, invitation.id)).status).toBe('expired');
+    expect(await seatUsed(tenantId)).toBe(1);
+  });
+
+  test('should use organization invitations for organization-backed tenants', async () => {
+    const tenantId = await createTenant();
+    const organization = await auth0Service.createOrganization({
+      name: ServiceHelper.uniqueName('inviting-org'),
+      displayName: 'Inviting Org',
+      tenantId,
+    });
+    const repository = getTenantRepository();
+    await repository.update(tenantId, {
+      ...(await repository.findById(tenantId)),
+      auth0OrganizationId: organization.id,
+    });
+
+    const { invitation, invitationUrl } = await invite(tenantId);
+    expect(invitationUrl).toContain(`organization=${organization.id}`);
+    expect(invitation.userId).toBeNull();
+    expect(await seatUsed(tenantId)).toBe(1);
+
+    const resent = await service.resendInvitation(tenantId, invitation.id, admin);
+    expect(resent.invitationUrl).not.toBe(invitationUrl);
+    expect(resent.invitation.resendCount).toBe(1);
+    expect(auth0Service._mock.organizations.get(organization.id).invitations.size).toBe(1);
+
+    await service.revokeInvitation(tenantId, invitation.id, admin);
+    expect(auth0Service._mock.organizations.get(organization.id).invitations.size).toBe(0);
+    expect(await seatUsed(tenantId)).toBe(0);
+  });
+});
@@ -0,0 +1,128 @@
+const SeatHistoryService = require('../../../src/services/seatHistoryService');
+const SeatService = require('../../../src/services/seatService');
+const JsonDocumentStore = require('../../../src/repositories/jsonDocumentStore');
+const { setDocumentStore } = require('../../../src/repositories');
+const { InvalidRequestError, TenantNotFoundError } = require('../../../src/utils/errors');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../../src/utils/logger', () => require('../../helpers/loggerMock'));
+
+describe('SeatHistoryService', () => {
+  const tenantId = 'tenant_history_123';
+  let service;
+
+  // Record the usage after a change at the given time
+  const recordAt = (at, seatUsed, seatLimit = 10, type = 'reserve') => service.record(
+    tenantId,
+    type,
+    null,
+    { seatUsed, seatLimit },
+    new Date(at)
+  );
+
+  beforeEach(() => {
+    setDocumentStore(new JsonDocumentStore());
+    service = new SeatHistoryService();
+  });
+
+  test('reports peak, time-weighted average and end-of-period usage per day', async () => {
+    await recordAt('2026-03-01T00:00:00.000Z', 2, 10, 'initialize');
+    await recordAt('2026-03-01T06:00:00.000Z', 6);
+    await recordAt('2026-03-01T12:00:00.000Z', 4, 10, 'release');
+    await recordAt('2026-03-02T12:00:00.000Z', 4, 20, 'limit_change');
+
+    const history = await service.getHistory(tenantId, {
+      from: '2026-03-01T00:00:00.000Z',
+      to: '2026-03-03T00:00:00.000Z',
+    });
+
+    expect(history.periods).toEqual([
+      expect.objectContaining({
+        periodStart: '2026-03-01T00:00:00.000Z',
+        peakSeatUsed: 6,
+        averageSeatUsed: 4, // 2 for 6h, 6 for 6h, 4 for 12h
+        endSeatUsed: 4,
+        seatLimit: 10,
+      }),
+      expect.objectContaining({
+        periodStart: '2026-03-02T00:00:00.000Z',
+        peakSeatUsed: 4,
+        averageSeatUsed: 4,
+        endSeatUsed: 4,
+        seatLimit: 20,
+      }),
+    ]);
+    expect(history.summary).toEqual(expect.objectContaining({ peakSeatUsed: 6, endSeatUsed: 4 }));
+  });
+
+  test('carries usage into months without changes and reports the monthly peak', async () => {
+    await recordAt('2026-01-10T00:00:00.000Z', 8, 10, 'initialize');
+    await recordAt('2026-01-20T00:00:00.000Z', 9);
+    await recordAt('2026-01-25T00:00:00.000Z', 3, 10, 'release');
+
+    const history = await service.getHistory(tenantId, {
+      from: '2026-01-01T00:00:00.000Z',
+      to: '2026-03-01T00:00:00.000Z',
+      interval: 'month',
+    });
+
+    expect(history.periods.map((period) => period.peakSeatUsed)).toEqual([9, 3]);
+    expect(history.periods[1]).toEqual(expect.objectContaining({
+      periodStart: '2026-02-01T00:00:00.000Z',
+      averageSeatUsed: 3,
+      endSeatUsed: 3,
+    }));
+  });
+
+  test('rejects ranges that are empty or too long for the interval', async () => {
+    await expect(service.getHistory(tenantId, {
+      from: '2026-03-02T00:00:00.000Z',
+      to: '2026-03-01T00:00:00.000Z',
+    })).rejects.toThrow(InvalidRequestError);
+
+    await expect(service.getHistory(tenantId, {
+      from: '2020-01-01T00:00:00.000Z',
+      to: '2026-01-01T00:00:00.000Z',
+    })).rejects.toThrow('more than 1000 periods');
+  });
+
+  test('records seat changes made through the seat service', async () => {
+    const seatService = new SeatService();
+    const id = `tenant_history_${Date.now()}`;
+
+    await seatService.initializeTenantSeats(id, 10);
+    await seatService.reserveSeats(id, 3);
+    await seatService.setSeatsFrozen(id, true);
+    await seatService.setSeatsFrozen(id, false);
+    await seatService.releaseSeats(id, 1);
+    await seatService.updateSeatLimit(id, 12);
+
+    const events = await seatService.historyService.getEvents(id, new Date());
+    expect(events.map((event) => [event.type, event.seatUsed, event.seatLimit])).toEqual([
+      ['initialize', 0, 10],
+      ['reserve', 3, 10],
+      ['release', 2, 10],
+      ['limit_change', 2, 12],
+    ]);
+
+    const history = await seatService.getSeatHistory(id);
+    expect(history.summary).toEqual(expect.objectContaining({ peakSeatUsed: 3, endSeatUsed: 2, seatLimit: 12 }));
+    await expect(seatService.getSeatHistory('tenant_unknown_history')).rejects.toThrow(TenantNotFoundError);
+  });
+
+  test('projects when a growing tenant runs out of seats', async () => {
+    const day = 24 * 60 * 60 * 1000;
+    await recordAt(Date.now() - 40 * day, 10, 100, 'initialize');
+
+    const trend = await service.getTrend(tenantId, { seatUsed: 70, seatLimit: 100 });
+
+    expect(trend).toEqual(expect.objectContaining({
+      peakSeatUsed: 70,
+      seatsPerDay: 2,
+      daysUntilFull: 15,
+    }));
+    expect(new SeatService().generateRecommendations({ utilizationPercentage: 70 }, trend)).toContainEqual(
+      expect.objectContaining({ type: 'warning', priority: 'medium' })
+    );
+  });
+});
@@ -0,0 +1,126 @@
+const SeatReconciliationService = require('../../../src/services/seatReconciliationService');
+const { TenantNotFoundError } = require('../../../src/utils/errors');
+const ServiceHelper = require('../../helpers/serviceHelper');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../../src/utils/logger', () => require('../../helpers/loggerMock'));
+
+jest.mock('../../../src/services/auth0Service');
+jest.mock('../../../src/services/seatService');
+jest.mock('../../../src/services/auditService');
+
+const buildUsers = (count, tenantId) => ServiceHelper.buildAuth0Users(count, () => ({
+  app_metadata: { tenant_id: tenantId },
+}));
+
+describe('SeatReconciliationService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new SeatReconciliationService();
+    service.repository = {
+      findById: jest.fn(async (id) => (id === 'tenant_missing' ? null : { id })),
+      list: jest.fn(async () => [{ id: 'tenant_a' }, { id: 'tenant_b' }]),
+    };
+    // Records 240 used seats and hands back the count it was given
+    service.seatService.recountSeatUsage = jest.fn(async (tenantId, count) => ({
+      recorded: { seatLimit: 300, seatUsed: 240, nonBillableUsed: 0 },
+      actual: await count(),
+    }));
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should count every tenant user and those holding a seat', async () => {
+    const users = buildUsers(250, 'tenant_a');
+    users[0].app_metadata.billable = false;
+    service.auth0Service.getAllTenantUsers = jest.fn(async () => users);
+
+    const result = await service.countTenantUsers({ id: 'tenant_a' });
+
+    expect(result).toEqual({ totalUsers: 250, billableUsers: 249 });
+    expect(service.auth0Service.getAllTenantUsers).toHaveBeenCalledWith({ id: 'tenant_a' });
+  });
+
+  test('should report drift without correcting by default', async () => {
+    service.auth0Service.getAllTenantUsers = jest.fn(async () => buildUsers(250, 'tenant_a'));
+
+    const report = await service.reconcileTenant('tenant_a');
+
+    expect(report).toEqual(expect.objectContaining({
+      tenantId: 'tenant_a',
+      recordedSeatUsed: 240,
+      actualSeatUsed: 250,
+      drift: 10,
+      corrected: false,
+    }));
+    expect(service.seatService.recountSeatUsage)
+      .toHaveBeenCalledWith('tenant_a', expect.any(Function), { correct: false });
+    expect(service.auditService.record).not.toHaveBeenCalled();
+  });
+
+  test('should correct drift and write an audit entry', async () => {
+    service.auth0Service.getAllTenantUsers = jest.fn(async () => buildUsers(235, 'tenant_a'));
+    const admin = ServiceHelper.masterActor();
+
+    const report = await service.reconcileTenant('tenant_a', { correct: true }, admin);
+
+    expect(report.corrected).toBe(true);
+    expect(service.seatService.recountSeatUsage)
+      .toHaveBeenCalledWith('tenant_a', expect.any(Function), { correct: true });
+    expect(service.auditService.record).toHaveBeenCalledWith('seat_usage_corrected', 'tenant', admin, {
+      tenantId: 'tenant_a',
+      drift: -5,
+      before: { seatUsed: 240 },
+      after: { seatUsed: 235 },
+    });
+  });
+
+  test('should leave consistent tenants untouched', async () => {
+    service.auth0Service.getAllTenantUsers = jest.fn(async () => buildUsers(240, 'tenant_a'));
+
+    const report = await service.reconcileTenant('tenant_a', { correct: true });
+
+    expect(report.drift).toBe(0);
+    expect(report.corrected).toBe(false);
+    expect(service.auditService.record).not.toHaveBeenCalled();
+  });
+
+  test('should count only billable users under the tenant seat rules', async () => {
+    const users = buildUsers(240, 'tenant_a');
+    users[0].blocked = true;
+    users[1].app_metadata.billable = false;
+    users[2].email = 'agent@support.example.com';
+    service.auth0Service.getAllTenantUsers = jest.fn(async () => users);
+    service.repository.findById = jest.fn(async (id) => ({
+      id,
+      settings: { seatRules: { excludeBlocked: true, internalDomains: ['support.example.com'] } },
+    }));
+
+    const report = await service.reconcileTenant('tenant_a', { correct: true });
+
+    expect(report).toEqual(expect.objectContaining({ actualSeatUsed: 237, nonBillableUsers: 3, drift: -3 }));
+    expect(await service.seatService.recountSeatUsage.mock.calls[0][1]())
+      .toEqual({ seatUsed: 237, nonBillableUsed: 3 });
+  });
+
+  test('should throw TenantNotFoundError for unknown tenants', async () => {
+    await expect(service.reconcileTenant('tenant_missing')).rejects.toThrow(TenantNotFoundError);
+  });
+
+  test('should keep reconciling other tenants when one fails', async () => {
+    service.auth0Service.getAllTenantUsers = jest.fn(async ({ id }) => {
+      if (id === 'tenant_a') {
+        throw new Error('Auth0 unavailable');
+      }
+      return buildUsers(240, id);
+    });
+
+    const summary = await service.reconcileAll({ correct: true });
+
+    expect(summary.tenantsChecked).toBe(1);
+    expect(summary.failures).toEqual([{ tenantId: 'tenant_a', error: 'Auth0 unavailable' }]);
+  });
+});
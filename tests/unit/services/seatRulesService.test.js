@@ -0,0 +1,115 @@
+const SeatRulesService = require('../../../src/services/seatRulesService');
+const TenantService = require('../../../src/services/tenantService');
+const UserService = require('../../../src/services/userService');
+const { AuthorizationError } = require('../../../src/utils/errors');
+const ServiceHelper = require('../../helpers/serviceHelper');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../../src/utils/logger', () => require('../../helpers/loggerMock'));
+
+describe('Seat rules', () => {
+  const admin = ServiceHelper.masterActor();
+  let tenantService;
+  let userService;
+
+  const createTenant = async (overrides = {}, seatRules = null) => {
+    const tenant = await ServiceHelper.createTenant(tenantService, { name: 'Billing Corp', ...overrides });
+    if (seatRules) {
+      await tenantService.updateTenant(tenant.id, { seatRules }, admin);
+    }
+    return tenant.id;
+  };
+
+  const createUser = (tenantId, overrides = {}) => ServiceHelper.createUser(userService, tenantId, overrides);
+
+  const seatUsage = (tenantId) => userService.seatService.getTenantSeatUsage(tenantId);
+
+  beforeEach(() => {
+    ServiceHelper.resetStores();
+    tenantService = new TenantService();
+    userService = new UserService();
+  });
+
+  test('layers tenant settings over plan rules over the defaults', () => {
+    const service = new SeatRulesService();
+
+    expect(service.getRules(null)).toEqual(expect.objectContaining({ excludeBlocked: false, excludeNonBillable: true }));
+    expect(service.getRules({ metadata: { plan: 'enterprise' } }).excludeBlocked).toBe(true);
+    expect(service.getRules({
+      metadata: { plan: 'enterprise' },
+      settings: { seatRules: { excludeBlocked: false, internalDomains: ['example.org'] } },
+    })).toEqual(expect.objectContaining({ excludeBlocked: false, internalDomains: ['example.org'] }));
+
+    const rules = { excludeBlocked: true, excludeNonBillable: true, internalDomains: ['example.org'] };
+    expect(service.isBillable({ email: 'a@example.com', blocked: false, appMetadata: {} }, rules)).toBe(true);
+    expect(service.isBillable({ email: 'a@example.com', blocked: true, appMetadata: {} }, rules)).toBe(false);
+    expect(service.isBillable({ email: 'a@EXAMPLE.org', blocked: false, appMetadata: {} }, rules)).toBe(false);
+    expect(service.isBillable({ email: 'a@example.com', appMetadata: { billable: false } }, rules)).toBe(false);
+    expect(service.isBillable({
+      email: 'a@example.com',
+      blocked: true,
+      appMetadata: { blocked_by_tenant_suspension: true },
+    }, rules)).toBe(true);
+  });
+
+  test('non-billable users are created without a seat and counted apart', async () => {
+    const tenantId = await createTenant({}, { internalDomains: ['support.example.com'] });
+
+    await createUser(tenantId);
+    await createUser(tenantId, { email: `agent_${Date.now()}@support.example.com` });
+    const service = await createUser(tenantId, { appMetadata: { billable: false } });
+
+    expect(await seatUsage(tenantId)).toEqual(expect.objectContaining({ seatUsed: 1, nonBillableUsed: 2 }));
+    expect(await userService.getUserStats(tenantId)).toEqual(expect.objectContaining({
+      totalUsers: 3,
+      billableUsers: 1,
+      nonBillableUsers: 2,
+    }));
+
+    await userService.deleteUser(tenantId, service.id, admin);
+    expect(await seatUsage(tenantId)).toEqual(expect.objectContaining({ seatUsed: 1, nonBillableUsed: 1 }));
+  });
+
+  test('only master clients can mark users non-billable', async () => {
+    const tenantId = await createTenant();
+    const tenantClient = { sub: 'tenant_client@clients', client_id: 'tenant_client', tenant_id: tenantId };
+    const user = await createUser(tenantId);
+
+    await expect(userService.createUser(tenantId, {
+      email: `free_${Date.now()}@example.com`,
+      name: 'Free Rider',
+      password: 'Password123',
+      appMetadata: { billable: false },
+    }, tenantClient)).rejects.toThrow(AuthorizationError);
+    await expect(userService.updateUser(tenantId, user.id, { appMetadata: { billable: false } }, tenantClient))
+      .rejects.toThrow(AuthorizationError);
+
+    await userService.updateUser(tenantId, user.id, { appMetadata: { billable: false } }, admin);
+    expect(await seatUsage(tenantId)).toEqual(expect.objectContaining({ seatUsed: 0, nonBillableUsed: 1 }));
+  });
+
+  test('blocking and unblocking move the seat when blocked users are excluded', async () => {
+    const tenantId = await createTenant({ plan: 'enterprise', seatLimit: 1 });
+    const user = await createUser(tenantId);
+
+    await userService.updateUser(tenantId, user.id, { blocked: true }, admin);
+    expect(await seatUsage(tenantId)).toEqual(expect.objectContaining({ seatUsed: 0, nonBillableUsed: 1 }));
+
+    // The freed seat can go to someone else; unblocking then needs one
+    const other = await createUser(tenantId);
+    await expect(userService.updateUser(tenantId, user.id, { blocked: false }, admin))
+      .rejects.toThrow('Seat limit exceeded');
+
+    await userService.deleteUser(tenantId, other.id, admin);
+    await userService.updateUser(tenantId, user.id, { blocked: false }, admin);
+    expect(await seatUsage(tenantId)).toEqual(expect.objectContaining({ seatUsed: 1, nonBillableUsed: 0 }));
+  });
+
+  test('blocking keeps the seat under the default rules', async () => {
+    const tenantId = await createTenant();
+    const user = await createUser(tenantId);
+
+    await userService.updateUser(tenantId, user.id, { blocked: true }, admin);
+    expect(await seatUsage(tenantId)).toEqual(expect.objectContaining({ seatUsed: 1, nonBillableUsed: 0 }));
+  });
+});
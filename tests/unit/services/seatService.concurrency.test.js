@@ -0,0 +1,180 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SeatService = require('../../../src/services/seatService');
+const JsonTenantRepository = require('../../../src/repositories/jsonTenantRepository');
+const { setTenantRepository } = require('../../../src/repositories');
+const { SeatLimitExceededError } = require('../../../src/utils/errors');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../../src/utils/logger', () => require('../../helpers/loggerMock'));
+
+// Mock the config
+jest.mock('../../../src/config', () => ({
+  seats: {
+    defaultLimit: 10,
+    maxLimit: 1000,
+  },
+}));
+
+/**
+ * Let pending repository writes interleave the way slow disks would
+ */
+const withLatency = (repository) => {
+  const saveSeats = repository.saveSeats.bind(repository);
+  repository.saveSeats = async (...args) => {
+    await new Promise((resolve) => setTimeout(resolve, Math.random() * 5));
+    return saveSeats(...args);
+  };
+  return repository;
+};
+
+const settle = async (promises) => {
+  const results = await Promise.allSettled(promises);
+  return {
+    fulfilled: results.filter((result) => result.status === 'fulfilled'),
+    rejected: results.filter((result) => result.status === 'rejected'),
+  };
+};
+
+describe('SeatService concurrency', () => {
+  let dir;
+  let repository;
+  let seatService;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'seat-ledger-'));
+    repository = withLatency(new JsonTenantRepository({
+      filePath: path.join(dir, 'tenants.json'),
+      compactEvery: 7,
+    }));
+    setTenantRepository(repository);
+
+    seatService = new SeatService();
+    await seatService.ready;
+    seatService.tenantSeats.clear();
+    seatService.repository = repository;
+  });
+
+  afterEach(async () => {
+    await repository.close();
+    setTenantRepository(null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should never reserve more seats than the limit under parallel load', async () => {
+    await seatService.initializeTenantSeats('tenant_busy', 10);
+
+    const { fulfilled, rejected } = await settle(
+      Array.from({ length: 40 }, () => seatService.reserveSeats('tenant_busy', 1))
+    );
+
+    expect(fulfilled).toHaveLength(10);
+    expect(rejected).toHaveLength(30);
+    rejected.forEach(({ reason }) => expect(reason).toBeInstanceOf(SeatLimitExceededError));
+
+    const usage = await seatService.getTenantSeatUsage('tenant_busy');
+    expect(usage.seatUsed).toBe(10);
+    expect((await repository.getSeats('tenant_busy')).seatUsed).toBe(10);
+  });
+
+  test('should account for every reservation of mixed sizes exactly once', async () => {
+    await seatService.initializeTenantSeats('tenant_mixed', 25);
+
+    const sizes = [3, 5, 2, 7, 4, 6, 1, 8, 2, 3];
+    const { fulfilled } = await settle(
+      sizes.map((size) => seatService.reserveSeats('tenant_mixed', size))
+    );
+
+    const reserved = fulfilled.reduce((sum, { value }) => sum + value.seatsReserved, 0);
+    const usage = await seatService.getTenantSeatUsage('tenant_mixed');
+
+    expect(reserved).toBeLessThanOrEqual(25);
+    expect(usage.seatUsed).toBe(reserved);
+  });
+
+  test('should keep counters consistent when reserves and releases interleave', async () => {
+    await seatService.initializeTenantSeats('tenant_churn', 5, 5);
+
+    const operations = [];
+    for (let i = 0; i < 5; i += 1) {
+      operations.push(seatService.releaseSeats('tenant_churn', 1));
+      operations.push(seatService.reserveSeats('tenant_churn', 1));
+    }
+    const { rejected } = await settle(operations);
+
+    expect(rejected).toHaveLength(0);
+    expect((await seatService.getTenantSeatUsage('tenant_churn')).seatUsed).toBe(5);
+  });
+
+  test('should not block tenants on each other', async () => {
+    await seatService.initializeTenantSeats('tenant_a', 3);
+    await seatService.initializeTenantSeats('tenant_b', 3);
+
+    await settle([
+      ...Array.from({ length: 5 }, () => seatService.reserveSeats('tenant_a', 1)),
+      ...Array.from({ length: 5 }, () => seatService.reserveSeats('tenant_b', 1)),
+    ]);
+
+    expect((await seatService.getTenantSeatUsage('tenant_a')).seatUsed).toBe(3);
+    expect((await seatService.getTenantSeatUsage('tenant_b')).seatUsed).toBe(3);
+  });
+
+  test('should not reject a limit decrease that races with releases', async () => {
+    await seatService.initializeTenantSeats('tenant_shrink', 10, 8);
+
+    const { rejected } = await settle([
+      seatService.releaseSeats('tenant_shrink', 4),
+      seatService.updateSeatLimit('tenant_shrink', 4),
+    ]);
+
+    expect(rejected).toHaveLength(0);
+    expect(await seatService.getTenantSeatUsage('tenant_shrink')).toMatchObject({
+      seatLimit: 4,
+      seatUsed: 4,
+    });
+  });
+
+  test('should not overwrite a reservation made while reconciliation counts', async () => {
+    await seatService.initializeTenantSeats('tenant_recount', 10, 3);
+    let finishCount;
+    const counted = new Promise((resolve) => {
+      finishCount = resolve;
+    });
+
+    const recount = seatService.recountSeatUsage('tenant_recount', () => counted, { correct: true });
+    const reservation = seatService.reserveSeats('tenant_recount', 1);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    finishCount({ seatUsed: 5, nonBillableUsed: 0 });
+
+    expect(await recount).toMatchObject({ recorded: { seatUsed: 3 }, actual: { seatUsed: 5 } });
+    await reservation;
+    expect((await seatService.getTenantSeatUsage('tenant_recount')).seatUsed).toBe(6);
+  });
+
+  test('should leave counters untouched when persisting fails', async () => {
+    await seatService.initializeTenantSeats('tenant_disk', 10, 2);
+    repository.saveSeats = jest.fn().mockRejectedValue(new Error('disk full'));
+
+    await expect(seatService.reserveSeats('tenant_disk', 1)).rejects.toThrow('disk full');
+    expect((await seatService.getTenantSeatUsage('tenant_disk')).seatUsed).toBe(2);
+  });
+
+  test('should recover every acknowledged reservation after a restart', async () => {
+    await seatService.initializeTenantSeats('tenant_restart', 50);
+    await settle(Array.from({ length: 20 }, () => seatService.reserveSeats('tenant_restart', 1)));
+
+    // Simulate a crash: no close(), and a torn entry at the end of the journal
+    fs.appendFileSync(path.join(dir, 'tenants.json.journal'), '{"seq":99999,"op":"putSe');
+
+    const reopened = new JsonTenantRepository({ filePath: path.join(dir, 'tenants.json') });
+    expect((await reopened.getSeats('tenant_restart')).seatUsed).toBe(20);
+
+    // A write acknowledged after the torn entry survives the next crash too
+    await reopened.insert({ id: 'tenant_after_crash', name: 'After Crash', domain: 'after-crash' });
+    const recovered = new JsonTenantRepository({ filePath: path.join(dir, 'tenants.json') });
+    expect(await recovered.findById('tenant_after_crash')).toMatchObject({ domain: 'after-crash' });
+    expect((await recovered.getSeats('tenant_restart')).seatUsed).toBe(20);
+    await recovered.close();
+  });
+});
@@ -0,0 +1,106 @@
+const TenantService = require('../../../src/services/tenantService');
+const UserService = require('../../../src/services/userService');
+const { SeatLimitExceededError } = require('../../../src/utils/errors');
+const ServiceHelper = require('../../helpers/serviceHelper');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../../src/utils/logger', () => require('../../helpers/loggerMock'));
+
+describe('Seat overage policies', () => {
+  const admin = ServiceHelper.masterActor();
+  let tenantService;
+  let userService;
+  let seatService;
+
+  const createTenant = async (seatOverage) => {
+    const tenant = await ServiceHelper.createTenant(tenantService, { name: 'Overage Corp', seatLimit: 10 });
+    if (seatOverage) {
+      await tenantService.updateTenant(tenant.id, { seatOverage }, admin);
+    }
+    return tenant.id;
+  };
+
+  const createUser = (tenantId) => ServiceHelper.createUser(userService, tenantId);
+
+  beforeEach(() => {
+    ServiceHelper.resetStores();
+    tenantService = new TenantService();
+    userService = new UserService();
+    seatService = userService.seatService;
+  });
+
+  test('hard cap rejects seats beyond the limit', async () => {
+    const tenantId = await createTenant();
+    await seatService.reserveSeats(tenantId, 10);
+
+    await expect(seatService.reserveSeats(tenantId, 1)).rejects.toThrow(SeatLimitExceededError);
+  });
+
+  test('soft cap allows overage during the grace period and flags the tenant', async () => {
+    const tenantId = await createTenant({ policy: 'soft', softCapPercentage: 20, gracePeriodDays: 7 });
+    await seatService.reserveSeats(tenantId, 10);
+
+    const reserved = await seatService.reserveSeats(tenantId, 2);
+    expect(reserved.overage).toEqual(expect.objectContaining({ softLimit: 12 }));
+    await expect(seatService.reserveSeats(tenantId, 1)).rejects.toThrow(SeatLimitExceededError);
+
+    const flagged = await tenantService.getTenant(tenantId, admin);
+    expect(flagged.overage.since).toBeDefined();
+    const graceDays = (new Date(flagged.overage.graceEndsAt) - new Date(flagged.overage.since)) / 86400000;
+    expect(graceDays).toBe(7);
+
+    // Back within the limit clears the flag
+    await seatService.releaseSeats(tenantId, 2);
+    expect((await tenantService.getTenant(tenantId, admin)).overage).toBeUndefined();
+  });
+
+  test('soft cap stops further overage once the grace period ends', async () => {
+    const tenantId = await createTenant({ policy: 'soft', softCapPercentage: 50 });
+    await seatService.reserveSeats(tenantId, 11);
+
+    const seatData = seatService.tenantSeats.get(tenantId);
+    await seatService.saveSeatData(tenantId, {
+      ...seatData,
+      overage: { ...seatData.overage, graceEndsAt: new Date(Date.now() - 1000).toISOString() },
+    });
+
+    await expect(seatService.reserveSeats(tenantId, 1)).rejects.toThrow(
+      expect.objectContaining({ details: expect.objectContaining({ overagePolicy: 'soft' }) })
+    );
+  });
+
+  test('waitlist queues blocked users and activates them when seats are released', async () => {
+    const tenantId = await createTenant({ policy: 'waitlist' });
+    await seatService.reserveSeats(tenantId, 9);
+    const seated = await createUser(tenantId);
+
+    const first = await createUser(tenantId);
+    const second = await createUser(tenantId);
+    expect([first.status, second.status]).toEqual(['waitlisted', 'waitlisted']);
+    expect(await seatService.getTenantSeatUsage(tenantId))
+      .toEqual(expect.objectContaining({ seatUsed: 10, nonBillableUsed: 2 }));
+
+    // Deleting a seated user hands the seat to the oldest waiting user
+    await userService.deleteUser(tenantId, seated.id, admin);
+
+    const activated = await userService.getUser(tenantId, first.id, admin);
+    expect(activated.status).not.toBe('waitlisted');
+    expect(activated.appMetadata.seat_waitlisted).toBeFalsy();
+    expect((await userService.getUser(tenantId, second.id, admin)).status).toBe('waitlisted');
+    expect((await seatService.waitlistService.list(tenantId)).map((entry) => entry.userId)).toEqual([second.id]);
+    expect(await seatService.getTenantSeatUsage(tenantId))
+      .toEqual(expect.objectContaining({ seatUsed: 10, nonBillableUsed: 1 }));
+
+    // A raised limit activates the rest; deleting a waiting user frees no seat
+    const third = await createUser(tenantId);
+    await seatService.updateSeatLimit(tenantId, 11);
+    expect((await userService.getUser(tenantId, second.id, admin)).status).not.toBe('waitlisted');
+
+    expect((await seatService.getTenantSeatUsage(tenantId)).nonBillableUsed).toBe(1);
+
+    await userService.deleteUser(tenantId, third.id, admin);
+    expect(await seatService.getTenantSeatUsage(tenantId))
+      .toEqual(expect.objectContaining({ seatUsed: 11, nonBillableUsed: 0 }));
+    expect(await seatService.waitlistService.list(tenantId)).toEqual([]);
+  });
+});
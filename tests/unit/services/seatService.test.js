@@ -65,6 +65,7 @@ describe('SeatService', () => {
         seatUsed: 0,
         availableSeats: 10,
         utilizationPercentage: 0,
+        nonBillableUsed: 0,
         lastUpdated: expect.any(Date),
       });
     });
@@ -88,6 +89,7 @@ describe('SeatService', () => {
         seatUsed: 23,
         availableSeats: 27,
         utilizationPercentage: 46,
+        nonBillableUsed: 0,
         lastUpdated: seatData.lastUpdated,
       });
     });
@@ -431,8 +433,13 @@ describe('SeatService', () => {
           seatUsed: 45,
           availableSeats: 5,
           utilizationPercentage: 90,
+          nonBillableUsed: 0,
           lastUpdated: seatData.lastUpdated,
         },
+        trend: expect.objectContaining({
+          peakSeatUsed: 45,
+          peakUtilizationPercentage: 90,
+        }),
         recommendations: expect.arrayContaining([
           expect.objectContaining({
             type: 'warning',
@@ -0,0 +1,114 @@
+const TenantDeletionService = require('../../../src/services/tenantDeletionService');
+const TenantProvisioningService = require('../../../src/services/tenantProvisioningService');
+const UserService = require('../../../src/services/userService');
+const config = require('../../../src/config');
+const {
+  BusinessLogicError,
+  ConflictError,
+  TenantInactiveError,
+} = require('../../../src/utils/errors');
+const ServiceHelper = require('../../helpers/serviceHelper');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../../src/utils/logger', () => require('../../helpers/loggerMock'));
+
+describe('TenantDeletionService', () => {
+  const admin = ServiceHelper.masterActor();
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  let service;
+  let userService;
+  let auth0Service;
+
+  const createTenant = () => new TenantProvisioningService().provision({
+    name: 'Leaving Corp',
+    domain: ServiceHelper.uniqueName('leaving'),
+    seatLimit: 5,
+  }, admin);
+
+  const createUser = (tenantId) => ServiceHelper.createUser(userService, tenantId);
+
+  beforeEach(() => {
+    ServiceHelper.resetStores();
+    service = new TenantDeletionService();
+    userService = new UserService();
+    auth0Service = service.auth0Service;
+  });
+
+  test('refuses to delete a tenant with users unless cascade is set', async () => {
+    const tenant = await createTenant();
+    await createUser(tenant.id);
+
+    await expect(service.deleteTenant(tenant.id, {}, admin)).rejects.toThrow(BusinessLogicError);
+    expect((await service.repository.findById(tenant.id)).status).toBe('active');
+  });
+
+  test('blocks users and freezes seats while the tenant is pending deletion', async () => {
+    const tenant = await createTenant();
+    const user = await createUser(tenant.id);
+
+    const result = await service.deleteTenant(tenant.id, { cascade: true }, admin);
+
+    expect(result).toEqual(expect.objectContaining({ status: 'pending_deletion', deleted: false, usersBlocked: 1 }));
+    const purgeAfter = new Date(result.purgeAfter).getTime();
+    expect(purgeAfter - Date.now()).toBeGreaterThan((config.tenantDeletion.retentionDays * DAY_MS) - 60000);
+
+    const stored = await service.repository.findById(tenant.id);
+    expect(stored.status).toBe('pending_deletion');
+    expect(stored.deletion).toEqual(expect.objectContaining({ previousStatus: 'active', cascade: true }));
+    expect(auth0Service._mock.users.get(user.id).blocked).toBe(true);
+
+    await expect(service.seatService.reserveSeats(tenant.id, 1)).rejects.toThrow(TenantInactiveError);
+    await expect(service.deleteTenant(tenant.id, {}, admin)).rejects.toThrow(ConflictError);
+  });
+
+  test('restore unblocks only the users blocked by the deletion', async () => {
+    const tenant = await createTenant();
+    const user = await createUser(tenant.id);
+    const alreadyBlocked = await createUser(tenant.id);
+    await auth0Service.updateUser(alreadyBlocked.id, { blocked: true });
+
+    await service.deleteTenant(tenant.id, { cascade: true }, admin);
+    const { tenant: restored, usersUnblocked } = await service.restoreTenant(tenant.id, admin);
+
+    expect(usersUnblocked).toBe(1);
+    expect(restored.status).toBe('active');
+    expect(restored.deletion).toBeUndefined();
+    expect(auth0Service._mock.users.get(user.id).blocked).toBe(false);
+    expect(auth0Service._mock.users.get(alreadyBlocked.id).blocked).toBe(true);
+    await expect(service.seatService.reserveSeats(tenant.id, 1)).resolves.toBeDefined();
+  });
+
+  test('purges only tenants whose retention window has passed', async () => {
+    const expired = await createTenant();
+    const user = await createUser(expired.id);
+    const retained = await createTenant();
+
+    await service.deleteTenant(expired.id, { cascade: true }, admin);
+    await service.deleteTenant(retained.id, {}, admin);
+
+    const stored = await service.repository.findById(expired.id);
+    await service.repository.update(expired.id, {
+      ...stored,
+      deletion: { ...stored.deletion, purgeAfter: new Date(Date.now() - 1000).toISOString() },
+    });
+
+    const purged = await service.purgeExpired();
+
+    expect(purged).toEqual([expect.objectContaining({ id: expired.id, deleted: true, usersDeleted: 1 })]);
+    expect(await service.repository.findById(expired.id)).toBeNull();
+    expect(auth0Service._mock.users.has(user.id)).toBe(false);
+    expect(auth0Service._mock.clients.has(expired.auth0ClientId)).toBe(false);
+    expect((await service.repository.findById(retained.id)).status).toBe('pending_deletion');
+  });
+
+  test('force purges at once', async () => {
+    const tenant = await createTenant();
+    await createUser(tenant.id);
+
+    const result = await service.deleteTenant(tenant.id, { force: true, cascade: true }, admin);
+
+    expect(result).toEqual(expect.objectContaining({ deleted: true, usersDeleted: 1 }));
+    expect(await service.repository.findById(tenant.id)).toBeNull();
+    expect(auth0Service._mock.clients.has(tenant.auth0ClientId)).toBe(false);
+  });
+});
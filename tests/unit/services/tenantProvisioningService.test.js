@@ -0,0 +1,114 @@
+const TenantProvisioningService = require('../../../src/services/tenantProvisioningService');
+const { ConflictError } = require('../../../src/utils/errors');
+const ServiceHelper = require('../../helpers/serviceHelper');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../../src/utils/logger', () => require('../../helpers/loggerMock'));
+
+describe('TenantProvisioningService', () => {
+  const admin = ServiceHelper.masterActor();
+  let service;
+  let auth0Service;
+
+  const provision = (overrides = {}) => service.provision({
+    name: 'Saga Corp',
+    domain: ServiceHelper.uniqueName('saga-corp'),
+    seatLimit: 5,
+    ...overrides,
+  }, admin);
+
+  const stepStatuses = (saga) => Object.fromEntries(saga.steps.map((step) => [step.name, step.status]));
+
+  // Fail the seat step and the client compensation, leaving a stuck saga
+  const provisionStuck = async () => {
+    jest.spyOn(service.seatService, 'initializeTenantSeats').mockRejectedValueOnce(new Error('seat store down'));
+    jest.spyOn(service.auth0Service, 'deleteTenant').mockRejectedValueOnce(new Error('Auth0 unavailable'));
+
+    await expect(provision()).rejects.toThrow('seat store down');
+
+    const [saga] = await service.sagas.list();
+    return saga;
+  };
+
+  beforeEach(() => {
+    ServiceHelper.resetStores();
+    service = new TenantProvisioningService();
+    auth0Service = service.auth0Service;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('runs every step and activates the tenant', async () => {
+    const tenant = await provision();
+
+    expect(tenant.status).toBe('active');
+    expect(auth0Service._mock.clients.has(tenant.auth0ClientId)).toBe(true);
+    expect(await service.seatService.getTenantSeatUsage(tenant.id)).toEqual(expect.objectContaining({ seatLimit: 5 }));
+
+    const saga = await service.getProvisioning(tenant.id);
+    expect(saga.status).toBe('completed');
+    expect(stepStatuses(saga)).toEqual({
+      createClient: 'completed',
+      createOrganization: 'skipped',
+      setupRoles: 'completed',
+      initializeSeats: 'completed',
+      emitEvent: 'completed',
+    });
+    expect(saga.context.auth0ClientId).toBe(tenant.auth0ClientId);
+  });
+
+  test('compensates completed steps in reverse order when a step fails', async () => {
+    const clientsBefore = auth0Service._mock.clients.size;
+    jest.spyOn(service.seatService, 'initializeTenantSeats').mockRejectedValueOnce(new Error('seat store down'));
+    const deleteClient = jest.spyOn(auth0Service, 'deleteTenant');
+
+    await expect(provision()).rejects.toThrow('seat store down');
+
+    const [saga] = await service.sagas.list();
+    expect(saga.status).toBe('rolled_back');
+    expect(saga.error).toEqual(expect.objectContaining({ step: 'initializeSeats', message: 'seat store down' }));
+    expect(stepStatuses(saga)).toEqual({
+      createClient: 'compensated',
+      createOrganization: 'skipped',
+      setupRoles: 'compensated',
+      initializeSeats: 'compensated',
+      emitEvent: 'pending',
+    });
+    expect(deleteClient).toHaveBeenCalledWith({ auth0ClientId: saga.context.auth0ClientId });
+    expect(auth0Service._mock.clients.size).toBe(clientsBefore);
+    expect(await service.repository.findById(saga.tenantId)).toBeNull();
+  });
+
+  test('leaves a saga whose compensation failed for an operator to roll back', async () => {
+    const stuck = await provisionStuck();
+
+    expect(stuck.status).toBe('failed');
+    expect(stuck.error).toEqual(expect.objectContaining({ step: 'createClient', compensation: true }));
+    expect((await service.repository.findById(stuck.tenantId)).status).toBe('provisioning');
+
+    const saga = await service.rollback(stuck.tenantId, admin);
+
+    expect(saga.status).toBe('rolled_back');
+    expect(auth0Service._mock.clients.has(stuck.context.auth0ClientId)).toBe(false);
+    expect(await service.repository.findById(stuck.tenantId)).toBeNull();
+  });
+
+  test('resumes a stuck saga from its first unfinished step', async () => {
+    const stuck = await provisionStuck();
+    const createClient = jest.spyOn(auth0Service, 'createTenantClient');
+
+    const saga = await service.resume(stuck.tenantId, admin);
+
+    expect(saga.status).toBe('completed');
+    expect(createClient).not.toHaveBeenCalled();
+    expect(stepStatuses(saga).initializeSeats).toBe('completed');
+
+    const tenant = await service.repository.findById(stuck.tenantId);
+    expect(tenant.status).toBe('active');
+    expect(tenant.auth0ClientId).toBe(stuck.context.auth0ClientId);
+
+    await expect(service.resume(stuck.tenantId, admin)).rejects.toThrow(ConflictError);
+  });
+});
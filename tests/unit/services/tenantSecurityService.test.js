@@ -0,0 +1,92 @@
+const TenantService = require('../../../src/services/tenantService');
+const UserService = require('../../../src/services/userService');
+const ConnectionService = require('../../../src/services/connectionService');
+const { InvalidRequestError } = require('../../../src/utils/errors');
+const ServiceHelper = require('../../helpers/serviceHelper');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../../src/utils/logger', () => require('../../helpers/loggerMock'));
+
+describe('Tenant security settings', () => {
+  const admin = ServiceHelper.masterActor();
+  let tenantService;
+  let securityService;
+  let auth0Service;
+
+  const createTenant = (overrides = {}) => ServiceHelper.createTenant(tenantService, { name: 'Secure Corp', ...overrides });
+
+  beforeEach(() => {
+    ServiceHelper.resetStores();
+    tenantService = new TenantService();
+    securityService = tenantService.securityService;
+    auth0Service = securityService.auth0Service;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should configure the client of a new tenant', async () => {
+    const tenant = await createTenant({ enableMFA: true, sessionTimeout: 8 });
+    const client = await auth0Service.getClient(tenant.auth0ClientId);
+
+    expect(client.jwt_configuration.lifetime_in_seconds).toBe(8 * 3600);
+    expect(client.refresh_token).toMatchObject({ rotation_type: 'rotating', token_lifetime: 8 * 3600 });
+    expect(client.client_metadata.mfa_policy).toBe('all-applications');
+    expect((await securityService.checkTenant(tenant.id)).inSync).toBe(true);
+  });
+
+  test('should apply updated settings to the client and owned connections', async () => {
+    const tenant = await createTenant();
+    const connection = await new ConnectionService().createConnection(tenant.id, {
+      name: ServiceHelper.uniqueName('secure-db'),
+      type: 'database',
+    }, admin);
+    expect((await auth0Service.getConnectionByName(connection.name)).options.disable_signup).toBe(false);
+
+    await tenantService.updateTenant(tenant.id, { allowUserRegistration: false, sessionTimeout: 2 }, admin);
+
+    const stored = await auth0Service.getConnectionByName(connection.name);
+    expect(stored.options).toMatchObject({ disable_signup: true, passwordPolicy: 'good' });
+    expect((await auth0Service.getClient(tenant.auth0ClientId)).jwt_configuration.lifetime_in_seconds).toBe(7200);
+    expect((await securityService.checkTenant(tenant.id)).inSync).toBe(true);
+  });
+
+  test('should report tenants whose Auth0 configuration drifted', async () => {
+    const tenant = await createTenant({ enableMFA: true });
+    await auth0Service.updateClient(tenant.auth0ClientId, { client_metadata: { mfa_policy: 'never' } });
+
+    const summary = await securityService.checkAll();
+
+    expect(summary.tenantsWithDrift).toBe(1);
+    expect(summary.tenants[0].tenantId).toBe(tenant.id);
+    expect(summary.tenants[0].differences).toEqual([{
+      setting: 'enableMFA',
+      resource: `client:${tenant.auth0ClientId}`,
+      field: 'client_metadata.mfa_policy',
+      expected: 'all-applications',
+      actual: 'never',
+    }]);
+
+    await tenantService.updateTenant(tenant.id, { enableMFA: true }, admin);
+    expect((await securityService.checkTenant(tenant.id)).inSync).toBe(true);
+  });
+
+  test('should refuse unverified users when the tenant requires verification', async () => {
+    const tenant = await createTenant({ requireEmailVerification: true });
+    const userService = new UserService();
+    const createUser = jest.spyOn(userService.auth0Service, 'createUser');
+    const userData = (overrides) => ({
+      email: ServiceHelper.uniqueEmail('secure'),
+      name: 'Secure User',
+      password: 'Password123',
+      ...overrides,
+    });
+
+    await expect(userService.createUser(tenant.id, userData({ emailVerified: false }), admin))
+      .rejects.toThrow(InvalidRequestError);
+
+    await userService.createUser(tenant.id, userData(), admin);
+    expect(createUser).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ verifyEmail: true }));
+  });
+});
@@ -0,0 +1,96 @@
+const TenantService = require('../../../src/services/tenantService');
+const ServiceHelper = require('../../helpers/serviceHelper');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../../src/utils/logger', () => require('../../helpers/loggerMock'));
+
+describe('Tenant branding', () => {
+  const admin = ServiceHelper.masterActor();
+  const branding = {
+    logoUrl: 'https://cdn.example.com/logo.png',
+    colors: { primary: '#0059d6', pageBackground: '#f5f5f5' },
+    loginText: { title: 'Welcome to Acme', description: 'Log in with your Acme account' },
+  };
+  let tenantService;
+
+  // Provisioning updates the client too; only calls made afterwards are kept
+  const createTenant = async () => {
+    const tenant = await ServiceHelper.createTenant(tenantService, { name: 'Branded Corp' });
+    tenantService.auth0Service._mock.updateCalls.length = 0;
+    return tenant;
+  };
+
+  const callsFor = (id) => tenantService.auth0Service._mock.updateCalls.filter((call) => call.id === id);
+
+  beforeEach(() => {
+    ServiceHelper.resetStores();
+    tenantService = new TenantService();
+  });
+
+  test('should store branding and push it to the client metadata', async () => {
+    const tenant = await createTenant();
+    const updated = await tenantService.updateTenant(tenant.id, { branding }, admin);
+
+    expect(updated.branding).toEqual(branding);
+    expect(await tenantService.getTenantBranding(tenant.id)).toEqual(branding);
+    expect(callsFor(tenant.auth0ClientId)).toEqual([{
+      method: 'clients.update',
+      id: tenant.auth0ClientId,
+      updates: {
+        client_metadata: {
+          branding_logo_url: 'https://cdn.example.com/logo.png',
+          branding_primary_color: '#0059d6',
+          branding_page_background: '#f5f5f5',
+          branding_login_title: 'Welcome to Acme',
+          branding_login_description: 'Log in with your Acme account',
+        },
+      },
+    }]);
+  });
+
+  test('should merge updates and clear removed fields', async () => {
+    const tenant = await createTenant();
+    await tenantService.updateTenant(tenant.id, { branding }, admin);
+    const updated = await tenantService.updateTenant(tenant.id, {
+      branding: { logoUrl: null, loginText: { description: null } },
+    }, admin);
+
+    expect(updated.branding).toEqual({
+      colors: branding.colors,
+      loginText: { title: 'Welcome to Acme' },
+    });
+    const [, last] = callsFor(tenant.auth0ClientId);
+    expect(last.updates.client_metadata).toMatchObject({
+      branding_logo_url: '',
+      branding_login_title: 'Welcome to Acme',
+      branding_login_description: '',
+    });
+  });
+
+  test('should send logo and colors to the organization of organization-backed tenants', async () => {
+    const tenant = await createTenant();
+    const auth0Service = tenantService.auth0Service;
+    const organization = await auth0Service.createOrganization({
+      name: ServiceHelper.uniqueName('branded-org'),
+      displayName: 'Branded Org',
+      tenantId: tenant.id,
+    });
+
+    await auth0Service.updateTenantBranding({ ...tenant, auth0OrganizationId: organization.id }, branding);
+
+    expect(callsFor(organization.id)).toEqual([{
+      method: 'organizations.update',
+      id: organization.id,
+      updates: {
+        branding: {
+          logo_url: 'https://cdn.example.com/logo.png',
+          colors: { primary: '#0059d6', page_background: '#f5f5f5' },
+        },
+      },
+    }]);
+    expect(callsFor(tenant.auth0ClientId)[0].updates.client_metadata).toEqual({
+      branding_login_title: 'Welcome to Acme',
+      branding_login_description: 'Log in with your Acme account',
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const TenantService = require('../../../src/services/tenantService');
+const UserService = require('../../../src/services/userService');
+const {
+  InvalidRequestError,
+  UnauthorizedTenantAccessError,
+} = require('../../../src/utils/errors');
+const ServiceHelper = require('../../helpers/serviceHelper');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../../src/utils/logger', () => require('../../helpers/loggerMock'));
+
+// Organizations tenancy against the in-memory Auth0 management client
+jest.mock('../../../src/config', () => {
+  const actual = jest.requireActual('../../../src/config');
+  return {
+    ...actual,
+    development: { ...actual.development, mockAuth0Api: true },
+    tenancy: { mode: 'organizations', defaultConnections: ['Username-Password-Authentication'] },
+  };
+});
+
+describe('Organization-backed tenants', () => {
+  const admin = ServiceHelper.masterActor();
+  let tenantService;
+  let userService;
+  let auth0Service;
+
+  const createTenant = (overrides = {}) => ServiceHelper.createTenant(tenantService, { name: 'Org Corp', ...overrides });
+
+  const createUser = (tenantId) => ServiceHelper.createUser(userService, tenantId);
+
+  beforeEach(() => {
+    tenantService = new TenantService();
+    userService = new UserService();
+    auth0Service = tenantService.auth0Service;
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should create an organization with the default connections', async () => {
+    const tenant = await createTenant();
+
+    expect(tenant.auth0OrganizationId).toMatch(/^org_/);
+    expect(tenant.connections).toEqual(['Username-Password-Authentication']);
+
+    const enabled = await auth0Service.getEnabledConnections(tenant.auth0OrganizationId);
+    expect(enabled.map((connection) => connection.connection.name)).toEqual(['Username-Password-Authentication']);
+  });
+
+  test('should add created users as organization members', async () => {
+    const tenant = await createTenant();
+    const user = await createUser(tenant.id);
+
+    expect(await auth0Service.isOrganizationMember(tenant.auth0OrganizationId, user.id)).toBe(true);
+
+    const result = await userService.getUsers(tenant.id, {}, admin);
+    expect(result.users.map((listed) => listed.id)).toEqual([user.id]);
+  });
+
+  test('should check tenant access through membership rather than app_metadata', async () => {
+    const tenant = await createTenant();
+    const user = await createUser(tenant.id);
+
+    await auth0Service.removeOrganizationMember(tenant.auth0OrganizationId, user.id);
+
+    await expect(userService.getUser(tenant.id, user.id, admin))
+      .rejects.toThrow(UnauthorizedTenantAccessError);
+  });
+
+  test('should update the enabled connections of the organization', async () => {
+    const tenant = await createTenant();
+    auth0Service._mock.connections.set('con_mock_passwordless', {
+      id: 'con_mock_passwordless',
+      name: 'email',
+      strategy: 'email',
+    });
+
+    const updated = await tenantService.updateTenant(tenant.id, { connections: ['email'] }, admin);
+
+    expect(updated.connections).toEqual(['email']);
+    const enabled = await auth0Service.getEnabledConnections(tenant.auth0OrganizationId);
+    expect(enabled.map((connection) => connection.connection_id)).toEqual(['con_mock_passwordless']);
+  });
+
+  test('should remove Auth0 resources when an unknown connection is requested', async () => {
+    const clientsBefore = auth0Service._mock.clients.size;
+    const orgsBefore = auth0Service._mock.organizations.size;
+
+    await expect(createTenant({ connections: ['missing-connection'] }))
+      .rejects.toThrow(InvalidRequestError);
+
+    expect(auth0Service._mock.clients.size).toBe(clientsBefore);
+    expect(auth0Service._mock.organizations.size).toBe(orgsBefore);
+  });
+
+  test('should delete the organization and client with the tenant', async () => {
+    const tenant = await createTenant();
+
+    await tenantService.deleteTenant(tenant.id, admin, { force: true });
+
+    expect(auth0Service._mock.organizations.has(tenant.auth0OrganizationId)).toBe(false);
+    expect(auth0Service._mock.clients.has(tenant.auth0ClientId)).toBe(false);
+  });
+});
@@ -0,0 +1,91 @@
+const TenantService = require('../../../src/services/tenantService');
+const UserService = require('../../../src/services/userService');
+const { PlanEntitlementError } = require('../../../src/utils/errors');
+const ServiceHelper = require('../../helpers/serviceHelper');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../../src/utils/logger', () => require('../../helpers/loggerMock'));
+
+describe('Tenant plans', () => {
+  const admin = ServiceHelper.masterActor();
+  let tenantService;
+  let userService;
+
+  // No seat limit unless given, so the plan's default applies
+  const createTenant = (overrides = {}) => ServiceHelper.createTenant(tenantService, {
+    name: 'Planned Corp',
+    seatLimit: undefined,
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    ServiceHelper.resetStores();
+    tenantService = new TenantService();
+    userService = new UserService();
+  });
+
+  test('should apply the plan defaults to a new tenant', async () => {
+    const tenant = await createTenant({ plan: 'basic' });
+
+    expect(tenant.seatLimit).toBe(5);
+    expect(tenant.metadata.plan).toBe('basic');
+    expect(tenant.settings.allowUserRegistration).toBe(false);
+
+    const standard = await createTenant();
+    expect(standard.seatLimit).toBe(10);
+    expect(standard.metadata.plan).toBe('standard');
+  });
+
+  test('should reject seat limits and features beyond the plan', async () => {
+    await expect(createTenant({ plan: 'basic', seatLimit: 30 })).rejects.toThrow(PlanEntitlementError);
+    await expect(createTenant({ plan: 'basic', enableMFA: true })).rejects.toThrow(PlanEntitlementError);
+
+    const tenant = await createTenant({ plan: 'basic' });
+    await expect(tenantService.updateTenant(tenant.id, { seatLimit: 26 }, admin))
+      .rejects.toThrow(PlanEntitlementError);
+    await expect(tenantService.updateTenant(tenant.id, { allowUserRegistration: true }, admin))
+      .rejects.toThrow(PlanEntitlementError);
+  });
+
+  test('should lower the seat limit on a downgrade the seats in use fit', async () => {
+    const tenant = await createTenant({ plan: 'premium', seatLimit: 200 });
+
+    const updated = await tenantService.updateTenant(tenant.id, { plan: 'standard' }, admin);
+
+    expect(updated.seatLimit).toBe(100);
+    expect(updated.metadata.plan).toBe('standard');
+    expect(updated.plan).toBeUndefined();
+    expect(await tenantService.seatService.getTenantSeatUsage(tenant.id))
+      .toEqual(expect.objectContaining({ seatLimit: 100 }));
+  });
+
+  test('should refuse a downgrade when more seats are in use than the plan allows', async () => {
+    const tenant = await createTenant({ plan: 'premium', seatLimit: 200 });
+    await tenantService.seatService.initializeTenantSeats(tenant.id, 200, 30);
+
+    await expect(tenantService.updateTenant(tenant.id, {
+      plan: 'basic',
+      allowUserRegistration: false,
+    }, admin)).rejects.toThrow('allows at most 25');
+
+    const stored = await tenantService.repository.findById(tenant.id);
+    expect(stored.metadata.plan).toBe('premium');
+    expect(stored.seatLimit).toBe(200);
+  });
+
+  test('should only assign roles the plan includes', async () => {
+    const tenant = await createTenant({ plan: 'standard' });
+    const user = {
+      email: ServiceHelper.uniqueEmail('planned'),
+      name: 'Planned User',
+      password: 'Password123',
+    };
+
+    await expect(userService.createUser(tenant.id, { ...user, roles: ['tenant_admin'] }, admin))
+      .rejects.toThrow(PlanEntitlementError);
+
+    const created = await userService.createUser(tenant.id, { ...user, roles: ['user_manager'] }, admin);
+    await expect(userService.updateUserRoles(tenant.id, created.id, ['admin', 'tenant_admin'], admin))
+      .rejects.toThrow('tenant_admin');
+  });
+});
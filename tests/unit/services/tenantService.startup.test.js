@@ -0,0 +1,29 @@
+const TenantService = require('../../../src/services/tenantService');
+const JsonDocumentStore = require('../../../src/repositories/jsonDocumentStore');
+const JsonTenantRepository = require('../../../src/repositories/jsonTenantRepository');
+const { setDocumentStore, setTenantRepository } = require('../../../src/repositories');
+const logger = require('../../../src/utils/logger');
+const ServiceHelper = require('../../helpers/serviceHelper');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../../src/utils/logger', () => require('../../helpers/loggerMock'));
+
+describe('Tenant service startup', () => {
+  const admin = ServiceHelper.masterActor();
+
+  beforeEach(() => {
+    setDocumentStore(new JsonDocumentStore());
+  });
+
+  test('should report an unreadable store and fail requests instead of the process', async () => {
+    const repository = new JsonTenantRepository();
+    jest.spyOn(repository, 'init').mockRejectedValue(new Error('EACCES: data/tenants.json'));
+    setTenantRepository(repository);
+
+    const service = new TenantService();
+
+    await expect(service.getTenants({}, admin)).rejects.toThrow('EACCES');
+    await expect(service.createTenant({ name: 'Broken Corp', domain: 'broken' }, admin)).rejects.toThrow('EACCES');
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining('Tenant service failed to start'));
+  });
+});
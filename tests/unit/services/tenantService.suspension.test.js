@@ -0,0 +1,115 @@
+const TenantService = require('../../../src/services/tenantService');
+const UserService = require('../../../src/services/userService');
+const SeatReconciliationService = require('../../../src/services/seatReconciliationService');
+const { TenantInactiveError } = require('../../../src/utils/errors');
+const ServiceHelper = require('../../helpers/serviceHelper');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../../src/utils/logger', () => require('../../helpers/loggerMock'));
+
+describe('Tenant suspension', () => {
+  const admin = ServiceHelper.masterActor();
+  let tenantService;
+  let userService;
+  let auth0Service;
+  let tenant;
+
+  const createUser = () => ServiceHelper.createUser(userService, tenant.id);
+
+  const mockUser = (user) => auth0Service._mock.users.get(user.id);
+  const mockClient = () => auth0Service._mock.clients.get(tenant.auth0ClientId);
+
+  beforeEach(async () => {
+    ServiceHelper.resetStores();
+    tenantService = new TenantService();
+    userService = new UserService();
+    auth0Service = tenantService.auth0Service;
+
+    tenant = await ServiceHelper.createTenant(tenantService, { name: 'Paused Corp' });
+  });
+
+  test('should block users, disable the client and reject user changes', async () => {
+    const user = await createUser();
+
+    await tenantService.updateTenant(tenant.id, { status: 'suspended' }, admin);
+
+    expect(mockUser(user).blocked).toBe(true);
+    expect(mockClient().grant_types).toEqual([]);
+    await expect(createUser()).rejects.toThrow(TenantInactiveError);
+    await expect(userService.updateUser(tenant.id, user.id, { blocked: false }, admin))
+      .rejects.toThrow(TenantInactiveError);
+    await expect(userService.deleteUser(tenant.id, user.id, admin)).rejects.toThrow(TenantInactiveError);
+  });
+
+  test('should unblock only the users the suspension blocked on reactivation', async () => {
+    const grantTypes = mockClient().grant_types;
+    const user = await createUser();
+    const blockedUser = await createUser();
+    await userService.updateUser(tenant.id, blockedUser.id, { blocked: true }, admin);
+
+    await tenantService.updateTenant(tenant.id, { status: 'suspended' }, admin);
+    const reactivated = await tenantService.updateTenant(tenant.id, { status: 'active' }, admin);
+
+    expect(reactivated.status).toBe('active');
+    expect(mockUser(user).blocked).toBe(false);
+    expect(mockUser(blockedUser).blocked).toBe(true);
+    expect(mockClient().grant_types).toEqual(grantTypes);
+    await expect(createUser()).resolves.toEqual(expect.objectContaining({ email: expect.any(String) }));
+  });
+
+  test('should keep seats of suspended users through a reconcile that excludes blocked users', async () => {
+    await tenantService.updateTenant(tenant.id, { seatRules: { excludeBlocked: true } }, admin);
+    await createUser();
+    await createUser();
+
+    await tenantService.updateTenant(tenant.id, { status: 'suspended' }, admin);
+    const report = await new SeatReconciliationService().reconcileTenant(tenant.id, { correct: true });
+    await tenantService.updateTenant(tenant.id, { status: 'active' }, admin);
+
+    expect(report).toEqual(expect.objectContaining({ actualSeatUsed: 2, drift: 0 }));
+    const usage = await tenantService.seatService.getTenantSeatUsage(tenant.id);
+    expect(usage.seatUsed).toBe(2);
+  });
+
+  test('should leave access alone when moving between inactive statuses', async () => {
+    await tenantService.updateTenant(tenant.id, { status: 'suspended' }, admin);
+    const setClientEnabled = jest.spyOn(auth0Service, 'setClientEnabled');
+
+    await tenantService.updateTenant(tenant.id, { status: 'inactive' }, admin);
+
+    expect(setClientEnabled).not.toHaveBeenCalled();
+    expect(mockClient().grant_types).toEqual([]);
+  });
+
+  test('should undo the seat limit, branding and suspension when a later step fails', async () => {
+    const grantTypes = mockClient().grant_types;
+    const user = await createUser();
+    const updateTenantBranding = jest.spyOn(auth0Service, 'updateTenantBranding');
+    jest.spyOn(tenantService.repository, 'update').mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(tenantService.updateTenant(tenant.id, {
+      status: 'suspended',
+      seatLimit: 8,
+      branding: { colors: { primary: '#112233' } },
+    }, admin)).rejects.toThrow('disk full');
+
+    expect(mockUser(user).blocked).toBe(false);
+    expect(mockClient().grant_types).toEqual(grantTypes);
+    expect((await tenantService.seatService.getTenantSeatUsage(tenant.id)).seatLimit).toBe(5);
+    expect(updateTenantBranding).toHaveBeenLastCalledWith(expect.objectContaining({ id: tenant.id }), {});
+    expect((await tenantService.repository.findById(tenant.id)).status).toBe('active');
+  });
+
+  test('should undo earlier steps and a half-applied one when a step fails', async () => {
+    const grantTypes = mockClient().grant_types;
+    const user = await createUser();
+    jest.spyOn(auth0Service, 'setTenantUsersBlocked').mockRejectedValueOnce(new Error('Auth0 unavailable'));
+
+    await expect(tenantService.updateTenant(tenant.id, { status: 'suspended', seatLimit: 8 }, admin))
+      .rejects.toThrow('Auth0 unavailable');
+
+    expect(mockUser(user).blocked).toBeFalsy();
+    expect(mockClient().grant_types).toEqual(grantTypes);
+    expect((await tenantService.seatService.getTenantSeatUsage(tenant.id)).seatLimit).toBe(5);
+  });
+});
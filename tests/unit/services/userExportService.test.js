@@ -0,0 +1,91 @@
+const UserExportService = require('../../../src/services/userExportService');
+const { TenantNotFoundError, ValidationError } = require('../../../src/utils/errors');
+const ServiceHelper = require('../../helpers/serviceHelper');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../../src/utils/logger', () => require('../../helpers/loggerMock'));
+
+jest.mock('../../../src/services/auth0Service');
+
+const buildUsers = (count) => ServiceHelper.buildAuth0Users(count, (i) => ({
+  name: i === 0 ? 'Doe, "JD" Jane' : `User ${i}`,
+  email_verified: true,
+  app_metadata: { tenant_id: 'tenant_a', roles: ['user', 'admin'] },
+  user_metadata: { department: i % 2 ? 'Sales' : 'Support' },
+  created_at: '2024-01-01T00:00:00.000Z',
+  updated_at: '2024-01-02T00:00:00.000Z',
+}));
+
+const collect = async (chunks) => {
+  let output = '';
+  for await (const chunk of chunks) {
+    output += chunk;
+  }
+  return output;
+};
+
+describe('UserExportService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new UserExportService();
+    service.repository = {
+      findById: jest.fn(async (id) => (id === 'tenant_missing' ? null : { id })),
+    };
+    const users = buildUsers(230);
+    service.auth0Service.listTenantUsers = jest.fn(async function* listTenantUsers() {
+      yield* users;
+    });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should stream every user as CSV with escaped fields', async () => {
+    const plan = await service.prepareExport('tenant_a', { columns: 'email,name,roles,metadata.department' });
+    const lines = (await collect(service.exportUsers(plan))).trim().split('\n');
+
+    expect(service.auth0Service.listTenantUsers).toHaveBeenCalledWith({ id: 'tenant_a', auth0OrganizationId: null });
+    expect(lines).toHaveLength(231);
+    expect(lines[0]).toBe('email,name,roles,metadata.department');
+    expect(lines[1]).toBe('user0@example.com,"Doe, ""JD"" Jane",user;admin,Support');
+  });
+
+  test('should produce valid JSON and NDJSON', async () => {
+    const json = JSON.parse(await collect(service.exportUsers(
+      await service.prepareExport('tenant_a', { format: 'json', columns: 'id,roles,createdAt' })
+    )));
+    expect(json).toHaveLength(230);
+    expect(json[0]).toEqual({ id: 'auth0|user_0', roles: ['user', 'admin'], createdAt: '2024-01-01T00:00:00.000Z' });
+
+    const ndjson = (await collect(service.exportUsers(
+      await service.prepareExport('tenant_a', { format: 'ndjson', columns: 'email' })
+    ))).trim().split('\n').map((line) => JSON.parse(line));
+    expect(ndjson[229]).toEqual({ email: 'user229@example.com' });
+  });
+
+  test('should reject unknown columns and tenants before streaming', async () => {
+    await expect(service.prepareExport('tenant_a', { columns: 'email,password' }))
+      .rejects.toThrow(ValidationError);
+    await expect(service.prepareExport('tenant_missing', {}))
+      .rejects.toThrow(TenantNotFoundError);
+    expect(service.auth0Service.listTenantUsers).not.toHaveBeenCalled();
+  });
+
+  test('should export past the 1000 results a user search returns', async () => {
+    const Auth0Service = jest.requireActual('../../../src/services/auth0Service');
+    service.auth0Service = new Auth0Service();
+    buildUsers(1200).forEach((user, i) => service.auth0Service._mock.users.set(user.user_id, {
+      ...user,
+      created_at: new Date(Date.UTC(2024, 0, 1) + i * 1000).toISOString(),
+    }));
+
+    const ids = (await collect(service.exportUsers(
+      await service.prepareExport('tenant_a', { format: 'ndjson', columns: 'id' })
+    ))).trim().split('\n').map((line) => JSON.parse(line).id);
+
+    expect(ids).toHaveLength(1200);
+    expect(new Set(ids).size).toBe(1200);
+  });
+});
@@ -0,0 +1,155 @@
+const UserImportService = require('../../../src/services/userImportService');
+const JsonDocumentStore = require('../../../src/repositories/jsonDocumentStore');
+const { setDocumentStore } = require('../../../src/repositories');
+const {
+  ValidationError,
+  BusinessLogicError,
+  SeatLimitExceededError,
+} = require('../../../src/utils/errors');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../../src/utils/logger', () => require('../../helpers/loggerMock'));
+
+jest.mock('../../../src/services/userService');
+jest.mock('../../../src/services/seatService');
+jest.mock('../../../src/services/auditService');
+
+const importer = { sub: 'master_client@clients' };
+
+const rowsOf = (users) => users.map((data, index) => ({ row: index + 1, data }));
+
+describe('UserImportService', () => {
+  let service;
+
+  beforeEach(() => {
+    setDocumentStore(new JsonDocumentStore());
+    service = new UserImportService();
+    service.userService.createUser = jest.fn(async (tenantId, data) => ({
+      id: `auth0|${data.email}`,
+      email: data.email,
+    }));
+    service.userService.deleteUser = jest.fn(async () => ({ deleted: true }));
+    service.seatService.reserveSeats = jest.fn(async () => ({}));
+    service.seatService.reserveAvailableSeats = jest.fn(async (tenantId, max) => ({ seatsReserved: max }));
+    service.seatService.releaseSeats = jest.fn(async () => ({}));
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should read CSV rows with role lists and nested metadata', () => {
+    const rows = service.parseRows([
+      'email,name,roles,metadata.department',
+      'ann@example.com,Ann Lee,admin;user_manager,Sales',
+      '"bo@example.com","Bo, Jr.",,',
+    ].join('\n'));
+
+    expect(rows).toEqual([
+      {
+        row: 1,
+        line: 2,
+        data: {
+          email: 'ann@example.com',
+          name: 'Ann Lee',
+          roles: ['admin', 'user_manager'],
+          metadata: { department: 'Sales' },
+        },
+      },
+      { row: 2, line: 3, data: { email: 'bo@example.com', name: 'Bo, Jr.' } },
+    ]);
+  });
+
+  test('should report invalid and duplicate rows and create the rest with pre-reserved seats', async () => {
+    const report = await service.importUsers('tenant_a', rowsOf([
+      { email: 'ann@example.com', name: 'Ann Lee' },
+      { email: 'not-an-email', name: 'Bad Row' },
+      { email: 'ANN@example.com', name: 'Ann Again' },
+      { email: 'bo@example.com', name: 'Bo Chen' },
+    ]), {}, importer);
+
+    expect(report.summary).toEqual({ total: 4, created: 2, failed: 0, invalid: 2, skipped: 0 });
+    expect(report.results.map((result) => result.status)).toEqual(['created', 'invalid', 'invalid', 'created']);
+    expect(service.seatService.reserveAvailableSeats).toHaveBeenCalledWith('tenant_a', 2);
+    expect(service.userService.createUser).toHaveBeenCalledWith(
+      'tenant_a',
+      expect.objectContaining({ email: 'ann@example.com' }),
+      importer,
+      { seatReserved: true }
+    );
+    expect(service.seatService.releaseSeats).not.toHaveBeenCalled();
+  });
+
+  test('should skip rows beyond the free seats and release seats of failed rows', async () => {
+    service.seatService.reserveAvailableSeats.mockResolvedValue({ seatsReserved: 2 });
+    service.userService.createUser
+      .mockResolvedValueOnce({ id: 'auth0|1', email: 'a@example.com' })
+      .mockRejectedValueOnce(Object.assign(new Error('Email taken'), { code: 'DUPLICATE_RESOURCE' }));
+
+    const report = await service.importUsers('tenant_a', rowsOf([
+      { email: 'a@example.com', name: 'User A' },
+      { email: 'b@example.com', name: 'User B' },
+      { email: 'c@example.com', name: 'User C' },
+    ]), {}, importer);
+
+    expect(report.results).toEqual([
+      expect.objectContaining({ row: 1, status: 'created' }),
+      expect.objectContaining({ row: 2, status: 'failed', error: { code: 'DUPLICATE_RESOURCE', message: 'Email taken' } }),
+      expect.objectContaining({ row: 3, status: 'skipped' }),
+    ]);
+    expect(service.seatService.releaseSeats).toHaveBeenCalledWith('tenant_a', 1);
+  });
+
+  test('should reject an atomic import with any invalid row before reserving seats', async () => {
+    await expect(service.importUsers('tenant_a', rowsOf([
+      { email: 'a@example.com', name: 'User A' },
+      { email: 'b@example.com' },
+    ]), { atomic: true }, importer)).rejects.toThrow(ValidationError);
+
+    expect(service.seatService.reserveSeats).not.toHaveBeenCalled();
+    expect(service.userService.createUser).not.toHaveBeenCalled();
+  });
+
+  test('should fail an atomic import when the batch does not fit the seat limit', async () => {
+    service.seatService.reserveSeats.mockRejectedValue(new SeatLimitExceededError('tenant_a', 9, 10));
+
+    await expect(service.importUsers('tenant_a', rowsOf([
+      { email: 'a@example.com', name: 'User A' },
+      { email: 'b@example.com', name: 'User B' },
+    ]), { atomic: true }, importer)).rejects.toThrow(SeatLimitExceededError);
+
+    expect(service.seatService.reserveSeats).toHaveBeenCalledWith('tenant_a', 2);
+    expect(service.userService.createUser).not.toHaveBeenCalled();
+  });
+
+  test('should roll back created users when an atomic import fails', async () => {
+    service.userService.createUser
+      .mockResolvedValueOnce({ id: 'auth0|1', email: 'a@example.com' })
+      .mockRejectedValueOnce(new Error('Auth0 unavailable'));
+
+    await expect(service.importUsers('tenant_a', rowsOf([
+      { email: 'a@example.com', name: 'User A' },
+      { email: 'b@example.com', name: 'User B' },
+    ]), { atomic: true }, importer)).rejects.toThrow(BusinessLogicError);
+
+    expect(service.userService.deleteUser).toHaveBeenCalledWith('tenant_a', 'auth0|1', importer);
+    expect(service.seatService.releaseSeats).toHaveBeenCalledWith('tenant_a', 1);
+  });
+
+  test('should run background jobs and store the report on the job', async () => {
+    const job = await service.startImportJob('tenant_a', rowsOf([
+      { email: 'a@example.com', name: 'User A' },
+    ]), { atomic: false }, importer);
+    expect(job.status).toBe('queued');
+
+    let finished = job;
+    for (let tick = 0; tick < 20 && finished.status !== 'completed'; tick += 1) {
+      await new Promise((resolve) => setImmediate(resolve));
+      finished = await service.getImportJob('tenant_a', job.id);
+    }
+
+    expect(finished.status).toBe('completed');
+    expect(finished.report.summary.created).toBe(1);
+    await expect(service.getImportJob('tenant_b', job.id)).rejects.toThrow('not found');
+  });
+});
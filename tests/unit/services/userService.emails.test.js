@@ -0,0 +1,77 @@
+const UserService = require('../../../src/services/userService');
+const TenantService = require('../../../src/services/tenantService');
+const { ConflictError, UnauthorizedTenantAccessError } = require('../../../src/utils/errors');
+const ServiceHelper = require('../../helpers/serviceHelper');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../../src/utils/logger', () => require('../../helpers/loggerMock'));
+
+describe('UserService verification emails and password resets', () => {
+  const admin = ServiceHelper.masterActor();
+  let userService;
+  let auth0Service;
+  let tenant;
+
+  const createUser = (overrides = {}) => ServiceHelper.createUser(userService, tenant.id, overrides);
+
+  beforeEach(async () => {
+    ServiceHelper.resetStores();
+    tenant = await ServiceHelper.createTenant(new TenantService(), { name: 'Emailing Corp' });
+    userService = new UserService();
+    auth0Service = userService.auth0Service;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should send the verification email through the tenant client', async () => {
+    const user = await createUser();
+    const sendVerificationEmail = jest.spyOn(auth0Service, 'sendVerificationEmail');
+
+    const result = await userService.sendVerificationEmail(tenant.id, user.id, admin);
+
+    expect(result).toMatchObject({ userId: user.id, email: user.email, status: 'pending' });
+    expect(result.jobId).toMatch(/^job_/);
+    expect(sendVerificationEmail).toHaveBeenCalledWith(user.id, {
+      clientId: tenant.auth0ClientId,
+      organizationId: null,
+    });
+  });
+
+  test('should refuse verification emails for verified users', async () => {
+    const user = await createUser({ emailVerified: true });
+
+    await expect(userService.sendVerificationEmail(tenant.id, user.id, admin))
+      .rejects.toThrow(ConflictError);
+  });
+
+  test('should create a password reset ticket without verifying the email', async () => {
+    const user = await createUser();
+    const createTicket = jest.spyOn(auth0Service, 'createPasswordChangeTicket');
+
+    const result = await userService.createPasswordReset(tenant.id, user.id, {
+      resultUrl: 'https://app.example.com/login',
+      expiresInHours: 2,
+    }, admin);
+
+    expect(result.ticketUrl).toMatch(/^https:\/\/mock\.auth0\.com\/lo\/reset\?ticket=/);
+    expect(result.expiresAt.getTime() - Date.now()).toBeGreaterThan(7000 * 1000);
+    expect(createTicket).toHaveBeenCalledWith({
+      userId: user.id,
+      resultUrl: 'https://app.example.com/login',
+      clientId: tenant.auth0ClientId,
+      ttlSec: 7200,
+      markEmailAsVerified: false,
+    });
+  });
+
+  test('should not reach users of another tenant', async () => {
+    const user = await createUser();
+
+    await expect(userService.createPasswordReset('tenant_beta_456', user.id, { expiresInHours: 24 }, admin))
+      .rejects.toThrow(UnauthorizedTenantAccessError);
+    await expect(userService.sendVerificationEmail('tenant_beta_456', user.id, admin))
+      .rejects.toThrow(UnauthorizedTenantAccessError);
+  });
+});
@@ -0,0 +1,123 @@
+const UserService = require('../../../src/services/userService');
+const { InvalidRequestError, UnauthorizedTenantAccessError } = require('../../../src/utils/errors');
+const ServiceHelper = require('../../helpers/serviceHelper');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../../src/utils/logger', () => require('../../helpers/loggerMock'));
+
+// Use the in-memory Auth0 management client
+jest.mock('../../../src/config', () => {
+  const actual = jest.requireActual('../../../src/config');
+  return {
+    ...actual,
+    development: { ...actual.development, mockAuth0Api: true },
+  };
+});
+
+describe('UserService role management', () => {
+  const tenantId = 'tenant_roles_123';
+  const admin = ServiceHelper.masterActor();
+  let userService;
+  let auth0Service;
+  let userId;
+
+  beforeEach(async () => {
+    userService = new UserService();
+    auth0Service = userService.auth0Service;
+    await userService.seatService.initializeTenantSeats(tenantId, 100);
+
+    const user = await userService.createUser(tenantId, {
+      email: ServiceHelper.uniqueEmail('roles'),
+      name: 'Role Tester',
+      password: 'Password123',
+      roles: ['user'],
+    }, admin);
+    userId = user.id;
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should assign real RBAC roles when a user is created', async () => {
+    const roles = await auth0Service.getUserRoles(userId);
+
+    expect(roles.map((role) => role.name)).toEqual(['user']);
+    expect(roles[0].id).toMatch(/^rol_/);
+  });
+
+  test('should create missing catalog roles and cache their IDs', async () => {
+    const createRole = jest.spyOn(auth0Service, 'createRole');
+
+    const [created] = await auth0Service.resolveRoles(['user_manager']);
+
+    expect(createRole).toHaveBeenCalledWith('user_manager', expect.any(String));
+    expect(created.id).toMatch(/^rol_/);
+
+    const getAll = jest.spyOn(auth0Service.managementClient.roles, 'getAll');
+    const [cached] = await auth0Service.resolveRoles(['user_manager']);
+
+    expect(cached.id).toBe(created.id);
+    expect(createRole).toHaveBeenCalledTimes(1);
+    expect(getAll).not.toHaveBeenCalled();
+  });
+
+  test('should apply only the difference between current and requested roles', async () => {
+    const assignRoles = jest.spyOn(auth0Service, 'assignRoles');
+    const removeRoles = jest.spyOn(auth0Service, 'removeRoles');
+
+    const result = await userService.updateUserRoles(tenantId, userId, ['user', 'admin'], admin);
+
+    expect(result).toEqual(expect.objectContaining({
+      roles: ['user', 'admin'],
+      added: ['admin'],
+      removed: [],
+    }));
+    expect(removeRoles).not.toHaveBeenCalled();
+    expect(assignRoles).toHaveBeenCalledTimes(1);
+
+    const second = await userService.updateUserRoles(tenantId, userId, ['admin'], admin);
+
+    expect(second.added).toEqual([]);
+    expect(second.removed).toEqual(['user']);
+    const roles = await auth0Service.getUserRoles(userId);
+    expect(roles.map((role) => role.name)).toEqual(['admin']);
+  });
+
+  test('should keep app_metadata roles in sync with RBAC', async () => {
+    await userService.updateUserRoles(tenantId, userId, ['tenant_admin', 'user'], admin);
+
+    const auth0User = await auth0Service.getUser(userId);
+
+    expect(auth0User.app_metadata.roles).toEqual(['tenant_admin', 'user']);
+    expect(auth0User.app_metadata.tenant_id).toBe(tenantId);
+  });
+
+  test('should ignore tenant and roles sent in client app_metadata', async () => {
+    const user = await userService.createUser(tenantId, {
+      email: `moved_${Date.now()}@example.com`,
+      name: 'Moved User',
+      password: 'Password123',
+      roles: ['user'],
+      appMetadata: { tenant_id: 'tenant_other_456', roles: ['admin'], department: 'sales' },
+    }, admin);
+    await userService.updateUser(tenantId, user.id, {
+      appMetadata: { tenant_id: 'tenant_other_456', seat_waitlisted: true },
+    }, admin);
+
+    const auth0User = await auth0Service.getUser(user.id);
+
+    expect(auth0User.app_metadata).toMatchObject({ tenant_id: tenantId, roles: ['user'], department: 'sales' });
+    expect(auth0User.app_metadata.seat_waitlisted).toBeUndefined();
+  });
+
+  test('should reject roles outside the catalog', async () => {
+    await expect(userService.updateUserRoles(tenantId, userId, ['superuser'], admin))
+      .rejects.toThrow(InvalidRequestError);
+  });
+
+  test('should refuse to change roles of a user in another tenant', async () => {
+    await expect(userService.updateUserRoles('tenant_other_456', userId, ['admin'], admin))
+      .rejects.toThrow(UnauthorizedTenantAccessError);
+  });
+});
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const nock = require('nock');
+const config = require('../../../src/config');
+const WebhookService = require('../../../src/services/webhookService');
+const SeatService = require('../../../src/services/seatService');
+const { ResourceNotFoundError } = require('../../../src/utils/errors');
+const ServiceHelper = require('../../helpers/serviceHelper');
+
+// Mock the logger to avoid console output during tests
+jest.mock('../../../src/utils/logger', () => require('../../helpers/loggerMock'));
+
+const HOOK_URL = 'https://hooks.example.com';
+
+describe('WebhookService', () => {
+  let service;
+  let originalWebhookConfig;
+
+  beforeEach(() => {
+    originalWebhookConfig = config.webhook;
+    config.webhook = {
+      secret: 'test_webhook_secret',
+      enabled: true,
+      maxAttempts: 3,
+      retryBaseDelayMs: 1,
+      timeoutMs: 1000,
+    };
+
+    ServiceHelper.resetStores();
+    service = new WebhookService();
+  });
+
+  afterEach(() => {
+    config.webhook = originalWebhookConfig;
+    nock.cleanAll();
+  });
+
+  const subscribe = (overrides = {}) => service.createSubscription({
+    url: `${HOOK_URL}/events`,
+    events: ['tenant.created', 'user.blocked'],
+    ...overrides,
+  }, { sub: 'master_client@clients' });
+
+  const event = {
+    id: 'evt_test',
+    type: 'tenant.created',
+    tenantId: 'tenant_1',
+    createdAt: new Date().toISOString(),
+    data: { id: 'tenant_1' },
+  };
+
+  test('signs the timestamp and raw body with the webhook secret', async () => {
+    const subscription = await subscribe();
+    let received;
+
+    nock(HOOK_URL)
+      .post('/events')
+      .reply(function reply(uri, body) {
+        received = { headers: this.req.headers, body: JSON.stringify(body) };
+        return [204];
+      });
+
+    const result = await service.deliver(subscription, event);
+
+    expect(result).toEqual({ delivered: true, attempts: 1 });
+    const timestamp = received.headers['x-webhook-timestamp'];
+    const expected = crypto
+      .createHmac('sha256', 'test_webhook_secret')
+      .update(`${timestamp}.${received.body}`)
+      .digest('hex');
+    expect(received.headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+    expect(received.headers['x-webhook-event']).toBe('tenant.created');
+  });
+
+  test('retries failed deliveries and dead-letters them after the last attempt', async () => {
+    const subscription = await subscribe();
+    nock(HOOK_URL).post('/events').times(3).reply(500);
+
+    const result = await service.deliver(subscription, event);
+
+    expect(result).toEqual({ delivered: false, attempts: 3 });
+    const deadLetters = await service.listDeadLetters({ subscriptionId: subscription.id });
+    expect(deadLetters).toEqual([
+      expect.objectContaining({
+        subscriptionId: subscription.id,
+        attempts: 3,
+        lastError: 'HTTP 500',
+        event,
+      }),
+    ]);
+  });
+
+  test('replay removes a dead letter once it is delivered', async () => {
+    const subscription = await subscribe();
+    nock(HOOK_URL).post('/events').times(3).reply(503);
+    await service.deliver(subscription, event);
+    const [deadLetter] = await service.listDeadLetters();
+
+    nock(HOOK_URL).post('/events').reply(500);
+    const failed = await service.replayDeadLetter(deadLetter.id);
+    expect(failed.delivered).toBe(false);
+    expect(failed.deadLetter.attempts).toBe(4);
+
+    nock(HOOK_URL).post('/events').reply(200);
+    const replayed = await service.replayDeadLetter(deadLetter.id);
+    expect(replayed.delivered).toBe(true);
+    expect(await service.listDeadLetters()).toEqual([]);
+  });
+
+  test('publishes only to active subscriptions for the event and tenant', async () => {
+    const everyTenant = await subscribe();
+    const sameTenant = await subscribe({ tenantId: 'tenant_1' });
+    await subscribe({ tenantId: 'tenant_2' });
+    await subscribe({ events: ['user.deleted'] });
+    await subscribe({ active: false });
+    const deliver = jest.spyOn(service, 'deliver').mockResolvedValue({ delivered: true });
+
+    const matched = await service.publish('tenant.created', {
+      id: 'tenant_1',
+      clientSecret: 'never-sent',
+    }, { tenantId: 'tenant_1' });
+
+    expect(matched.sort()).toEqual([everyTenant.id, sameTenant.id].sort());
+    expect(deliver).toHaveBeenCalledTimes(2);
+    expect(deliver.mock.calls[0][1].data).toEqual({ id: 'tenant_1' });
+  });
+
+  test('does nothing while webhooks are disabled', async () => {
+    config.webhook.enabled = false;
+    await subscribe();
+    const deliver = jest.spyOn(service, 'deliver');
+
+    expect(await service.publish('tenant.created', {}, { tenantId: 'tenant_1' })).toEqual([]);
+    expect(deliver).not.toHaveBeenCalled();
+  });
+
+  test('seat changes publish each utilization threshold crossed upwards once', async () => {
+    const seatService = new SeatService();
+    const publish = jest.spyOn(seatService.webhookService, 'publish').mockResolvedValue([]);
+    await seatService.initializeTenantSeats('tenant_thresholds', 10);
+
+    await seatService.reserveSeats('tenant_thresholds', 9);
+    await seatService.releaseSeats('tenant_thresholds', 1);
+    await seatService.reserveSeats('tenant_thresholds', 1);
+
+    expect(publish.mock.calls.map(([type, data]) => [type, data.threshold])).toEqual([
+      ['seat.threshold_crossed', 80],
+      ['seat.threshold_crossed', 90],
+      ['seat.threshold_crossed', 90],
+    ]);
+  });
+
+  test('throws ResourceNotFoundError for unknown subscriptions', async () => {
+    await expect(service.getSubscription('whsub_missing')).rejects.toThrow(ResourceNotFoundError);
+  });
+});